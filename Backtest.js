@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { RestClientV2 } = require('bitget-api');
+require('dotenv').config();
+const { runBacktest, historyNeeded } = require('./core/backtester');
+const { createStrategy, lookbackFor } = require('./core/strategies');
+const { loadConfig, tradingCoreOptions } = require('./core/config');
+const { closedCandles } = require('./core/timeframes');
+const { createCandleStore } = require('./core/candleStore');
+const { createSignalJournal } = require('./core/signalJournal');
+
+// Backtest a config profile over historical candles.
+//   BOT_PROFILE        profile to test (symbols, timeframe, risk, fees)
+//   BACKTEST_STRATEGY  registered strategy to test, defaults to each symbol's strategy
+//                      (multi-timeframe strategies run on their first timeframe, the others are resampled from it)
+//   BACKTEST_BARS      number of bars to test (default 2000), from the candle store in data/candles,
+//                      which backfills from Bitget what it does not have yet; more are loaded when the
+//                      higher timeframes need a longer history
+//   BACKTEST_CANDLES   JSON file of [ts, open, high, low, close, volume] to use instead of fetching
+// Every bar is journalled to data/journal-backtest-<profile>.jsonl, see Journal.js.
+
+const {
+  BACKTEST_STRATEGY,
+  BACKTEST_BARS = '2000',
+  BACKTEST_CANDLES,
+} = process.env;
+
+let config;
+try {
+  config = loadConfig({ profile: 'demo-btc-5m' });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Strategies log every evaluation live; only their errors are worth seeing here
+const quietLogger = { log() {}, error: console.error };
+
+// Public market data only, no credentials needed
+const restClientV2 = new RestClientV2();
+
+// Shared with the bots, so history fetched once is reused by every run
+const candleStore = createCandleStore({
+  restClient: restClientV2,
+  productType: config.exchange.productType,
+  dir: path.join(__dirname, 'data', 'candles'),
+  backfillBars: config.candleStore.backfillBars,
+  maxBars: config.candleStore.maxBars,
+});
+
+// Rewritten each run, to compare with the live journal of the same profile; its bars are in the past so none expire
+const journal = createSignalJournal({
+  file: path.join(__dirname, 'data', `journal-backtest-${config.profile}.jsonl`),
+  append: false,
+  retentionDays: null,
+});
+
+//////////// - Historical Data - ///////////////////////////
+
+async function loadCandles(symbol, timeframe, extraBars = 0) {
+  if (BACKTEST_CANDLES) {
+    console.log(`${symbol}: Reading candles from ${BACKTEST_CANDLES}`);
+    return JSON.parse(fs.readFileSync(BACKTEST_CANDLES, 'utf8')).map(candle => candle.slice(0, 6).map(Number));
+  }
+  const bars = parseInt(BACKTEST_BARS) + extraBars;
+  console.log(`${symbol}: Loading ${bars} ${timeframe} candles`);
+  // One extra, as the still-forming candle is left out
+  const candles = await candleStore.getCandles(symbol, timeframe, { limit: bars + 1 });
+  return closedCandles(candles, timeframe).slice(-bars);
+}
+
+//////////// - Report - ///////////////////////////
+
+function printReport(symbol, strategy, { stats, trades, errors }) {
+  console.log(`\n${symbol}: ${strategy.name} on ${strategy.inputs.timeframes[0]} (profile ${config.profile})`);
+  console.log(`Trades: ${stats.trades} (${stats.wins} wins / ${stats.losses} losses), Win Rate: ${(stats.winRate * 100).toFixed(1)}%`);
+  console.log(`Net Profit: ${stats.netProfit.toFixed(2)} ${config.exchange.marginCoin} (${stats.returnPercent.toFixed(2)}%), Fees: ${stats.fees.toFixed(2)}`);
+  console.log(`Profit Factor: ${stats.profitFactor.toFixed(2)}, Avg Win: ${stats.averageWin.toFixed(2)}, Avg Loss: ${stats.averageLoss.toFixed(2)}`);
+  console.log(`Max Drawdown: ${stats.maxDrawdown.toFixed(2)} (${stats.maxDrawdownPercent.toFixed(2)}%), Sharpe: ${stats.sharpeRatio.toFixed(2)}`);
+
+  for (const trade of trades) {
+    console.log(
+      `${new Date(trade.entryTime).toISOString()} ${trade.side.padEnd(5)} ${trade.entryPrice.toFixed(2)} -> ` +
+      `${trade.exitPrice.toFixed(2)} ${trade.netPnL.toFixed(4)} (${trade.exitReason})`
+    );
+  }
+
+  if (errors.length > 0) {
+    console.log(`${errors.length} errors during the run, first: ${errors[0]}`);
+  }
+}
+
+(async () => {
+  for (const { symbol, size, leverage, strategy: strategyName } of config.symbols) {
+    const strategy = createStrategy(BACKTEST_STRATEGY || strategyName, config, { logger: quietLogger });
+    const [timeframe] = strategy.inputs.timeframes;
+    const lookback = lookbackFor(strategy.inputs, timeframe);
+    const candles = await loadCandles(symbol, timeframe, historyNeeded(strategy, timeframe, lookback) - lookback);
+    const result = await runBacktest({
+      symbol,
+      timeframe,
+      candles,
+      strategy,
+      lookback,
+      coreOptions: { ...tradingCoreOptions(config), size, leverage },
+      breakEven: config.breakEven,
+      takeProfitIntervalMinutes: config.takeProfitLadder.intervalMinutes,
+      startingBalance: config.paper.startingBalance,
+      makerFeeRate: config.paper.makerFeeRate,
+      takerFeeRate: config.paper.takerFeeRate,
+      slippage: config.paper.slippage,
+      regime: config.regime.enabled ? config.regime : null,
+      journal,
+    });
+    printReport(symbol, strategy, result);
+  }
+})().catch(error => {
+  console.error('Backtest failed:', error.message);
+  process.exit(1);
+});
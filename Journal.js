@@ -0,0 +1,115 @@
+const path = require('path');
+require('dotenv').config();
+const { createSignalJournal } = require('./core/signalJournal');
+const { loadConfig } = require('./core/config');
+
+// Review the signal journal of a config profile, or compare it with a backtest.
+//   BOT_PROFILE       profile whose journal to read, data/journal-<profile>.jsonl
+//   JOURNAL_SYMBOL    only this symbol
+//   JOURNAL_DECISION  only these decisions, comma separated (trade, no-trade, none, duplicate, blocked, error)
+//   JOURNAL_FROM      earliest bar, ISO date or ms
+//   JOURNAL_TO        latest bar, ISO date or ms
+//   JOURNAL_LIMIT     latest entries to show (default 50)
+//   JOURNAL_COMPARE   set to compare each live bar's signal with data/journal-backtest-<profile>.jsonl,
+//                     written by Backtest.js, over the bars both have
+
+const {
+  JOURNAL_SYMBOL,
+  JOURNAL_DECISION,
+  JOURNAL_FROM,
+  JOURNAL_TO,
+  JOURNAL_LIMIT = '50',
+  JOURNAL_COMPARE,
+} = process.env;
+
+let config;
+try {
+  config = loadConfig({ profile: 'demo-btc-5m' });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const toTime = value => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+
+const filter = {
+  ...(JOURNAL_SYMBOL && { symbol: JOURNAL_SYMBOL }),
+  ...(JOURNAL_DECISION && { decision: JOURNAL_DECISION.split(',') }),
+  ...(JOURNAL_FROM && { from: toTime(JOURNAL_FROM) }),
+  ...(JOURNAL_TO && { to: toTime(JOURNAL_TO) }),
+};
+
+const live = createSignalJournal({ file: path.join(__dirname, 'data', `journal-${config.profile}.jsonl`) });
+
+//////////// - Review - ///////////////////////////
+
+function formatValue(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4);
+  if (value && typeof value === 'object') return `{ ${formatIndicators(value)} }`;
+  return String(value);
+}
+
+function formatIndicators(indicators = {}) {
+  return Object.entries(indicators).map(([name, value]) => `${name}: ${formatValue(value)}`).join(', ');
+}
+
+function printEntries(entries) {
+  for (const entry of entries) {
+    console.log(
+      `${new Date(entry.barTime).toISOString()} ${entry.symbol} ${entry.strategy} ${entry.timeframe} ` +
+      `${entry.decision}${entry.side ? ` ${entry.side}` : ''} at ${entry.price}${entry.regime ? ` in a ${entry.regime} market` : ''}` +
+      `${entry.orderId ? ` order ${entry.orderId}` : ''}${entry.error ? ` (${entry.error})` : ''}`
+    );
+    console.log(`  ${formatIndicators(entry.indicators)}`);
+  }
+  console.log(`${entries.length} entries from the ${config.profile} journal`);
+}
+
+//////////// - Compare - ///////////////////////////
+
+// The side signalled on each symbol's bar; a bar the live loop saw several times counts if any saw a signal
+function sidesByBar(entries) {
+  const sides = new Map();
+  for (const entry of entries) {
+    const key = `${entry.symbol}:${entry.barTime}`;
+    if (!sides.has(key) || entry.side) sides.set(key, entry.side || null);
+  }
+  return sides;
+}
+
+function compare() {
+  const backtest = createSignalJournal({
+    file: path.join(__dirname, 'data', `journal-backtest-${config.profile}.jsonl`),
+    retentionDays: null,
+  });
+  const liveSides = sidesByBar(live.query(filter));
+  const backtestSides = sidesByBar(backtest.query(filter));
+
+  let matched = 0;
+  const mismatches = [];
+  for (const [key, side] of liveSides) {
+    if (!backtestSides.has(key)) continue;
+    if (backtestSides.get(key) === side) {
+      matched++;
+    } else {
+      mismatches.push({ key, live: side, backtest: backtestSides.get(key) });
+    }
+  }
+
+  for (const { key, live: liveSide, backtest: backtestSide } of mismatches.slice(-parseInt(JOURNAL_LIMIT))) {
+    const [symbol, barTime] = key.split(':');
+    console.log(`${new Date(Number(barTime)).toISOString()} ${symbol}: live ${liveSide || 'no signal'}, backtest ${backtestSide || 'no signal'}`);
+  }
+  console.log(`${matched + mismatches.length} bars in both journals: ${matched} agree, ${mismatches.length} differ`);
+}
+
+try {
+  if (JOURNAL_COMPARE) {
+    compare();
+  } else {
+    printEntries(live.query({ ...filter, limit: parseInt(JOURNAL_LIMIT) }));
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -1,15 +1,25 @@
+const path = require('path');
 const express = require('express');
 const {
   WebsocketClientV2,
   RestClientV2,
 } = require('bitget-api');
 require('dotenv').config();
+const { createTradingCore } = require('./core/tradingCore');
+const { createStrategyRunner } = require('./core/strategies');
+const { createSignalStore } = require('./core/signalStore');
+const { createCandleStore } = require('./core/candleStore');
+const { createSignalJournal } = require('./core/signalJournal');
+const { mountDataRoutes } = require('./core/routes');
+const { createOrderManager } = require('./core/orderManager');
+const { loadConfig, tradingCoreOptions } = require('./core/config');
+const { createSymbolStates, forEachSymbol } = require('./core/symbolState');
 
 const app = express();
 app.use(express.json());
 
 // Load environment variables
-const { API_KEY, API_SECRET, API_PASSPHRASE, PORT = 3000 } = process.env;
+const { API_KEY, API_SECRET, API_PASSPHRASE, PORT = 3000, BITGET_REST_URL, BITGET_WS_URL } = process.env;
 
 // Check API credentials
 if (!API_KEY || !API_SECRET || !API_PASSPHRASE) {
@@ -17,17 +27,29 @@ if (!API_KEY || !API_SECRET || !API_PASSPHRASE) {
   process.exit(1);
 }
 
+// Load the trading config profile (BOT_PROFILE overrides the default)
+let config;
+try {
+  config = loadConfig({ profile: 'demo-btc-cipher' });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+console.log(`Using config profile ${config.profile}`);
+
 // Initialize WebSocket and REST clients
 const wsClient = new WebsocketClientV2({
   apiKey: API_KEY,
   apiSecret: API_SECRET,
   apiPass: API_PASSPHRASE,
+  wsUrl: BITGET_WS_URL, // unset for Bitget, or a local mock server
 });
 
 const restClientV2 = new RestClientV2({
   apiKey: API_KEY,
   apiSecret: API_SECRET,
   apiPass: API_PASSPHRASE,
+  baseUrl: BITGET_REST_URL, // unset for Bitget, or a local mock server
 });
 
 // Start the Express server
@@ -40,328 +62,74 @@ function logWSEvent(type, data) {
   console.log(new Date(), `WS ${type} event:`, data);
 }
 
-//////////// - Indicators - ///////////////////////
-  
-// Fetch candle data for multiple timeframes
-async function fetchCandleData(symbol, granularity) {
-    try {
-        console.log(`Fetching ${granularity} historical candle data for ${symbol}`);
-        const candleData = await restClientV2.getFuturesHistoricCandles({
-            granularity,
-            limit: 100,
-            productType: 'SUSDT-FUTURES',
-            symbol: symbol,
-        });
+// Candles are kept in data/candles, so each loop only fetches the new ones
+const candleStore = config.candleStore.enabled
+  ? createCandleStore({
+    restClient: restClientV2,
+    productType: config.exchange.productType,
+    dir: path.join(__dirname, 'data', 'candles'),
+    backfillBars: config.candleStore.backfillBars,
+    maxBars: config.candleStore.maxBars,
+  })
+  : null;
 
-        console.log(`Fetched ${candleData.data.length} candle entries for ${symbol} on ${granularity} timeframe.`);
-        return candleData.data.map(candle => [
-            candle[0], // timestamp
-            parseFloat(candle[1]), // open
-            parseFloat(candle[2]), // high
-            parseFloat(candle[3]), // low
-            parseFloat(candle[4]), // close
-            parseFloat(candle[5]), // volume
-        ]);
-    } catch (error) {
-        console.error(`Error fetching ${granularity} candle data:`, error.message);
-        return null;
-    }
-}
+// Every order's state from the orders channels
+const orderManager = createOrderManager({ restClient: restClientV2, productType: config.exchange.productType });
 
-// Calculate Market Cipher signals with additional indicators
-function calculateMarketCipherSignals(candles) {
-    const hlc3 = candles.map(candle => (candle[1] + candle[2] + candle[3]) / 3); // HLC3 calculation
-    
-    const moneyFlow = calculateMoneyFlow(hlc3);
-    const stochasticRSI = calculateStochasticRSI(candles);
-    const ema = calculateEMA(candles, 9); // Example EMA indicator
+// Shared trading core: candles, orders and positions
+const core = createTradingCore({ restClient: restClientV2, ...tradingCoreOptions(config), candleStore, orderManager });
 
-    const buySignal = moneyFlow[moneyFlow.length - 1] > 0 && stochasticRSI[stochasticRSI.length - 1] < 0.2 && candles[candles.length - 1][4] > ema[ema.length - 1];
-    const sellSignal = moneyFlow[moneyFlow.length - 1] < 0 && stochasticRSI[stochasticRSI.length - 1] > 0.8 && candles[candles.length - 1][4] < ema[ema.length - 1];
+// Every strategy evaluation with its indicators, decision and order ID, see Journal.js
+const journal = createSignalJournal({ file: path.join(__dirname, 'data', `journal-${config.profile}.jsonl`) });
 
-    console.log('Indicator Values - Money Flow:', moneyFlow[moneyFlow.length - 1], 'Stochastic RSI:', stochasticRSI[stochasticRSI.length - 1], 'EMA:', ema[ema.length - 1]);
-    console.log('Signal calculation complete. Buy signal:', buySignal, 'Sell signal:', sellSignal);
-    
-    return { buySignal, sellSignal, latestPrice: candles[candles.length - 1][4] };
-}
+// Stored candles for charts, journal entries for review and order states, e.g. /candles/SBTCSUSDT/5m?limit=500,
+// /journal?symbol=SBTCSUSDT&decision=trade,error&limit=20 and /orders?symbol=SBTCSUSDT&open=true
+mountDataRoutes(app, { candleStore, journal, orderManager, symbols: config.symbols.map(({ symbol }) => symbol) });
 
-// Example function to calculate Money Flow
-function calculateMoneyFlow(hlc3) {
-    return hlc3.map((value, index) => {
-        return index === 0 ? 0 : (value > hlc3[index - 1] ? 1 : -1); // Placeholder logic
-    });
-}
-
-// Simplified Stochastic RSI calculation
-function calculateStochasticRSI(candles) {
-    return candles.map(candle => (candle[4] - candle[1]) / (candle[2] - candle[1])); // Placeholder logic
-}
-
-// Example EMA calculation
-function calculateEMA(candles, period) {
-    let ema = [];
-    let multiplier = 2 / (period + 1);
-    let sma = candles.slice(0, period).reduce((sum, candle) => sum + candle[4], 0) / period;
-
-    ema.push(sma); // Start EMA with SMA value
-    for (let i = period; i < candles.length; i++) {
-        let close = candles[i][4];
-        ema.push((close - ema[ema.length - 1]) * multiplier + ema[ema.length - 1]);
-    }
-    return ema;
-}
-
-// Periodically fetch candle data across multiple timeframes and check signals
-const ticker = 'SBTCSUSDT'; // Adjust the ticker as necessary
-const timeframes = ['1m', '5m', '15m', '30m']; // Array of timeframes to fetch
+// Periodically run each symbol's strategy (market-cipher in the default profile)
+const symbolStates = createSymbolStates(config.symbols);
+// Signals already acted on, per profile, so a restart never trades the same bar twice
+const signalStore = createSignalStore({ file: path.join(__dirname, 'data', `signals-${config.profile}.json`) });
+const strategyRunner = createStrategyRunner({ core, config, signalStore, journal });
 
 setInterval(async () => {
-    try {
-        console.log("Starting trading loop");
-        let candlesByTimeframe = {};
-
-        for (const timeframe of timeframes) {
-            candlesByTimeframe[timeframe] = await fetchCandleData(ticker, timeframe);
-            if (!candlesByTimeframe[timeframe]) {
-                console.error(`No candles returned for ${timeframe}. Skipping this timeframe.`);
-                return;
-            }
-        }
-
-        const signals = calculateMarketCipherSignals(candlesByTimeframe['15m']); // Use 15m candles for Market Cipher
-
-        if (signals.buySignal || signals.sellSignal) {
-            console.log("Signal detected, attempting to place trade");
-            await placeTrade({
-                symbol: ticker,
-                price: signals.latestPrice,
-                size: 0.001, // Replace with actual size logic
-                side: signals.buySignal ? 'buy' : 'sell',
-                leverage: 10, // Replace with actual leverage logic
-            });
-        } else {
-            console.log("No actionable signals at this time.");
-        }
-    } catch (error) {
-        console.error('Error in trading loop:', error.message);
-    }
-}, 60 * 1000); // Run every minute
-
+    console.log(`Starting trading loop for ${[...symbolStates.keys()].join(', ')}`);
+    await forEachSymbol(symbolStates, strategyRunner.run);
+}, config.loop.intervalSeconds * 1000);
 
 //////////// - Positions & Orders - ///////////////////////
 
-// Fetch open positions and pending orders
-const fetchOpenPositionsAndOrders = async () => {
-    try {
-        console.log("Fetching open positions and pending orders...");
-        // Fetch open positions
-        const positionsResponse = await restClientV2.getFuturesPositions({ productType: 'SUSDT-FUTURES' });
-        const pendingOrdersResponse = await restClientV2.getFuturesOpenOrders({ symbol: 'SBTCSUSDT', productType: 'SUSDT-FUTURES' });
-
-        const positions = positionsResponse.data || [];
-        const pendingOrders = pendingOrdersResponse.data || [];
-
-        if (positions.length === 0) {
-            console.log("No open positions.");
-        } else {
-            console.log(`Open positions found: ${positions.length}`, positions);
-        }
-
-        if (pendingOrders.length === 0) {
-            console.log("No pending orders.");
-        } else {
-            console.log(`Pending orders found: ${pendingOrders.length}`, pendingOrders);
-        }
-    } catch (error) {
-        console.error("Error fetching open positions or pending orders:", error.message);
-    }
-};
-
-// Function to cancel all open orders
-const cancelAllOrders = async (symbol) => {
-    try {
-        console.log(`Cancelling all orders for symbol: ${symbol}`);
-        const response = await restClientV2.futuresCancelAllOrders({ symbol, productType: 'SUSDT-FUTURES' });
-        console.log(`Cancelled all orders for symbol: ${symbol}`, response);
-    } catch (error) {
-        console.error("Error cancelling all orders:", error.message);
-    }
-};
-
-// Function to close open positions
-const closeOpenPositions = async (symbol, holdSide) => {
-    try {
-        console.log(`Closing ${holdSide} position for ${symbol}`);
-        const response = await restClientV2.futuresFlashClosePositions({
-            symbol,
-            holdSide,
-            productType: 'SUSDT-FUTURES'
-        });
-        console.log(`Closed ${holdSide} position for ${symbol}`, response);
-    } catch (error) {
-        console.error(`Error closing ${holdSide} position for ${symbol}:`, error.message);
-    }
-};
-
-// Function to close opposing positions or cancel orders
-const closeOpposingPositions = async (signal) => {
-    const { symbol, side } = signal;
-    const opposingSide = side === 'buy' ? 'short' : 'long';
-
-    try {
-        console.log(`Checking for opposing positions or orders before placing ${side} order...`);
-
-        // Fetch open positions
-        const positionsResponse = await restClientV2.getFuturesPositions({ productType: 'SUSDT-FUTURES' });
-        const positions = positionsResponse.data || [];
-
-        for (const position of positions) {
-            if (position.holdSide === opposingSide && position.symbol === symbol) {
-                console.log(`Opposing ${opposingSide} position detected. Attempting to close it...`);
-                await closeOpenPositions(symbol, opposingSide);
-                console.log(`Successfully closed ${opposingSide} position for ${symbol}.`);
-            }
-        }
-
-        // Fetch open orders and cancel opposing orders
-        const pendingOrdersResponse = await restClientV2.getFuturesOpenOrders({ symbol, productType: 'SUSDT-FUTURES' });
-        const pendingOrders = pendingOrdersResponse.data?.entrustedList || [];
-
-        for (const order of pendingOrders) {
-            if (order.side !== side && order.symbol === symbol) {
-                console.log(`Opposing ${order.side} order detected. Cancelling it...`);
-                await cancelAllOrders(symbol);
-                console.log(`Successfully cancelled opposing ${order.side} orders for ${symbol}.`);
-            }
-        }
-    } catch (error) {
-        console.error("Error while closing opposing positions or cancelling orders:", error.message);
-    }
-};
-
-// Function to place a trade
-async function placeTrade(signal) {
-    const { symbol, price, side } = signal;
-
-    // Close opposing positions or cancel orders before placing a new trade
-    await closeOpposingPositions(signal);
-
-    // Fetch current positions and pending orders
-    const positionsResponse = await restClientV2.getFuturesPositions({ productType: 'SUSDT-FUTURES' });
-    const pendingOrdersResponse = await restClientV2.getFuturesOpenOrders({ symbol, productType: 'SUSDT-FUTURES' });
-
-    const positions = positionsResponse.data || [];
-    const pendingOrders = pendingOrdersResponse.data?.entrustedList || [];
-
-    // Check if there is already a matching position
-    const existingPosition = positions.find(pos => pos.holdSide === (side === 'buy' ? 'long' : 'short') && pos.symbol === symbol);
-    if (existingPosition) {
-        console.log(`A matching ${side} position already exists. No action taken.`);
-        return;
-    }
-
-    // Check if there is already a matching pending order
-    const existingOrder = pendingOrders.find(order => order.side === side && order.symbol === symbol);
-    if (existingOrder) {
-        console.log(`A matching ${side} limit order already exists. No action taken.`);
-        return;
-    }
-
-    // No matching position/order, proceed with placing the trade
-  const productType = 'UMCBL'; 
-  const marginMode = 'isolated';
-  const tradeSide = 'open';
-  const force = 'gtc';
-  const marginCoin = 'SUSDT';
-  const orderType = 'limit';
-  const size = '0.001'; // Can be made dynamic
-  const leverage = '10'; // Can be made dynamic as well
-
-  // Calculate take profit and stop loss prices based on the side
-  const presetTakeProfitPrice = side === 'buy' ? Math.floor(price * 1.05) : Math.floor(price * 0.95);
-  const presetStopLossPrice = side === 'buy' ? Math.floor(price * 0.95) : Math.floor(price * 1.05);
-
-  try {
-    // Set the leverage for the trade
-    const holdSide = side === 'buy' ? 'long' : 'short';
-    await restClientV2.setFuturesLeverage({
-      symbol,
-      productType,
-      marginCoin,
-      leverage,
-      holdSide
-    });
-
-    // Create the order object
-    const order = {
-      symbol,
-      productType,
-      marginMode,
-      marginCoin,
-      size,
-      price,
-      side,
-      tradeSide,
-      orderType,
-      force,
-      presetTakeProfitPrice, 
-      presetStopLossPrice   
-    };
-
-    console.log('Placing order: ', order);
-    const result = await restClientV2.futuresSubmitOrder(order);
-    console.log('Order result: ', result);
-    return result;
-  } catch (e) {
-    console.error('Error placing order:', e.message);
-    throw e;
-  }
-}
-
 // Fetch positions and orders on startup
 (async () => {
-    await fetchOpenPositionsAndOrders();
+    for (const symbol of symbolStates.keys()) {
+        await core.fetchOpenPositionsAndOrders(symbol);
+    }
 })();
 
-// Mock function to get conversion rate from SUSDT to USD or GBP
-const getConversionRate = async (currency) => {
-    // Replace with actual API call to fetch the conversion rate
-    if (currency === 'USD') return 1.0; // Assuming 1 SUSDT = 1 USD as a stablecoin
-    if (currency === 'GBP') return 0.75; // For example, 1 SUSDT = 0.75 GBP
-};
-
-// Function to fetch open positions and calculate PnL in selected currency
-const fetchPnLEveryIntervalWithCurrency = (intervalMinutes = 1, currency = 'USD') => {
-    console.log(`Setting up PnL fetch every ${intervalMinutes} minutes in ${currency}...`);
-
-    // Set interval to fetch PnL at specified intervals
-    setInterval(async () => {
-        try {
-            console.log("Fetching open positions...");
-
-            // Fetch open positions
-            const positionsResponse = await restClientV2.getFuturesPositions({ productType: 'SUSDT-FUTURES' });
-            const positions = positionsResponse.data || [];
-
-            // Get conversion rate for the selected currency
-            const conversionRate = await getConversionRate(currency);
+// Order updates drive the order manager, anything else is logged
+wsClient.on('update', (event) => {
+  if (!orderManager.handleUpdate(event)) logWSEvent('update', event);
+});
+wsClient.on('open', data => logWSEvent('open', data));
+wsClient.on('response', data => logWSEvent('response', data));
+wsClient.on('authenticated', data => logWSEvent('authenticated', data));
+wsClient.on('error', data => logWSEvent('error', data));
+wsClient.on('reconnect', data => logWSEvent('reconnect', data));
+
+// Order events sent while the socket was down are lost, so check with the exchange
+wsClient.on('reconnected', (data) => {
+  logWSEvent('reconnected', data);
+  orderManager.reconcile([...symbolStates.keys()])
+    .catch(error => console.error('Error reconciling orders:', error.message));
+});
 
-            if (positions.length === 0) {
-                console.log("No open positions.");
-            } else {
-                console.log("Open positions PnL in " + currency + ":");
-                positions.forEach((position) => {
-                    const { symbol, holdSide, unrealizedPL } = position;
-                    const pnlInCurrency = unrealizedPL * conversionRate;
+['orders', 'orders-algo'].forEach((topic) => {
+  wsClient.subscribeTopic(config.exchange.productType, topic);
+  logWSEvent('subscribed', { topic });
+});
 
-                    console.log(`Symbol: ${symbol}, Side: ${holdSide}, PnL: ${pnlInCurrency.toFixed(2)} ${currency}`);
-                });
-            }
-        } catch (error) {
-            console.error("Error fetching PnL with currency conversion:", error.message);
-        }
-    }, intervalMinutes * 60 * 1000); // Convert minutes to milliseconds
-};
+// And every so often in case an event went missing without a reconnect
+orderManager.reconcileEvery([...symbolStates.keys()], config.orders.reconcileIntervalSeconds);
 
 // Call the function immediately to start the interval
-fetchPnLEveryIntervalWithCurrency(5, 'USD');
+core.fetchPnLEveryIntervalWithCurrency(config.pnl.intervalMinutes, config.pnl.currency);
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { RestClientV2 } = require('bitget-api');
+require('dotenv').config();
+const {
+  TRADING_SIGNAL_SPACE,
+  optimise,
+  validTradingSignals,
+  tradingSignalsCandidate,
+} = require('./core/optimiser');
+const { loadConfig, tradingCoreOptions } = require('./core/config');
+const { closedCandles } = require('./core/timeframes');
+const { createCandleStore } = require('./core/candleStore');
+
+// Search the EMA/VWAP/RSI settings of a config profile with walk-forward analysis.
+//   BOT_PROFILE            profile to optimise (symbols, timeframe, VWAP anchor, risk, fees)
+//   OPTIMISE_SYMBOL        symbol to test, defaults to the profile's first
+//   OPTIMISE_METHOD        grid (every combination) or random (default)
+//   OPTIMISE_SAMPLES       parameter sets to try with random (default 40)
+//   OPTIMISE_SEED          random seed (default 1), the same seed tries the same sets
+//   OPTIMISE_SPACE         JSON search space replacing the default, e.g. {"emaFast":[7,9,11],"atrMultiplier":{"min":1,"max":2,"step":0.25}};
+//                          settings left out keep the profile's tradingSignals values
+//   OPTIMISE_FOLDS         walk-forward folds (default 4)
+//   OPTIMISE_TRAIN_RATIO   training window length in test windows (default 3)
+//   OPTIMISE_ANCHORED      set to train every fold from the first bar
+//   OPTIMISE_OBJECTIVE     sharpe (default) or returnToDrawdown
+//   OPTIMISE_BARS          bars of history (default 5000), from the candle store in data/candles
+//   OPTIMISE_CANDLES       JSON file of [ts, open, high, low, close, volume] to use instead
+//   OPTIMISE_TOP           parameter sets to list (default 10)
+
+const {
+  OPTIMISE_SYMBOL,
+  OPTIMISE_METHOD = 'random',
+  OPTIMISE_SAMPLES = '40',
+  OPTIMISE_SEED = '1',
+  OPTIMISE_SPACE,
+  OPTIMISE_FOLDS = '4',
+  OPTIMISE_TRAIN_RATIO = '3',
+  OPTIMISE_ANCHORED,
+  OPTIMISE_OBJECTIVE = 'sharpe',
+  OPTIMISE_BARS = '5000',
+  OPTIMISE_CANDLES,
+  OPTIMISE_TOP = '10',
+} = process.env;
+
+let config;
+let space;
+try {
+  config = loadConfig({ profile: 'demo-btc-5m' });
+  space = OPTIMISE_SPACE ? JSON.parse(OPTIMISE_SPACE) : TRADING_SIGNAL_SPACE;
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Public market data only, no credentials needed
+const restClientV2 = new RestClientV2();
+
+// Shared with the bots and Backtest.js
+const candleStore = createCandleStore({
+  restClient: restClientV2,
+  productType: config.exchange.productType,
+  dir: path.join(__dirname, 'data', 'candles'),
+  backfillBars: config.candleStore.backfillBars,
+  maxBars: config.candleStore.maxBars,
+});
+
+//////////// - Historical Data - ///////////////////////////
+
+async function loadCandles(symbol, timeframe) {
+  if (OPTIMISE_CANDLES) {
+    console.log(`${symbol}: Reading candles from ${OPTIMISE_CANDLES}`);
+    return JSON.parse(fs.readFileSync(OPTIMISE_CANDLES, 'utf8')).map(candle => candle.slice(0, 6).map(Number));
+  }
+  console.log(`${symbol}: Loading ${OPTIMISE_BARS} ${timeframe} candles`);
+  // One extra, as the still-forming candle is left out
+  const bars = parseInt(OPTIMISE_BARS);
+  const candles = await candleStore.getCandles(symbol, timeframe, { limit: bars + 1 });
+  return closedCandles(candles, timeframe).slice(-bars);
+}
+
+//////////// - Report - ///////////////////////////
+
+const formatParams = params => Object.entries(params).map(([name, value]) => `${name} ${value}`).join(', ');
+const formatDate = time => new Date(time).toISOString().slice(0, 16);
+
+function printReport(symbol, timeframe, { candidates, folds, walkForward, ranking }) {
+  console.log(`\n${symbol}: ${candidates} parameter sets on ${timeframe}, ${folds.length} walk-forward folds, ranked by ${OPTIMISE_OBJECTIVE} out of sample (profile ${config.profile})`);
+  ranking.slice(0, parseInt(OPTIMISE_TOP)).forEach((result, index) => {
+    console.log(
+      `${String(index + 1).padStart(2)}. ${result.score.toFixed(2)} test / ${result.trainScore.toFixed(2)} train, ` +
+      `${result.testReturnPercent.toFixed(2)}% over ${result.testTrades} test trades, ${result.profitableFolds}/${folds.length} folds profitable` +
+      `${result.enoughTrades ? '' : ', too few training trades'} | ${formatParams(result.params)}`
+    );
+  });
+
+  console.log('\nWalk-forward: the best training set of each fold, run on the fold after it');
+  for (const fold of folds) {
+    const dates = `train ${formatDate(fold.train.from)} - ${formatDate(fold.train.to)}, test ${formatDate(fold.test.from)} - ${formatDate(fold.test.to)}`;
+    if (!fold.params) {
+      console.log(`${dates}: no set made enough training trades`);
+      continue;
+    }
+    console.log(`${dates}: ${fold.testStats.returnPercent.toFixed(2)}% over ${fold.testStats.trades} trades | ${formatParams(fold.params)}`);
+  }
+  console.log(`Out of sample: ${walkForward.returnPercent.toFixed(2)}% over ${walkForward.trades} trades, mean ${OPTIMISE_OBJECTIVE} ${walkForward.score.toFixed(2)}`);
+
+  if (ranking.length > 0 && ranking[0].enoughTrades) {
+    console.log(`\nBest out of sample, for the profile: "tradingSignals": ${JSON.stringify({ ...config.tradingSignals, ...ranking[0].params })}`);
+  }
+}
+
+(async () => {
+  const [firstSymbol] = config.symbols;
+  const { symbol, size, leverage } = config.symbols.find(entry => entry.symbol === OPTIMISE_SYMBOL) || firstSymbol;
+  const [timeframe] = config.loop.timeframes;
+  const candles = await loadCandles(symbol, timeframe);
+
+  let reported = 0;
+  const result = await optimise({
+    candles,
+    space,
+    valid: validTradingSignals,
+    buildStrategy: params => tradingSignalsCandidate(config, params),
+    method: OPTIMISE_METHOD,
+    samples: parseInt(OPTIMISE_SAMPLES),
+    seed: parseInt(OPTIMISE_SEED),
+    folds: parseInt(OPTIMISE_FOLDS),
+    trainRatio: parseFloat(OPTIMISE_TRAIN_RATIO),
+    anchored: Boolean(OPTIMISE_ANCHORED),
+    objective: OPTIMISE_OBJECTIVE,
+    backtestOptions: {
+      symbol,
+      coreOptions: { ...tradingCoreOptions(config), size, leverage },
+      breakEven: config.breakEven,
+      takeProfitIntervalMinutes: config.takeProfitLadder.intervalMinutes,
+      startingBalance: config.paper.startingBalance,
+      makerFeeRate: config.paper.makerFeeRate,
+      takerFeeRate: config.paper.takerFeeRate,
+      slippage: config.paper.slippage,
+      regime: config.regime.enabled ? config.regime : null,
+    },
+    onProgress(done, total) {
+      const percent = Math.floor((done / total) * 10) * 10;
+      if (percent > reported) {
+        reported = percent;
+        console.log(`${symbol}: ${done} of ${total} backtests run`);
+      }
+    },
+  });
+  printReport(symbol, timeframe, result);
+})().catch(error => {
+  console.error('Optimisation failed:', error.message);
+  process.exit(1);
+});
@@ -2,12 +2,14 @@ const express = require('express');
 const { WebsocketClientV2, RestClientV2 } = require('bitget-api');
 require('dotenv').config();
 const fetch = require('node-fetch');
+const { createTradingCore } = require('../core/tradingCore');
+const { calculateMarketCipherSignals: calculateCipherSignals, createMarketCipherSignalStream } = require('../core/signals');
 
 const app = express();
 app.use(express.json());
 
 // Load environment variables
-const { API_KEY, API_SECRET, API_PASSPHRASE, PORT = 3001 } = process.env;
+const { API_KEY, API_SECRET, API_PASSPHRASE, PORT = 3001, BITGET_REST_URL, BITGET_WS_URL } = process.env;
 
 // Check API credentials
 if (!API_KEY || !API_SECRET || !API_PASSPHRASE) {
@@ -20,14 +22,19 @@ const wsClient = new WebsocketClientV2({
   apiKey: API_KEY,
   apiSecret: API_SECRET,
   apiPass: API_PASSPHRASE,
+  wsUrl: BITGET_WS_URL, // unset for Bitget, or a local mock server
 });
 
 const restClientV2 = new RestClientV2({
   apiKey: API_KEY,
   apiSecret: API_SECRET,
   apiPass: API_PASSPHRASE,
+  baseUrl: BITGET_REST_URL, // unset for Bitget, or a local mock server
 });
 
+// Shared trading core: candle data
+const core = createTradingCore({ restClient: restClientV2 });
+
 // Ticker and books definition
 const ticker = 'SBTCSUSDT'; // Adjust symbol as needed
 const books = {
@@ -36,65 +43,38 @@ const books = {
   candles: [],
 };
 
+// Streaming Market Cipher for live 1m candles, seeded from REST history
+const cipherStream = createMarketCipherSignalStream();
+let cipherSeeded = false;
+
 // Log WebSocket events
 function logWSEvent(type, data) {
   console.log(new Date(), `WS ${type} event:`, data);
 }
 
-// Fetch candle data
-async function fetchCandleData(symbol) {
-  try {
-    console.log(`Fetching historical candle data for ${symbol}...`);
-    const candleData = await restClientV2.getFuturesHistoricCandles({
-      granularity: '1m',
-      limit: 200,
-      productType: 'SUSDT-FUTURES',
-      symbol: symbol,
-    });
+// Log Market Cipher signals
+function logMarketCipherSignals(signals) {
+  const { wt1, wt2, moneyFlow, stochK, stochD } = signals.indicators;
+  console.log(`WaveTrend: ${wt1} / ${wt2}, Money Flow: ${moneyFlow}, Stoch RSI K/D: ${stochK} / ${stochD}`);
 
-    console.log('Fetched candle data successfully.');
-    return candleData.data.map(candle => [
-      candle[0], // timestamp
-      parseFloat(candle[1]), // open
-      parseFloat(candle[2]), // high
-      parseFloat(candle[3]), // low
-      parseFloat(candle[4]), // close
-      parseFloat(candle[5]), // volume
-    ]);
-  } catch (error) {
-    console.error('Error fetching candle data:', error.message);
-    return null;
-  }
+  console.log('Signal calculation complete. Buy signal:', signals.buySignal, 'Sell signal:', signals.sellSignal);
+  return signals;
 }
 
 // Function to calculate Market Cipher signals based on the fetched data
 function calculateMarketCipherSignals(candles) {
   console.log('Calculating Market Cipher signals...');
-  
-  const hlc3 = candles.map(candle => (candle[1] + candle[2] + candle[3]) / 3); // HLC3 calculation
-  
-  // Example simplified logic for Money Flow and Stochastic RSI
-  const moneyFlow = calculateMoneyFlow(hlc3);
-  const stochasticRSI = calculateStochasticRSI(candles);
-
-  // Combine your logic to generate buy/sell signals
-  const buySignal = moneyFlow[moneyFlow.length - 1] > 0 && stochasticRSI[stochasticRSI.length - 1] < 0.2;
-  const sellSignal = moneyFlow[moneyFlow.length - 1] < 0 && stochasticRSI[stochasticRSI.length - 1] > 0.8;
-
-  console.log('Signal calculation complete. Buy signal:', buySignal, 'Sell signal:', sellSignal);
-  return { buySignal, sellSignal, latestPrice: candles[candles.length - 1][4] };
+  return logMarketCipherSignals(calculateCipherSignals(candles));
 }
 
-// Simplified example function to calculate Money Flow
-function calculateMoneyFlow(hlc3) {
-  return hlc3.map((value, index) => {
-    return index === 0 ? 0 : (value > hlc3[index - 1] ? 1 : -1); // Placeholder logic
-  });
-}
-
-// Simplified Stochastic RSI calculation
-function calculateStochasticRSI(candles) {
-  return candles.map(candle => (candle[4] - candle[1]) / (candle[2] - candle[1])); // Placeholder logic
+// Warm up the streaming indicators; live candles only update the latest bar from here on
+async function seedCipherStream() {
+  const candles = await core.fetchCandleData(ticker, '1m', { limit: 200, historic: true });
+  if (!candles) return;
+  books.candles = candles;
+  candles.forEach(candle => cipherStream.update(candle));
+  cipherSeeded = true;
+  console.log(`Seeded Market Cipher stream with ${candles.length} candles`);
 }
 
 // Send webhook notifications
@@ -142,9 +122,10 @@ async function sendWebhook(signal) {
 
 // WebSocket event handling
 async function handleWsUpdate(event) {
-  if (event.arg.instType === 'candle1m') {
+  if (event.arg.channel === 'candle1m') {
     logWSEvent('candle update', event);
-    
+    if (!cipherSeeded) return;
+
     const candles = event.data.map(candle => [
       parseInt(candle[0]), // timestamp
       parseFloat(candle[1]), // open
@@ -154,14 +135,18 @@ async function handleWsUpdate(event) {
       parseFloat(candle[5]), // volume
     ]);
 
-    books.candles = candles; // Store candle data in books
+    // Snapshots repeat recent bars and updates resend the forming one; the stream sorts that out
+    let signals = null;
+    candles.sort((a, b) => a[0] - b[0]).forEach(candle => {
+      signals = cipherStream.update(candle);
+    });
 
     const marketData = {
       price: candles[candles.length - 1][4], // Close price of the latest candle
       candles,
     };
 
-    const { buySignal, sellSignal } = calculateMarketCipherSignals(marketData.candles);
+    const { buySignal, sellSignal } = logMarketCipherSignals(signals);
 
     // Trigger webhook based on buy/sell signal
     if (buySignal) {
@@ -199,22 +184,24 @@ app.listen(PORT, () => {
       wsClient.on('error', data => logWSEvent('error', data));
       wsClient.on('disconnect', data => logWSEvent('disconnect', data));
   
+      await seedCipherStream();
+
       // Subscribe to WebSocket topics
       const topics = ['ticker', 'candle1m'];
       topics.forEach(topic => {
-        wsClient.subscribeTopic('SUSDT-FUTURES', topic);
+        wsClient.subscribeTopic('SUSDT-FUTURES', topic, ticker);
         logWSEvent('subscribed', { topic });
       });
     } catch (error) {
       console.error('Error setting up WebSocket client:', error.message);
     }
- });
+ })();
 
 // Start a periodic candle data fetch every minute for logging and signal checking
 setInterval(async () => {
     console.log(`Fetching current candle data for ${ticker}...`);
   
-    const candles = await fetchCandleData(ticker);
+    const candles = await core.fetchCandleData(ticker, '1m', { limit: 200, historic: true });
   
     if (candles) {
       books.candles = candles; // Store the latest candle data in books
@@ -0,0 +1,75 @@
+/**
+ * Tests for core/backtester.js: round trips built from fills, and a signal
+ * replayed through the trading core on the paper exchange.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runBacktest, buildTrades } = require('../core/backtester');
+
+const MINUTE = 60 * 1000;
+const SYMBOL = 'SBTCSUSDT';
+
+const bar = (index, open, high, low, close) => [index * 5 * MINUTE, open, high, low, close, 10];
+
+//////////// - Trades - ///////////////////////////
+
+test('buildTrades makes one trade of an entry and the fills that closed it', () => {
+    const fill = (fields) => ({ symbol: SYMBOL, holdSide: 'short', fee: 1, ...fields });
+
+    const trades = buildTrades([
+        fill({ tradeSide: 'open', price: 100, size: 2, time: 1 }),
+        fill({ tradeSide: 'close', price: 90, size: 1, time: 2, reason: 'normal_plan' }),
+        fill({ tradeSide: 'close', price: 110, size: 1, time: 3, reason: 'loss_plan' }),
+    ]);
+
+    assert.deepStrictEqual(trades, [{
+        symbol: SYMBOL,
+        side: 'short',
+        size: 2,
+        entryTime: 1,
+        entryPrice: 100,
+        exitTime: 3,
+        exitPrice: 100,
+        grossPnL: 0,
+        fees: 3,
+        netPnL: -3,
+        exitReason: 'stop loss',
+    }]);
+});
+
+//////////// - Replay - ///////////////////////////
+
+test('runBacktest opens on the signal\'s bar and closes on its stop loss', async () => {
+    // Flat at 30000, then a bar that drops through the stop
+    const candles = Array.from({ length: 30 }, (_, i) => bar(i, 30000, 30010, 29990, 30000));
+    candles[25] = bar(25, 29950, 29960, 29800, 29850);
+    const buyOn = candles[20][0];
+    const signalFn = history => ({
+        buySignal: history[history.length - 1][0] === buyOn,
+        sellSignal: false,
+        latestPrice: history[history.length - 1][4],
+        stopLoss: 100,
+    });
+
+    const { trades, stats, errors } = await runBacktest({
+        candles,
+        signalFn,
+        lookback: 10,
+        coreOptions: { size: '0.01', orderType: 'market' },
+        breakEven: null,
+        takeProfitIntervalMinutes: null,
+    });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(trades.length, 1);
+    const [trade] = trades;
+    assert.deepStrictEqual([trade.side, trade.entryTime, trade.entryPrice, trade.exitTime, trade.exitPrice, trade.exitReason],
+        ['long', buyOn, 30000, candles[25][0], 29900, 'stop loss']);
+    const fees = (30000 + 29900) * 0.01 * 0.0006;
+    assert.ok(Math.abs(trade.netPnL - (-1 - fees)) < 1e-9);
+    assert.ok(Math.abs(stats.netProfit - trade.netPnL) < 1e-9);
+    assert.deepStrictEqual([stats.trades, stats.losses, stats.winRate], [1, 1, 0]);
+});
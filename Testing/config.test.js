@@ -0,0 +1,101 @@
+/**
+ * Tests for core/config.js: profiles extending each other and values
+ * overridden from the environment, through config/profiles.json.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, DEFAULT_CONFIG_PATH } = require('../core/config');
+
+// A profiles file with the repo's profiles and the extra ones given
+function profilesFile(t, profiles) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const document = JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
+    const file = path.join(dir, 'profiles.json');
+    fs.writeFileSync(file, JSON.stringify({ ...document, profiles: { ...document.profiles, ...profiles } }));
+    return file;
+}
+
+//////////// - Profiles - ///////////////////////////
+
+test('a profile that extends another only overrides the values it sets', () => {
+    const base = loadConfig({ profile: 'demo-btc-5m', env: {} });
+    const paper = loadConfig({ profile: 'paper-btc-5m', env: {} });
+
+    assert.strictEqual(paper.profile, 'paper-btc-5m');
+    assert.strictEqual(paper.paper.enabled, true);
+    // Nested objects are merged key by key, everything left out is inherited
+    assert.strictEqual(paper.paper.takerFeeRate, base.paper.takerFeeRate);
+    assert.deepStrictEqual(paper.loop, base.loop);
+    assert.deepStrictEqual(paper.exchange, base.exchange);
+});
+
+test('extends chains through several profiles and lists replace the inherited ones', (t) => {
+    const configPath = profilesFile(t, {
+        'test-parent': { extends: 'demo-btc-5m', loop: { timeframes: ['15m', '1H'] } },
+        'test-child': { extends: 'test-parent', order: { size: '0.005' } },
+    });
+
+    const config = loadConfig({ profile: 'test-child', configPath, env: {} });
+
+    assert.deepStrictEqual(config.loop.timeframes, ['15m', '1H']);
+    assert.strictEqual(config.loop.intervalSeconds, 60);
+    assert.deepStrictEqual(config.symbols, [{ symbol: 'SBTCSUSDT', size: '0.005', leverage: '10', strategy: 'ema-vwap-rsi' }]);
+});
+
+test('loadConfig refuses a profile that extends itself or an unknown one', (t) => {
+    const configPath = profilesFile(t, {
+        'test-a': { extends: 'test-b' },
+        'test-b': { extends: 'test-a' },
+        'test-orphan': { extends: 'test-missing' },
+    });
+
+    assert.throws(() => loadConfig({ profile: 'test-a', configPath, env: {} }), /^Error: Config profile "test-a" extends itself \(test-a -> test-b -> test-a\)/);
+    assert.throws(() => loadConfig({ profile: 'test-orphan', configPath, env: {} }), /^Error: Unknown config profile "test-missing"/);
+});
+
+//////////// - Environment - ///////////////////////////
+
+test('environment variables override the profile with typed values', () => {
+    const config = loadConfig({
+        profile: 'demo-btc-5m',
+        env: {
+            BOT_PROFILE: 'paper-btc-5m',
+            BOT_SYMBOLS: 'SBTCSUSDT, SETHSUSDT',
+            BOT_TIMEFRAMES: '5m,15m',
+            BOT_LOOP_INTERVAL_SECONDS: '30',
+            BOT_PAPER_TRADING: 'no',
+            BOT_PAPER_BALANCE: '2500',
+            BOT_SIZE: '',
+        },
+    });
+
+    assert.strictEqual(config.profile, 'paper-btc-5m');
+    assert.deepStrictEqual(config.symbols.map(({ symbol }) => symbol), ['SBTCSUSDT', 'SETHSUSDT']);
+    assert.deepStrictEqual(config.loop.timeframes, ['5m', '15m']);
+    assert.strictEqual(config.loop.intervalSeconds, 30);
+    assert.strictEqual(config.paper.enabled, false);
+    assert.strictEqual(config.paper.startingBalance, 2500);
+    // An empty variable leaves the profile's value
+    assert.strictEqual(config.order.size, '0.001');
+});
+
+test('invalid environment overrides are all reported together', () => {
+    assert.throws(() => loadConfig({
+        profile: 'demo-btc-5m',
+        env: { BOT_PAPER_TRADING: 'maybe', BOT_LOOP_INTERVAL_SECONDS: 'soon', BOT_TIMEFRAMES: '5m,7m' },
+    }), (error) => {
+        const lines = error.message.split('\n');
+        assert.strictEqual(lines[0], 'Invalid config profile "demo-btc-5m":');
+        assert.ok(lines.includes('  - paper.enabled: must be true or false (got "maybe")'));
+        assert.ok(lines.some(line => line.startsWith('  - loop.intervalSeconds: must be a whole number of seconds')));
+        assert.ok(lines.some(line => line.startsWith('  - loop.timeframes: must be a non-empty list of')));
+        return true;
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for core/confluence.js: the weighted vote and the trend-entry mode,
+ * with the reasons and breakdown logged for each decision.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateConfluence, formatConfluence } = require('../core/confluence');
+
+const signal = (timeframe, side, trend = null) => ({
+    timeframe,
+    buySignal: side === 'buy',
+    sellSignal: side === 'sell',
+    trend,
+});
+
+//////////// - Weighted - ///////////////////////////
+
+test('the weighted mode trades the side with more weight, opposing timeframes lowering the score', () => {
+    const decision = evaluateConfluence([signal('5m', 'buy'), signal('15m', 'buy'), signal('1H', 'sell')]);
+
+    assert.strictEqual(decision.side, 'buy');
+    assert.ok(Math.abs(decision.score - 1 / 3) < 1e-12);
+    assert.deepStrictEqual(decision.reasons, ['weighted score 0.33', '2 timeframes agree']);
+});
+
+test('the weighted mode uses the weights and holds off below minScore or minAgreeing', () => {
+    const results = [signal('5m', 'buy'), signal('15m', 'buy'), signal('1H', 'sell')];
+
+    const outweighed = evaluateConfluence(results, { weights: { '1H': 3 } });
+    assert.deepStrictEqual([outweighed.side, outweighed.score], ['sell', -0.2]);
+    assert.deepStrictEqual(outweighed.breakdown.map(({ weight }) => weight), [1, 1, 3]);
+
+    const weak = evaluateConfluence(results, { minScore: 0.5 });
+    assert.deepStrictEqual([weak.side, weak.reasons[1]], [null, 'below the minimum score 0.5']);
+
+    const few = evaluateConfluence(results, { minAgreeing: 3 });
+    assert.deepStrictEqual([few.side, few.reasons[1]], [null, 'only 2 of the required 3 timeframes agree']);
+
+    const tied = evaluateConfluence([signal('5m', 'buy'), signal('15m', 'sell')]);
+    assert.deepStrictEqual([tied.side, tied.reasons[1]], [null, 'no side has more weight']);
+});
+
+test('a timeframe signalling both ways votes for neither', () => {
+    const decision = evaluateConfluence([{ timeframe: '5m', buySignal: true, sellSignal: true }, signal('15m', 'sell')]);
+
+    assert.strictEqual(decision.side, 'sell');
+    assert.strictEqual(decision.breakdown[0].signal, null);
+});
+
+//////////// - Trend-entry - ///////////////////////////
+
+const TREND_ENTRY = { mode: 'trend-entry', trendTimeframes: ['1H', '4H'], entryTimeframes: ['5m', '15m'] };
+
+test('the trend-entry mode enters with the trend and ignores entries against it', () => {
+    const decision = evaluateConfluence([
+        signal('5m', 'sell'),
+        signal('15m', 'buy'),
+        signal('1H', null, 'up'),
+        signal('4H', null, 'up'),
+    ], TREND_ENTRY);
+
+    assert.strictEqual(decision.side, 'buy');
+    assert.deepStrictEqual(decision.reasons, ['trend score 1.00', 'trend up', 'ignoring 5m against the trend', 'entry on 15m']);
+});
+
+test('the trend-entry mode holds off without a trend or enough entries with it', () => {
+    const mixed = evaluateConfluence([signal('15m', 'sell'), signal('1H', null, 'up'), signal('4H', null, 'down')], TREND_ENTRY);
+    assert.deepStrictEqual([mixed.side, mixed.reasons[1]], [null, 'no trend (minimum score 0)']);
+
+    // With 4H weighing double, the down trend scores -1/3, short of minScore 0.5
+    const weak = evaluateConfluence([signal('15m', 'sell'), signal('1H', null, 'up'), signal('4H', null, 'down')],
+        { ...TREND_ENTRY, weights: { '4H': 2 }, minScore: 0.5 });
+    assert.deepStrictEqual([weak.side, weak.reasons[0]], [null, 'trend score -0.33']);
+
+    const alone = evaluateConfluence([signal('15m', 'sell'), signal('1H', null, 'down')], { ...TREND_ENTRY, minAgreeing: 2 });
+    assert.deepStrictEqual([alone.side, alone.reasons[2]], [null, '1 of the required 2 entry timeframes signal sell']);
+
+    const noTrend = evaluateConfluence([signal('5m', 'buy')], TREND_ENTRY);
+    assert.deepStrictEqual([noTrend.side, noTrend.reasons[1]], [null, 'no trend timeframes']);
+});
+
+//////////// - Format - ///////////////////////////
+
+test('formatConfluence sums up the decision and each timeframe on one line', () => {
+    const decision = evaluateConfluence([signal('5m', 'buy'), signal('1H', null, 'up')], { weights: { '1H': 2 } });
+
+    assert.strictEqual(formatConfluence(decision), 'buy (weighted score 0.33, 1 timeframes agree) | 5m buy x1, 1H -/up x2');
+});
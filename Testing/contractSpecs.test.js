@@ -0,0 +1,124 @@
+/**
+ * Tests for core/contractSpecs.js: reading Bitget's contract config, price
+ * and size rounding to its increments, the order limits and the spec cache.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseContractSpec, roundPrice, roundSize, checkOrderSize, createContractSpecs } = require('../core/contractSpecs');
+
+const SYMBOL = 'SBTCSUSDT';
+
+// A BTC perpetual trading in steps of 0.5 and 0.001, as Bitget returns it
+const CONTRACT = {
+    symbol: SYMBOL,
+    pricePlace: '1',
+    priceEndStep: '5',
+    volumePlace: '3',
+    sizeMultiplier: '0.001',
+    minTradeNum: '0.001',
+    minTradeUSDT: '5',
+    maxMarketOrderQty: '10',
+    minLever: '1',
+    maxLever: '125',
+};
+
+const SPEC = parseContractSpec(CONTRACT);
+
+//////////// - Specs - ///////////////////////////
+
+test('parseContractSpec reads the increments and limits, with no limit where Bitget gives none', () => {
+    assert.deepStrictEqual(SPEC, {
+        symbol: SYMBOL,
+        tickSize: 0.5,
+        pricePlace: 1,
+        sizeStep: 0.001,
+        volumePlace: 3,
+        minSize: 0.001,
+        maxSize: Infinity,
+        maxMarketSize: 10,
+        minNotional: 5,
+        minLeverage: 1,
+        maxLeverage: 125,
+    });
+    // Without sizeMultiplier the size steps by the last of volumePlace decimals
+    assert.strictEqual(parseContractSpec({ symbol: SYMBOL, pricePlace: '2', volumePlace: '2' }).sizeStep, 0.01);
+    assert.strictEqual(parseContractSpec({ symbol: SYMBOL, pricePlace: '2', volumePlace: '2' }).tickSize, 0.01);
+});
+
+//////////// - Rounding - ///////////////////////////
+
+test('roundPrice rounds to the tick size, to the nearest, down or up', () => {
+    assert.strictEqual(roundPrice(65000.26, SPEC), 65000.5);
+    assert.strictEqual(roundPrice('65000.24', SPEC), 65000);
+    assert.strictEqual(roundPrice(65000.26, SPEC, 'down'), 65000);
+    assert.strictEqual(roundPrice(65000.01, SPEC, 'up'), 65000.5);
+    // A price already on a tick stays there whichever way it is rounded
+    assert.strictEqual(roundPrice(65000.5, SPEC, 'up'), 65000.5);
+    assert.strictEqual(roundPrice(65000.5, SPEC, 'down'), 65000.5);
+    assert.strictEqual(roundPrice(0.3, parseContractSpec({ symbol: SYMBOL, pricePlace: '1', priceEndStep: '1' }), 'down'), 0.3);
+});
+
+test('roundSize rounds down to the size step, clear of floating point error', () => {
+    assert.strictEqual(roundSize(0.0129, SPEC), 0.012);
+    assert.strictEqual(roundSize('0.5', SPEC), 0.5);
+    // 0.043 / 0.001 is 42.99999999999999
+    assert.strictEqual(roundSize(0.043, SPEC), 0.043);
+});
+
+test('checkOrderSize gives the reason the exchange would refuse an order', () => {
+    assert.strictEqual(checkOrderSize(0.01, 60000, SPEC), null);
+    assert.strictEqual(checkOrderSize(0, 60000, SPEC), 'size 0 is below the SBTCSUSDT minimum of 0.001');
+    assert.strictEqual(checkOrderSize(0.001, 1000, SPEC), 'size 0.001 at 1000 is 1.00, below the SBTCSUSDT minimum order value of 5');
+    // maxMarketOrderQty only caps market orders
+    assert.strictEqual(checkOrderSize(12, 60000, SPEC), null);
+    assert.strictEqual(checkOrderSize(12, 60000, SPEC, 'market'), 'size 12 is above the SBTCSUSDT maximum of 10 per market order');
+    assert.strictEqual(checkOrderSize(-1, 60000, { ...SPEC, minSize: -Infinity }), 'size -1 is not a positive order size');
+});
+
+//////////// - Cache - ///////////////////////////
+
+// A rest client answering the contract config, failing the calls listed in `failOn`
+function stubClient({ failOn = [] } = {}) {
+    const requests = [];
+    return {
+        requests,
+        async getFuturesContractConfig(params) {
+            requests.push(params);
+            if (failOn.includes(requests.length)) throw new Error('timeout');
+            return { code: '00000', data: [CONTRACT] };
+        },
+    };
+}
+
+test('createContractSpecs loads a spec once and shares it until it is stale', async () => {
+    const restClient = stubClient();
+    const clock = { now: 0 };
+    const contracts = createContractSpecs({ restClient, productType: 'SUSDT-FUTURES', cacheMinutes: 10, clock: () => clock.now });
+
+    const [first, second] = await Promise.all([contracts.get(SYMBOL), contracts.get(SYMBOL)]);
+    assert.deepStrictEqual(first, SPEC);
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual(restClient.requests, [{ symbol: SYMBOL, productType: 'SUSDT-FUTURES' }]);
+
+    clock.now = 10 * 60 * 1000;
+    await contracts.get(SYMBOL);
+    assert.strictEqual(restClient.requests.length, 2);
+
+    contracts.clear();
+    await contracts.get(SYMBOL);
+    assert.strictEqual(restClient.requests.length, 3);
+});
+
+test('createContractSpecs does not cache a failed load or a symbol the exchange does not list', async () => {
+    const restClient = stubClient({ failOn: [1] });
+    const contracts = createContractSpecs({ restClient, productType: 'SUSDT-FUTURES' });
+
+    await assert.rejects(contracts.get(SYMBOL), /^Error: timeout$/);
+    assert.deepStrictEqual(await contracts.get(SYMBOL), SPEC);
+    await assert.rejects(contracts.get('SETHSUSDT'), /^Error: No contract config returned for SETHSUSDT on SUSDT-FUTURES$/);
+    await assert.rejects(contracts.get('SETHSUSDT'));
+    assert.strictEqual(restClient.requests.length, 4);
+});
@@ -0,0 +1,80 @@
+/**
+ * Shared setup for the integration tests: a mock Bitget server running a
+ * scenario, with a trading core on top of it, and express apps listening on
+ * a free port.
+ *
+ * Usage (from a node:test test):
+ *   const { mock, core, logs } = await startMock(t, 'order-reject');
+ *   const { get } = await serve(t, app);
+ */
+
+const { RestClientV2 } = require('bitget-api');
+const { createMockBitgetServer, SCENARIOS } = require('./mockBitgetServer');
+const { createTradingCore } = require('../core/tradingCore');
+const { createOrderManager } = require('../core/orderManager');
+
+const SYMBOL = 'SBTCSUSDT';
+const PRODUCT = { symbol: SYMBOL, productType: 'SUSDT-FUTURES', marginCoin: 'SUSDT' };
+
+/**
+ * Start a mock server running a scenario, with a core on it sending its
+ * orders through an order manager. The server is stopped when the test ends.
+ * @param {object} t - The test context.
+ * @param {string} [scenario='normal'] - One of SCENARIOS.
+ * @returns {Promise<object>} { mock, restClient, core, orderManager, logger, logs, clock }; logs holds every line
+ *   the core logged and clock.now is the core's time, moved by hand.
+ */
+async function startMock(t, scenario = 'normal') {
+    const mock = createMockBitgetServer({ historyMinutes: 60, rules: SCENARIOS[scenario] });
+    const { restUrl } = await mock.start();
+    t.after(() => mock.stop());
+
+    const restClient = new RestClientV2({ apiKey: 'k', apiSecret: 's', apiPass: 'p', baseUrl: restUrl });
+    const logs = [];
+    const logger = {
+        log: (...args) => logs.push(args.join(' ')),
+        error: (...args) => logs.push(args.join(' ')),
+    };
+    const clock = { now: Date.now() };
+    const orderManager = createOrderManager({ restClient, logger });
+    const core = createTradingCore({ restClient, orderManager, logger, clock: () => clock.now });
+    return { mock, restClient, core, orderManager, logger, logs, clock };
+}
+
+/**
+ * Listen with an express app on a free port until the test ends.
+ * @param {object} t - The test context.
+ * @param {object} app
+ * @returns {Promise<object>} { get, post }, each resolving to the response's status and JSON body.
+ */
+async function serve(t, app) {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+    const url = `http://localhost:${server.address().port}`;
+
+    const request = async (path, init) => {
+        const response = await fetch(`${url}${path}`, init);
+        return { status: response.status, body: await response.json() };
+    };
+    return {
+        get: path => request(path),
+        post: (path, body) => request(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }),
+    };
+}
+
+// The mock's last price on the contract's 0.1 tick
+function tickPrice(mock) {
+    return Math.round(mock.lastPrice(SYMBOL) * 10) / 10;
+}
+
+module.exports = {
+    SYMBOL,
+    PRODUCT,
+    startMock,
+    serve,
+    tickPrice,
+};
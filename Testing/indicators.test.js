@@ -0,0 +1,221 @@
+/**
+ * Tests for core/indicators.js: the StockCharts ChartSchool worked examples
+ * quoted in its header, and the index alignment and warm-up nulls every
+ * calculateX series promises.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    rma,
+    calculateSMA,
+    calculateEMA,
+    calculateVWAP,
+    calculateAnchoredVWAP,
+    calculateATR,
+    calculateRSI,
+    calculateADX,
+} = require('../core/indicators');
+
+const MINUTE = 60 * 1000;
+
+// Candles from closes alone, one a minute
+const fromCloses = closes => closes.map((close, i) => [i * MINUTE, close, close, close, close, 1]);
+
+// Rounded to the two decimals the worked examples show, nulls kept
+const rounded = values => values.map(value => (value === null ? null : Number(value.toFixed(2))));
+
+const nulls = count => new Array(count).fill(null);
+
+// A run of flat candles at 100, then a steady climb of 1 a bar
+const flatThenTrending = (flat, trending) => Array.from({ length: flat + trending }, (_, i) => {
+    const close = i < flat ? 100 : 100 + i - flat + 1;
+    const spread = i < flat ? 0 : 0.5;
+    return [i * MINUTE, close - spread, close + spread, close - spread, close, 1];
+});
+
+// ChartSchool "Moving Averages", 10-day EMA
+const EMA_CLOSES = [
+    22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+    22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+    23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17,
+];
+const EMA_10 = [
+    22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28,
+    23.34, 23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92,
+];
+
+// ChartSchool "Relative Strength Index", RSI(14)
+const RSI_CLOSES = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+    45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64,
+    46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+    43.42, 42.66, 43.13,
+];
+// The sheet rounds its averages at every step; these are the unrounded (TA-Lib) values
+const RSI_14 = [70.46, 66.25, 66.48];
+
+// ChartSchool "Average True Range", high, low and close
+const ATR_BARS = [
+    [48.70, 47.79, 48.16], [48.72, 48.14, 48.61], [48.90, 48.39, 48.75], [48.87, 48.37, 48.63],
+    [48.82, 48.24, 48.74], [49.05, 48.64, 49.03], [49.20, 48.94, 49.07], [49.35, 48.86, 49.32],
+    [49.92, 49.50, 49.91], [50.19, 49.87, 50.13], [50.12, 49.20, 49.53], [49.66, 48.90, 49.50],
+    [49.88, 49.43, 49.75], [50.19, 49.73, 50.03], [50.36, 49.26, 50.31], [50.57, 50.09, 50.52],
+];
+const ATR_14 = [0.55, 0.59, 0.59];
+
+//////////// - Reference values - ///////////////////////////
+
+test('calculateEMA matches the ChartSchool 10-day EMA', () => {
+    const result = rounded(calculateEMA(fromCloses(EMA_CLOSES), 10));
+
+    assert.deepStrictEqual(result.slice(0, 9), nulls(9));
+    // The sheet rounds each step too, so allow a cent of drift
+    result.slice(9).forEach((value, i) => assert.ok(Math.abs(value - EMA_10[i]) <= 0.01, `EMA at ${i + 9}: ${value} vs ${EMA_10[i]}`));
+});
+
+test('calculateRSI matches the ChartSchool RSI(14)', () => {
+    const result = rounded(calculateRSI(fromCloses(RSI_CLOSES), 14));
+
+    assert.deepStrictEqual(result.slice(0, 14), nulls(14));
+    assert.deepStrictEqual(result.slice(14, 17), RSI_14);
+});
+
+test('calculateATR matches the ChartSchool ATR(14)', () => {
+    const candles = ATR_BARS.map(([high, low, close], i) => [i * MINUTE, close, high, low, close, 1]);
+    const result = rounded(calculateATR(candles, 14));
+
+    assert.deepStrictEqual(result.slice(0, 13), nulls(13));
+    assert.deepStrictEqual(result.slice(13), ATR_14);
+});
+
+//////////// - Alignment and warm-up - ///////////////////////////
+
+test('calculateSMA is index-aligned with period - 1 warm-up nulls', () => {
+    const candles = fromCloses([1, 2, 3, 4, 5, 6]);
+    const result = calculateSMA(candles, 3);
+
+    assert.strictEqual(result.length, candles.length);
+    assert.deepStrictEqual(result, [null, null, 2, 3, 4, 5]);
+});
+
+test('calculateEMA is index-aligned, seeded with the SMA of the first period', () => {
+    const candles = fromCloses([1, 2, 3, 4, 5, 6]);
+    const result = calculateEMA(candles, 3);
+
+    assert.strictEqual(result.length, candles.length);
+    assert.deepStrictEqual(result.slice(0, 2), [null, null]);
+    assert.strictEqual(result[2], 2);
+    assert.strictEqual(result[3], 0.5 * 4 + 0.5 * 2);
+    assert.strictEqual(result[5], 5);
+});
+
+test('calculateEMA and calculateSMA are all null with fewer candles than the period', () => {
+    const candles = fromCloses([1, 2]);
+
+    assert.deepStrictEqual(calculateEMA(candles, 3), [null, null]);
+    assert.deepStrictEqual(calculateSMA(candles, 3), [null, null]);
+});
+
+test('rma skips leading nulls and seeds period values after them', () => {
+    const result = rma([null, null, 3, 6, 9, 12], 3);
+
+    assert.deepStrictEqual(result.slice(0, 4), [null, null, null, null]);
+    assert.strictEqual(result[4], 6);
+    assert.strictEqual(result[5], 6 + (12 - 6) / 3);
+});
+
+test('calculateRSI has period warm-up nulls, its first change being at index 1', () => {
+    const candles = fromCloses([10, 11, 12, 11, 12, 13]);
+    const result = calculateRSI(candles, 3);
+
+    assert.strictEqual(result.length, candles.length);
+    assert.deepStrictEqual(result.slice(0, 3), [null, null, null]);
+    assert.strictEqual(result[3], 100 - 100 / (1 + 2 / 1));
+});
+
+test('calculateATR starts at period - 1, the first true range being the high - low', () => {
+    const candles = [
+        [0, 10, 12, 9, 11, 1],
+        [MINUTE, 11, 13, 10, 12, 1],
+        [2 * MINUTE, 12, 16, 11, 15, 1],
+        [3 * MINUTE, 15, 15, 14, 14, 1],
+    ];
+    const result = calculateATR(candles, 2);
+
+    assert.strictEqual(result.length, candles.length);
+    assert.strictEqual(result[0], null);
+    assert.strictEqual(result[1], (3 + 3) / 2);
+    assert.strictEqual(result[2], (3 + 5) / 2);
+    assert.strictEqual(result[3], (4 + 1) / 2);
+});
+
+test('calculateVWAP is cumulative from the first candle and null until there is volume', () => {
+    const candles = [
+        [0, 10, 12, 8, 10, 0],
+        [MINUTE, 10, 14, 10, 12, 2],
+        [2 * MINUTE, 12, 16, 12, 14, 1],
+    ];
+    const result = calculateVWAP(candles);
+
+    assert.strictEqual(result.length, candles.length);
+    assert.strictEqual(result[0], null);
+    assert.strictEqual(result[1], 12);
+    assert.strictEqual(result[2], (12 * 2 + 14) / 3);
+});
+
+//////////// - Anchored VWAP - ///////////////////////////
+
+// Candles at a price, high, low and close alike so the typical price is the price
+const priced = bars => bars.map(([time, price, volume]) => [Date.parse(time), price, price, price, price, volume]);
+
+const HOURLY = priced([
+    ['2024-01-01T22:00Z', 10, 1],
+    ['2024-01-01T23:00Z', 20, 1],
+    ['2024-01-02T00:00Z', 30, 1],
+    ['2024-01-02T01:00Z', 40, 3],
+]);
+
+test('calculateAnchoredVWAP restarts each UTC day and leaves a partial first day null', () => {
+    const { vwap, stdev, bands } = calculateAnchoredVWAP(HOURLY, { bandMultipliers: [2] });
+
+    assert.deepStrictEqual(vwap, [null, null, 30, 37.5]);
+    // (30² + 3 * 40²) / 4 - 37.5²
+    assert.deepStrictEqual(stdev, [null, null, 0, Math.sqrt(18.75)]);
+    assert.deepStrictEqual(bands.map(({ multiplier }) => multiplier), [2]);
+    assert.deepStrictEqual(bands[0].upper, [null, null, 30, 37.5 + 2 * Math.sqrt(18.75)]);
+    assert.deepStrictEqual(bands[0].lower, [null, null, 30, 37.5 - 2 * Math.sqrt(18.75)]);
+});
+
+test('calculateAnchoredVWAP restarts at the session start rather than midnight', () => {
+    const { vwap } = calculateAnchoredVWAP(HOURLY, { anchor: 'session', sessionStart: '23:00' });
+
+    assert.deepStrictEqual(vwap, [null, 20, 25, (20 + 30 + 3 * 40) / 5]);
+});
+
+test('calculateAnchoredVWAP restarts on Mondays for the week anchor', () => {
+    const daily = priced([
+        ['2024-01-01T00:00Z', 10, 1],
+        ['2024-01-03T00:00Z', 20, 1],
+        ['2024-01-08T00:00Z', 30, 1],
+        ['2024-01-09T00:00Z', 50, 1],
+    ]);
+
+    assert.deepStrictEqual(calculateAnchoredVWAP(daily, { anchor: 'week' }).vwap, [10, 15, 30, 40]);
+    assert.deepStrictEqual(calculateAnchoredVWAP(daily).vwap, [10, 20, 30, 50]);
+});
+
+//////////// - Extended indicators - ///////////////////////////
+
+test('calculateADX is 0 over flat candles and recovers once they trend', () => {
+    const { adx, plusDI, minusDI } = calculateADX(flatThenTrending(40, 40), 14);
+
+    assert.deepStrictEqual(adx.slice(0, 27), nulls(27));
+    assert.ok(adx.slice(27).every(Number.isFinite), 'ADX went NaN after the flat run');
+    assert.strictEqual(adx[39], 0);
+    assert.strictEqual(plusDI[39], 0);
+    assert.strictEqual(minusDI[39], 0);
+    assert.ok(adx[79] > 25, `ADX of ${adx[79]} after 40 rising bars`);
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for core/marketCipher.js: the WaveTrend dots, money flow and
+ * divergences on candles shaped to produce them.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateMarketCipherB, calculateMoneyFlow, findDivergences, DEFAULT_OPTIONS } = require('../core/marketCipher');
+
+const MINUTE = 60 * 1000;
+
+const nulls = count => Array(count).fill(null);
+
+/**
+ * A steady move of 1% a bar, two bars of 3% that stretch it, then a
+ * reversal of 2% a bar.
+ * @param {number} direction - -1 for a decline and rebound, 1 for a rally and drop.
+ */
+function swing(direction) {
+    let price = 100;
+    return Array.from({ length: 80 }, (_, i) => {
+        const open = price;
+        const move = i < 58 ? 0.01 : i < 60 ? 0.03 : -0.02;
+        price *= 1 + direction * move;
+        return [i * 5 * MINUTE, open, Math.max(open, price) * 1.001, Math.min(open, price) * 0.999, price, 10];
+    });
+}
+
+//////////// - WaveTrend - ///////////////////////////
+
+test('calculateMarketCipherB warms up WaveTrend over its channel and average lengths', () => {
+    const { wt1, wt2, buy, sell } = calculateMarketCipherB(swing(-1));
+
+    // channelLength - 1 for the ESA, again for the deviation, then averageLength - 1 and maLength - 1
+    assert.deepStrictEqual(wt1.slice(0, 27), nulls(27));
+    assert.ok(wt1[27] !== null);
+    assert.deepStrictEqual(wt2.slice(0, 29), nulls(29));
+    assert.ok(wt2[29] !== null);
+    assert.ok(!buy.slice(0, 30).some(Boolean) && !sell.slice(0, 30).some(Boolean));
+});
+
+test('calculateMarketCipherB gives a buy dot when wt1 crosses up while wt2 is oversold', () => {
+    const { wt1, wt2, wtCrossUp, buy, sell } = calculateMarketCipherB(swing(-1));
+
+    assert.deepStrictEqual(buy.map((dot, i) => (dot ? i : null)).filter(i => i !== null), [61]);
+    assert.ok(wtCrossUp[61] && wt1[60] <= wt2[60] && wt1[61] > wt2[61]);
+    assert.ok(wt2[61] <= DEFAULT_OPTIONS.oversold);
+    assert.ok(!sell.some(Boolean));
+});
+
+test('calculateMarketCipherB gives a sell dot when wt1 crosses down while wt2 is overbought', () => {
+    const { wt2, wtCrossDown, buy, sell } = calculateMarketCipherB(swing(1));
+
+    assert.deepStrictEqual(sell.map((dot, i) => (dot ? i : null)).filter(i => i !== null), [61]);
+    assert.ok(wtCrossDown[61] && wt2[61] >= DEFAULT_OPTIONS.overbought);
+    assert.ok(!buy.some(Boolean));
+});
+
+//////////// - Money flow - ///////////////////////////
+
+test('calculateMoneyFlow is the smoothed candle body over its range, less the offset', () => {
+    // Bodies of half the range, up then down
+    const candles = [1, 1, 1, -1, -1, -1].map((side, i) => [i * MINUTE, 100, 102, 98, 100 + side * 2, 1]);
+
+    const flow = calculateMoneyFlow(candles, { moneyFlowPeriod: 3, moneyFlowMultiplier: 150, moneyFlowOffset: 2.5 });
+
+    assert.deepStrictEqual(flow, [null, null, 75 - 2.5, 25 - 2.5, -25 - 2.5, -75 - 2.5]);
+});
+
+//////////// - Divergences - ///////////////////////////
+
+test('findDivergences reports a bullish divergence two bars after a higher oscillator low at a lower price', () => {
+    const oscillator = [0, -10, -80, -10, 0, 0, -10, -70, -10, 0, 0];
+    const candles = oscillator.map((_, i) => [i * MINUTE, 100, 101, i === 7 ? 95 : 100, 100, 1]);
+
+    const { bullish, bearish, previousBottom } = findDivergences(candles, oscillator, 45, -65);
+
+    assert.deepStrictEqual(bullish.map((found, i) => (found ? i : null)).filter(i => i !== null), [9]);
+    assert.strictEqual(previousBottom[9], -80);
+    assert.ok(!bearish.some(Boolean));
+});
+
+test('findDivergences reports a bearish divergence on a lower oscillator high at a higher price, and ignores tops below the limit', () => {
+    const oscillator = [0, 10, 80, 10, 0, 0, 10, 70, 10, 0, 0, 10, 40, 10, 0];
+    const candles = oscillator.map((_, i) => [i * MINUTE, 100, i === 7 ? 105 : i === 12 ? 110 : 100, 99, 100, 1]);
+
+    const { bearish } = findDivergences(candles, oscillator, 45, -65);
+
+    assert.deepStrictEqual(bearish.map((found, i) => (found ? i : null)).filter(i => i !== null), [9]);
+});
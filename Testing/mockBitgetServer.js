@@ -0,0 +1,604 @@
+/**
+ * Local stand-in for the Bitget V2 REST and WebSocket APIs.
+ *
+ * Serves the /api/v2/mix/* paths used by the bots and the subscribe /
+ * update protocol used by WebsocketClientV2, backed by the paper exchange,
+ * so the trading core, the bots and the webhook server can run against it
+ * without touching the real demo account. Prices are a synthetic 1m random
+ * walk (aggregated to the slower timeframes) that moves one bar per step(),
+ * or by hand with pushCandle() / pushPrice().
+ *
+ * Scenario rules make requests misbehave on purpose: reject with an error
+ * code, answer slowly, fill orders partially, or drop every WebSocket
+ * connection. Each rule matches a REST path ('*' for any, 'ws:login' and
+ * 'ws:subscribe' for the socket) and is used up after `times` matches.
+ *
+ *   { path: '/api/v2/mix/order/place-order', error: { code: '40762', msg: 'The order amount exceeds the balance' } }
+ *   { path: '/api/v2/mix/order/place-order', partialFill: 0.5, times: 2 }
+ *   { path: '/api/v2/mix/order/place-tpsl-order', delayMs: 3000 }
+ *   { path: '/api/v2/mix/order/place-order', disconnect: true }
+ *
+ * Usage (from a test or script):
+ *   const mock = createMockBitgetServer({ rules: SCENARIOS['order-reject'] });
+ *   const { restUrl, wsUrl } = await mock.start();
+ *   const restClient = new RestClientV2({ apiKey: 'k', apiSecret: 's', apiPass: 'p', baseUrl: restUrl });
+ *   const core = createTradingCore({ restClient });
+ *   ...
+ *   mock.pushPrice('SBTCSUSDT', 61000);
+ *   await mock.stop();
+ *
+ * Usage (standalone, for pointing a bot at it with BITGET_REST_URL / BITGET_WS_URL):
+ *   MOCK_SCENARIO=partial-fill MOCK_PORT=3100 node Testing/mockBitgetServer.js
+ */
+
+const http = require('http');
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { createPaperExchange } = require('../core/paperExchange');
+
+const MINUTE = 60 * 1000;
+
+const GRANULARITY_MS = {
+  '1m': MINUTE,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '30m': 30 * MINUTE,
+  '1H': 60 * MINUTE,
+  '2H': 120 * MINUTE,
+  '4H': 240 * MINUTE,
+  '6H': 360 * MINUTE,
+  '12H': 720 * MINUTE,
+  '1D': 1440 * MINUTE,
+};
+
+const DEFAULT_OPTIONS = {
+  port: 0,
+  productType: 'SUSDT-FUTURES',
+  marginCoin: 'SUSDT',
+  startPrices: { SBTCSUSDT: 60000, SETHSUSDT: 3000 },
+  historyMinutes: 18 * 24 * 60, // enough for 100 bars of 4H
+  volatility: 0.001,
+  seed: 1,
+  stepMs: 0,
+  rules: [],
+  startingBalance: 10000,
+};
+
+const DEFAULT_CONTRACT = {
+  minTradeNum: '0.001',
+  priceEndStep: '1',
+  volumePlace: '3',
+  pricePlace: '1',
+  sizeMultiplier: '0.001',
+  minTradeUSDT: '5',
+  minLever: '1',
+  maxLever: '125',
+  symbolType: 'perpetual',
+  symbolStatus: 'normal',
+};
+
+// Ready-made rule sets for MOCK_SCENARIO
+const SCENARIOS = {
+  normal: [],
+  'order-reject': [
+    { path: '/api/v2/mix/order/place-order', error: { code: '40762', msg: 'The order amount exceeds the balance' } },
+  ],
+  'partial-fill': [
+    { path: '/api/v2/mix/order/place-order', partialFill: 0.5, times: Infinity },
+  ],
+  'tpsl-reject': [
+    { path: '/api/v2/mix/order/place-tpsl-order', error: { code: '43023', msg: 'Insufficient position, can not set profit or stop loss' }, times: Infinity },
+  ],
+  'rate-limit': [
+    { path: '*', error: { status: 429, code: '429', msg: 'Too Many Requests' }, times: 3 },
+  ],
+  'slow-orders': [
+    { path: '/api/v2/mix/order/place-order', delayMs: 5000, times: Infinity },
+  ],
+  'ws-disconnect': [
+    { path: '/api/v2/mix/order/place-order', disconnect: true, times: Infinity },
+  ],
+  'ws-login-fail': [
+    { path: 'ws:login', error: { code: 30005, msg: 'Login failed' }, times: Infinity },
+  ],
+};
+
+// REST path -> paper exchange method
+const ROUTES = {
+  'GET /api/v2/mix/market/candles': 'getFuturesCandles',
+  'GET /api/v2/mix/market/history-candles': 'getFuturesHistoricCandles',
+  'GET /api/v2/mix/position/single-position': 'getFuturesPosition',
+  'GET /api/v2/mix/position/all-position': 'getFuturesPositions',
+  'GET /api/v2/mix/order/orders-pending': 'getFuturesOpenOrders',
+  'GET /api/v2/mix/order/detail': 'getFuturesOrder',
+  'GET /api/v2/mix/order/orders-plan-pending': 'getFuturesPlanOrders',
+  'GET /api/v2/mix/account/account': 'getFuturesAccountAsset',
+  'GET /api/v2/mix/account/accounts': 'getFuturesAccountAssets',
+  'POST /api/v2/mix/account/set-leverage': 'setFuturesLeverage',
+  'POST /api/v2/mix/order/place-order': 'futuresSubmitOrder',
+  'POST /api/v2/mix/order/cancel-order': 'futuresCancelOrder',
+  'POST /api/v2/mix/order/cancel-all-orders': 'futuresCancelAllOrders',
+  'POST /api/v2/mix/order/close-positions': 'futuresFlashClosePositions',
+  'POST /api/v2/mix/order/place-tpsl-order': 'futuresSubmitTPSLOrder',
+  'POST /api/v2/mix/order/place-plan-order': 'futuresSubmitPlanOrder',
+  'POST /api/v2/mix/order/cancel-plan-order': 'futuresCancelPlanOrder',
+};
+
+const PRIVATE_CHANNELS = ['account', 'positions', 'orders', 'orders-algo', 'fill'];
+
+//////////// - Helpers - ///////////////////////////
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function success(data) {
+  return { code: '00000', msg: 'success', requestTime: Date.now(), data };
+}
+
+function errorBody(code, msg) {
+  return { code, msg, requestTime: Date.now(), data: null };
+}
+
+// Small seeded generator so a scenario replays the same prices every run
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a mock Bitget server.
+ * @param {object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port.
+ * @param {object} [options.startPrices] - Starting price per symbol, which also sets the symbols served.
+ * @param {number} [options.historyMinutes] - Minutes of 1m history generated before the start.
+ * @param {number} [options.volatility=0.001] - Standard size of a 1m move, as a fraction of price.
+ * @param {number} [options.seed=1] - Seed for the synthetic prices.
+ * @param {number} [options.stepMs=0] - Advance one bar every stepMs, 0 to only move on step() / pushCandle().
+ * @param {Array<object>} [options.rules] - Scenario rules, see the header.
+ * @param {object} [options.contracts] - Contract config overrides per symbol.
+ * @param {number} [options.startingBalance=10000]
+ * @returns {object} The server controls.
+ */
+function createMockBitgetServer(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { productType, marginCoin } = settings;
+  const symbols = Object.keys(settings.startPrices);
+  const random = createRandom(settings.seed);
+
+  let rules = settings.rules.map(rule => ({ times: 1, ...rule }));
+  const requests = [];
+  const partialFills = new Map();
+  let nextClientOid = 1;
+
+  //////////// - Synthetic Market - ///////////////////////////
+
+  const lastBars = new Map(); // `${symbol}:${granularity}` -> forming bar
+  let now = Math.floor(Date.now() / MINUTE) * MINUTE - settings.historyMinutes * MINUTE;
+
+  function aggregate(symbol, minuteBar) {
+    const bars = {};
+    for (const [granularity, ms] of Object.entries(GRANULARITY_MS)) {
+      const key = `${symbol}:${granularity}`;
+      const bucket = Math.floor(minuteBar[0] / ms) * ms;
+      const previous = lastBars.get(key);
+      const bar = previous && previous[0] === bucket
+        ? [bucket, previous[1], Math.max(previous[2], minuteBar[2]), Math.min(previous[3], minuteBar[3]), minuteBar[4], previous[5] + minuteBar[5]]
+        : [bucket, ...minuteBar.slice(1)];
+      lastBars.set(key, bar);
+      bars[granularity] = bar;
+    }
+    return bars;
+  }
+
+  function randomBar(symbol) {
+    const previous = lastBars.get(`${symbol}:1m`);
+    const open = previous ? previous[4] : settings.startPrices[symbol];
+    const move = (random() + random() + random() - 1.5) * 2 * settings.volatility;
+    const close = open * (1 + move);
+    const wick = open * settings.volatility * random();
+    return {
+      open,
+      high: Math.max(open, close) + wick,
+      low: Math.min(open, close) - wick,
+      close,
+      volume: 1 + random() * 10,
+    };
+  }
+
+  // History is generated up front so the bots have candles on their first request
+  const history = {};
+  for (const symbol of symbols) {
+    history[symbol] = {};
+    for (const granularity of Object.keys(GRANULARITY_MS)) history[symbol][granularity] = [];
+  }
+  for (let minute = 0; minute < settings.historyMinutes; minute++) {
+    for (const symbol of symbols) {
+      const { open, high, low, close, volume } = randomBar(symbol);
+      const bars = aggregate(symbol, [now, open, high, low, close, volume]);
+      for (const [granularity, bar] of Object.entries(bars)) {
+        const series = history[symbol][granularity];
+        if (series.length > 0 && series[series.length - 1][0] === bar[0]) {
+          series[series.length - 1] = bar;
+        } else {
+          series.push(bar);
+        }
+      }
+    }
+    if (minute < settings.historyMinutes - 1) now += MINUTE;
+  }
+
+  const exchange = createPaperExchange({
+    candles: history,
+    startIndex: settings.historyMinutes - 1,
+    productType,
+    marginCoin,
+    startingBalance: settings.startingBalance,
+    fillSize: (order, remaining) => {
+      const ratio = partialFills.get(order.clientOid);
+      if (ratio === undefined) return remaining;
+      partialFills.delete(order.clientOid);
+      return Math.max(order.size * ratio, 0);
+    },
+  });
+
+  // Replaying the last bar gives the exchange a mark price before the first step
+  for (const symbol of symbols) exchange.addCandle(symbol, '1m', lastBars.get(`${symbol}:1m`));
+
+  /**
+   * Add the next 1m bar for a symbol and publish it.
+   * @param {string} symbol
+   * @param {{ open?: number, high: number, low: number, close: number, volume?: number }} bar - open defaults to the last close.
+   */
+  function pushCandle(symbol, bar) {
+    now += MINUTE;
+    appendBar(symbol, bar);
+  }
+
+  function appendBar(symbol, bar) {
+    const previous = lastBars.get(`${symbol}:1m`);
+    const open = bar.open ?? (previous ? previous[4] : bar.close);
+    const minuteBar = [now, open, Math.max(bar.high, open, bar.close), Math.min(bar.low, open, bar.close), bar.close, bar.volume ?? 1];
+    const bars = aggregate(symbol, minuteBar);
+    // 1m first: it is the timeframe orders match against
+    for (const [granularity, candle] of Object.entries(bars)) {
+      exchange.addCandle(symbol, granularity, candle);
+    }
+    publishMarket(symbol, bars);
+  }
+
+  /**
+   * Move a symbol straight to a price with a single 1m bar.
+   * @param {string} symbol
+   * @param {number} price
+   */
+  function pushPrice(symbol, price) {
+    const previous = lastBars.get(`${symbol}:1m`);
+    const open = previous ? previous[4] : price;
+    pushCandle(symbol, { open, high: Math.max(open, price), low: Math.min(open, price), close: price });
+  }
+
+  // Advance every symbol by one random 1m bar
+  function step() {
+    now += MINUTE;
+    for (const symbol of symbols) appendBar(symbol, randomBar(symbol));
+  }
+
+  function lastPrice(symbol) {
+    const bar = lastBars.get(`${symbol}:1m`);
+    return bar ? bar[4] : settings.startPrices[symbol];
+  }
+
+  //////////// - REST - ///////////////////////////
+
+  // Public endpoints the paper exchange does not cover
+  const MARKET_HANDLERS = {
+    'GET /api/v2/mix/market/ticker': async ({ symbol }) => success([formatTicker(symbol)]),
+    'GET /api/v2/mix/market/tickers': async () => success(symbols.map(formatTicker)),
+    'GET /api/v2/mix/market/contracts': async ({ symbol } = {}) => success(
+      symbols.filter(candidate => !symbol || candidate === symbol).map(formatContract)
+    ),
+  };
+
+  function formatTicker(symbol) {
+    const price = String(lastPrice(symbol));
+    return {
+      symbol,
+      lastPr: price,
+      askPr: price,
+      bidPr: price,
+      markPrice: price,
+      indexPrice: price,
+      ts: String(now),
+    };
+  }
+
+  function formatContract(symbol) {
+    return {
+      symbol,
+      baseCoin: symbol.replace(/^S/, '').replace(/SUSDT$/, ''),
+      quoteCoin: marginCoin,
+      supportMarginCoins: [marginCoin],
+      ...DEFAULT_CONTRACT,
+      ...(settings.contracts && settings.contracts[symbol]),
+    };
+  }
+
+  function takeRule(path) {
+    const rule = rules.find(candidate => candidate.times > 0 && (candidate.path === path || candidate.path === '*'));
+    if (rule) rule.times -= 1;
+    return rule;
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.use(async (req, res) => {
+    const route = `${req.method} ${req.path}`;
+    const params = { ...(req.method === 'GET' ? req.query : req.body) };
+    const entry = { time: Date.now(), method: req.method, path: req.path, params, status: 200, code: '00000' };
+    requests.push(entry);
+
+    const reply = (status, body) => {
+      entry.status = status;
+      entry.code = body.code;
+      res.status(status).json(body);
+    };
+
+    const rule = takeRule(req.path);
+    if (rule && rule.delayMs) await sleep(rule.delayMs);
+    if (rule && rule.disconnect) disconnectClients();
+    if (rule && rule.error) {
+      return reply(rule.error.status || 400, errorBody(String(rule.error.code), rule.error.msg));
+    }
+
+    const method = ROUTES[route];
+    const handler = MARKET_HANDLERS[route] || (method && exchange[method]);
+    if (!handler) {
+      return reply(404, errorBody('40404', 'Request URL NOT FOUND'));
+    }
+
+    if (route === 'POST /api/v2/mix/order/place-order') {
+      params.clientOid = params.clientOid || `mock${nextClientOid++}`;
+      if (rule && rule.partialFill !== undefined) partialFills.set(params.clientOid, rule.partialFill);
+    }
+
+    try {
+      return reply(200, await handler(params));
+    } catch (error) {
+      // Paper exchange errors carry the Bitget body, anything else is a mock bug
+      if (error && error.body) return reply(error.code || 400, error.body);
+      console.error(`Mock Bitget: ${route} failed:`, error);
+      return reply(500, errorBody('40725', 'service return an error'));
+    }
+  });
+
+  //////////// - WebSocket - ///////////////////////////
+
+  const httpServer = http.createServer(app);
+  const wss = new WebSocketServer({ server: httpServer });
+  const lastFills = new Map();
+
+  function send(ws, message) {
+    if (ws.readyState === ws.OPEN) ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  function publish(channel, instId, data, action = 'snapshot') {
+    for (const ws of wss.clients) {
+      for (const arg of ws.subscriptions.values()) {
+        if (arg.channel !== channel) continue;
+        if (arg.instId !== 'default' && arg.instId !== instId) continue;
+        send(ws, { action, arg, data, ts: Date.now() });
+      }
+    }
+  }
+
+  function formatWsCandle(bar) {
+    return [String(bar[0]), String(bar[1]), String(bar[2]), String(bar[3]), String(bar[4]), String(bar[5]), String(bar[4] * bar[5]), String(bar[4] * bar[5])];
+  }
+
+  function publishMarket(symbol, bars) {
+    for (const [granularity, bar] of Object.entries(bars)) {
+      publish(`candle${granularity}`, symbol, [formatWsCandle(bar)], 'update');
+    }
+    publish('ticker', symbol, [{ instId: symbol, ...formatTicker(symbol) }]);
+  }
+
+  function wsOrder(order) {
+    const fill = lastFills.get(order.orderId);
+    return {
+      instId: order.symbol,
+      ...order,
+      accBaseVolume: order.baseVolume,
+      fillPrice: fill ? String(fill.price) : '',
+      tradeId: fill ? fill.tradeId : '',
+      baseVolume: fill ? String(fill.size) : '0',
+      fillTime: fill ? String(fill.time) : '',
+      fillFee: fill ? String(-fill.fee) : '0',
+      fillFeeCoin: marginCoin,
+      enterPointSource: 'API',
+      posMode: 'one_way_mode',
+    };
+  }
+
+  async function privateSnapshot(channel) {
+    switch (channel) {
+      case 'account': {
+        const { data } = await exchange.getFuturesAccountAsset();
+        return [{ ...data, frozen: data.locked, equity: data.accountEquity, maxOpenPosAvailable: data.available }];
+      }
+      case 'positions':
+        return (await exchange.getFuturesPositions()).data.map(position => ({ instId: position.symbol, ...position }));
+      case 'orders':
+        return ((await exchange.getFuturesOpenOrders()).data.entrustedList || []).map(wsOrder);
+      case 'orders-algo':
+        return ((await exchange.getFuturesPlanOrders()).data.entrustedList || [])
+          .map(plan => ({ instId: plan.symbol, ...plan, status: plan.planStatus }));
+      default:
+        return [];
+    }
+  }
+
+  exchange.on('fill', (fill) => {
+    lastFills.set(fill.orderId, fill);
+    publish('fill', fill.symbol, [{
+      orderId: fill.orderId,
+      tradeId: fill.tradeId,
+      symbol: fill.symbol,
+      side: fill.side,
+      tradeSide: fill.tradeSide,
+      posMode: 'one_way_mode',
+      price: String(fill.price),
+      baseVolume: String(fill.size),
+      quoteVolume: String(fill.price * fill.size),
+      feeDetail: [{ feeCoin: marginCoin, totalFee: String(-fill.fee) }],
+      cTime: String(fill.time),
+      uTime: String(fill.time),
+    }]);
+  });
+  exchange.on('order', order => publish('orders', order.symbol, [wsOrder(order)]));
+  exchange.on('planOrder', plan => publish('orders-algo', plan.symbol, [{ instId: plan.symbol, ...plan, status: plan.planStatus }]));
+  exchange.on('position', async (position) => {
+    publish('positions', position.symbol, await privateSnapshot('positions'));
+    publish('account', 'default', await privateSnapshot('account'));
+  });
+
+  wss.on('connection', (ws) => {
+    ws.subscriptions = new Map();
+    ws.loggedIn = false;
+
+    ws.on('message', async (raw) => {
+      const text = raw.toString();
+      if (text === 'ping') return send(ws, 'pong');
+
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        return send(ws, { event: 'error', code: 30001, msg: 'Invalid request' });
+      }
+
+      if (message.op === 'login') {
+        const rule = takeRule('ws:login');
+        if (rule && rule.delayMs) await sleep(rule.delayMs);
+        if (rule && rule.error) {
+          return send(ws, { event: 'error', code: rule.error.code, msg: rule.error.msg });
+        }
+        ws.loggedIn = true;
+        return send(ws, { event: 'login', code: 0, msg: '' });
+      }
+
+      if (message.op === 'subscribe' || message.op === 'unsubscribe') {
+        for (const arg of message.args || []) {
+          const key = `${arg.instType}:${arg.channel}:${arg.instId}`;
+
+          if (message.op === 'unsubscribe') {
+            ws.subscriptions.delete(key);
+            send(ws, { event: 'unsubscribe', arg });
+            continue;
+          }
+
+          const rule = takeRule('ws:subscribe');
+          if (rule && rule.error) {
+            send(ws, { event: 'error', arg, code: rule.error.code, msg: rule.error.msg });
+            continue;
+          }
+          const isPrivate = PRIVATE_CHANNELS.includes(arg.channel);
+          if (isPrivate && !ws.loggedIn) {
+            send(ws, { event: 'error', arg, code: 30004, msg: 'User not logged in' });
+            continue;
+          }
+
+          ws.subscriptions.set(key, arg);
+          send(ws, { event: 'subscribe', arg });
+
+          // Bitget opens every channel with a snapshot
+          if (isPrivate) {
+            send(ws, { action: 'snapshot', arg, data: await privateSnapshot(arg.channel), ts: Date.now() });
+          } else if (arg.channel === 'ticker') {
+            send(ws, { action: 'snapshot', arg, data: [{ instId: arg.instId, ...formatTicker(arg.instId) }], ts: Date.now() });
+          } else if (arg.channel.startsWith('candle')) {
+            const { data } = await exchange.getFuturesCandles({ symbol: arg.instId, granularity: arg.channel.slice(6), limit: 100 });
+            send(ws, { action: 'snapshot', arg, data: data.map(candle => [...candle, candle[6]]), ts: Date.now() });
+          }
+        }
+      }
+    });
+  });
+
+  /**
+   * Drop every WebSocket connection, as a network blip would. The client
+   * library reconnects and resubscribes on its own.
+   */
+  function disconnectClients() {
+    for (const ws of wss.clients) ws.terminate();
+  }
+
+  //////////// - Lifecycle - ///////////////////////////
+
+  let stepTimer = null;
+
+  /**
+   * Start listening.
+   * @returns {Promise<{ port: number, restUrl: string, wsUrl: string }>}
+   */
+  function start() {
+    return new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(settings.port, () => {
+        const { port } = httpServer.address();
+        if (settings.stepMs > 0) stepTimer = setInterval(step, settings.stepMs);
+        resolve({ port, restUrl: `http://localhost:${port}`, wsUrl: `ws://localhost:${port}` });
+      });
+    });
+  }
+
+  function stop() {
+    if (stepTimer) clearInterval(stepTimer);
+    disconnectClients();
+    wss.close();
+    return new Promise(resolve => httpServer.close(() => resolve()));
+  }
+
+  return {
+    exchange,
+    start,
+    stop,
+    step,
+    pushCandle,
+    pushPrice,
+    lastPrice,
+    disconnectClients,
+    addRule: (rule) => { rules.push({ times: 1, ...rule }); },
+    clearRules: () => { rules = []; },
+    getRequests: () => requests.slice(),
+  };
+}
+
+module.exports = {
+  SCENARIOS,
+  createMockBitgetServer,
+};
+
+// Standalone: MOCK_PORT, MOCK_SCENARIO and MOCK_STEP_MS (default one bar a second)
+if (require.main === module) {
+  const { MOCK_PORT = 3100, MOCK_SCENARIO = 'normal', MOCK_STEP_MS = 1000 } = process.env;
+  if (!SCENARIOS[MOCK_SCENARIO]) {
+    console.error(`Unknown MOCK_SCENARIO ${MOCK_SCENARIO}, expected one of ${Object.keys(SCENARIOS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const mock = createMockBitgetServer({
+    port: parseInt(MOCK_PORT),
+    stepMs: parseInt(MOCK_STEP_MS),
+    rules: SCENARIOS[MOCK_SCENARIO],
+  });
+  mock.start().then(({ restUrl, wsUrl }) => {
+    console.log(`Mock Bitget running scenario ${MOCK_SCENARIO}`);
+    console.log(`BITGET_REST_URL=${restUrl} BITGET_WS_URL=${wsUrl}`);
+  });
+}
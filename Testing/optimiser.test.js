@@ -0,0 +1,103 @@
+/**
+ * Tests for core/optimiser.js: walk-forward folds, the random search and
+ * how minTrades weighs on the picks and the ranking.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { walkForwardSplits, randomSearch, gridSearch, optimise } = require('../core/optimiser');
+const { registerStrategy, createStrategy } = require('../core/strategies');
+
+const MINUTE = 60 * 1000;
+
+// Flips between long and short every `every` bars
+registerStrategy('test-flip', config => ({
+    inputs: { timeframes: ['5m'], lookback: 10 },
+    evaluate: ({ candles }) => {
+        const series = candles['5m'];
+        const [barTime, , , , close] = series[series.length - 1];
+        const bar = barTime / (5 * MINUTE);
+        if (bar % config.params.every !== 0) return null;
+        return { side: (bar / config.params.every) % 2 === 0 ? 'buy' : 'sell', price: close, confidence: 1 };
+    },
+}));
+
+// A gentle random walk of 5m candles, the same for the same seed
+function randomCandles(count, seed = 3) {
+    let state = seed;
+    const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+    let close = 30000;
+    return Array.from({ length: count }, (_, i) => {
+        const open = close;
+        close = open + (random() - 0.5) * 40;
+        return [i * 5 * MINUTE, open, Math.max(open, close) + 5, Math.min(open, close) - 5, close, 10];
+    });
+}
+
+//////////// - Walk-forward folds - ///////////////////////////
+
+test('walkForwardSplits rolls a training window followed by its test window', () => {
+    assert.deepStrictEqual(walkForwardSplits(100, { start: 10, folds: 3, trainRatio: 3 }), [
+        { train: { start: 10, end: 55 }, test: { start: 55, end: 70 } },
+        { train: { start: 25, end: 70 }, test: { start: 70, end: 85 } },
+        { train: { start: 40, end: 85 }, test: { start: 85, end: 100 } },
+    ]);
+});
+
+test('walkForwardSplits trains anchored folds from the start', () => {
+    const splits = walkForwardSplits(100, { start: 10, folds: 3, trainRatio: 3, anchored: true });
+
+    assert.deepStrictEqual(splits.map(({ train }) => train), [{ start: 10, end: 55 }, { start: 10, end: 70 }, { start: 10, end: 85 }]);
+    assert.deepStrictEqual(splits.map(({ test }) => test), [{ start: 55, end: 70 }, { start: 70, end: 85 }, { start: 85, end: 100 }]);
+});
+
+test('walkForwardSplits refuses too few bars for a test window of two', () => {
+    assert.strictEqual(walkForwardSplits(14, { folds: 4, trainRatio: 3 })[3].test.end, 14);
+    assert.throws(() => walkForwardSplits(13, { folds: 4, trainRatio: 3 }), /^Error: 13 bars are too few for 4 walk-forward folds/);
+});
+
+//////////// - Search - ///////////////////////////
+
+test('randomSearch draws the same distinct valid sets for the same seed', () => {
+    const space = { emaFast: { min: 3, max: 15, step: 1 }, emaSlow: [21, 34, 55], rewardRisk: [1.5, 2, 3] };
+    const valid = params => params.emaFast !== 9;
+
+    const first = randomSearch(space, { samples: 20, seed: 42, valid });
+
+    assert.deepStrictEqual(randomSearch(space, { samples: 20, seed: 42, valid }), first);
+    assert.notDeepStrictEqual(randomSearch(space, { samples: 20, seed: 43, valid }), first);
+    assert.strictEqual(first.length, 20);
+    assert.strictEqual(new Set(first.map(params => JSON.stringify(params))).size, 20);
+    assert.ok(first.every(valid));
+});
+
+test('randomSearch returns the whole space when asked for more sets than it has', () => {
+    const space = { emaFast: [5, 9], emaSlow: [21, 34] };
+
+    const sets = randomSearch(space, { samples: 50 });
+
+    assert.strictEqual(sets.length, 4);
+    assert.deepStrictEqual(new Set(sets.map(params => JSON.stringify(params))), new Set(gridSearch(space).map(params => JSON.stringify(params))));
+});
+
+//////////// - minTrades - ///////////////////////////
+
+test('optimise only picks and ranks first the sets with minTrades training trades', async () => {
+    const result = await optimise({
+        candles: randomCandles(400),
+        // Flipping every 4 bars trades all the time, every 1000 bars never
+        space: { every: [4, 1000] },
+        buildStrategy: params => createStrategy('test-flip', { params }),
+        folds: 2,
+        trainRatio: 2,
+        minTrades: 5,
+        backtestOptions: { coreOptions: { size: '0.01' }, breakEven: null, takeProfitIntervalMinutes: null },
+    });
+
+    assert.ok(result.folds.every(fold => fold.params.every === 4 && fold.trainStats.trades >= 5));
+    assert.deepStrictEqual(result.ranking.map(({ params, enoughTrades }) => [params.every, enoughTrades]), [[4, true], [1000, false]]);
+    // The idle set scores 0, ahead of the active one, and is still ranked after it
+    assert.ok(result.ranking[1].score > result.ranking[0].score, 'the idle set out-scores the active one on this data');
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for core/orderManager.js: order states and fills from channel
+ * events, and reconciling with a stub REST client.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createOrderManager } = require('../core/orderManager');
+
+const SYMBOL = 'SBTCSUSDT';
+const quiet = { log() {}, error() {} };
+
+/**
+ * An order manager on a stub REST client listing openOrders as open and
+ * answering getFuturesOrder from details, by orderId.
+ * @returns {{ orderManager: object, openOrders: Array<object>, details: object, orderEvents: Array<Array>, fills: Array<object> }}
+ */
+function startManager(options = {}) {
+    const openOrders = [];
+    const details = {};
+    const restClient = {
+        getFuturesOpenOrders: async () => ({ data: { entrustedList: openOrders } }),
+        getFuturesOrder: async ({ orderId }) => ({ data: details[orderId] }),
+    };
+    const orderManager = createOrderManager({ restClient, logger: quiet, ...options });
+    const orderEvents = [];
+    const fills = [];
+    orderManager.on('order', (order, previousState) => orderEvents.push([order.state, previousState]));
+    orderManager.on('fill', fill => fills.push(fill));
+    return { orderManager, openOrders, details, orderEvents, fills };
+}
+
+// An orders channel event for one order
+function orderEvent(fields) {
+    return {
+        arg: { channel: 'orders', instId: 'default' },
+        data: [{ instId: SYMBOL, clientOid: 'bot-1', orderId: '1', side: 'buy', size: '0.01', ...fields }],
+    };
+}
+
+//////////// - handleUpdate - ///////////////////////////
+
+test('handleUpdate follows an order from new through partially filled to filled', () => {
+    const { orderManager, orderEvents, fills } = startManager();
+
+    assert.ok(orderManager.handleUpdate(orderEvent({ status: 'live', accBaseVolume: '0' })));
+    orderManager.handleUpdate(orderEvent({ status: 'partially_filled', accBaseVolume: '0.004', priceAvg: '100' }));
+    orderManager.handleUpdate(orderEvent({ status: 'filled', accBaseVolume: '0.01', priceAvg: '101' }));
+
+    assert.deepStrictEqual(orderEvents, [['new', null], ['partially_filled', 'new'], ['filled', 'partially_filled']]);
+    assert.deepStrictEqual(fills.map(fill => [fill.size, fill.filledSize, fill.remainingSize]), [[0.004, 0.004, 0.006], [0.006, 0.01, 0]]);
+    assert.strictEqual(fills[0].price, 100);
+    assert.ok(Math.abs(fills[1].price - (101 * 0.01 - 100 * 0.004) / 0.006) < 1e-9);
+
+    const order = orderManager.get('bot-1');
+    assert.strictEqual(order.state, 'filled');
+    assert.strictEqual(order.averagePrice, 101);
+});
+
+test('handleUpdate never moves an order back, nor past cancelled or rejected', () => {
+    const { orderManager, orderEvents } = startManager();
+
+    orderManager.handleUpdate(orderEvent({ status: 'partially_filled', accBaseVolume: '0.004', priceAvg: '100' }));
+    orderManager.handleUpdate(orderEvent({ status: 'live', accBaseVolume: '0.004' }));
+    assert.strictEqual(orderManager.get('bot-1').state, 'partially_filled');
+
+    orderManager.handleUpdate(orderEvent({ status: 'canceled', accBaseVolume: '0.004' }));
+    orderManager.handleUpdate(orderEvent({ status: 'filled', accBaseVolume: '0.01', priceAvg: '100' }));
+    assert.strictEqual(orderManager.get('bot-1').state, 'cancelled');
+    assert.strictEqual(orderManager.get('bot-1').filledSize, 0.004);
+
+    orderManager.handleUpdate(orderEvent({ clientOid: 'bot-2', orderId: '2', status: 'live' }));
+    orderManager.handleUpdate(orderEvent({ clientOid: 'bot-2', orderId: '2', status: 'fail_execute' }));
+    assert.strictEqual(orderManager.get('bot-2').state, 'rejected');
+
+    assert.deepStrictEqual(orderEvents, [['partially_filled', null], ['cancelled', 'partially_filled'], ['new', null], ['rejected', 'new']]);
+});
+
+test('handleUpdate ignores events from other channels', () => {
+    const { orderManager } = startManager();
+
+    assert.strictEqual(orderManager.handleUpdate({ arg: { channel: 'positions' }, data: [{ instId: SYMBOL }] }), false);
+    assert.deepStrictEqual(orderManager.list(), []);
+});
+
+//////////// - reconcile - ///////////////////////////
+
+test('reconcile looks up an open order missing from the exchange\'s open orders', async () => {
+    const { orderManager, openOrders, details, fills } = startManager();
+    orderManager.handleUpdate(orderEvent({ status: 'live', accBaseVolume: '0' }));
+    orderManager.handleUpdate(orderEvent({ clientOid: 'bot-2', orderId: '2', status: 'live', accBaseVolume: '0' }));
+
+    // bot-1 filled while the socket was down; bot-2 is still open
+    openOrders.push({ symbol: SYMBOL, clientOid: 'bot-2', orderId: '2', status: 'live', baseVolume: '0' });
+    details['1'] = { symbol: SYMBOL, clientOid: 'bot-1', orderId: '1', state: 'filled', baseVolume: '0.01', priceAvg: '100' };
+
+    assert.strictEqual(await orderManager.reconcile(SYMBOL), 1);
+
+    assert.strictEqual(orderManager.get('bot-1').state, 'filled');
+    assert.strictEqual(orderManager.get('bot-2').state, 'new');
+    assert.deepStrictEqual(fills.map(fill => [fill.clientOid, fill.size, fill.source]), [['bot-1', 0.01, 'reconcile']]);
+});
+
+//////////// - Closed orders - ///////////////////////////
+
+test('only the latest maxClosedOrders finished orders are kept', () => {
+    const { orderManager } = startManager({ maxClosedOrders: 2 });
+    orderManager.handleUpdate(orderEvent({ clientOid: 'open', orderId: '0', status: 'live' }));
+    for (const id of ['1', '2', '3']) {
+        orderManager.handleUpdate(orderEvent({ clientOid: `bot-${id}`, orderId: id, status: 'filled', accBaseVolume: '0.01', priceAvg: '100' }));
+    }
+
+    assert.strictEqual(orderManager.get('bot-1'), null);
+    assert.deepStrictEqual(orderManager.list().map(order => order.clientOid), ['open', 'bot-2', 'bot-3']);
+    assert.deepStrictEqual(orderManager.list({ open: true }).map(order => order.clientOid), ['open']);
+});
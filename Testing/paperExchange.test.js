@@ -0,0 +1,98 @@
+/**
+ * Tests for core/paperExchange.js: fills and stops against candles added by
+ * hand, with no network.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPaperExchange } = require('../core/paperExchange');
+
+const MINUTE = 60 * 1000;
+const SYMBOL = 'SBTCSUSDT';
+
+// An offline exchange with its first bar, closing at 100
+function startExchange(options = {}) {
+    const exchange = createPaperExchange({ candles: {}, ...options });
+    exchange.addCandle(SYMBOL, '5m', [0, 100, 101, 99, 100, 1]);
+    return exchange;
+}
+
+const bar = (index, open, high, low, close) => [index * 5 * MINUTE, open, high, low, close, 1];
+
+async function position(exchange) {
+    const { data } = await exchange.getFuturesPosition({ symbol: SYMBOL });
+    return data[0] || null;
+}
+
+//////////// - Orders - ///////////////////////////
+
+test('a resting limit buy fills as maker at its price once a bar trades through it', async () => {
+    const exchange = startExchange();
+    await exchange.futuresSubmitOrder({ symbol: SYMBOL, side: 'buy', orderType: 'limit', price: '98', size: '1' });
+
+    exchange.addCandle(SYMBOL, '5m', bar(1, 100, 100, 98.5, 99));
+    assert.strictEqual(await position(exchange), null);
+
+    exchange.addCandle(SYMBOL, '5m', bar(2, 99, 99, 97, 98));
+    const [fill] = exchange.getFills();
+    assert.deepStrictEqual([fill.price, fill.size, fill.tradeSide], [98, 1, 'open']);
+    assert.ok(Math.abs(fill.fee - 98 * 0.0002) < 1e-12);
+
+    const { holdSide, total, openPriceAvg } = await position(exchange);
+    assert.deepStrictEqual([holdSide, total, openPriceAvg], ['long', '1', '98']);
+    assert.strictEqual((await exchange.getFuturesOpenOrders({ symbol: SYMBOL })).data.entrustedList, null);
+});
+
+test('a market order fills straight away as taker with slippage against it', async () => {
+    const exchange = startExchange({ slippage: 0.001 });
+
+    await exchange.futuresSubmitOrder({ symbol: SYMBOL, side: 'sell', orderType: 'market', size: '2' });
+
+    const [fill] = exchange.getFills();
+    assert.strictEqual(fill.price, 100 * (1 - 0.001));
+    assert.ok(Math.abs(fill.fee - fill.price * 2 * 0.0006) < 1e-12);
+    assert.strictEqual((await position(exchange)).holdSide, 'short');
+});
+
+test('an order whose margin exceeds the balance is rejected like Bitget does', async () => {
+    const exchange = startExchange({ startingBalance: 100 });
+
+    await assert.rejects(
+        exchange.futuresSubmitOrder({ symbol: SYMBOL, side: 'buy', orderType: 'market', size: '20' }),
+        error => error.body.code === '40762'
+    );
+    assert.strictEqual(await position(exchange), null);
+});
+
+//////////// - Stops - ///////////////////////////
+
+test('a preset stop loss closes the position at its trigger and books the loss', async () => {
+    const exchange = startExchange({ takerFeeRate: 0 });
+    await exchange.futuresSubmitOrder({ symbol: SYMBOL, side: 'buy', orderType: 'market', size: '1', presetStopLossPrice: '95' });
+    const { data: plans } = await exchange.getFuturesPlanOrders({ symbol: SYMBOL, planType: 'profit_loss' });
+    assert.deepStrictEqual(plans.entrustedList.map(plan => [plan.planType, plan.triggerPrice]), [['loss_plan', '95']]);
+
+    exchange.addCandle(SYMBOL, '5m', bar(1, 99, 99, 94, 96));
+
+    const stop = exchange.getFills()[1];
+    assert.deepStrictEqual([stop.reason, stop.price, stop.tradeSide], ['loss_plan', 95, 'close']);
+    assert.strictEqual(await position(exchange), null);
+    assert.strictEqual(exchange.getAccount().realisedPnL, -5);
+});
+
+test('a stop gapped through fills at the bar\'s open, and wins over a take profit hit in the same bar', async () => {
+    const exchange = startExchange({ takerFeeRate: 0 });
+    await exchange.futuresSubmitOrder({
+        symbol: SYMBOL, side: 'sell', orderType: 'market', size: '1', presetStopLossPrice: '103', presetStopSurplusPrice: '97',
+    });
+
+    exchange.addCandle(SYMBOL, '5m', bar(1, 105, 106, 96, 100));
+
+    const stop = exchange.getFills()[1];
+    assert.deepStrictEqual([stop.reason, stop.price], ['loss_plan', 105]);
+    assert.strictEqual(exchange.getAccount().realisedPnL, -5);
+    const { data: plans } = await exchange.getFuturesPlanOrders({ symbol: SYMBOL, planType: 'profit_loss' });
+    assert.strictEqual(plans.entrustedList, null);
+});
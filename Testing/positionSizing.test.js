@@ -0,0 +1,90 @@
+/**
+ * Tests for core/positionSizing.js: sizes from equity and the stop distance,
+ * the leverage and margin caps and the size limits, and risk sizing in the
+ * trading core on the paper exchange.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculatePositionSize, floorToStep } = require('../core/positionSizing');
+const { createPaperExchange } = require('../core/paperExchange');
+const { createTradingCore } = require('../core/tradingCore');
+
+const SYMBOL = 'SBTCSUSDT';
+
+//////////// - Sizing - ///////////////////////////
+
+test('calculatePositionSize risks riskPercentage of equity over the stop distance', () => {
+    const result = calculatePositionSize({ equity: 10000, available: 9000, entryPrice: 60000, stopLossPrice: 59400, leverage: 10 });
+
+    // 100 lost over a stop 600 away is 0.1666..., rounded down to the 0.001 step
+    assert.deepStrictEqual(result, { size: 0.166, riskAmount: 100, stopDistance: 600, notional: 0.166 * 60000, limitedBy: null, reason: null });
+    // The stop may be on either side of the entry
+    assert.strictEqual(calculatePositionSize({ equity: 10000, entryPrice: 60000, stopLossPrice: 60600, leverage: 10 }).size, 0.166);
+});
+
+test('calculatePositionSize caps the size at maxLeverage times equity and at the margin available', () => {
+    // A stop 100 away would size 1 BTC, 6 times equity
+    const tight = { equity: 10000, entryPrice: 60000, stopLossPrice: 59900 };
+
+    const leveraged = calculatePositionSize({ ...tight, leverage: 10, maxLeverage: 2 });
+    assert.deepStrictEqual([leveraged.size, leveraged.limitedBy], [0.333, 'max leverage']);
+
+    const margin = calculatePositionSize({ ...tight, available: 500, leverage: 2 });
+    assert.deepStrictEqual([margin.size, margin.limitedBy], [0.016, 'margin']);
+
+    // The order's leverage counts for the margin only up to maxLeverage
+    const capped = calculatePositionSize({ ...tight, available: 300, leverage: 50, maxLeverage: 20 });
+    assert.deepStrictEqual([capped.size, capped.limitedBy], [0.1, 'margin']);
+});
+
+test('calculatePositionSize trades nothing below the minimum size, without equity or without a stop distance', () => {
+    assert.deepStrictEqual(calculatePositionSize({ equity: 10, entryPrice: 60000, stopLossPrice: 59400, leverage: 10 }), {
+        size: 0, riskAmount: 0.1, stopDistance: 600, notional: 0, limitedBy: null,
+        reason: '0 is below the minimum size 0.001 (risk allows 0.000167)',
+    });
+    assert.strictEqual(calculatePositionSize({ equity: 0, entryPrice: 60000, stopLossPrice: 59400 }).reason, 'no equity to risk (0)');
+    assert.strictEqual(calculatePositionSize({ equity: 10000, entryPrice: 60000, stopLossPrice: 60000 }).reason, 'the stop loss 60000 is at the entry 60000');
+    assert.strictEqual(calculatePositionSize({ equity: 10000, entryPrice: 60000, stopLossPrice: 59400, minSize: 0.2 }).size, 0);
+});
+
+test('floorToStep rounds down to whole steps without floating point error', () => {
+    assert.strictEqual(floorToStep(0.3, 0.1), 0.3);
+    assert.strictEqual(floorToStep(1.23456, 0.01), 1.23);
+    assert.strictEqual(floorToStep(17, 5), 15);
+});
+
+//////////// - Trading core - ///////////////////////////
+
+// A core with risk sizing on an offline paper exchange whose last close is 100
+function startCore(sizing) {
+    const exchange = createPaperExchange({ candles: {} });
+    exchange.addCandle(SYMBOL, '5m', [0, 100, 101, 99, 100, 1]);
+    const logs = [];
+    const logger = { log: (...args) => logs.push(args.join(' ')), error: (...args) => logs.push(args.join(' ')) };
+    const core = createTradingCore({ restClient: exchange, logger, clock: exchange.now, sizing: { mode: 'risk', ...sizing } });
+    return { exchange, core, logs };
+}
+
+test('risk sizing sizes the order from the account equity, ignoring the signal size', async () => {
+    const { exchange, core, logs } = startCore({ riskPercentage: 0.02 });
+
+    await core.placeTrade({ symbol: SYMBOL, price: 100, side: 'buy', size: '1', orderType: 'market', stopLossPrice: 95 });
+
+    // 2% of 10000 over a stop 5 away
+    const { data: [position] } = await exchange.getFuturesPosition({ symbol: SYMBOL });
+    assert.strictEqual(position.total, '40');
+    assert.ok(logs.includes(`${SYMBOL}: Risking 200.00 SUSDT (2% of equity) over a stop 5 away, size 40`));
+});
+
+test('risk sizing refuses a size step that is not a whole number of the contract\'s', async () => {
+    const { exchange, core } = startCore({ sizeStep: 0.0015 });
+
+    await assert.rejects(
+        core.placeTrade({ symbol: SYMBOL, price: 100, side: 'buy', orderType: 'market', stopLossPrice: 95 }),
+        /^Error: sizing.sizeStep 0.0015 is not a multiple of the SBTCSUSDT size step 0.001$/
+    );
+    assert.deepStrictEqual(exchange.getFills(), []);
+});
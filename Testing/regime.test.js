@@ -0,0 +1,39 @@
+/**
+ * Tests for core/regime.js: the regime the classifier gives known candles.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyRegime, classifyRegimes, regimeBars } = require('../core/regime');
+
+const MINUTE = 60 * 1000;
+
+// Flat candles at 100, then closes rising 1 a bar
+const flatThenTrending = (flat, trending) => Array.from({ length: flat + trending }, (_, i) => {
+    const close = i < flat ? 100 : 100 + i - flat + 1;
+    const spread = i < flat ? 0 : 0.5;
+    return [i * MINUTE, close - spread, close + spread, close - spread, close, 1];
+});
+
+//////////// - Classifier - ///////////////////////////
+
+test('classifyRegime calls a steady rise after a run of flat candles trending', () => {
+    const candles = flatThenTrending(40, 160);
+    assert.ok(candles.length > regimeBars());
+
+    const { regime, adx } = classifyRegime(candles);
+
+    assert.strictEqual(regime, 'trending');
+    assert.ok(adx >= 25, `ADX of ${adx} after 160 rising bars`);
+});
+
+test('classifyRegimes keeps every reading finite through the flat run', () => {
+    const { regime, adx } = classifyRegimes(flatThenTrending(40, 160));
+
+    const warm = regimeBars();
+    assert.ok(adx.slice(2 * 14 - 1).every(Number.isFinite), 'ADX went NaN after the flat run');
+    assert.ok(regime.slice(warm).every(value => value !== null));
+    assert.strictEqual(regime[regime.length - 1], 'trending');
+});
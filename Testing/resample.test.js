@@ -0,0 +1,80 @@
+/**
+ * Tests for core/resample.js: which timeframes can be built from which,
+ * and buckets that open on UTC boundaries with a partial first one left out.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { canResample, resampleRatio, resample } = require('../core/resample');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Candles a step apart from `start`, each opening at the last close and moving by its delta
+function series(start, step, deltas) {
+    let close = 100;
+    return deltas.map((delta, i) => {
+        const open = close;
+        close = open + delta;
+        return [start + i * step, open, Math.max(open, close) + 1, Math.min(open, close) - 1, close, i + 1];
+    });
+}
+
+//////////// - Timeframes - ///////////////////////////
+
+test('canResample needs every bucket boundary to be a boundary of the smaller candles', () => {
+    assert.strictEqual(canResample('5m', '15m'), true);
+    assert.strictEqual(canResample('1H', '4H'), true);
+    assert.strictEqual(canResample('1D', '1W'), true);
+    assert.strictEqual(canResample('1H', '1M'), true);
+    // 5m is not a whole number of 3m candles, a day not a whole number of 3D ones
+    assert.strictEqual(canResample('3m', '5m'), false);
+    assert.strictEqual(canResample('3D', '1W'), false);
+    assert.strictEqual(canResample('15m', '5m'), false);
+    assert.strictEqual(canResample('15m', '15m'), false);
+    assert.strictEqual(canResample('1M', '1W'), false);
+    assert.throws(() => resample([], '3m', '5m'), /^Error: Cannot resample 3m candles to 5m$/);
+});
+
+test('resampleRatio is the candles in one bucket, the longest month for 1M', () => {
+    assert.strictEqual(resampleRatio('5m', '4H'), 48);
+    assert.strictEqual(resampleRatio('1D', '1W'), 7);
+    assert.strictEqual(resampleRatio('1H', '1M'), 31 * 24);
+});
+
+//////////// - Buckets - ///////////////////////////
+
+test('resample takes the first open, extreme high and low, last close and summed volume of a bucket', () => {
+    const candles = series(Date.parse('2024-01-01T00:00Z'), 5 * MINUTE, [1, 3, -2, 4, -6, 1]);
+
+    assert.deepStrictEqual(resample(candles, '5m', '15m'), [
+        [candles[0][0], 100, 105, 99, 102, 1 + 2 + 3],
+        [candles[3][0], 102, 107, 99, 101, 4 + 5 + 6],
+    ]);
+});
+
+test('resample opens buckets on UTC boundaries and leaves out a partial first bucket', () => {
+    // Hourly from 02:00, so the 00:00 4H bucket is missing its first two hours
+    const candles = series(Date.parse('2024-01-01T02:00Z'), HOUR, Array(8).fill(1));
+
+    const fourHour = resample(candles, '1H', '4H');
+
+    assert.deepStrictEqual(fourHour.map(([time]) => new Date(time).toISOString()), ['2024-01-01T04:00:00.000Z', '2024-01-01T08:00:00.000Z']);
+    assert.deepStrictEqual(fourHour[0], [Date.parse('2024-01-01T04:00Z'), 102, 107, 101, 106, 3 + 4 + 5 + 6]);
+    // The last bucket has two of its four candles and is still forming
+    assert.deepStrictEqual(fourHour[1], [Date.parse('2024-01-01T08:00Z'), 106, 109, 105, 108, 7 + 8]);
+});
+
+test('resample builds weeks from Monday 00:00 UTC', () => {
+    // Daily from Saturday 2024-01-06 to Tuesday 2024-01-16
+    const candles = series(Date.parse('2024-01-06T00:00Z'), DAY, Array(11).fill(1));
+
+    const weeks = resample(candles, '1D', '1W');
+
+    assert.deepStrictEqual(weeks.map(([time]) => new Date(time).toISOString()), ['2024-01-08T00:00:00.000Z', '2024-01-15T00:00:00.000Z']);
+    assert.deepStrictEqual(weeks[0].slice(1), [102, 110, 101, 109, 3 + 4 + 5 + 6 + 7 + 8 + 9]);
+    assert.deepStrictEqual(resample([], '1D', '1W'), []);
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for core/routes.js: /candles served from a candle store on the mock
+ * Bitget server, /journal from a signal journal and /orders from an order
+ * manager.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { mountDataRoutes } = require('../core/routes');
+const { createCandleStore } = require('../core/candleStore');
+const { createSignalJournal } = require('../core/signalJournal');
+const { SYMBOL, startMock, serve, tickPrice } = require('./fixtures');
+
+const quiet = { log() {}, error() {} };
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A candle store on the mock with SYMBOL's 5m candles synced, behind /candles
+async function startCandles(t, dir = null) {
+    const { restClient } = await startMock(t);
+    const candleStore = createCandleStore({ restClient, dir, backfillBars: 20, logger: quiet });
+    const synced = await candleStore.getCandles(SYMBOL, '5m', { limit: 20 });
+    return { candleStore, synced, ...await serve(t, mountDataRoutes(express(), { candleStore, symbols: [SYMBOL] })) };
+}
+
+//////////// - /candles - ///////////////////////////
+
+test('/candles serves the stored candles of a traded symbol', async (t) => {
+    const { synced, get } = await startCandles(t);
+
+    const { status, body } = await get(`/candles/${SYMBOL}/5m?limit=5`);
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, synced.slice(-5));
+});
+
+test('/candles answers 400 for a path that leaves the store directory', async (t) => {
+    const dir = tempDir(t);
+    fs.mkdirSync(path.join(dir, 'store'));
+    fs.writeFileSync(path.join(dir, 'leak-x.json'), JSON.stringify([[0, 1, 1, 1, 1, 1]]));
+    const { get } = await startCandles(t, path.join(dir, 'store'));
+
+    const { status, body } = await get('/candles/..%2Fleak/x');
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Unknown symbol ../leak');
+});
+
+test('/candles answers 400 for a symbol the bot does not trade or an unknown granularity', async (t) => {
+    const { get } = await startCandles(t);
+
+    assert.strictEqual((await get('/candles/SETHSUSDT/5m')).status, 400);
+    const { status, body } = await get(`/candles/${SYMBOL}/7m`);
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /^Unknown granularity 7m/);
+});
+
+test('/candles checks symbols against the Bitget pattern when not told the traded ones', async (t) => {
+    const candleStore = { candles: () => [] };
+    const { get } = await serve(t, mountDataRoutes(express(), { candleStore }));
+
+    assert.strictEqual((await get('/candles/SETHSUSDT/5m')).status, 200);
+    assert.strictEqual((await get('/candles/sbtc-usdt/5m')).status, 400);
+});
+
+test('/candles answers 404 when the candle store is disabled', async (t) => {
+    const { get } = await serve(t, mountDataRoutes(express(), { candleStore: null }));
+
+    const { status } = await get(`/candles/${SYMBOL}/5m`);
+
+    assert.strictEqual(status, 404);
+});
+
+test('/candles answers 400 for a limit that is not a positive integer', async (t) => {
+    const { get } = await startCandles(t);
+
+    for (const limit of ['abc', '-1', '0', '2.5']) {
+        const { status, body } = await get(`/candles/${SYMBOL}/5m?limit=${limit}`);
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, `Invalid limit ${limit}, expected a positive integer`);
+    }
+});
+
+//////////// - /journal - ///////////////////////////
+
+// A journal with 150 evaluations of SBTCSUSDT behind /journal, every tenth a trade
+async function startJournal(t) {
+    const journal = createSignalJournal();
+    for (let i = 0; i < 150; i++) {
+        journal.record({ barTime: i, symbol: SYMBOL, strategy: 'ema-vwap-rsi', timeframe: '5m', decision: i % 10 === 0 ? 'trade' : 'none' });
+    }
+    return serve(t, mountDataRoutes(express(), { journal }));
+}
+
+test('/journal serves the latest 100 entries, or the limit given, matching the filters', async (t) => {
+    const { get } = await startJournal(t);
+
+    const all = await get('/journal');
+    assert.strictEqual(all.status, 200);
+    assert.deepStrictEqual([all.body.length, all.body[0].barTime], [100, 50]);
+
+    const { body } = await get(`/journal?symbol=${SYMBOL}&decision=trade,error&from=20&limit=3`);
+    assert.deepStrictEqual(body.map(entry => entry.barTime), [120, 130, 140]);
+});
+
+test('/journal answers 400 for a limit that is not a positive integer', async (t) => {
+    const { get } = await startJournal(t);
+
+    for (const limit of ['abc', '-1', '0', '']) {
+        const { status, body } = await get(`/journal?limit=${limit}`);
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error, `Invalid limit ${limit}, expected a positive integer`);
+    }
+});
+
+//////////// - Candle store reads - ///////////////////////////
+
+test('candles() reads only series already synced, never loading one from disk', async (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'SETHSUSDT-5m.jsonl'), `${JSON.stringify([0, 1, 1, 1, 1, 1])}\n`);
+    const { candleStore, synced } = await startCandles(t, dir);
+
+    assert.deepStrictEqual(candleStore.candles('SETHSUSDT', '5m'), []);
+    assert.deepStrictEqual(candleStore.candles(SYMBOL, '5m'), synced);
+});
+
+//////////// - /orders - ///////////////////////////
+
+test('/orders lists the order manager\'s orders by symbol, state and open', async (t) => {
+    const { orderManager, core, mock } = await startMock(t);
+    const result = await core.placeTrade({ symbol: SYMBOL, price: tickPrice(mock), side: 'buy', size: '0.01', orderType: 'market' });
+    await orderManager.reconcile(SYMBOL);
+    const { get } = await serve(t, mountDataRoutes(express(), { orderManager }));
+
+    const { status, body } = await get(`/orders?symbol=${SYMBOL}&state=filled,cancelled`);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.map(order => order.clientOid), [result.data.clientOid]);
+    assert.deepStrictEqual((await get(`/orders?symbol=${SYMBOL}&open=true`)).body, []);
+    assert.deepStrictEqual((await get('/orders?symbol=SETHSUSDT')).body, []);
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for core/rules.js: validating a rule set with every problem at once,
+ * the history each timeframe needs, and evaluating conditions on candles.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateRules, compileRules } = require('../core/rules');
+
+const MINUTE = 60 * 1000;
+const TIMEFRAMES = ['5m', '1H'];
+
+const candles = (closes, minutes = 5) => closes.map((close, i) => [i * minutes * MINUTE, close, close + 1, close - 1, close, 1]);
+
+// close above sma3 while sma2 crosses above it
+const CROSS = {
+    indicators: {
+        sma2: { type: 'sma', period: 2 },
+        sma3: { type: 'sma', period: 3 },
+    },
+    buy: { all: [
+        { left: 'close', op: '>', right: 'sma3' },
+        { left: 'sma2', op: 'crossesAbove', right: 'sma3' },
+    ] },
+    sell: { left: 'close', op: '<', right: 'sma3' },
+};
+
+//////////// - Validation - ///////////////////////////
+
+test('validateRules reports every problem with its path', () => {
+    const errors = validateRules({
+        timeframe: '4H',
+        colour: 'red',
+        indicators: {
+            fast: { type: 'ema' },
+            slow: { type: 'ema', period: 0 },
+            bands: { type: 'bollinger' },
+            wobbly: { type: 'wobble' },
+        },
+        buy: { all: [
+            { left: 'fast', op: '>>', right: 'slow' },
+            { left: 'bands', op: '>', right: 'ema9@1D' },
+            { any: [] },
+        ] },
+    }, TIMEFRAMES);
+
+    assert.deepStrictEqual(errors, [
+        'colour: unknown key, expected timeframe, indicators, buy, sell',
+        'timeframe: must be one of 5m, 1H (got "4H")',
+        'indicators.fast.period: is required for ema',
+        'indicators.slow.period: must be a whole number of bars (got 0)',
+        'indicators.wobbly.type: must be one of sma, ema, rsi, atr, vwap, vwapBands, macd, bollinger, supertrend, adx, obv, keltner, ichimoku (got "wobble")',
+        'buy.all.0.op: must be one of >, >=, <, <=, ==, !=, crossesAbove, crossesBelow (got ">>")',
+        'buy.all.1.left: bollinger "bands" needs one of its outputs, bands.middle, bands.upper, bands.lower, bands.bandwidth',
+        'buy.all.1.right: unknown series "ema9", expected open, high, low, close, volume, hl2, hlc3, ohlc4, fast, slow, bands, wobbly',
+        'buy.all.1.right: unknown timeframe "1D", expected one of 5m, 1H',
+        'buy.all.2.any: must be a non-empty list of conditions',
+    ]);
+});
+
+test('validateRules refuses indicators computed from each other in a circle', () => {
+    const errors = validateRules({
+        indicators: {
+            a: { type: 'sma', period: 2, source: 'b' },
+            b: { type: 'ema', period: 2, source: 'a' },
+        },
+        buy: { left: 'a', op: '>', right: 0 },
+    }, TIMEFRAMES);
+
+    assert.deepStrictEqual(errors, ['indicators.a.source: circular (a -> b -> a)']);
+    assert.deepStrictEqual(validateRules({ indicators: {} }, TIMEFRAMES), ['buy, sell: at least one of them is required']);
+});
+
+test('compileRules throws with every problem listed', () => {
+    assert.throws(
+        () => compileRules({ buy: { left: 'nope', op: '>', right: 'close[x]' } }, { timeframes: TIMEFRAMES, defaultTimeframe: '5m' }),
+        { message: 'Invalid rules:\n'
+            + '  - buy.left: unknown series "nope", expected open, high, low, close, volume, hl2, hlc3, ohlc4\n'
+            + '  - buy.right: must be a number or a series such as "ema9", "ema9[1]" or "ema21@1H" (got "close[x]")' }
+    );
+});
+
+//////////// - History - ///////////////////////////
+
+test('compileRules asks each timeframe for enough candles to warm up what is read on it', () => {
+    const compiled = compileRules({
+        ...CROSS,
+        indicators: { ...CROSS.indicators, smooth: { type: 'sma', period: 2, source: 'sma3' } },
+        sell: { left: 'smooth@1H', op: '>', right: 'sma3@1H[2]' },
+    }, { timeframes: TIMEFRAMES, defaultTimeframe: '5m' });
+
+    assert.strictEqual(compiled.timeframe, '5m');
+    assert.deepStrictEqual(compiled.timeframes, ['5m', '1H']);
+    // sma3 and the bar before it for the cross; sma2 of sma3; sma3 two bars back
+    assert.deepStrictEqual(compiled.history, { '5m': 4, '1H': 5 });
+});
+
+//////////// - Evaluation - ///////////////////////////
+
+test('evaluate fires on the bar a series crosses and reports the values read', () => {
+    const compiled = compileRules(CROSS, { timeframes: TIMEFRAMES, defaultTimeframe: '5m' });
+
+    const result = compiled.evaluate({ '5m': candles([10, 10, 10, 10, 13]) });
+
+    assert.deepStrictEqual(result, {
+        buy: true,
+        sell: false,
+        values: { close: 13, sma3: 11, sma2: 11.5 },
+    });
+    // A bar later sma2 is still above sma3, but no longer crossing it
+    assert.strictEqual(compiled.evaluate({ '5m': candles([10, 10, 10, 10, 13, 14]) }).buy, false);
+    assert.strictEqual(compiled.evaluate({ '5m': candles([10, 10, 10, 10, 7]) }).sell, true);
+});
+
+test('evaluate is false while a series is still warming up, and reads other timeframes', () => {
+    const compiled = compileRules(CROSS, { timeframes: TIMEFRAMES, defaultTimeframe: '5m' });
+    // sma3 has no value on the bar before, so the cross cannot be told
+    assert.deepStrictEqual(compiled.evaluate({ '5m': candles([10, 10, 13]) }), {
+        buy: false,
+        sell: false,
+        values: { close: 13, sma3: 11, sma2: 11.5 },
+    });
+
+    const higher = compileRules({
+        buy: { not: { left: 'close@1H', op: '<=', right: 'close@1H[1]' } },
+    }, { timeframes: TIMEFRAMES, defaultTimeframe: '5m' });
+    assert.strictEqual(higher.evaluate({ '5m': candles([1]), '1H': candles([10, 11], 60) }).buy, true);
+    assert.strictEqual(higher.evaluate({ '5m': candles([1]), '1H': candles([11, 10], 60) }).buy, false);
+});
@@ -5,245 +5,190 @@ const {
   WebsocketClientV2,
   RestClientV2,
 } = require('bitget-api');
-require('dotenv').config();
+const { createTradingCore, INVALID_TRADE } = require('../core/tradingCore');
+const { createOrderManager } = require('../core/orderManager');
+
+/**
+ * Create the webhook server's express app, without connecting or listening,
+ * so tests can drive it against the mock Bitget server.
+ * @param {object} options
+ * @param {object} options.core - From createTradingCore.
+ * @param {object} options.orderManager - From createOrderManager, the one the core sends its orders through.
+ * @param {{ log: Function, error: Function }} [options.logger=console]
+ * @returns {object} The express app.
+ */
+function createWebhookApp({ core, orderManager, logger = console }) {
+  const app = express();
+  app.use(express.json());
+
+  // Webhook endpoint to handle incoming trading signals
+  app.post('/webhook', async (req, res) => {
+    const {
+      symbol,
+      price,
+      size,
+      orderType,
+      marginCoin,
+      side,
+      leverage,
+      presetTakeProfitPrice,
+      presetStopLossPrice,
+      takeProfitDistance,
+      stopLossDistance,
+    } = req.body;
+
+    // Validate request data
+    if (!symbol || !price || !size || !orderType || !marginCoin || !side) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
 
-const app = express();
-app.use(express.json());
+    const signal = {
+      symbol,
+      price,
+      size,
+      orderType,
+      side,
+      leverage,
+      takeProfitPrice: presetTakeProfitPrice,
+      stopLossPrice: presetStopLossPrice,
+      takeProfitDistance,
+      stopLossDistance,
+    };
 
-// Load environment variables
-const { API_KEY, API_SECRET, API_PASSPHRASE, PORT = 3000 } = process.env;
+    try {
+      // Check the trade before anything is closed, so a bad signal leaves the account as it is
+      const { size: orderSize, reason } = await core.prepareTrade(signal);
+      if (orderSize === null) {
+        return res.status(400).json({ error: `Order not placed, ${reason}` });
+      }
+
+      // Close open positions and cancel orders for the symbol before placing a new trade
+      await core.closeOpenPositions(symbol);
+      await core.cancelAllOrders(symbol);
+
+      // Place the trade
+      const result = await core.placeTrade(signal);
+
+      return res.status(200).json({ success: true, result });
+    } catch (error) {
+      if (error.code === INVALID_TRADE) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('Error processing webhook:', error.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
-// Check API credentials
-if (!API_KEY || !API_SECRET || !API_PASSPHRASE) {
-  console.error('Missing API credentials. Please check your environment variables.');
-  process.exit(1);
-}
+  // State and filled size of an order placed through the webhook, by the clientOid in its result
+  app.get('/orders/:clientOid', (req, res) => {
+    const order = orderManager.get(req.params.clientOid);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    return res.status(200).json(order);
+  });
 
-// Initialize WebSocket and REST clients
-const wsClient = new WebsocketClientV2({
-  apiKey: API_KEY,
-  apiSecret: API_SECRET,
-  apiPass: API_PASSPHRASE,
-});
-
-const restClientV2 = new RestClientV2({
-  apiKey: API_KEY,
-  apiSecret: API_SECRET,
-  apiPass: API_PASSPHRASE,
-});
-
-// Log WebSocket events
-function logWSEvent(type, data) {
-  console.log(new Date(), `WS ${type} event:`, data);
+  return app;
 }
 
-// Fetch open positions and pending orders
-const fetchOpenPositionsAndOrders = async () => {
-  try {
-    // Fetch open positions
-    const positionsResponse = await restClientV2.getFuturesPositions({ productType: 'SUSDT-FUTURES' });
-    const pendingOrdersResponse = await restClientV2.getFuturesOpenOrders({ symbol: 'SBTCSUSDT', productType: 'SUSDT-FUTURES' });
+function main() {
+  require('dotenv').config();
 
-    const positions = positionsResponse.data || [];
-    const pendingOrders = pendingOrdersResponse.data || [];
+  // Load environment variables
+  const { API_KEY, API_SECRET, API_PASSPHRASE, PORT = 3000, BITGET_REST_URL, BITGET_WS_URL } = process.env;
 
-    // Log the number of open positions
-    if (positions.length === 0) {
-      console.log("No open positions.");
-    } else {
-      console.log(`Open positions found: ${positions.length}`);
-      console.log("Open positions details:", positions);
-    }
-
-    // Log the number of pending orders
-    if (pendingOrders.length === 0) {
-      console.log("No pending orders.");
-    } else {
-      console.log(`Pending orders found: ${pendingOrders.length}`);
-      console.log("Pending orders details:", pendingOrders);
-    }
-  } catch (error) {
-    console.error("Error fetching open positions or pending orders:", error.message);
+  // Check API credentials
+  if (!API_KEY || !API_SECRET || !API_PASSPHRASE) {
+    console.error('Missing API credentials. Please check your environment variables.');
+    process.exit(1);
   }
-};
 
-// Fetch positions and orders on startup
-(async () => {
-  try {
-    await fetchOpenPositionsAndOrders();
-  } catch (error) {
-    console.error('Error during startup:', error.message);
+  // Initialize WebSocket and REST clients
+  const wsClient = new WebsocketClientV2({
+    apiKey: API_KEY,
+    apiSecret: API_SECRET,
+    apiPass: API_PASSPHRASE,
+    wsUrl: BITGET_WS_URL, // unset for Bitget, or a local mock server
+  });
+
+  const restClientV2 = new RestClientV2({
+    apiKey: API_KEY,
+    apiSecret: API_SECRET,
+    apiPass: API_PASSPHRASE,
+    baseUrl: BITGET_REST_URL, // unset for Bitget, or a local mock server
+  });
+
+  // Log WebSocket events
+  function logWSEvent(type, data) {
+    console.log(new Date(), `WS ${type} event:`, data);
   }
-})();
 
-// Close all open positions
-const closeOpenPositions = async () => {
-  try {
-    const positionsResponse = await restClientV2.getFuturesPositions({ productType: 'SUSDT-FUTURES' });
-    const positions = positionsResponse.data || [];
+  // Orders placed through the webhook, followed on the orders channels
+  const orderManager = createOrderManager({ restClient: restClientV2 });
 
-    if (positions.length === 0) {
-      console.log("No positions to close.");
-      return;
-    }
+  // Shared trading core: orders and positions
+  const core = createTradingCore({ restClient: restClientV2, orderManager });
 
-    for (const position of positions) {
-      const holdSide = position.holdSide === 'long' ? 'long' : 'short'; // Complies with API spec
-      const params = {
-        symbol: position.symbol,
-        holdSide, // Specify direction unless in one-way mode
-        productType: 'SUSDT-FUTURES',
-      };
-      
-      await restClientV2.futuresFlashClosePositions(params)
-        .then((response) => {
-          const { successList, failureList } = response.data;
-          if (successList.length > 0) {
-            console.log(`Successfully closed position(s):`, successList);
-          }
-          if (failureList.length > 0) {
-            console.error(`Failed to close position(s):`, failureList);
-          }
-        })
-        .catch((error) => {
-          console.error(`Error closing position ${position.symbol}:`, error.message);
-        });
+  // Fetch positions and orders on startup
+  (async () => {
+    try {
+      await core.fetchOpenPositionsAndOrders('SBTCSUSDT');
+    } catch (error) {
+      console.error('Error during startup:', error.message);
+    }
+  })();
+
+  // WebSocket event handling
+  async function handleWsUpdate(event) {
+    if (isWsFuturesAccountSnapshotEvent(event)) {
+      logWSEvent('account balance', event);
+    } else if (isWsFuturesPositionsSnapshotEvent(event)) {
+      logWSEvent('positions', event);
+    } else if (orderManager.handleUpdate(event)) {
+      logWSEvent('order', event);
+    } else {
+      logWSEvent('unhandled', event); // Log unhandled events
     }
-  } catch (error) {
-    console.error("Error fetching positions:", error.message);
   }
-};
 
-// Function to cancel all open orders
-const cancelAllOrders = async (symbol) => {
-  try {
-    console.log(`Cancelling all orders for symbol: ${symbol}`);
-    
-    await restClientV2.futuresCancelAllOrders({ symbol, productType: 'SUSDT-FUTURES' })
-      .then((response) => {
-        console.log(`Cancelled all orders for symbol: ${symbol}`, response);
-      })
-      .catch((error) => {
-        console.error(`Error cancelling orders for symbol: ${symbol}`, error.message);
+  // WebSocket client setup
+  (async () => {
+    try {
+      // Log WebSocket events
+      wsClient.on('update', handleWsUpdate);
+      wsClient.on('open', data => logWSEvent('open', data));
+      wsClient.on('response', data => logWSEvent('response', data));
+      wsClient.on('reconnect', data => logWSEvent('reconnect', data));
+      wsClient.on('reconnected', (data) => {
+        logWSEvent('reconnected', data);
+        orderManager.reconcile().catch(error => console.error('Error reconciling orders:', error.message));
       });
-  } catch (error) {
-    console.error("Error cancelling all orders:", error.message);
-  }
-};
-
-// Function to place a trade with stop-loss and take-profit
-async function placeTrade(symbol, price, size, orderType, marginCoin, side, leverage, presetTakeProfitPrice, presetStopLossPrice) {
-  const productType = 'UMCBL'; // Use 'UMCBL' for USDT perpetual futures
-  const marginMode = 'isolated'; // Ensure marginMode is correctly defined
-  const tradeSide = 'open'; // 'open' for new positions, 'close' for closing positions
-  const force = 'gtc'; // Default force, can be 'ioc', 'fok', etc.
-
-  try {
-    // Set leverage
-    const holdSide = side === 'buy' ? 'long' : 'short';
-    await restClientV2.setFuturesLeverage({
-      symbol,
-      productType,
-      marginCoin,
-      leverage,
-      holdSide
-    });
-
-    // Place the order
-    const order = {
-      symbol,
-      productType,
-      marginMode,
-      marginCoin,
-      size,
-      price,
-      side,
-      tradeSide,
-      orderType,
-      force,
-      presetTakeProfitPrice, 
-      presetStopLossPrice   
-    };
+      wsClient.on('authenticated', data => logWSEvent('authenticated', data));
+      wsClient.on('error', data => logWSEvent('error', data));
+      wsClient.on('disconnect', data => logWSEvent('disconnect', data));
+
+      // Subscribe to WebSocket topics
+      const topics = ['account', 'positions', 'orders', 'orders-algo'];
+      topics.forEach(topic => {
+        wsClient.subscribeTopic('SUSDT-FUTURES', topic);
+        logWSEvent('subscribed', { topic });
+      });
+    } catch (error) {
+      console.error('Error setting up WebSocket client:', error.message);
+    }
+  })();
 
-    console.log('Placing order: ', order);
-    const result = await restClientV2.futuresSubmitOrder(order);
-    console.log('Order result: ', result);
-    return result;
-  } catch (e) {
-    console.error('Error placing order:', e.message);
-    throw e;
-  }
+  // Start the Express server
+  createWebhookApp({ core, orderManager }).listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
 }
 
-// WebSocket event handling
-async function handleWsUpdate(event) {
-  if (isWsFuturesAccountSnapshotEvent(event)) {
-    logWSEvent('account balance', event);
-  } else if (isWsFuturesPositionsSnapshotEvent(event)) {
-    logWSEvent('positions', event);
-  } else {
-    logWSEvent('unhandled', event); // Log unhandled events
-  }
+// Started directly, not when required by the tests
+if (require.main === module) {
+  main();
 }
 
-// WebSocket client setup
-(async () => {
-  try {
-    // Log WebSocket events
-    wsClient.on('update', handleWsUpdate);
-    wsClient.on('open', data => logWSEvent('open', data));
-    wsClient.on('response', data => logWSEvent('response', data));
-    wsClient.on('reconnect', data => logWSEvent('reconnect', data));
-    wsClient.on('authenticated', data => logWSEvent('authenticated', data));
-    wsClient.on('error', data => logWSEvent('error', data));
-    wsClient.on('disconnect', data => logWSEvent('disconnect', data));
-
-    // Subscribe to WebSocket topics
-    const topics = ['account', 'positions', 'orders', 'orders-algo'];
-    topics.forEach(topic => {
-      wsClient.subscribeTopic('SUSDT-FUTURES', topic);
-      logWSEvent('subscribed', { topic });
-    });
-  } catch (error) {
-    console.error('Error setting up WebSocket client:', error.message);
-  }
-})();
-
-// Webhook endpoint to handle incoming trading signals
-app.post('/webhook', async (req, res) => {
-  const {
-    symbol,
-    price,
-    size,
-    orderType,
-    marginCoin,
-    side,
-    leverage,
-    presetTakeProfitPrice,
-    presetStopLossPrice
-  } = req.body;
-
-  // Validate request data
-  if (!symbol || !price || !size || !orderType || !marginCoin || !side) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
-
-  try {
-    // Close all open positions and cancel all orders before placing a new trade
-    await closeOpenPositions();
-    await cancelAllOrders(symbol);
-
-    // Place the trade
-    const result = await placeTrade(symbol, price, size, orderType, marginCoin, side, leverage, presetTakeProfitPrice, presetStopLossPrice);
-    
-    return res.status(200).json({ success: true, result });
-  } catch (error) {
-    console.error('Error processing webhook:', error.message);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Start the Express server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+module.exports = {
+  createWebhookApp,
+};
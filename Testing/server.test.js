@@ -0,0 +1,121 @@
+/**
+ * Integration tests for the webhook server's /webhook and /orders routes,
+ * with the trading core on the mock Bitget server.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWebhookApp } = require('./server');
+const { SYMBOL, startMock, serve, tickPrice } = require('./fixtures');
+
+/**
+ * Start a mock server running a scenario and the webhook app on top of it.
+ * Both are stopped when the test ends.
+ * @param {object} t - The test context.
+ * @param {string} [scenario='normal'] - One of SCENARIOS.
+ * @returns {Promise<object>} startMock's fixtures, with post and get to send requests to the app.
+ */
+async function startServer(t, scenario = 'normal') {
+    const fixtures = await startMock(t, scenario);
+    const { core, orderManager, logger } = fixtures;
+    return { ...fixtures, ...await serve(t, createWebhookApp({ core, orderManager, logger })) };
+}
+
+function signal(mock, fields = {}) {
+    const price = tickPrice(mock);
+    return {
+        symbol: SYMBOL,
+        price,
+        size: '0.01',
+        orderType: 'market',
+        marginCoin: 'SUSDT',
+        side: 'buy',
+        presetStopLossPrice: Number((price - 150).toFixed(1)),
+        ...fields,
+    };
+}
+
+test('/webhook places the trade and /orders follows it', async (t) => {
+    const { mock, core, orderManager, post, get } = await startServer(t);
+
+    const { status, body } = await post('/webhook', signal(mock));
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.result.code, '00000');
+
+    await orderManager.reconcile(SYMBOL);
+    const order = await get(`/orders/${body.result.data.clientOid}`);
+    assert.strictEqual(order.status, 200);
+    assert.strictEqual(order.body.state, 'filled');
+    assert.strictEqual(order.body.filledSize, 0.01);
+
+    const [position] = await core.getPositions(SYMBOL);
+    assert.strictEqual(position.holdSide, 'long');
+    assert.strictEqual(position.total, '0.01');
+});
+
+test('/webhook replaces the open position with the new trade', async (t) => {
+    const { mock, core, post } = await startServer(t);
+
+    const price = tickPrice(mock);
+    await post('/webhook', signal(mock, { side: 'sell', presetStopLossPrice: Number((price + 150).toFixed(1)) }));
+    const { status } = await post('/webhook', signal(mock));
+
+    assert.strictEqual(status, 200);
+    const positions = await core.getPositions(SYMBOL);
+    assert.deepStrictEqual(positions.map(position => position.holdSide), ['long']);
+});
+
+test('/webhook answers 400 when a required field is missing', async (t) => {
+    const { mock, post } = await startServer(t);
+
+    const { status, body } = await post('/webhook', signal(mock, { marginCoin: undefined }));
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Missing required fields');
+    assert.ok(!mock.getRequests().some(request => request.method === 'POST'));
+});
+
+test('/webhook answers 400 for an invalid trade and leaves the open position', async (t) => {
+    const { mock, core, post } = await startServer(t);
+    const price = tickPrice(mock);
+    await post('/webhook', signal(mock, { side: 'sell', presetStopLossPrice: Number((price + 150).toFixed(1)) }));
+
+    const { status, body } = await post('/webhook', signal(mock, { presetStopLossPrice: price + 100 }));
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /^Invalid stop loss/);
+    const positions = await core.getPositions(SYMBOL);
+    assert.deepStrictEqual(positions.map(position => position.holdSide), ['short']);
+});
+
+test('/webhook answers 400 for a size the contract refuses', async (t) => {
+    const { mock, post } = await startServer(t);
+
+    const { status, body } = await post('/webhook', signal(mock, { size: '0.0001' }));
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /^Order not placed, size 0 /);
+    assert.ok(!mock.getRequests().some(request => request.path === '/api/v2/mix/order/place-order'));
+});
+
+test('/webhook answers 500 when the exchange rejects the order', async (t) => {
+    const { mock, orderManager, post } = await startServer(t, 'order-reject');
+
+    const { status, body } = await post('/webhook', signal(mock));
+
+    assert.strictEqual(status, 500);
+    assert.strictEqual(body.error, 'Internal server error');
+    assert.strictEqual(orderManager.list({ symbol: SYMBOL, state: 'rejected' }).length, 1);
+});
+
+test('/orders answers 404 for an order it does not know', async (t) => {
+    const { get } = await startServer(t);
+
+    const { status, body } = await get('/orders/unknown');
+
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.error, 'Order not found');
+});
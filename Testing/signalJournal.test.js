@@ -0,0 +1,144 @@
+/**
+ * Tests for core/signalJournal.js: queries, reading back a damaged file and
+ * retention.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSignalJournal } = require('../core/signalJournal');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const quiet = { log() {}, error() {} };
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'nested', 'journal.jsonl');
+}
+
+const readLines = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+// Ten evaluations a minute apart over two symbols, a trade every third bar
+function fillJournal(journal) {
+    for (let i = 0; i < 10; i++) {
+        journal.record({
+            barTime: i * MINUTE,
+            symbol: i % 2 === 0 ? 'SBTCSUSDT' : 'SETHSUSDT',
+            strategy: 'ema-vwap-rsi',
+            timeframe: '5m',
+            decision: i % 3 === 0 ? 'trade' : 'none',
+            ...(i % 3 === 0 && { side: 'buy' }),
+        });
+    }
+}
+
+//////////// - Queries - ///////////////////////////
+
+test('query filters on every field given and the bar time range', () => {
+    const journal = createSignalJournal();
+    fillJournal(journal);
+
+    const barTimes = filter => journal.query(filter).map(entry => entry.barTime / MINUTE);
+    assert.deepStrictEqual(barTimes({ symbol: 'SBTCSUSDT' }), [0, 2, 4, 6, 8]);
+    assert.deepStrictEqual(barTimes({ decision: 'trade' }), [0, 3, 6, 9]);
+    assert.deepStrictEqual(barTimes({ decision: ['trade', 'none'], symbol: 'SETHSUSDT', from: 3 * MINUTE, to: 7 * MINUTE }), [3, 5, 7]);
+    assert.deepStrictEqual(barTimes({ side: 'sell' }), []);
+});
+
+test('query with a limit keeps the latest matches, oldest first', () => {
+    const journal = createSignalJournal();
+    fillJournal(journal);
+
+    assert.deepStrictEqual(journal.query({ decision: 'trade', limit: 2 }).map(entry => entry.barTime / MINUTE), [6, 9]);
+    assert.strictEqual(journal.query({ limit: 100 }).length, 10);
+});
+
+test('query refuses a limit that is not a positive integer', () => {
+    const journal = createSignalJournal();
+    fillJournal(journal);
+
+    for (const limit of [0, -1, 2.5, NaN]) {
+        assert.throws(() => journal.query({ limit }), /^Error: Invalid journal query limit/);
+    }
+});
+
+//////////// - File - ///////////////////////////
+
+test('a journal reopened on its file skips unreadable lines and repairs the file on the next record', (t) => {
+    const file = tempFile(t);
+    fillJournal(createSignalJournal({ file }));
+    // A line of garbage, and a last line cut short by a crash
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    lines.splice(3, 0, 'not json');
+    fs.writeFileSync(file, `${lines.join('\n').trimEnd()}\n{"time":1,"symbol":"SBT`);
+
+    const errors = [];
+    const journal = createSignalJournal({ file, logger: { ...quiet, error: message => errors.push(message) } });
+
+    assert.strictEqual(journal.query().length, 10);
+    assert.deepStrictEqual(errors, [`Skipped 2 unreadable lines in signal journal ${file}`]);
+
+    journal.record({ barTime: 10 * MINUTE, symbol: 'SBTCSUSDT', decision: 'none' });
+    assert.strictEqual(readLines(file).length, 11);
+});
+
+test('a journal started afresh empties its file', (t) => {
+    const file = tempFile(t);
+    fillJournal(createSignalJournal({ file }));
+
+    const journal = createSignalJournal({ file, append: false });
+
+    assert.deepStrictEqual(journal.query(), []);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '');
+});
+
+//////////// - Retention - ///////////////////////////
+
+test('entries past their retention are not read back from the file', (t) => {
+    const file = tempFile(t);
+    const clock = { now: Date.now() };
+    const journal = createSignalJournal({ file, retentionDays: 30, clock: () => clock.now });
+    journal.record({ barTime: 0, decision: 'none' });
+    clock.now += 20 * DAY;
+    journal.record({ barTime: MINUTE, decision: 'trade' });
+
+    clock.now += 15 * DAY;
+    const reopened = createSignalJournal({ file, retentionDays: 30, clock: () => clock.now });
+
+    assert.deepStrictEqual(reopened.query().map(entry => entry.decision), ['trade']);
+});
+
+test('entries expired for a day are dropped from memory and the file as new ones are recorded', (t) => {
+    const file = tempFile(t);
+    const clock = { now: Date.now() };
+    const journal = createSignalJournal({ file, retentionDays: 30, clock: () => clock.now });
+    journal.record({ barTime: 0, decision: 'none' });
+
+    // Expired, but not for a day yet: still kept, so the file is not rewritten on every record
+    clock.now += 30 * DAY + MINUTE;
+    journal.record({ barTime: MINUTE, decision: 'none' });
+    assert.strictEqual(journal.query().length, 2);
+
+    clock.now += DAY;
+    journal.record({ barTime: 2 * MINUTE, decision: 'trade' });
+    assert.deepStrictEqual(journal.query().map(entry => entry.barTime), [MINUTE, 2 * MINUTE]);
+    assert.deepStrictEqual(readLines(file).map(entry => entry.barTime), [MINUTE, 2 * MINUTE]);
+});
+
+test('a journal with retentionDays null keeps every entry', (t) => {
+    const file = tempFile(t);
+    const clock = { now: Date.now() };
+    const journal = createSignalJournal({ file, retentionDays: null, clock: () => clock.now });
+    journal.record({ barTime: 0, decision: 'none' });
+
+    clock.now += 365 * DAY;
+    journal.record({ barTime: MINUTE, decision: 'none' });
+
+    assert.strictEqual(createSignalJournal({ file, retentionDays: null, clock: () => clock.now }).query().length, 2);
+});
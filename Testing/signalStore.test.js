@@ -0,0 +1,70 @@
+/**
+ * Tests for core/signalStore.js: keys, retention and the file it keeps.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSignalStore, signalKey } = require('../core/signalStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signals-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'nested', 'signals.json');
+}
+
+//////////// - Keys - ///////////////////////////
+
+test('signalKey joins strategy, symbol, timeframe and bar time', () => {
+    assert.strictEqual(signalKey('ema-vwap-rsi', 'SBTCSUSDT', '5m', 1700000000000), 'ema-vwap-rsi:SBTCSUSDT:5m:1700000000000');
+});
+
+//////////// - Persistence - ///////////////////////////
+
+test('a store reopened on the same file knows the signals recorded before', (t) => {
+    const file = tempFile(t);
+    const key = signalKey('ema-vwap-rsi', 'SBTCSUSDT', '5m', 0);
+
+    createSignalStore({ file }).record(key, { side: 'buy' });
+    const reopened = createSignalStore({ file });
+
+    assert.ok(reopened.has(key));
+    assert.strictEqual(reopened.get(key).side, 'buy');
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('\n'), 'the file is written on one line');
+});
+
+//////////// - Retention - ///////////////////////////
+
+test('entries past their retention are dropped when the store is opened', (t) => {
+    const file = tempFile(t);
+    const clock = { now: Date.now() };
+    const store = createSignalStore({ file, retentionDays: 7, clock: () => clock.now });
+    store.record('old', { side: 'buy' });
+    clock.now += 6 * DAY;
+    store.record('recent', { side: 'sell' });
+
+    clock.now += 2 * DAY;
+    const reopened = createSignalStore({ file, retentionDays: 7, clock: () => clock.now });
+
+    assert.ok(!reopened.has('old'));
+    assert.ok(reopened.has('recent'));
+});
+
+test('entries past their retention are dropped when a signal is recorded', (t) => {
+    const file = tempFile(t);
+    const clock = { now: Date.now() };
+    const store = createSignalStore({ file, retentionDays: 7, clock: () => clock.now });
+    store.record('old', { side: 'buy' });
+
+    clock.now += 8 * DAY;
+    store.record('new', { side: 'sell' });
+
+    assert.ok(!store.has('old'));
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['new']);
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for core/strategies.js: the strategy contract, and the runner over a
+ * stub core whose candles are set by hand.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerStrategy, createStrategy, createStrategyRunner, checkSignal } = require('../core/strategies');
+const { createSignalStore } = require('../core/signalStore');
+
+const MINUTE = 60 * 1000;
+const SYMBOL = 'SBTCSUSDT';
+const quiet = { log() {}, error() {} };
+
+// Buys on every evaluation, acting on whichever of 5m and 15m could be fetched
+registerStrategy('test-always-buy', () => ({
+    inputs: { timeframes: ['5m', '15m'], lookback: 2, requireAll: false },
+    evaluate: ({ candles }) => {
+        const series = candles['5m'] || candles['15m'];
+        return { side: 'buy', price: series[series.length - 1][4], confidence: 1 };
+    },
+}));
+
+const candle = (time, close = 100) => [time, close, close, close, close, 1];
+
+/**
+ * A runner over a stub core serving the candles in feeds, by timeframe; a
+ * timeframe set to null fails to fetch.
+ * @param {object} feeds
+ * @param {object} [options]
+ * @param {object} [options.signalStore] - From createSignalStore, in memory by default.
+ * @param {Error} [options.failWith] - Thrown by placeTrade instead of placing the trade.
+ * @returns {{ runner: object, feeds: object, trades: Array<object>, state: object }}
+ */
+function startRunner(feeds, { signalStore = createSignalStore(), failWith = null } = {}) {
+    const trades = [];
+    const core = {
+        fetchCandleData: async (symbol, timeframe) => feeds[timeframe],
+        placeTrade: async (trade) => {
+            if (failWith) throw failWith;
+            trades.push(trade);
+            return { data: { orderId: String(trades.length) } };
+        },
+    };
+    const config = { strategy: 'test-always-buy', loop: { evaluation: 'intrabar', historicCandles: false } };
+    const runner = createStrategyRunner({ core, config, signalStore, logger: quiet });
+    const state = { symbol: SYMBOL, size: '0.01' };
+    return { runner, feeds, trades, state };
+}
+
+//////////// - Contract - ///////////////////////////
+
+test('checkSignal defaults the confidence to 1 and passes no signal through as null', () => {
+    assert.deepStrictEqual(checkSignal('test', { side: 'sell', price: 100 }), { side: 'sell', price: 100, confidence: 1 });
+    assert.deepStrictEqual(checkSignal('test', { side: 'buy', price: '100', confidence: 0 }), { side: 'buy', price: '100', confidence: 0 });
+    assert.strictEqual(checkSignal('test', null), null);
+    assert.strictEqual(checkSignal('test', undefined), null);
+});
+
+test('checkSignal rejects a confidence outside 0 to 1, a bad side or price', () => {
+    for (const signal of [
+        { side: 'buy', price: 100, confidence: 1.5 },
+        { side: 'buy', price: 100, confidence: -0.1 },
+        { side: 'buy', price: 100, confidence: '0.5' },
+        { side: 'buy', price: 100, confidence: NaN },
+        { side: 'long', price: 100 },
+        { side: 'buy', price: 0 },
+    ]) {
+        assert.throws(() => checkSignal('test', signal), /^Error: Strategy test returned an invalid signal/, JSON.stringify(signal));
+    }
+});
+
+test('createStrategy refuses an unknown name and a strategy that breaks the contract', () => {
+    assert.throws(() => createStrategy('test-missing', {}), /^Error: Unknown strategy "test-missing", available: .*test-always-buy/);
+
+    registerStrategy('test-no-lookback', () => ({ inputs: { timeframes: ['5m'] }, evaluate: () => null }));
+    assert.throws(() => createStrategy('test-no-lookback', {}), /must declare inputs.timeframes and a positive inputs.lookback/);
+    assert.throws(() => registerStrategy('test-always-buy', () => ({})), /^Error: Strategy test-always-buy is already registered/);
+});
+
+test('run throws on a strategy signal with a confidence outside 0 to 1', async () => {
+    registerStrategy('test-overconfident', () => ({
+        inputs: { timeframes: ['5m'], lookback: 1 },
+        evaluate: () => ({ side: 'buy', price: 100, confidence: 2 }),
+    }));
+    const { runner, trades, state } = startRunner({ '5m': [candle(0)] });
+
+    await assert.rejects(runner.run({ ...state, strategy: 'test-overconfident' }), /^Error: Strategy test-overconfident returned an invalid signal/);
+    assert.strictEqual(trades.length, 0);
+});
+
+//////////// - Signal keys - ///////////////////////////
+
+test('run keys a signal on the first timeframe\'s last bar when that timeframe fails to fetch', async () => {
+    const { runner, feeds, trades, state } = startRunner({
+        '5m': [candle(0), candle(5 * MINUTE)],
+        '15m': [candle(0)],
+    });
+
+    assert.ok(await runner.run(state));
+
+    // 5m fails and a new 15m bar opens: still the 5m bar already traded
+    feeds['5m'] = null;
+    feeds['15m'] = [candle(0), candle(15 * MINUTE)];
+    assert.strictEqual(await runner.run(state), null);
+    assert.strictEqual(trades.length, 1);
+
+    // The next 5m bar is a new signal
+    feeds['5m'] = [candle(5 * MINUTE), candle(10 * MINUTE)];
+    assert.ok(await runner.run(state));
+    assert.strictEqual(trades.length, 2);
+});
+
+test('run skips a symbol until its first timeframe has been fetched once', async () => {
+    const { runner, feeds, trades, state } = startRunner({ '5m': null, '15m': [candle(0)] });
+
+    assert.strictEqual(await runner.run(state), null);
+    assert.strictEqual(trades.length, 0);
+
+    feeds['5m'] = [candle(0)];
+    assert.ok(await runner.run(state));
+    assert.strictEqual(trades.length, 1);
+});
+
+test('run never trades a bar twice after a crash while the order was going out', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runner-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'signals.json');
+    const feeds = { '5m': [candle(0)], '15m': [candle(0)] };
+
+    const crashed = startRunner(feeds, { signalStore: createSignalStore({ file }), failWith: new Error('process killed') });
+    await assert.rejects(crashed.runner.run(crashed.state), /process killed/);
+
+    // After a restart on the same store, the same bar is a duplicate
+    const restarted = startRunner(feeds, { signalStore: createSignalStore({ file }) });
+    assert.strictEqual(await restarted.runner.run(restarted.state), null);
+    assert.strictEqual(restarted.trades.length, 0);
+});
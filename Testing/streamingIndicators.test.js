@@ -0,0 +1,114 @@
+/**
+ * Tests for core/streamingIndicators.js: the streams against the batch
+ * functions they stand in for, over random candles sent bar by bar with
+ * their forming updates.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateATR, calculateEMA, calculateRSI, calculateVWAP } = require('../core/indicators');
+const { calculateMarketCipherB } = require('../core/marketCipher');
+const { closeOf, ema, rsi, atr, vwap, marketCipher, createStream } = require('../core/streamingIndicators');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * A random walk of candles, each with the forming versions it went through
+ * before closing, the same ones for the same seed.
+ * @returns {Array<Array<Array<number>>>} Per bar, its updates oldest first; the last is the closed candle.
+ */
+function randomBars(count, { updates = 3, seed = 7 } = {}) {
+    let state = seed;
+    const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+
+    let close = 100;
+    return Array.from({ length: count }, (_, i) => {
+        const open = close;
+        let high = open;
+        let low = open;
+        let volume = 0;
+        return Array.from({ length: updates + 1 }, () => {
+            close = Math.max(1, close + (random() - 0.5) * 2);
+            high = Math.max(high, close + random());
+            low = Math.min(low, close - random());
+            volume += random() * 10;
+            return [i * 5 * MINUTE, open, high, low, close, volume];
+        });
+    });
+}
+
+// Equal, or both numbers within a rounding error of each other
+function assertSame(actual, expected, label) {
+    if (typeof actual === 'number' && typeof expected === 'number') {
+        assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${label}: ${actual} != ${expected}`);
+    } else {
+        assert.strictEqual(actual, expected, label);
+    }
+}
+
+/**
+ * Send every update of the bars to a stream and check each value against
+ * the batch function over the closed candles so far and the forming one.
+ * @param {object} indicator - A streaming candle node.
+ * @param {function(Array<Array<number>>): object} batch - The batch function, returning { field: series } or a series.
+ */
+function assertMatchesBatch(indicator, batch, bars) {
+    const stream = createStream(indicator);
+    const closed = [];
+    bars.forEach((updates, i) => {
+        for (const candle of updates) {
+            const value = stream.update(candle);
+            const series = batch([...closed, candle]);
+            if (Array.isArray(series)) {
+                assertSame(value, series[i], `bar ${i}`);
+            } else {
+                Object.entries(series).forEach(([field, values]) => assertSame(value[field], values[i], `${field} at bar ${i}`));
+            }
+        }
+        closed.push(updates[updates.length - 1]);
+    });
+}
+
+//////////// - Streams against the batch functions - ///////////////////////////
+
+const BARS = randomBars(300);
+
+test('ema matches calculateEMA through forming updates', () => {
+    assertMatchesBatch(closeOf(ema(21)), candles => calculateEMA(candles, 21), BARS);
+});
+
+test('rsi matches calculateRSI through forming updates', () => {
+    assertMatchesBatch(closeOf(rsi(14)), candles => calculateRSI(candles, 14), BARS);
+});
+
+test('atr matches calculateATR through forming updates', () => {
+    assertMatchesBatch(atr(14), candles => calculateATR(candles, 14), BARS);
+});
+
+test('vwap matches calculateVWAP through forming updates', () => {
+    assertMatchesBatch(vwap(), calculateVWAP, BARS);
+});
+
+test('marketCipher matches calculateMarketCipherB through forming updates', () => {
+    assertMatchesBatch(marketCipher(), candles => calculateMarketCipherB(candles), BARS);
+});
+
+//////////// - createStream - ///////////////////////////
+
+test('createStream ignores a candle older than the forming one', () => {
+    const candles = BARS.slice(0, 30).map(updates => updates[updates.length - 1]);
+    const stream = createStream(closeOf(ema(5)));
+    candles.slice(0, 20).forEach(candle => stream.update(candle));
+    const value = stream.value();
+
+    const [time, open, high, low] = candles[10];
+    assert.strictEqual(stream.update([time, open, high, low, 1000, 1]), value);
+    assert.strictEqual(stream.value(), value);
+    assert.strictEqual(stream.time(), candles[19][0]);
+
+    // Nothing of the old candle reached the state
+    candles.slice(20).forEach(candle => stream.update(candle));
+    assertSame(stream.value(), calculateEMA(candles, 5)[29], 'after the old candle');
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for core/symbolState.js: running a handler over every symbol.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSymbolStates, forEachSymbol } = require('../core/symbolState');
+
+const SYMBOLS = [
+    { symbol: 'SBTCSUSDT', size: '0.01', leverage: '10', strategy: 'ema-vwap-rsi' },
+    { symbol: 'SETHSUSDT', size: '0.1', leverage: '10', strategy: 'ema-vwap-rsi' },
+];
+
+// A logger keeping what was logged, and a clock at a fixed time
+function startStates() {
+    const logs = [];
+    const logger = {
+        log: (...args) => logs.push(args.join(' ')),
+        error: (...args) => logs.push(args.join(' ')),
+    };
+    return { states: createSymbolStates(SYMBOLS), logs, options: { logger, clock: () => 1700000000000 } };
+}
+
+//////////// - forEachSymbol - ///////////////////////////
+
+test('forEachSymbol records a failing symbol\'s error and still runs the others', async () => {
+    const { states, logs, options } = startStates();
+    const ran = [];
+
+    await forEachSymbol(states, async (state) => {
+        if (state.symbol === 'SBTCSUSDT') throw new Error('exchange down');
+        ran.push(state.symbol);
+    }, options);
+
+    assert.deepStrictEqual(ran, ['SETHSUSDT']);
+    assert.strictEqual(states.get('SBTCSUSDT').lastError, 'exchange down');
+    assert.strictEqual(states.get('SETHSUSDT').lastError, null);
+    assert.deepStrictEqual([...states.values()].map(state => [state.lastRunAt, state.busy]), [[1700000000000, false], [1700000000000, false]]);
+    assert.deepStrictEqual(logs, ['SBTCSUSDT: Error in trading loop: exchange down']);
+});
+
+test('forEachSymbol skips a symbol whose previous run is still going', async () => {
+    const { states, logs, options } = startStates();
+    let release;
+    const first = forEachSymbol(states, state => (state.symbol === 'SBTCSUSDT' ? new Promise(resolve => { release = resolve; }) : null), options);
+    // SETHSUSDT's run finishes, SBTCSUSDT's waits on release
+    await new Promise(resolve => setImmediate(resolve));
+
+    const ran = [];
+    await forEachSymbol(states, async (state) => { ran.push(state.symbol); }, options);
+    release();
+    await first;
+
+    assert.deepStrictEqual(ran, ['SETHSUSDT']);
+    assert.deepStrictEqual(logs, ['SBTCSUSDT: previous run still in progress, Skipping!']);
+});
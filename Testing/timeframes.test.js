@@ -0,0 +1,48 @@
+/**
+ * Tests for core/timeframes.js: bar boundaries and the anchor periods
+ * anchored indicators restart on, all in UTC.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { barStart, barEnd, anchorStart, anchorBars, isSessionStart } = require('../core/timeframes');
+
+const at = Date.parse;
+
+//////////// - Bars - ///////////////////////////
+
+test('barStart opens bars on UTC boundaries, Mondays for 1W and the first for 1M', () => {
+    assert.strictEqual(barStart(at('2024-01-02T07:59:59Z'), '4H'), at('2024-01-02T04:00Z'));
+    assert.strictEqual(barStart(at('2024-01-07T23:59Z'), '1W'), at('2024-01-01T00:00Z'));
+    assert.strictEqual(barStart(at('2024-02-29T12:00Z'), '1M'), at('2024-02-01T00:00Z'));
+    assert.strictEqual(barEnd(at('2024-02-01T00:00Z'), '1M'), at('2024-03-01T00:00Z'));
+    assert.throws(() => barStart(0, '7m'), /^Error: Unknown timeframe 7m$/);
+});
+
+//////////// - Anchors - ///////////////////////////
+
+test('anchorStart gives the UTC day, the week from Monday or the session containing a time', () => {
+    const time = at('2024-01-07T10:00Z');
+
+    assert.strictEqual(anchorStart(time, 'day'), at('2024-01-07T00:00Z'));
+    assert.strictEqual(anchorStart(time, 'week'), at('2024-01-01T00:00Z'));
+    assert.strictEqual(anchorStart(at('2024-01-08T00:00Z'), 'week'), at('2024-01-08T00:00Z'));
+    // Before 13:30 the session is still the one that opened the day before
+    assert.strictEqual(anchorStart(time, 'session', '13:30'), at('2024-01-06T13:30Z'));
+    assert.strictEqual(anchorStart(at('2024-01-07T13:30Z'), 'session', '13:30'), at('2024-01-07T13:30Z'));
+});
+
+test('anchorStart refuses unknown anchors and session starts that are not HH:MM', () => {
+    assert.throws(() => anchorStart(0, 'month'), /^Error: Unknown anchor month$/);
+    assert.throws(() => anchorStart(0, 'session', '9:30'), /^Error: Session start must be a UTC time such as 13:30, got 9:30$/);
+    assert.deepStrictEqual(['09:30', '23:59', '24:00', '12:60', 930].map(isSessionStart), [true, true, false, false, false]);
+});
+
+test('anchorBars is a full anchor period of bars plus the forming one', () => {
+    assert.strictEqual(anchorBars('day', '5m'), 289);
+    assert.strictEqual(anchorBars('week', '1H'), 169);
+    assert.strictEqual(anchorBars('session', '1D'), 2);
+    assert.strictEqual(anchorBars('week', '1M'), 2);
+});
@@ -0,0 +1,179 @@
+/**
+ * Integration tests for the trading core against the mock Bitget server:
+ * placeTrade and the break-even stop through the mock's scenarios.
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { INVALID_TRADE } = require('../core/tradingCore');
+const { SYMBOL, PRODUCT, startMock, tickPrice } = require('./fixtures');
+
+const MINUTE = 60 * 1000;
+
+async function planOrders(restClient) {
+    const response = await restClient.getFuturesPlanOrders({ ...PRODUCT, planType: 'profit_loss' });
+    return response.data.entrustedList || [];
+}
+
+// Poll until check returns something truthy, for work done on an interval
+async function waitFor(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result || Date.now() > deadline) return result;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+// A market buy of 0.01 with its stop 150 below the entry
+async function openLong(core, price) {
+    return core.placeTrade({ symbol: SYMBOL, price, side: 'buy', size: '0.01', orderType: 'market', stopLossPrice: Number((price - 150).toFixed(1)) });
+}
+
+//////////// - placeTrade - ///////////////////////////
+
+test('placeTrade opens a position with its preset stop loss', async (t) => {
+    const { mock, restClient, core, orderManager } = await startMock(t);
+    const price = tickPrice(mock);
+
+    const result = await openLong(core, price);
+    assert.strictEqual(result.code, '00000');
+
+    await orderManager.reconcile(SYMBOL);
+    const order = orderManager.get(result.data.clientOid);
+    assert.strictEqual(order.state, 'filled');
+    assert.strictEqual(order.filledSize, 0.01);
+
+    const [position] = await core.getPositions(SYMBOL);
+    assert.strictEqual(position.holdSide, 'long');
+    assert.strictEqual(position.total, '0.01');
+
+    const stopLoss = (await planOrders(restClient)).find(plan => plan.planType === 'loss_plan');
+    assert.strictEqual(Number(stopLoss.triggerPrice), Number((price - 150).toFixed(1)));
+});
+
+test('placeTrade rethrows an order the exchange rejects and marks it rejected', async (t) => {
+    const { mock, core, orderManager } = await startMock(t, 'order-reject');
+
+    await assert.rejects(openLong(core, tickPrice(mock)), error => error.body.code === '40762');
+
+    const [order] = orderManager.list({ symbol: SYMBOL });
+    assert.strictEqual(order.state, 'rejected');
+    assert.strictEqual(order.error, 'The order amount exceeds the balance');
+
+    assert.deepStrictEqual(await core.getPositions(SYMBOL), []);
+});
+
+test('placeTrade leaves a partially filled order open with the filled part as the position', async (t) => {
+    const { mock, core, orderManager } = await startMock(t, 'partial-fill');
+
+    const result = await openLong(core, tickPrice(mock));
+
+    await orderManager.reconcile(SYMBOL);
+    const order = orderManager.get(result.data.clientOid);
+    assert.strictEqual(order.state, 'partially_filled');
+    assert.strictEqual(order.filledSize, 0.005);
+
+    const [position] = await core.getPositions(SYMBOL);
+    assert.strictEqual(position.total, '0.005');
+    assert.strictEqual((await core.getPendingOrders(SYMBOL)).length, 1);
+});
+
+test('placeTrade sets the stop loss and take profit at distances from the entry', async (t) => {
+    const { mock, restClient, core } = await startMock(t);
+    const price = Math.round(mock.lastPrice(SYMBOL));
+
+    await core.placeTrade({ symbol: SYMBOL, price, side: 'sell', size: '0.01', orderType: 'market', stopLossDistance: 150, takeProfitDistance: 300 });
+
+    const plans = await planOrders(restClient);
+    assert.strictEqual(Number(plans.find(plan => plan.planType === 'loss_plan').triggerPrice), price + 150);
+    assert.strictEqual(Number(plans.find(plan => plan.planType === 'profit_plan').triggerPrice), price - 300);
+});
+
+test('placeTrade refuses a stop on the wrong side before closing anything', async (t) => {
+    const { mock, core } = await startMock(t);
+    const price = tickPrice(mock);
+    await core.placeTrade({ symbol: SYMBOL, price, side: 'sell', size: '0.01', orderType: 'market' });
+
+    await assert.rejects(
+        core.placeTrade({ symbol: SYMBOL, price, side: 'buy', size: '0.01', orderType: 'market', stopLossPrice: price + 100 }),
+        error => error.code === INVALID_TRADE && error.message.startsWith('Invalid stop loss'),
+    );
+
+    const positions = await core.getPositions(SYMBOL);
+    assert.deepStrictEqual(positions.map(position => position.holdSide), ['short']);
+});
+
+test('placeTrade sends nothing for a size below the contract minimum', async (t) => {
+    const { mock, core } = await startMock(t);
+
+    const result = await core.placeTrade({ symbol: SYMBOL, price: tickPrice(mock), side: 'buy', size: '0.0001', orderType: 'market' });
+
+    assert.strictEqual(result, undefined);
+    assert.ok(!mock.getRequests().some(request => request.path === '/api/v2/mix/order/place-order'));
+});
+
+test('placeTrade rounds the entry, stop and size to the contract increments', async (t) => {
+    const { mock, core } = await startMock(t);
+    const price = tickPrice(mock);
+
+    await core.placeTrade({ symbol: SYMBOL, price: price + 0.04, side: 'buy', size: '0.0123', stopLossPrice: price - 150.06 });
+
+    const [order] = await core.getPendingOrders(SYMBOL);
+    assert.strictEqual(Number(order.price), price);
+    assert.strictEqual(order.size, '0.012');
+    assert.strictEqual(Number(order.presetStopLossPrice), Number((price - 150.1).toFixed(1)));
+});
+
+//////////// - Break Even - ///////////////////////////
+
+test('adjustStopLossToBreakEven moves the stop once the position has stayed in profit', async (t) => {
+    const { mock, restClient, core, clock } = await startMock(t);
+    const price = tickPrice(mock);
+    await openLong(core, price);
+    mock.pushPrice(SYMBOL, price * 1.01);
+
+    const breakEvenStop = async () => (await planOrders(restClient)).find(plan => plan.planType === 'pos_loss');
+    const interval = core.adjustStopLossToBreakEven(SYMBOL, 0.0005, 15);
+    t.after(() => clearInterval(interval));
+
+    // In profit, but not for 15 minutes yet
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.strictEqual(await breakEvenStop(), undefined);
+
+    clock.now += 15 * MINUTE;
+    const stop = await waitFor(breakEvenStop);
+    assert.ok(stop, 'no break-even stop was placed');
+
+    const [position] = await core.getPositions(SYMBOL);
+    assert.strictEqual(Number(stop.triggerPrice), Math.round(Number(position.breakEvenPrice) * 10) / 10);
+    assert.strictEqual(Number(stop.size), 0.01);
+});
+
+test('checkBreakEven leaves the stop of a position not in profit', async (t) => {
+    const { mock, restClient, core, logs } = await startMock(t);
+    const price = tickPrice(mock);
+    await openLong(core, price);
+    mock.pushPrice(SYMBOL, price - 50);
+
+    await core.checkBreakEven(SYMBOL, 0);
+
+    assert.ok(!(await planOrders(restClient)).some(plan => plan.planType === 'pos_loss'));
+    assert.ok(logs.some(line => line.startsWith('Position not in profit')));
+});
+
+test('checkBreakEven logs a stop the exchange rejects and keeps the initial stop', async (t) => {
+    const { mock, restClient, core, logs } = await startMock(t, 'tpsl-reject');
+    const price = tickPrice(mock);
+    await openLong(core, price);
+    mock.pushPrice(SYMBOL, price * 1.01);
+
+    await core.checkBreakEven(SYMBOL, 0);
+
+    const plans = await planOrders(restClient);
+    assert.ok(!plans.some(plan => plan.planType === 'pos_loss'));
+    assert.ok(plans.some(plan => plan.planType === 'loss_plan'));
+    assert.ok(logs.some(line => line.startsWith('Error setting Stop Loss')));
+});
@@ -0,0 +1,396 @@
+/**
+ * Backtesting engine for the bot signal functions.
+ *
+ * Historical candles are replayed bar by bar through the paper exchange, and
+ * the trading core is driven against it exactly as the live loop drives
+ * Bitget: the same signal function, the same placeTrade (opposite-signal
+ * flattening and preset SL/TP), the same break-even move and the same TP
+ * ladder. Fees come from the paper exchange and slippage is applied to every
+ * taker fill.
+ *
+ * Usage:
+ *   const { runBacktest } = require('./core/backtester');
+ *   const { calculateTradingSignals } = require('./core/signals');
+ *   const result = await runBacktest({ candles, signalFn: calculateTradingSignals });
+ *   console.log(result.stats);
+ *
+ * A registered strategy (see strategies.js) can be passed as `strategy`
+ * instead of a signal function, and its stop loss and take profit prices are
+ * used when it sets them. Its other timeframes are resampled from the
+ * backtest candles (resample.js), and each bar only sees the higher
+ * timeframe candles that had closed by then, as the live runner does when
+ * evaluating on close. A timeframe that cannot be built from them is passed
+ * as missing, which fails the backtest unless the strategy allows it.
+ *
+ * With a `journal` (see signalJournal.js) every bar is recorded as the live
+ * runner records it, so the two can be compared bar by bar. With `regime`
+ * settings the strategy's signals are dropped outside the regimes it trades
+ * in, as the live runner does (see regime.js).
+ */
+
+const { createPaperExchange } = require('./paperExchange');
+const { createTradingCore } = require('./tradingCore');
+const { toSignal, checkSignal, tradeFromSignal, lookbackFor } = require('./strategies');
+const { regimeBars, classifyRegime, allowedRegimes } = require('./regime');
+const { canResample, resampleRatio, resample } = require('./resample');
+const { barEnd } = require('./timeframes');
+
+const MINUTE = 60 * 1000;
+
+const EXIT_REASONS = {
+    order: 'order',
+    flash_close: 'opposite signal',
+    loss_plan: 'stop loss',
+    pos_loss: 'break even stop',
+    profit_plan: 'take profit',
+    pos_profit: 'take profit',
+    normal_plan: 'take profit ladder',
+    end_of_data: 'end of data',
+};
+
+// Logger that keeps errors for the result and drops progress messages
+function createQuietLogger(errors) {
+    return {
+        log() {},
+        error(...args) {
+            errors.push(args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+        },
+    };
+}
+
+//////////// - Trades & Statistics - ///////////////////////////
+
+/**
+ * Group exchange fills into round-trip trades.
+ * @param {Array<object>} fills - From the paper exchange.
+ * @returns {Array<object>} Trades with entry, exit, PnL, fees and exit reason.
+ */
+function buildTrades(fills) {
+    const trades = [];
+    const open = new Map();
+
+    for (const fill of fills) {
+        const key = `${fill.symbol}:${fill.holdSide}`;
+
+        if (fill.tradeSide === 'open') {
+            const trade = open.get(key) || {
+                symbol: fill.symbol,
+                side: fill.holdSide,
+                entryTime: fill.time,
+                entryPrice: 0,
+                size: 0,
+                exitSize: 0,
+                exitValue: 0,
+                grossPnL: 0,
+                fees: 0,
+            };
+            trade.entryPrice = (trade.entryPrice * trade.size + fill.price * fill.size) / (trade.size + fill.size);
+            trade.size += fill.size;
+            trade.fees += fill.fee;
+            open.set(key, trade);
+            continue;
+        }
+
+        const trade = open.get(key);
+        if (!trade) continue;
+
+        const direction = trade.side === 'long' ? 1 : -1;
+        trade.exitSize += fill.size;
+        trade.exitValue += fill.price * fill.size;
+        trade.grossPnL += (fill.price - trade.entryPrice) * fill.size * direction;
+        trade.fees += fill.fee;
+        trade.exitReason = EXIT_REASONS[fill.reason] || fill.reason;
+
+        if (trade.exitSize >= trade.size - 1e-12) {
+            open.delete(key);
+            trades.push({
+                symbol: trade.symbol,
+                side: trade.side,
+                size: trade.size,
+                entryTime: trade.entryTime,
+                entryPrice: trade.entryPrice,
+                exitTime: fill.time,
+                exitPrice: trade.exitValue / trade.exitSize,
+                grossPnL: trade.grossPnL,
+                fees: trade.fees,
+                netPnL: trade.grossPnL - trade.fees,
+                exitReason: trade.exitReason,
+            });
+        }
+    }
+
+    return trades;
+}
+
+/**
+ * Summary statistics for a backtest.
+ * @param {Array<object>} trades - From buildTrades.
+ * @param {Array<{ time: number, equity: number }>} equityCurve
+ * @param {number} startingBalance
+ * @param {number} barMinutes - Bar length, used to annualise the Sharpe ratio.
+ * @returns {object}
+ */
+function calculateStats(trades, equityCurve, startingBalance, barMinutes) {
+    const wins = trades.filter(trade => trade.netPnL > 0);
+    const losses = trades.filter(trade => trade.netPnL <= 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.netPnL, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.netPnL, 0));
+    const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : startingBalance;
+
+    let peak = startingBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    for (const { equity } of equityCurve) {
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, peak - equity);
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, peak > 0 ? (peak - equity) / peak : 0);
+    }
+
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+        const previous = equityCurve[i - 1].equity;
+        if (previous > 0) returns.push(equityCurve[i].equity / previous - 1);
+    }
+    const meanReturn = returns.length > 0 ? returns.reduce((sum, value) => sum + value, 0) / returns.length : 0;
+    const variance = returns.length > 1
+        ? returns.reduce((sum, value) => sum + (value - meanReturn) ** 2, 0) / (returns.length - 1)
+        : 0;
+    const barsPerYear = (365 * 24 * 60) / barMinutes;
+    const sharpeRatio = variance > 0 ? (meanReturn / Math.sqrt(variance)) * Math.sqrt(barsPerYear) : 0;
+
+    return {
+        trades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: trades.length > 0 ? wins.length / trades.length : 0,
+        netProfit: finalEquity - startingBalance,
+        returnPercent: (finalEquity / startingBalance - 1) * 100,
+        grossProfit,
+        grossLoss,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+        averageTrade: trades.length > 0 ? (grossProfit - grossLoss) / trades.length : 0,
+        averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+        averageLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+        fees: trades.reduce((sum, trade) => sum + trade.fees, 0),
+        maxDrawdown,
+        maxDrawdownPercent: maxDrawdownPercent * 100,
+        sharpeRatio,
+        finalEquity,
+    };
+}
+
+//////////// - Timeframes - ///////////////////////////
+
+// The strategy's timeframes other than the backtest's, split by whether they can be resampled from it
+function otherTimeframes(strategy, timeframe) {
+    const others = strategy ? strategy.inputs.timeframes.filter(other => other !== timeframe) : [];
+    return {
+        resampled: others.filter(other => canResample(timeframe, other)),
+        missing: others.filter(other => !canResample(timeframe, other)),
+    };
+}
+
+/**
+ * Candles of the backtest timeframe needed before the first bar: the lookback
+ * on it, and enough to resample the lookback of each of the strategy's
+ * higher timeframes, plus the partial candle left out at the start.
+ * @param {object|null} strategy - From createStrategy.
+ * @param {string} timeframe - The backtest timeframe.
+ * @param {number} lookback - Candles passed to the strategy on the backtest timeframe.
+ * @returns {number}
+ */
+function historyNeeded(strategy, timeframe, lookback) {
+    const { resampled } = otherTimeframes(strategy, timeframe);
+    return Math.max(lookback, ...resampled.map(other => (
+        Math.ceil(((lookbackFor(strategy.inputs, other) ?? lookback) + 1) * resampleRatio(timeframe, other))
+    )));
+}
+
+// A higher timeframe's candles resampled once, read back as they stood when each bar closed
+function createResampledSeries(candles, fromTimeframe, toTimeframe, limit) {
+    const buckets = resample(candles, fromTimeframe, toTimeframe);
+    let closed = 0;
+    return time => {
+        while (closed < buckets.length && barEnd(buckets[closed][0], toTimeframe) <= time) closed++;
+        return buckets.slice(Math.max(0, closed - limit), closed);
+    };
+}
+
+//////////// - Backtest - ///////////////////////////
+
+/**
+ * Replay candles through a signal function or strategy and the trading core's rules.
+ * @param {object} options
+ * @param {Array<Array<number>>} options.candles - [ts, open, high, low, close, volume], oldest first.
+ * @param {function(Array<Array<number>>): object} [options.signalFn] - e.g. calculateTradingSignals.
+ * @param {object} [options.strategy] - From createStrategy, used instead of signalFn.
+ * @param {string} [options.symbol='SBTCSUSDT']
+ * @param {string} [options.timeframe='5m'] - Defaults to the strategy's first timeframe.
+ * @param {number} [options.lookback=100] - Candles passed to the signal function each bar, as candleLimit live.
+ *   Defaults to the strategy's lookback on the timeframe.
+ * @param {object} [options.coreOptions] - createTradingCore options (size, leverage, risk percentages, TP ladder).
+ * @param {{ intervalMinutes: number, profitWaitMinutes: number }|null} [options.breakEven] - Break-even settings, null to disable.
+ * @param {number|null} [options.takeProfitIntervalMinutes=5] - How often the TP ladder runs, null to disable.
+ * @param {number} [options.startingBalance=10000]
+ * @param {number} [options.makerFeeRate=0.0002]
+ * @param {number} [options.takerFeeRate=0.0006]
+ * @param {number} [options.slippage=0]
+ * @param {object|null} [options.journal=null] - From createSignalJournal with retentionDays null, to record every bar's evaluation.
+ * @param {object|null} [options.regime=null] - The profile's regime settings, to filter a strategy's signals by regime.
+ * @returns {Promise<{ trades: Array<object>, equityCurve: Array<object>, stats: object, errors: Array<string> }>}
+ */
+async function runBacktest(options) {
+    const {
+        candles,
+        signalFn,
+        strategy,
+        symbol = 'SBTCSUSDT',
+        timeframe = strategy ? strategy.inputs.timeframes[0] : '5m',
+        lookback: strategyLookback = strategy ? lookbackFor(strategy.inputs, timeframe) : 100,
+        coreOptions = {},
+        breakEven = { intervalMinutes: 5, profitWaitMinutes: 15 },
+        takeProfitIntervalMinutes = 5,
+        startingBalance = 10000,
+        makerFeeRate = 0.0002,
+        takerFeeRate = 0.0006,
+        slippage = 0,
+        journal = null,
+        regime: regimeOptions = null,
+    } = options;
+
+    const regimes = regimeOptions && strategy ? allowedRegimes(strategy, regimeOptions) : null;
+    // The regime needs its own history on top of the strategy's
+    const barLookback = regimes ? Math.max(strategyLookback, regimeBars(regimeOptions)) : strategyLookback;
+    // The higher timeframes may need more, so the first bar is where every timeframe has its history
+    const lookback = Math.max(barLookback, historyNeeded(strategy, timeframe, strategyLookback));
+    const { resampled, missing } = otherTimeframes(strategy, timeframe);
+    if (missing.length > 0 && strategy.inputs.requireAll !== false) {
+        throw new Error(`Backtest cannot build the ${missing.join(', ')} candles ${strategy.name} needs from ${timeframe} candles`);
+    }
+
+    if (!Array.isArray(candles) || candles.length <= lookback) {
+        throw new Error(`Backtest needs more than ${lookback} candles, got ${candles ? candles.length : 0}`);
+    }
+    if (!strategy && typeof signalFn !== 'function') {
+        throw new Error('Backtest needs a signalFn or a strategy');
+    }
+
+    const errors = [];
+    const exchange = createPaperExchange({
+        candles: { [symbol]: { [timeframe]: candles } },
+        startIndex: lookback - 1,
+        startingBalance,
+        makerFeeRate,
+        takerFeeRate,
+        slippage,
+        ...(coreOptions.productType && { productType: coreOptions.productType }),
+        ...(coreOptions.marginCoin && { marginCoin: coreOptions.marginCoin }),
+    });
+
+    const core = createTradingCore({
+        ...coreOptions,
+        restClient: exchange,
+        logger: createQuietLogger(errors),
+        clock: exchange.now,
+    });
+
+    const barMinutes = (candles[1][0] - candles[0][0]) / MINUTE;
+    const equityCurve = [];
+    let lastBreakEvenCheck = -Infinity;
+    let lastTakeProfitCheck = -Infinity;
+
+    const state = { symbol };
+    const strategyName = strategy ? strategy.name : signalFn.name || 'signalFn';
+    const series = resampled.map(other => [
+        other,
+        createResampledSeries(candles, timeframe, other, lookbackFor(strategy.inputs, other) ?? strategyLookback),
+    ]);
+    const candlesAt = history => {
+        const closeTime = barEnd(history[history.length - 1][0], timeframe);
+        return { [timeframe]: history, ...Object.fromEntries(series.map(([other, upTo]) => [other, upTo(closeTime)])) };
+    };
+    const evaluate = strategy
+        ? (history, snapshot) => checkSignal(strategy.name, strategy.evaluate({ symbol, candles: candlesAt(history), missing, state, snapshot }))
+        : (history, snapshot) => {
+            const signals = signalFn(history);
+            Object.assign(snapshot, signals.indicators);
+            return toSignal(signals);
+        };
+    if (strategy && strategy.onStart) await strategy.onStart({ symbol, state });
+
+    do {
+        const now = exchange.now();
+        const history = await core.fetchCandleData(symbol, timeframe, { limit: barLookback });
+        const snapshot = {};
+        const evaluated = evaluate(history, snapshot);
+        const regime = regimes ? classifyRegime(history, regimeOptions) : null;
+        const blocked = Boolean(evaluated && regime && !regimes.includes(regime.regime));
+        const signal = blocked ? null : evaluated;
+        const note = (decision, details = {}) => journal && journal.record({
+            time: now,
+            barTime: history[history.length - 1][0],
+            symbol,
+            strategy: strategyName,
+            timeframe,
+            price: evaluated ? evaluated.price : history[history.length - 1][4],
+            decision,
+            ...(evaluated && { side: evaluated.side, confidence: evaluated.confidence }),
+            ...(regime && { regime: regime.regime }),
+            indicators: { ...snapshot, ...(evaluated && evaluated.indicators), ...(regime && { regime }) },
+            ...details,
+        });
+
+        if (signal) {
+            try {
+                const result = await core.placeTrade(tradeFromSignal(symbol, signal));
+                const orderId = result && result.data ? result.data.orderId : null;
+                note(orderId ? 'trade' : 'no-trade', { orderId });
+                if (strategy && strategy.onTrade) await strategy.onTrade({ symbol, signal, result });
+            } catch (error) {
+                note('error', { error: error.message });
+                errors.push(`placeTrade at ${new Date(now).toISOString()}: ${error.message}`);
+            }
+        } else {
+            note(blocked ? 'blocked' : 'none');
+        }
+
+        if (breakEven && now - lastBreakEvenCheck >= breakEven.intervalMinutes * MINUTE) {
+            lastBreakEvenCheck = now;
+            await core.checkBreakEven(symbol, breakEven.profitWaitMinutes);
+        }
+
+        if (takeProfitIntervalMinutes && now - lastTakeProfitCheck >= takeProfitIntervalMinutes * MINUTE) {
+            lastTakeProfitCheck = now;
+            await core.calculateTPOrders(symbol);
+        }
+
+        equityCurve.push({ time: now, equity: exchange.getAccount().equity });
+    } while (exchange.step());
+
+    if (strategy && strategy.onStop) strategy.onStop({ symbol });
+
+    // Close anything still open at the last close so every trade is counted
+    const fillsBeforeClose = exchange.getFills().length;
+    await exchange.futuresFlashClosePositions({ symbol });
+    const fills = exchange.getFills().map((fill, index) => (
+        index >= fillsBeforeClose ? { ...fill, reason: 'end_of_data' } : fill
+    ));
+    if (equityCurve.length > 0) {
+        equityCurve[equityCurve.length - 1].equity = exchange.getAccount().equity;
+    }
+
+    const trades = buildTrades(fills);
+    return {
+        trades,
+        equityCurve,
+        stats: calculateStats(trades, equityCurve, startingBalance, barMinutes),
+        errors,
+    };
+}
+
+module.exports = {
+    runBacktest,
+    historyNeeded,
+    buildTrades,
+    calculateStats,
+};
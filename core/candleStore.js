@@ -0,0 +1,376 @@
+/**
+ * Local candle store, kept per symbol and granularity and saved to disk, so
+ * the bots, the backtester and charts read candles from local data instead
+ * of asking Bitget for the same history over and over.
+ *
+ * On first use a series is backfilled by paging back through
+ * getFuturesHistoricCandles (200 candles a request). After that each sync
+ * only fetches the candles since the last one stored, replacing the
+ * still-forming one, and any gaps in the stored history are fetched again.
+ * A gap the exchange has no candles for is logged once and not retried.
+ *
+ * Each series is held oldest first, with new candles merged in where they
+ * belong, and keeps at most `maxBars` candles (or as many as a caller has
+ * asked for, if more), dropping the oldest. On disk it is a JSON lines file
+ * of [ts, open, high, low, close, volume] in `dir`: a sync appends the
+ * candles it changed, and a later line for the same bar replaces an
+ * earlier one. Once replaced and dropped candles make up half the file it
+ * is rewritten through a temporary file, like the signal store. A line cut
+ * short by a crash is skipped. Without a dir the store only lasts as long
+ * as the process.
+ *
+ * Usage:
+ *   const store = createCandleStore({ restClient, dir: 'data/candles' });
+ *   const candles = await store.getCandles('SBTCSUSDT', '5m', { limit: 300 });
+ *   const local = store.candles('SBTCSUSDT', '5m', { from: Date.UTC(2024, 0, 1) });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { barEnd, TIMEFRAME_MS } = require('./timeframes');
+
+// Most candles Bitget returns per request, from the candles and history-candles endpoints
+const RECENT_PAGE = 1000;
+const HISTORIC_PAGE = 200;
+
+const parseCandle = candle => [
+    parseInt(candle[0]), // timestamp
+    parseFloat(candle[1]), // open
+    parseFloat(candle[2]), // high
+    parseFloat(candle[3]), // low
+    parseFloat(candle[4]), // close
+    parseFloat(candle[5]), // volume
+];
+
+/**
+ * Missing bars in a series.
+ * @param {Array<Array<number>>} candles - Oldest first.
+ * @param {string} granularity
+ * @returns {Array<{ from: number, to: number }>} Open times of the first and last missing bar of each gap.
+ */
+function findGaps(candles, granularity) {
+    const gaps = [];
+    for (let i = 1; i < candles.length; i++) {
+        const expected = barEnd(candles[i - 1][0], granularity);
+        if (candles[i][0] > expected) {
+            let last = expected;
+            while (barEnd(last, granularity) < candles[i][0]) last = barEnd(last, granularity);
+            gaps.push({ from: expected, to: last });
+        }
+    }
+    return gaps;
+}
+
+// Bars from the one opening at `openTime` to the one forming at `now`, inclusive
+function barsSince(openTime, granularity, now) {
+    if (TIMEFRAME_MS[granularity]) return Math.floor((now - openTime) / TIMEFRAME_MS[granularity]) + 1;
+    let bars = 1;
+    for (let time = barEnd(openTime, granularity); time <= now; time = barEnd(time, granularity)) bars++;
+    return bars;
+}
+
+// Index of the first candle opening at or after `time` in a series sorted oldest first
+function firstAtOrAfter(candles, time) {
+    let low = 0;
+    let high = candles.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (candles[middle][0] < time) low = middle + 1; else high = middle;
+    }
+    return low;
+}
+
+/**
+ * Merge candles into a series sorted oldest first, replacing any with the same open time.
+ * @param {Array<Array<number>>} candles - The series, changed in place.
+ * @param {Array<Array<number>>} incoming - In any order.
+ * @returns {Array<Array<number>>} The series.
+ */
+function mergeCandles(candles, incoming) {
+    const sortedIncoming = [...incoming].sort((a, b) => a[0] - b[0]);
+    // Usually the latest candles, replacing the still-forming one at most
+    if (candles.length === 0 || sortedIncoming.length === 0 || sortedIncoming[0][0] >= candles[candles.length - 1][0]) {
+        for (const candle of sortedIncoming) {
+            if (candles.length > 0 && candles[candles.length - 1][0] === candle[0]) {
+                candles[candles.length - 1] = candle;
+            } else {
+                candles.push(candle);
+            }
+        }
+        return candles;
+    }
+
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < candles.length || j < sortedIncoming.length) {
+        const next = j >= sortedIncoming.length || (i < candles.length && candles[i][0] < sortedIncoming[j][0])
+            ? candles[i++]
+            : sortedIncoming[j++];
+        if (merged.length > 0 && merged[merged.length - 1][0] === next[0]) {
+            // An incoming candle comes after the stored one it replaces
+            merged[merged.length - 1] = next;
+        } else {
+            merged.push(next);
+        }
+    }
+    candles.length = 0;
+    merged.forEach(candle => candles.push(candle));
+    return candles;
+}
+
+/**
+ * Create a candle store.
+ * @param {object} options
+ * @param {object} options.restClient - A RestClientV2 instance (or anything with the same surface); public market data is enough.
+ * @param {string} [options.productType='SUSDT-FUTURES']
+ * @param {string|null} [options.dir=null] - Directory for the series files, created if missing.
+ * @param {number} [options.backfillBars=1000] - Candles to backfill on first use, unless more are asked for.
+ * @param {number} [options.maxBars=20000] - Candles kept per series, unless more are asked for; the oldest are dropped.
+ * @param {{ log: Function, error: Function }} [options.logger=console]
+ * @param {function(): number} [options.clock=Date.now]
+ * @returns {object} getCandles, sync, backfill and candles, see below.
+ */
+function createCandleStore({ restClient, productType = 'SUSDT-FUTURES', dir = null, backfillBars = 1000, maxBars = 20000, logger = console, clock = Date.now }) {
+    const series = new Map();
+    // Series whose history starts later than asked for, and gaps the exchange cannot fill
+    const historyStarts = new Set();
+    const unavailableGaps = new Set();
+
+    const fileFor = (symbol, granularity) => path.join(dir, `${symbol}-${granularity}.jsonl`);
+
+    //////////// - Storage - ///////////////////////////
+
+    // Candles from a series file; the JSON array files of earlier versions are read too
+    function readFile(file) {
+        const text = fs.readFileSync(file, 'utf8');
+        if (file.endsWith('.json')) return { candles: JSON.parse(text), lines: 0, unreadable: 0, cutShort: false };
+
+        const candles = [];
+        let lines = 0;
+        let unreadable = 0;
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            lines++;
+            try {
+                candles.push(JSON.parse(line));
+            } catch (error) {
+                unreadable++;
+            }
+        }
+        // A last line cut short would run into the next one appended
+        return { candles, lines, unreadable, cutShort: text.length > 0 && !text.endsWith('\n') };
+    }
+
+    // A series, loaded from disk the first time: its candles oldest first, how many it keeps,
+    // the candles changed since it was last saved and the lines its file holds
+    function seriesFor(symbol, granularity) {
+        const key = `${symbol}:${granularity}`;
+        if (!series.has(key)) {
+            const entry = { candles: [], keep: maxBars, changed: new Map(), lines: 0, rewriteDue: false };
+            const file = dir && fileFor(symbol, granularity);
+            const oldFile = dir && file.replace(/\.jsonl$/, '.json');
+            const source = file && [file, oldFile].find(candidate => fs.existsSync(candidate));
+            if (source) {
+                let read;
+                try {
+                    read = readFile(source);
+                } catch (error) {
+                    throw new Error(`Unable to read candle store ${source}: ${error.message}`);
+                }
+                if (read.unreadable > 0) {
+                    logger.error(`${symbol}: Skipped ${read.unreadable} unreadable lines in candle store ${source}`);
+                }
+                mergeCandles(entry.candles, read.candles);
+                entry.lines = read.lines;
+                entry.rewriteDue = source === oldFile || read.unreadable > 0 || read.cutShort;
+            }
+            series.set(key, entry);
+        }
+        return series.get(key);
+    }
+
+    // Drop the oldest candles beyond what the series keeps
+    function trim(entry) {
+        if (entry.candles.length > entry.keep) {
+            entry.candles.splice(0, entry.candles.length - entry.keep);
+            entry.rewriteDue = true;
+        }
+    }
+
+    function insert(symbol, granularity, candles) {
+        const entry = seriesFor(symbol, granularity);
+        mergeCandles(entry.candles, candles);
+        candles.forEach(candle => entry.changed.set(candle[0], candle));
+        trim(entry);
+    }
+
+    // Append the changed candles, or rewrite the file once it is mostly replaced or dropped candles
+    function save(symbol, granularity) {
+        const entry = seriesFor(symbol, granularity);
+        if (!dir || (entry.changed.size === 0 && !entry.rewriteDue)) return;
+        fs.mkdirSync(dir, { recursive: true });
+        const file = fileFor(symbol, granularity);
+
+        if (entry.rewriteDue || entry.lines + entry.changed.size > 2 * entry.candles.length) {
+            const temporary = `${file}.tmp`;
+            fs.writeFileSync(temporary, entry.candles.map(candle => `${JSON.stringify(candle)}\n`).join(''));
+            fs.renameSync(temporary, file);
+            const oldFile = file.replace(/\.jsonl$/, '.json');
+            if (fs.existsSync(oldFile)) fs.unlinkSync(oldFile);
+            entry.lines = entry.candles.length;
+            entry.rewriteDue = false;
+        } else {
+            const first = entry.candles.length > 0 ? entry.candles[0][0] : Infinity;
+            // Candles trimmed since they changed are left out
+            const lines = [...entry.changed.values()].filter(candle => candle[0] >= first);
+            fs.appendFileSync(file, lines.map(candle => `${JSON.stringify(candle)}\n`).join(''));
+            entry.lines += lines.length;
+        }
+        entry.changed.clear();
+    }
+
+    //////////// - Fetching - ///////////////////////////
+
+    async function fetchPage(symbol, granularity, { limit, endTime, historic }) {
+        const request = { symbol, granularity, productType, limit: String(limit), ...(endTime !== undefined && { endTime: String(endTime) }) };
+        const response = historic
+            ? await restClient.getFuturesHistoricCandles(request)
+            : await restClient.getFuturesCandles(request);
+        if (!response || !Array.isArray(response.data)) {
+            throw new Error(`No data returned for ${symbol} ${granularity} candles`);
+        }
+        return response.data.map(parseCandle);
+    }
+
+    /**
+     * Page back in time from endTime, storing every candle, until `until` is
+     * reached, `bars` candles have come in or the exchange has no more.
+     * @returns {Promise<number>} Candles received.
+     */
+    async function pageBack(symbol, granularity, { endTime, until = -Infinity, bars = Infinity, historic = true }) {
+        const pageSize = historic ? HISTORIC_PAGE : RECENT_PAGE;
+        let received = 0;
+
+        while (received < bars) {
+            const limit = Math.min(pageSize, bars - received);
+            const page = await fetchPage(symbol, granularity, { limit, endTime, historic });
+            insert(symbol, granularity, page);
+            received += page.length;
+
+            if (page.length === 0) break;
+            const oldest = Math.min(...page.map(candle => candle[0]));
+            // A short page means there is no older history; an old endTime being ignored shows as no progress
+            if (page.length < limit || oldest <= until || (endTime !== undefined && oldest > endTime)) break;
+            endTime = oldest - 1;
+        }
+        return received;
+    }
+
+    //////////// - Public API - ///////////////////////////
+
+    /**
+     * Backfill older history until the series holds at least `bars` candles.
+     * @param {string} symbol
+     * @param {string} granularity
+     * @param {number} [bars=backfillBars]
+     */
+    async function backfill(symbol, granularity, bars = backfillBars) {
+        const key = `${symbol}:${granularity}`;
+        const entry = seriesFor(symbol, granularity);
+        entry.keep = Math.max(entry.keep, bars);
+        const stored = entry.candles.length;
+        if (stored >= bars || historyStarts.has(key)) return;
+
+        const endTime = stored > 0 ? entry.candles[0][0] - 1 : undefined;
+        logger.log(`${symbol}: Backfilling ${bars - stored} ${granularity} candles`);
+        const received = await pageBack(symbol, granularity, { endTime, bars: bars - stored });
+        if (received < bars - stored) {
+            historyStarts.add(key);
+            logger.log(`${symbol}: ${granularity} history only goes back ${entry.candles.length} candles`);
+        }
+        save(symbol, granularity);
+    }
+
+    /**
+     * Bring a series up to date: backfill on first use, then fetch the
+     * candles since the last one stored and fill any gaps.
+     * @param {string} symbol
+     * @param {string} granularity
+     * @param {object} [syncOptions]
+     * @param {number} [syncOptions.bars=backfillBars] - Candles the series should hold at least.
+     */
+    async function sync(symbol, granularity, { bars = backfillBars } = {}) {
+        const entry = seriesFor(symbol, granularity);
+        entry.keep = Math.max(entry.keep, bars, backfillBars);
+
+        if (entry.candles.length > 0) {
+            // The latest candles, from the last stored (still forming when it was stored) onwards
+            const last = entry.candles[entry.candles.length - 1][0];
+            await pageBack(symbol, granularity, { until: last, bars: barsSince(last, granularity, clock()), historic: false });
+        }
+
+        for (const gap of findGaps(entry.candles, granularity)) {
+            const key = `${symbol}:${granularity}:${gap.from}`;
+            if (unavailableGaps.has(key)) continue;
+
+            logger.log(`${symbol}: Filling ${granularity} gap from ${new Date(gap.from).toISOString()} to ${new Date(gap.to).toISOString()}`);
+            await pageBack(symbol, granularity, { endTime: barEnd(gap.to, granularity) - 1, until: gap.from, bars: barsSince(gap.from, granularity, gap.to) });
+            const filled = firstAtOrAfter(entry.candles, gap.from);
+            if (!(filled < entry.candles.length && entry.candles[filled][0] === gap.from)) {
+                unavailableGaps.add(key);
+                logger.log(`${symbol}: Bitget has no ${granularity} candles from ${new Date(gap.from).toISOString()}, leaving the gap`);
+            }
+        }
+
+        save(symbol, granularity);
+        await backfill(symbol, granularity, Math.max(bars, backfillBars));
+    }
+
+    /**
+     * Sync a series and return its latest candles.
+     * @param {string} symbol
+     * @param {string} granularity
+     * @param {object} [readOptions]
+     * @param {number} [readOptions.limit=100]
+     * @returns {Promise<Array<Array<number>>>} [ts, open, high, low, close, volume], oldest first; the last may still be forming.
+     */
+    async function getCandles(symbol, granularity, { limit = 100 } = {}) {
+        await sync(symbol, granularity, { bars: limit });
+        return seriesFor(symbol, granularity).candles.slice(-limit);
+    }
+
+    /**
+     * Stored candles without touching the exchange, e.g. for charts. Only
+     * series already synced or read by getCandles are served; a read never
+     * creates or loads one.
+     * @param {string} symbol
+     * @param {string} granularity
+     * @param {object} [range]
+     * @param {number} [range.from] - Earliest open time in ms.
+     * @param {number} [range.to] - Latest open time in ms.
+     * @param {number} [range.limit] - Only the latest `limit` candles in the range.
+     * @returns {Array<Array<number>>}
+     */
+    function candles(symbol, granularity, { from = -Infinity, to = Infinity, limit } = {}) {
+        const entry = series.get(`${symbol}:${granularity}`);
+        if (!entry) return [];
+        const stored = entry.candles;
+        const end = firstAtOrAfter(stored, to + 1);
+        const start = Math.max(firstAtOrAfter(stored, from), limit ? end - limit : 0);
+        return stored.slice(start, end);
+    }
+
+    return {
+        getCandles,
+        sync,
+        backfill,
+        candles,
+    };
+}
+
+module.exports = {
+    findGaps,
+    mergeCandles,
+    createCandleStore,
+};
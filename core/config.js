@@ -0,0 +1,404 @@
+/**
+ * Configuration profiles for the trading bots.
+ *
+ * Profiles live in config/profiles.json. A profile may `extends` another
+ * profile and only override the values that differ. The active profile is
+ * chosen by the BOT_PROFILE environment variable, falling back to the
+ * script's own default and then to `defaultProfile` in the file.
+ *
+ * Individual values can be overridden from the environment, e.g.
+ *   BOT_PROFILE=demo-btc-mtf BOT_SIZE=0.002 BOT_TIMEFRAMES=5m,15m node BTCvMultipleTime.js
+ *
+ * `symbols` lists every symbol the loop trades. An entry is either a symbol
+ * name or an object overriding `size`, `leverage` and `strategy` for that
+ * symbol. `strategy` names a strategy registered in strategies.js; custom
+ * strategies must be registered before loadConfig is called. `size` is only
+ * sent with sizing.mode 'fixed'; 'risk' sizes each order from the account's
+ * equity and the stop distance, see positionSizing.js. The risk percentages
+ * are the stop loss and take profit of signals that do not set their own.
+ * Prices and sizes are rounded to each symbol's contract spec before they are
+ * sent (contractSpecs.js), so sizing.minSize and sizing.sizeStep can only
+ * tighten the exchange's own limits; a sizeStep coarser than the contract's
+ * must be a multiple of it.
+ *
+ * loadConfig throws on any invalid value so the bots fail at startup with a
+ * readable list of problems instead of sending bad orders.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OPTIONS: MARKET_CIPHER_DEFAULTS } = require('./marketCipher');
+const { TRADING_SIGNAL_DEFAULTS } = require('./signals');
+const { getStrategyNames } = require('./strategies');
+const { DEFAULT_OPTIONS: CONFLUENCE_DEFAULTS, MODES: CONFLUENCE_MODES } = require('./confluence');
+const { validateRules } = require('./rules');
+const { TIMEFRAMES, ANCHORS, isSessionStart } = require('./timeframes');
+const { canResample } = require('./resample');
+const { REGIMES, DEFAULT_OPTIONS: REGIME_DEFAULTS } = require('./regime');
+const { SIZING_MODES } = require('./positionSizing');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'profiles.json');
+
+const PRODUCT_TYPES = ['USDT-FUTURES', 'COIN-FUTURES', 'USDC-FUTURES', 'SUSDT-FUTURES', 'SCOIN-FUTURES', 'SUSDC-FUTURES'];
+const MARGIN_MODES = ['isolated', 'crossed'];
+const ORDER_TYPES = ['limit', 'market'];
+const FORCES = ['gtc', 'ioc', 'fok', 'post_only'];
+const CURRENCIES = ['USD', 'GBP'];
+const EVALUATIONS = ['close', 'intrabar'];
+
+// Environment variable -> [config path, type]
+const ENV_OVERRIDES = {
+    BOT_SYMBOLS: ['symbols', 'list'],
+    BOT_STRATEGY: ['strategy', 'string'],
+    BOT_PRODUCT_TYPE: ['exchange.productType', 'string'],
+    BOT_MARGIN_COIN: ['exchange.marginCoin', 'string'],
+    BOT_MARGIN_MODE: ['exchange.marginMode', 'string'],
+    BOT_SIZE: ['order.size', 'string'],
+    BOT_LEVERAGE: ['order.leverage', 'string'],
+    BOT_SIZING_MODE: ['sizing.mode', 'string'],
+    BOT_RISK_PERCENTAGE: ['sizing.riskPercentage', 'number'],
+    BOT_ORDER_TYPE: ['order.orderType', 'string'],
+    BOT_STOP_LOSS_PCT: ['risk.stopLossPercentage', 'number'],
+    BOT_TAKE_PROFIT_PCT: ['risk.takeProfitPercentage', 'number'],
+    BOT_TIMEFRAMES: ['loop.timeframes', 'list'],
+    BOT_LOOP_INTERVAL_SECONDS: ['loop.intervalSeconds', 'number'],
+    BOT_CANDLE_LIMIT: ['loop.candleLimit', 'number'],
+    BOT_EVALUATION: ['loop.evaluation', 'string'],
+    BOT_RESAMPLE_FROM: ['loop.resampleFrom', 'string'],
+    BOT_FETCH_TIMEOUT_SECONDS: ['loop.fetchTimeoutSeconds', 'number'],
+    BOT_CANDLE_STORE: ['candleStore.enabled', 'boolean'],
+    BOT_REGIME_FILTER: ['regime.enabled', 'boolean'],
+    BOT_VWAP_ANCHOR: ['vwap.anchor', 'string'],
+    BOT_VWAP_SESSION_START: ['vwap.sessionStart', 'string'],
+    BOT_PNL_CURRENCY: ['pnl.currency', 'string'],
+    BOT_PAPER_TRADING: ['paper.enabled', 'boolean'],
+    BOT_PAPER_BALANCE: ['paper.startingBalance', 'number'],
+};
+
+//////////// - Helpers - ///////////////////////////
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge where arrays and scalars from `override` replace those in `base`
+function mergeDeep(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeDeep(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+function getPath(source, dottedPath) {
+    return dottedPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+}
+
+//////////// - Profiles - ///////////////////////////
+
+function resolveProfile(profiles, name, chain = []) {
+    if (chain.includes(name)) {
+        throw new Error(`Config profile "${name}" extends itself (${[...chain, name].join(' -> ')})`);
+    }
+
+    const profile = profiles[name];
+    if (!isPlainObject(profile)) {
+        throw new Error(`Unknown config profile "${name}", available: ${Object.keys(profiles).join(', ')}`);
+    }
+
+    const { extends: parentName, ...own } = profile;
+    if (!parentName) return own;
+
+    return mergeDeep(resolveProfile(profiles, parentName, [...chain, name]), own);
+}
+
+function applyEnvOverrides(config, env) {
+    const result = mergeDeep({}, config);
+
+    for (const [variable, [configPath, type]] of Object.entries(ENV_OVERRIDES)) {
+        const raw = env[variable];
+        if (raw === undefined || raw === '') continue;
+
+        let value = raw;
+        if (type === 'number') value = Number(raw);
+        if (type === 'list') value = raw.split(',').map(item => item.trim()).filter(Boolean);
+        if (type === 'boolean') value = ['1', 'true', 'yes'].includes(raw.toLowerCase()) ? true : ['0', 'false', 'no'].includes(raw.toLowerCase()) ? false : raw;
+
+        setPath(result, configPath, value);
+    }
+
+    return result;
+}
+
+//////////// - Validation - ///////////////////////////
+
+function validateConfig(config) {
+    const errors = [];
+
+    const check = (configPath, valid, message) => {
+        if (!valid(getPath(config, configPath))) {
+            errors.push(`${configPath}: ${message} (got ${JSON.stringify(getPath(config, configPath))})`);
+        }
+    };
+
+    const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+    const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+    const isNumericString = value => (typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '' && Number.isFinite(Number(value));
+    const oneOf = allowed => value => allowed.includes(value);
+
+    const isLeverage = value => isNumericString(value) && Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 125;
+    const isStrategy = value => getStrategyNames().includes(value);
+
+    check('strategy', isStrategy, `must be one of ${getStrategyNames().join(', ')}`);
+
+    check('symbols', value => Array.isArray(value) && value.length > 0, 'must be a non-empty list of symbols such as SBTCSUSDT');
+    (Array.isArray(config.symbols) ? config.symbols : []).forEach((entry, index) => {
+        const entryPath = `symbols.${index}`;
+        if (typeof entry === 'string') {
+            check(entryPath, isNonEmptyString, 'must be a non-empty symbol');
+            return;
+        }
+        check(entryPath, isPlainObject, 'must be a symbol name or { symbol, size, leverage, strategy }');
+        if (!isPlainObject(entry)) return;
+        check(`${entryPath}.symbol`, isNonEmptyString, 'must be a non-empty symbol');
+        check(`${entryPath}.size`, value => value === undefined || (isNumericString(value) && Number(value) > 0), 'must be a positive number when set');
+        check(`${entryPath}.leverage`, value => value === undefined || isLeverage(value), 'must be a whole number between 1 and 125 when set');
+        check(`${entryPath}.strategy`, value => value === undefined || isStrategy(value), `must be one of ${getStrategyNames().join(', ')} when set`);
+    });
+
+    const symbolNames = (Array.isArray(config.symbols) ? config.symbols : []).map(entry => (isPlainObject(entry) ? entry.symbol : entry));
+    const duplicates = symbolNames.filter((name, index) => symbolNames.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+        errors.push(`symbols: each symbol may only be listed once (duplicated ${[...new Set(duplicates)].join(', ')})`);
+    }
+    check('exchange.productType', oneOf(PRODUCT_TYPES), `must be one of ${PRODUCT_TYPES.join(', ')}`);
+    check('exchange.marginCoin', isNonEmptyString, 'must be a non-empty coin such as SUSDT');
+    check('exchange.marginMode', oneOf(MARGIN_MODES), `must be one of ${MARGIN_MODES.join(', ')}`);
+
+    check('order.size', value => isNumericString(value) && Number(value) > 0, 'must be a positive number');
+    check('order.leverage', isLeverage, 'must be a whole number between 1 and 125');
+    check('order.orderType', oneOf(ORDER_TYPES), `must be one of ${ORDER_TYPES.join(', ')}`);
+    check('order.force', oneOf(FORCES), `must be one of ${FORCES.join(', ')}`);
+
+    check('sizing.mode', oneOf(SIZING_MODES), `must be one of ${SIZING_MODES.join(', ')}`);
+    check('sizing.riskPercentage', value => isPositiveNumber(value) && value <= 0.1, 'must be a fraction of equity up to 0.1, e.g. 0.01 for 1%');
+    check('sizing.maxLeverage', value => isPositiveNumber(value) && value <= 125, 'must be a positive leverage up to 125');
+    check('sizing.minSize', isPositiveNumber, 'must be a positive order size');
+    check('sizing.sizeStep', isPositiveNumber, 'must be a positive order size increment');
+
+    check('risk.stopLossPercentage', value => isPositiveNumber(value) && value < 1, 'must be a fraction between 0 and 1, e.g. 0.01 for 1%');
+    check('risk.takeProfitPercentage', value => isPositiveNumber(value) && value < 1, 'must be a fraction between 0 and 1, e.g. 0.05 for 5%');
+    check('risk.presetTakeProfit', value => typeof value === 'boolean', 'must be true or false');
+
+    check('loop.timeframes', value => Array.isArray(value) && value.length > 0 && value.every(oneOf(TIMEFRAMES)), `must be a non-empty list of ${TIMEFRAMES.join(', ')}`);
+    check('loop.intervalSeconds', isPositiveInteger, 'must be a whole number of seconds');
+    check('loop.candleLimit', value => isPositiveInteger(value) && value <= 1000, 'must be a whole number between 1 and 1000');
+    check('loop.signalTimeframe', value => value === undefined || (Array.isArray(config.loop?.timeframes) && config.loop.timeframes.includes(value)), 'must be one of loop.timeframes when set');
+    check('loop.historicCandles', value => typeof value === 'boolean', 'must be true or false');
+    check('loop.evaluation', value => value === undefined || EVALUATIONS.includes(value), `must be one of ${EVALUATIONS.join(', ')} when set`);
+    check('loop.fetchTimeoutSeconds', value => value === undefined || isPositiveNumber(value), 'must be a positive number of seconds when set');
+    check('loop.resampleFrom', value => value === undefined || canResample(value, '1D'), 'must be a timeframe that divides a day, such as 1m or 5m, when set');
+
+    check('candleStore.enabled', value => typeof value === 'boolean', 'must be true or false');
+    check('candleStore.backfillBars', isPositiveInteger, 'must be a whole number of candles');
+    check('candleStore.maxBars', isPositiveInteger, 'must be a whole number of candles');
+
+    // Regime filter: thresholds default to regime.js, allow overrides the regimes a strategy declares
+    check('regime.enabled', value => typeof value === 'boolean', 'must be true or false');
+    for (const key of Object.keys(isPlainObject(config.regime) ? config.regime : {}).filter(key => !['enabled', 'allow'].includes(key))) {
+        if (!(key in REGIME_DEFAULTS)) {
+            errors.push(`regime.${key}: unknown option, expected enabled, allow or one of ${Object.keys(REGIME_DEFAULTS).join(', ')}`);
+        } else if (/Period$|Bars$/.test(key)) {
+            check(`regime.${key}`, isPositiveInteger, 'must be a whole number of bars');
+        } else if (/Percentile$/.test(key)) {
+            check(`regime.${key}`, value => typeof value === 'number' && value > 0 && value <= 100, 'must be a percentile between 0 and 100');
+        } else {
+            check(`regime.${key}`, value => typeof value === 'number' && value >= 0, 'must be zero or a positive number');
+        }
+    }
+    check('regime.allow', value => value === undefined || (isPlainObject(value) && Object.entries(value).every(([name, regimes]) =>
+        getStrategyNames().includes(name) && Array.isArray(regimes) && regimes.length > 0 && regimes.every(oneOf(REGIMES)))),
+    `must map strategy names to lists of ${REGIMES.join(', ')} when set`);
+
+    check('breakEven.intervalMinutes', isPositiveNumber, 'must be a positive number of minutes');
+    check('breakEven.profitWaitMinutes', value => typeof value === 'number' && value >= 0, 'must be zero or a positive number of minutes');
+
+    check('takeProfitLadder.intervalMinutes', isPositiveNumber, 'must be a positive number of minutes');
+    check('takeProfitLadder.maxOrders', isPositiveInteger, 'must be a whole number');
+    check('takeProfitLadder.minSize', isPositiveNumber, 'must be a positive number');
+    check('takeProfitLadder.levels', value => Array.isArray(value) && value.length > 0 && value.every(level =>
+        isPlainObject(level) &&
+        isPositiveNumber(level.priceMultiplier) && level.priceMultiplier > 1 &&
+        typeof level.minProfitToMargin === 'number' && level.minProfitToMargin >= 0
+    ), 'must be a non-empty list of { priceMultiplier > 1, minProfitToMargin >= 0 }');
+
+    check('pnl.intervalMinutes', isPositiveNumber, 'must be a positive number of minutes');
+    check('pnl.currency', oneOf(CURRENCIES), `must be one of ${CURRENCIES.join(', ')}`);
+
+    check('orders.reconcileIntervalSeconds', isPositiveInteger, 'must be a whole number of seconds');
+
+    check('paper.enabled', value => typeof value === 'boolean', 'must be true or false');
+    check('paper.startingBalance', isPositiveNumber, 'must be a positive balance');
+    check('paper.makerFeeRate', value => typeof value === 'number' && value >= 0 && value < 0.01, 'must be a fee fraction such as 0.0002');
+    check('paper.takerFeeRate', value => typeof value === 'number' && value >= 0 && value < 0.01, 'must be a fee fraction such as 0.0006');
+    // Optional Market Cipher overrides: lengths are whole bar counts, levels any number
+    check('marketCipher', value => value === undefined || isPlainObject(value), 'must be an object of Market Cipher options when set');
+    for (const [key, value] of Object.entries(isPlainObject(config.marketCipher) ? config.marketCipher : {})) {
+        const defaultValue = MARKET_CIPHER_DEFAULTS[key];
+        if (defaultValue === undefined) {
+            errors.push(`marketCipher.${key}: unknown option, expected one of ${Object.keys(MARKET_CIPHER_DEFAULTS).join(', ')}`);
+        } else if (typeof defaultValue === 'boolean') {
+            check(`marketCipher.${key}`, item => typeof item === 'boolean', 'must be true or false');
+        } else if (/Length|Period$|^stoch[KD]$/.test(key)) {
+            check(`marketCipher.${key}`, isPositiveInteger, 'must be a whole number of bars');
+        } else {
+            check(`marketCipher.${key}`, item => typeof item === 'number' && Number.isFinite(item), 'must be a number');
+        }
+    }
+
+    // Optional VWAP anchor for the EMA/VWAP/RSI strategies, the UTC day when not set
+    check('vwap', value => value === undefined || isPlainObject(value), 'must be an object of { anchor, sessionStart } when set');
+    if (isPlainObject(config.vwap)) {
+        for (const key of Object.keys(config.vwap).filter(key => !['anchor', 'sessionStart'].includes(key))) {
+            errors.push(`vwap.${key}: unknown option, expected anchor or sessionStart`);
+        }
+        check('vwap.anchor', value => value === undefined || ANCHORS.includes(value), `must be one of ${ANCHORS.join(', ')}`);
+        check('vwap.sessionStart', value => (config.vwap.anchor === 'session' ? isSessionStart(value) : value === undefined || isSessionStart(value)),
+            `must be a UTC time such as "13:30"${config.vwap.anchor === 'session' ? ' for the session anchor' : ''}`);
+    }
+
+    // Optional EMA/VWAP/RSI overrides, e.g. from Optimise.js: periods are whole bar counts
+    check('tradingSignals', value => value === undefined || isPlainObject(value), 'must be an object of EMA/VWAP/RSI options when set');
+    if (isPlainObject(config.tradingSignals)) {
+        for (const key of Object.keys(config.tradingSignals).filter(key => !(key in TRADING_SIGNAL_DEFAULTS))) {
+            errors.push(`tradingSignals.${key}: unknown option, expected one of ${Object.keys(TRADING_SIGNAL_DEFAULTS).join(', ')}`);
+        }
+        const settings = { ...TRADING_SIGNAL_DEFAULTS, ...config.tradingSignals };
+        for (const key of ['emaFast', 'emaSlow', 'rsiPeriod', 'atrPeriod']) {
+            check(`tradingSignals.${key}`, value => value === undefined || isPositiveInteger(value), 'must be a whole number of bars');
+        }
+        check('tradingSignals.emaSlow', () => !(settings.emaFast >= settings.emaSlow), `must be longer than emaFast (${settings.emaFast})`);
+        check('tradingSignals.rsiOverbought', value => value === undefined || (typeof value === 'number' && value > 0 && value < 100), 'must be an RSI level between 0 and 100');
+        check('tradingSignals.rsiOversold', value => value === undefined || (typeof value === 'number' && value > 0 && value < 100), 'must be an RSI level between 0 and 100');
+        check('tradingSignals.rsiOversold', () => !(settings.rsiOversold >= settings.rsiOverbought), `must be below rsiOverbought (${settings.rsiOverbought})`);
+        check('tradingSignals.atrMultiplier', value => value === undefined || isPositiveNumber(value), 'must be a positive multiple of the ATR');
+        check('tradingSignals.rewardRisk', value => value === undefined || isPositiveNumber(value), 'must be a positive take profit to stop loss ratio');
+    }
+
+    // Optional multi-timeframe confluence, over timeframes the loop fetches
+    check('confluence', value => value === undefined || isPlainObject(value), 'must be an object of confluence options when set');
+    if (isPlainObject(config.confluence)) {
+        const loopTimeframes = Array.isArray(config.loop?.timeframes) ? config.loop.timeframes : [];
+        const isLoopTimeframeList = value => Array.isArray(value) && value.every(item => loopTimeframes.includes(item));
+        const trendEntry = config.confluence.mode === 'trend-entry';
+
+        for (const key of Object.keys(config.confluence).filter(key => !(key in CONFLUENCE_DEFAULTS))) {
+            errors.push(`confluence.${key}: unknown option, expected one of ${Object.keys(CONFLUENCE_DEFAULTS).join(', ')}`);
+        }
+        check('confluence.mode', value => value === undefined || CONFLUENCE_MODES.includes(value), `must be one of ${CONFLUENCE_MODES.join(', ')}`);
+        check('confluence.weights', value => value === undefined || (isPlainObject(value) && Object.entries(value).every(([timeframe, weight]) =>
+            TIMEFRAMES.includes(timeframe) && typeof weight === 'number' && Number.isFinite(weight) && weight >= 0
+        )), 'must map timeframes to weights of zero or more');
+        check('confluence.minScore', value => value === undefined || (typeof value === 'number' && value >= 0 && value <= 1), 'must be a score between 0 and 1');
+        check('confluence.minAgreeing', value => value === undefined || isPositiveInteger(value), 'must be a whole number of timeframes');
+        check('confluence.trendTimeframes', value => (trendEntry ? isLoopTimeframeList(value) && value.length > 0 : value === undefined || isLoopTimeframeList(value)),
+            `must be a ${trendEntry ? 'non-empty ' : ''}list of loop.timeframes`);
+        check('confluence.entryTimeframes', value => (trendEntry ? isLoopTimeframeList(value) && value.length > 0 : value === undefined || isLoopTimeframeList(value)),
+            `must be a ${trendEntry ? 'non-empty ' : ''}list of loop.timeframes`);
+    }
+
+    // Entry rules for the rules strategy, required when a symbol uses it
+    const usesRules = [config.strategy, ...(Array.isArray(config.symbols) ? config.symbols : []).map(entry => entry && entry.strategy)].includes('rules');
+    if (config.rules !== undefined || usesRules) {
+        check('rules', isPlainObject, 'must be an object of { timeframe, indicators, buy, sell } for the rules strategy');
+        if (isPlainObject(config.rules)) errors.push(...validateRules(config.rules, TIMEFRAMES).map(error => `rules.${error}`));
+    }
+
+    check('paper.slippage', value => value === undefined || (typeof value === 'number' && value >= 0 && value < 0.05), 'must be a price fraction such as 0.0002');
+
+    return errors;
+}
+
+//////////// - Public API - ///////////////////////////
+
+/**
+ * Load, merge and validate a configuration profile.
+ * @param {object} [options]
+ * @param {string} [options.profile] - Profile to use when BOT_PROFILE is not set.
+ * @param {string} [options.configPath] - Path to the profiles file, defaults to BOT_CONFIG or config/profiles.json.
+ * @param {object} [options.env=process.env] - Environment used for overrides.
+ * @returns {object} The resolved profile, with its name under `profile`.
+ * @throws {Error} When the file cannot be read or any value is invalid.
+ */
+function loadConfig({ profile, configPath, env = process.env } = {}) {
+    const file = configPath || env.BOT_CONFIG || DEFAULT_CONFIG_PATH;
+
+    let document;
+    try {
+        document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read config file ${file}: ${error.message}`);
+    }
+
+    if (!isPlainObject(document.profiles)) {
+        throw new Error(`Config file ${file} has no "profiles" object`);
+    }
+
+    const profileName = env.BOT_PROFILE || profile || document.defaultProfile;
+    if (!profileName) {
+        throw new Error(`No config profile selected, set BOT_PROFILE or "defaultProfile" in ${file}`);
+    }
+
+    const config = applyEnvOverrides(resolveProfile(document.profiles, profileName), env);
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid config profile "${profileName}":\n  - ${errors.join('\n  - ')}`);
+    }
+
+    config.order.size = String(config.order.size);
+    config.order.leverage = String(config.order.leverage);
+
+    // Every symbol inherits the profile's order size, leverage and strategy unless it overrides them
+    config.symbols = config.symbols.map(entry => {
+        const { symbol, size = config.order.size, leverage = config.order.leverage, strategy = config.strategy } = isPlainObject(entry) ? entry : { symbol: entry };
+        return { symbol, size: String(size), leverage: String(leverage), strategy };
+    });
+
+    return { profile: profileName, ...config };
+}
+
+/**
+ * Map a loaded config onto createTradingCore options.
+ * @param {object} config - Result of loadConfig.
+ * @returns {object} Options for createTradingCore (without the restClient).
+ */
+function tradingCoreOptions(config) {
+    return {
+        ...config.exchange,
+        ...config.order,
+        ...config.risk,
+        sizing: config.sizing,
+        takeProfitLadder: config.takeProfitLadder,
+    };
+}
+
+module.exports = {
+    DEFAULT_CONFIG_PATH,
+    TIMEFRAMES,
+    loadConfig,
+    validateConfig,
+    tradingCoreOptions,
+};
@@ -0,0 +1,140 @@
+/**
+ * Multi-timeframe confluence: combine per-timeframe signals into one
+ * decision, with the reasons for it.
+ *
+ * Two modes:
+ *   - weighted     every timeframe votes buy, sell or nothing with its
+ *                  weight. The score is (buy weight - sell weight) / total
+ *                  weight, from -1 to 1; a trade needs |score| >= minScore
+ *                  and at least minAgreeing timeframes on that side.
+ *                  Opposing timeframes lower the score instead of vetoing.
+ *   - trend-entry  the trend timeframes define the direction: each votes up
+ *                  or down by its trend with its weight, and |score| >=
+ *                  minScore sets the trend. A trade then needs at least
+ *                  minAgreeing entry timeframes signalling with the trend;
+ *                  entry signals against it are ignored.
+ *
+ * Timeframes without a weight count 1. Every decision comes with a
+ * breakdown of what each timeframe said, for the logs.
+ */
+
+const DEFAULT_OPTIONS = {
+    mode: 'weighted',
+    weights: {},
+    minScore: 0,
+    minAgreeing: 1,
+    trendTimeframes: [],
+    entryTimeframes: [],
+};
+
+const MODES = ['weighted', 'trend-entry'];
+
+const weightOf = (weights, timeframe) => (weights[timeframe] === undefined ? 1 : weights[timeframe]);
+
+// Weighted vote of (timeframe, direction) pairs; direction is 1, -1 or 0
+function score(votes, weights) {
+    const total = votes.reduce((sum, vote) => sum + weightOf(weights, vote.timeframe), 0);
+    const net = votes.reduce((sum, vote) => sum + vote.direction * weightOf(weights, vote.timeframe), 0);
+    return total > 0 ? net / total : 0;
+}
+
+const sideOf = result => (result.buySignal && !result.sellSignal ? 'buy' : result.sellSignal && !result.buySignal ? 'sell' : null);
+const DIRECTION = { buy: 1, sell: -1, up: 1, down: -1 };
+
+//////////// - Modes - ///////////////////////////
+
+function weightedDecision(results, settings) {
+    const votes = results.map(result => ({ timeframe: result.timeframe, direction: DIRECTION[sideOf(result)] || 0 }));
+    const value = score(votes, settings.weights);
+    const side = value > 0 ? 'buy' : value < 0 ? 'sell' : null;
+    const agreeing = votes.filter(vote => side && vote.direction === DIRECTION[side]).length;
+    const reasons = [`weighted score ${value.toFixed(2)}`];
+
+    if (!side) {
+        reasons.push('no side has more weight');
+    } else if (Math.abs(value) < settings.minScore) {
+        reasons.push(`below the minimum score ${settings.minScore}`);
+    } else if (agreeing < settings.minAgreeing) {
+        reasons.push(`only ${agreeing} of the required ${settings.minAgreeing} timeframes agree`);
+    } else {
+        reasons.push(`${agreeing} timeframes agree`);
+        return { side, score: value, reasons };
+    }
+    return { side: null, score: value, reasons };
+}
+
+function trendEntryDecision(results, settings) {
+    const byTimeframe = new Map(results.map(result => [result.timeframe, result]));
+    const trendVotes = settings.trendTimeframes
+        .filter(timeframe => byTimeframe.has(timeframe))
+        .map(timeframe => ({ timeframe, direction: DIRECTION[byTimeframe.get(timeframe).trend] || 0 }));
+    const value = score(trendVotes, settings.weights);
+    const trend = value > 0 && value >= settings.minScore ? 'up' : value < 0 && -value >= settings.minScore ? 'down' : null;
+    const reasons = [`trend score ${value.toFixed(2)}`];
+
+    if (trendVotes.length === 0) {
+        reasons.push('no trend timeframes');
+        return { side: null, score: value, reasons };
+    }
+    if (!trend) {
+        reasons.push(`no trend (minimum score ${settings.minScore})`);
+        return { side: null, score: value, reasons };
+    }
+
+    const side = trend === 'up' ? 'buy' : 'sell';
+    const entries = settings.entryTimeframes.filter(timeframe => byTimeframe.has(timeframe));
+    const withTrend = entries.filter(timeframe => sideOf(byTimeframe.get(timeframe)) === side);
+    const against = entries.filter(timeframe => sideOf(byTimeframe.get(timeframe)) && sideOf(byTimeframe.get(timeframe)) !== side);
+
+    reasons.push(`trend ${trend}`);
+    if (against.length > 0) reasons.push(`ignoring ${against.join(', ')} against the trend`);
+    if (withTrend.length < settings.minAgreeing) {
+        reasons.push(`${withTrend.length} of the required ${settings.minAgreeing} entry timeframes signal ${side}`);
+        return { side: null, score: value, reasons };
+    }
+
+    reasons.push(`entry on ${withTrend.join(', ')}`);
+    return { side, score: value, reasons };
+}
+
+//////////// - Public API - ///////////////////////////
+
+/**
+ * Combine per-timeframe signals into one decision.
+ * @param {Array<{ timeframe: string, buySignal: boolean, sellSignal: boolean, trend?: string|null }>} results
+ *   One per timeframe; trend ('up', 'down' or null) is only used by the trend-entry mode.
+ * @param {object} [options] - Overrides for DEFAULT_OPTIONS.
+ * @returns {{ side: string|null, score: number, reasons: Array<string>, breakdown: Array<object> }}
+ *   breakdown lists each timeframe's weight, signal and trend.
+ */
+function evaluateConfluence(results, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const decision = settings.mode === 'trend-entry'
+        ? trendEntryDecision(results, settings)
+        : weightedDecision(results, settings);
+
+    return {
+        ...decision,
+        breakdown: results.map(result => ({
+            timeframe: result.timeframe,
+            weight: weightOf(settings.weights, result.timeframe),
+            signal: sideOf(result),
+            trend: result.trend ?? null,
+        })),
+    };
+}
+
+// One-line summary of a decision, e.g. "buy (weighted score 0.60, 3 timeframes agree) | 5m buy x1, 1H - x2"
+function formatConfluence(decision) {
+    const timeframes = decision.breakdown
+        .map(({ timeframe, weight, signal, trend }) => `${timeframe} ${signal || '-'}${trend ? `/${trend}` : ''} x${weight}`)
+        .join(', ');
+    return `${decision.side || 'no trade'} (${decision.reasons.join(', ')}) | ${timeframes}`;
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    MODES,
+    evaluateConfluence,
+    formatConfluence,
+};
@@ -0,0 +1,158 @@
+/**
+ * Contract specs from Bitget's contract config endpoint, and rounding of
+ * prices and sizes to the increments the exchange accepts.
+ *
+ * Bitget gives a symbol's price increment as pricePlace decimals and a
+ * priceEndStep counted in the last of them, so pricePlace 1 with
+ * priceEndStep 5 trades in steps of 0.5. Sizes step by sizeMultiplier, to
+ * volumePlace decimals, from a minimum of minTradeNum and a notional of at
+ * least minTradeUSDT. maxOrderQty and maxMarketOrderQty cap a single order
+ * where the exchange returns them.
+ *
+ * The trading core loads each symbol's spec once through createContractSpecs
+ * and normalises every price and size it sends, see tradingCore.js.
+ *
+ * Usage:
+ *   const contracts = createContractSpecs({ restClient: restClientV2, productType: 'SUSDT-FUTURES' });
+ *   const spec = await contracts.get('SBTCSUSDT');
+ *   roundPrice(65000.123, spec); // 65000.1
+ */
+
+// Specs rarely change, reload them now and then in case the exchange does
+const DEFAULT_CACHE_MINUTES = 60;
+
+const ROUNDING = {
+    nearest: Math.round,
+    down: Math.floor,
+    up: Math.ceil,
+};
+
+/**
+ * Read a contract config entry into numbers.
+ * @param {object} contract - An entry of the contract config response.
+ * @returns {{ symbol: string, tickSize: number, pricePlace: number, sizeStep: number, volumePlace: number,
+ *   minSize: number, maxSize: number, maxMarketSize: number, minNotional: number, minLeverage: number, maxLeverage: number }}
+ *   Limits the exchange does not return are 0 or Infinity.
+ */
+function parseContractSpec(contract) {
+    const number = (field, fallback) => {
+        const value = parseFloat(contract[field]);
+        return Number.isFinite(value) ? value : fallback;
+    };
+    const pricePlace = number('pricePlace', 0);
+    const volumePlace = number('volumePlace', 0);
+    return {
+        symbol: contract.symbol,
+        tickSize: Number((number('priceEndStep', 1) * 10 ** -pricePlace).toFixed(pricePlace)),
+        pricePlace,
+        sizeStep: number('sizeMultiplier', 10 ** -volumePlace),
+        volumePlace,
+        minSize: number('minTradeNum', 0),
+        maxSize: number('maxOrderQty', Infinity),
+        maxMarketSize: number('maxMarketOrderQty', Infinity),
+        minNotional: number('minTradeUSDT', 0),
+        minLeverage: number('minLever', 1),
+        maxLeverage: number('maxLever', Infinity),
+    };
+}
+
+// A whole number of steps, written to the given decimals so no floating point error reaches the exchange
+function roundToStep(value, step, places, rounding = 'nearest') {
+    const steps = ROUNDING[rounding](rounding === 'nearest' ? value / step : value / step + (rounding === 'down' ? 1e-9 : -1e-9));
+    return Number((steps * step).toFixed(places));
+}
+
+/**
+ * Round a price to the contract's tick size.
+ * @param {number|string} price
+ * @param {object} spec - From parseContractSpec.
+ * @param {string} [rounding='nearest'] - 'nearest', 'down' or 'up'.
+ * @returns {number}
+ */
+function roundPrice(price, spec, rounding = 'nearest') {
+    return roundToStep(parseFloat(price), spec.tickSize, spec.pricePlace, rounding);
+}
+
+/**
+ * Round a size down to the contract's size step, so an order never exceeds what was asked for.
+ * @param {number|string} size
+ * @param {object} spec - From parseContractSpec.
+ * @returns {number}
+ */
+function roundSize(size, spec) {
+    return roundToStep(parseFloat(size), spec.sizeStep, spec.volumePlace, 'down');
+}
+
+/**
+ * Why the exchange would refuse an order of this size, if it would.
+ * @param {number} size - Already rounded with roundSize.
+ * @param {number} price
+ * @param {object} spec - From parseContractSpec.
+ * @param {string} [orderType='limit']
+ * @returns {string|null} null when the size is within the contract's limits.
+ */
+function checkOrderSize(size, price, spec, orderType = 'limit') {
+    const maxSize = orderType === 'market' ? Math.min(spec.maxSize, spec.maxMarketSize) : spec.maxSize;
+    if (size < spec.minSize) return `size ${size} is below the ${spec.symbol} minimum of ${spec.minSize}`;
+    if (!(size > 0)) return `size ${size} is not a positive order size`;
+    if (size > maxSize) return `size ${size} is above the ${spec.symbol} maximum of ${maxSize} per ${orderType} order`;
+    if (size * price < spec.minNotional) {
+        return `size ${size} at ${price} is ${(size * price).toFixed(2)}, below the ${spec.symbol} minimum order value of ${spec.minNotional}`;
+    }
+    return null;
+}
+
+/**
+ * Create a cache of contract specs, loaded from the exchange on first use.
+ * @param {object} options
+ * @param {object} options.restClient - A RestClientV2 instance (or anything with getFuturesContractConfig).
+ * @param {string} options.productType - Bitget V2 product type.
+ * @param {number} [options.cacheMinutes=60] - How long a loaded spec is used before it is loaded again.
+ * @param {function(): number} [options.clock=Date.now]
+ * @returns {{ get: function(string): Promise<object>, clear: function(): void }}
+ */
+function createContractSpecs({ restClient, productType, cacheMinutes = DEFAULT_CACHE_MINUTES, clock = Date.now }) {
+    const cache = new Map();
+
+    async function load(symbol) {
+        const response = await restClient.getFuturesContractConfig({ symbol, productType });
+        const contract = ((response && response.data) || []).find(entry => entry.symbol === symbol);
+        if (!contract) {
+            throw new Error(`No contract config returned for ${symbol} on ${productType}`);
+        }
+        return parseContractSpec(contract);
+    }
+
+    /**
+     * The spec of a symbol, from the cache while it is fresh.
+     * Concurrent callers share one request; a failed load is not cached.
+     * @param {string} symbol
+     * @returns {Promise<object>} From parseContractSpec.
+     */
+    function get(symbol) {
+        const cached = cache.get(symbol);
+        if (cached && clock() - cached.loadedAt < cacheMinutes * 60 * 1000) {
+            return cached.spec;
+        }
+        const spec = load(symbol).catch(error => {
+            cache.delete(symbol);
+            throw error;
+        });
+        cache.set(symbol, { spec, loadedAt: clock() });
+        return spec;
+    }
+
+    return {
+        get,
+        clear: () => cache.clear(),
+    };
+}
+
+module.exports = {
+    DEFAULT_CACHE_MINUTES,
+    parseContractSpec,
+    roundPrice,
+    roundSize,
+    checkOrderSize,
+    createContractSpecs,
+};
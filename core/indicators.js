@@ -0,0 +1,487 @@
+/**
+ * Technical indicators shared by the signal functions.
+ *
+ * Every calculateX function takes candles in the format fetchCandleData
+ * produces, [timestamp, open, high, low, close, volume] oldest first, and
+ * returns a series of the same length, index-aligned with the candles:
+ * result[i] is the indicator value at the close of candles[i], and null
+ * while the indicator is still warming up. The value for the latest candle
+ * is always result[candles.length - 1].
+ *
+ * The smoothing follows TradingView's ta.* built-ins, which is what the
+ * strategies were designed on:
+ *   - SMA  arithmetic mean of the last `period` values.
+ *   - EMA  alpha = 2 / (period + 1), seeded with the SMA of the first `period` values.
+ *   - RMA  Wilder's smoothing, alpha = 1 / period, seeded the same way (RSI, ATR).
+ *   - RSI  Wilder's RSI over close-to-close changes; first value at index `period`.
+ *   - ATR  Wilder-smoothed true range; the first bar's true range is high - low,
+ *          so the first value is at index `period - 1`.
+ *   - VWAP cumulative typical-price VWAP from the first candle.
+ *   - Anchored VWAP restarts each UTC day, week or session (ta.vwap with an
+ *     anchor); its bands are the volume-weighted standard deviation of the
+ *     typical price since the anchor. A period the candles start part way
+ *     through is null, as its volume is missing.
+ *   - MACD, Bollinger Bands, Supertrend, DMI/ADX, OBV, Keltner Channels and
+ *     Ichimoku follow ta.macd, ta.bb / ta.bbw, ta.supertrend, ta.dmi,
+ *     ta.obv, the built-in Keltner Channels (EMA basis, ATR bands) and the
+ *     built-in Ichimoku Cloud; differences are noted on each function.
+ *
+ * Checked against the StockCharts ChartSchool worked examples: the 10-day
+ * EMA of 22.27, 22.19, ... starts 22.22, 22.21, 22.24; ATR(14) of the
+ * 48.70/47.79/48.16 ... bars starts 0.55, 0.59, 0.59; RSI(14) of 44.34,
+ * 44.09, ... starts 70.46, 66.25, 66.48 (TA-Lib agrees; the ChartSchool
+ * sheet shows 70.53 because it rounds the averages at every step).
+ */
+
+const { anchorStart } = require('./timeframes');
+
+/////////////////////// - Series helpers - /////////////////////////////
+
+// Index of the first non-null value, or -1
+function firstValueIndex(values) {
+    return values.findIndex(value => value !== null && value !== undefined);
+}
+
+/**
+ * Simple moving average of a series. Leading nulls are skipped.
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>} Same length as values.
+ */
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = firstValueIndex(values);
+    if (start === -1) return result;
+
+    let sum = 0;
+    for (let i = start; i < values.length; i++) {
+        sum += values[i];
+        if (i - start >= period) sum -= values[i - period];
+        if (i - start >= period - 1) result[i] = sum / period;
+    }
+    return result;
+}
+
+// Exponential smoothing seeded with the SMA of the first `period` values
+function smooth(values, period, alpha) {
+    const result = new Array(values.length).fill(null);
+    const start = firstValueIndex(values);
+    if (start === -1 || values.length - start < period) return result;
+
+    const seedIndex = start + period - 1;
+    let value = values.slice(start, seedIndex + 1).reduce((sum, item) => sum + item, 0) / period;
+    result[seedIndex] = value;
+
+    for (let i = seedIndex + 1; i < values.length; i++) {
+        value = alpha * values[i] + (1 - alpha) * value;
+        result[i] = value;
+    }
+    return result;
+}
+
+/**
+ * Exponential moving average of a series. Leading nulls are skipped.
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>} Same length as values.
+ */
+function ema(values, period) {
+    return smooth(values, period, 2 / (period + 1));
+}
+
+/**
+ * Wilder's moving average (RMA / SMMA) of a series. Leading nulls are skipped.
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>} Same length as values.
+ */
+function rma(values, period) {
+    return smooth(values, period, 1 / period);
+}
+
+// Highest / lowest of the last `period` values (null until `period` values exist)
+function rollingExtreme(values, period, pick) {
+    return values.map((_, i) => {
+        if (i < period - 1) return null;
+        const window = values.slice(i - period + 1, i + 1);
+        return window.some(value => value === null) ? null : pick(...window);
+    });
+}
+
+const highest = (values, period) => rollingExtreme(values, period, Math.max);
+const lowest = (values, period) => rollingExtreme(values, period, Math.min);
+
+/**
+ * Stochastic of a series: where src sits in the high-low range of the last
+ * `period` values, 0 to 100 (TradingView ta.stoch).
+ * @param {Array<number|null>} src
+ * @param {Array<number|null>} high
+ * @param {Array<number|null>} low
+ * @param {number} period
+ * @returns {Array<number|null>} Same length as src.
+ */
+function stoch(src, high, low, period) {
+    const highs = highest(high, period);
+    const lows = lowest(low, period);
+    return src.map((value, i) => {
+        if (value === null || highs[i] === null || lows[i] === null) return null;
+        const range = highs[i] - lows[i];
+        return range === 0 ? 0 : (100 * (value - lows[i])) / range;
+    });
+}
+
+/**
+ * Wilder's RSI of a series. Leading nulls are skipped.
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>} Same length as values.
+ */
+function rsi(values, period) {
+    const gains = values.map(() => null);
+    const losses = values.map(() => null);
+
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] === null || values[i - 1] === null) continue;
+        const change = values[i] - values[i - 1];
+        gains[i] = Math.max(change, 0);
+        losses[i] = Math.max(-change, 0);
+    }
+
+    const avgGain = rma(gains, period);
+    const avgLoss = rma(losses, period);
+
+    return avgGain.map((gain, i) => {
+        if (gain === null) return null;
+        if (avgLoss[i] === 0) return 100;
+        if (gain === 0) return 0;
+        return 100 - 100 / (1 + gain / avgLoss[i]);
+    });
+}
+
+/**
+ * Population standard deviation over the last `period` values (TradingView ta.stdev).
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>} Same length as values.
+ */
+function stdev(values, period) {
+    const means = sma(values, period);
+    return values.map((_, i) => {
+        if (means[i] === null) return null;
+        const window = values.slice(i - period + 1, i + 1);
+        return Math.sqrt(window.reduce((sum, value) => sum + (value - means[i]) ** 2, 0) / period);
+    });
+}
+
+// Element-wise a - b, null where either is null
+function subtract(a, b) {
+    return a.map((value, i) => (value === null || b[i] === null ? null : value - b[i]));
+}
+
+// Midpoint of the highest high and lowest low over `period` candles (Ichimoku lines)
+function donchianMidpoint(candles, period) {
+    const highs = highest(candles.map(candle => candle[2]), period);
+    const lows = lowest(candles.map(candle => candle[3]), period);
+    return highs.map((high, i) => (high === null ? null : (high + lows[i]) / 2));
+}
+
+// Shift a series `bars` to the right, padding with null
+function shift(values, bars) {
+    return values.map((_, i) => (i - bars >= 0 ? values[i - bars] : null));
+}
+
+/**
+ * MACD of a series.
+ * @returns {{ macd: Array<number|null>, signal: Array<number|null>, histogram: Array<number|null> }}
+ */
+function macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const line = subtract(ema(values, fastPeriod), ema(values, slowPeriod));
+    const signal = ema(line, signalPeriod);
+    return { macd: line, signal, histogram: subtract(line, signal) };
+}
+
+/**
+ * Bollinger Bands of a series. bandwidth is (upper - lower) / middle, as
+ * ta.bbw, so 0.05 means the bands are 5% of price apart.
+ * @returns {{ middle: Array<number|null>, upper: Array<number|null>, lower: Array<number|null>, bandwidth: Array<number|null> }}
+ */
+function bollinger(values, period = 20, multiplier = 2) {
+    const middle = sma(values, period);
+    const deviation = stdev(values, period);
+    const upper = middle.map((value, i) => (value === null ? null : value + multiplier * deviation[i]));
+    const lower = middle.map((value, i) => (value === null ? null : value - multiplier * deviation[i]));
+    const bandwidth = middle.map((value, i) => (value === null || value === 0 ? null : (upper[i] - lower[i]) / value));
+    return { middle, upper, lower, bandwidth };
+}
+
+const closes = candles => candles.map(candle => candle[4]);
+
+/////////////////////// - Candle indicators - /////////////////////////////
+
+// Calculate Simple Moving Average (SMA) of the closes
+function calculateSMA(candles, period) {
+    return sma(closes(candles), period);
+}
+
+// Calculate Exponential Moving Average (EMA) of the closes
+function calculateEMA(candles, period) {
+    return ema(closes(candles), period);
+}
+
+// Calculate Volume-Weighted Average Price (VWAP)
+function calculateVWAP(candles) {
+    let cumulativeVolume = 0;
+    let cumulativePriceVolume = 0;
+
+    return candles.map(candle => {
+        const typicalPrice = (candle[2] + candle[3] + candle[4]) / 3;
+        cumulativeVolume += candle[5];
+        cumulativePriceVolume += typicalPrice * candle[5];
+        return cumulativeVolume > 0 ? cumulativePriceVolume / cumulativeVolume : null;
+    });
+}
+
+/**
+ * VWAP restarting at every anchor period, with standard deviation bands.
+ * @param {Array<Array<number>>} candles
+ * @param {object} [options]
+ * @param {string} [options.anchor='day'] - 'day', 'week' or 'session' (UTC).
+ * @param {string} [options.sessionStart='00:00'] - UTC 'HH:MM' the session anchor opens at.
+ * @param {Array<number>} [options.bandMultipliers=[1, 2]] - Standard deviations for each band.
+ * @returns {{ vwap: Array<number|null>, stdev: Array<number|null>, bands: Array<{ multiplier: number, upper: Array<number|null>, lower: Array<number|null> }> }}
+ */
+function calculateAnchoredVWAP(candles, { anchor = 'day', sessionStart = '00:00', bandMultipliers = [1, 2] } = {}) {
+    const vwap = [];
+    const deviation = [];
+    let period = null;
+    let complete = false;
+    let volume = 0;
+    let priceVolume = 0;
+    let squareVolume = 0;
+
+    candles.forEach((candle, index) => {
+        const start = anchorStart(candle[0], anchor, sessionStart);
+        if (start !== period) {
+            // The first period is only whole when the candles begin on its start
+            complete = index > 0 || start === candle[0];
+            period = start;
+            volume = 0;
+            priceVolume = 0;
+            squareVolume = 0;
+        }
+
+        const typicalPrice = (candle[2] + candle[3] + candle[4]) / 3;
+        volume += candle[5];
+        priceVolume += typicalPrice * candle[5];
+        squareVolume += typicalPrice * typicalPrice * candle[5];
+
+        if (!complete || volume <= 0) {
+            vwap.push(null);
+            deviation.push(null);
+            return;
+        }
+        const average = priceVolume / volume;
+        vwap.push(average);
+        deviation.push(Math.sqrt(Math.max(0, squareVolume / volume - average * average)));
+    });
+
+    return {
+        vwap,
+        stdev: deviation,
+        bands: bandMultipliers.map(multiplier => ({
+            multiplier,
+            upper: vwap.map((value, i) => (value === null ? null : value + multiplier * deviation[i])),
+            lower: vwap.map((value, i) => (value === null ? null : value - multiplier * deviation[i])),
+        })),
+    };
+}
+
+// True range of every candle; the first has no previous close, so it is high - low
+function calculateTrueRange(candles) {
+    return candles.map((candle, index) => {
+        if (index === 0) return candle[2] - candle[3];
+        const prevClose = candles[index - 1][4];
+        return Math.max(
+            candle[2] - candle[3],
+            Math.abs(candle[2] - prevClose),
+            Math.abs(candle[3] - prevClose)
+        );
+    });
+}
+
+// Calculate Average True Range (ATR) with Wilder's smoothing
+function calculateATR(candles, period = 14) {
+    return rma(calculateTrueRange(candles), period);
+}
+
+// Calculate Relative Strength Index (RSI) with Wilder's smoothing
+function calculateRSI(candles, period = 14) {
+    return rsi(closes(candles), period);
+}
+
+/////////////////////// - Extended indicators - /////////////////////////////
+
+// Calculate MACD line, signal line and histogram of the closes
+function calculateMACD(candles, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    return macd(closes(candles), fastPeriod, slowPeriod, signalPeriod);
+}
+
+// Calculate Bollinger Bands and bandwidth of the closes
+function calculateBollingerBands(candles, period = 20, multiplier = 2) {
+    return bollinger(closes(candles), period, multiplier);
+}
+
+/**
+ * Supertrend. direction is 1 in an uptrend (the line is below price, a long
+ * stop) and -1 in a downtrend; note TradingView's ta.supertrend uses the
+ * opposite sign.
+ * @returns {{ supertrend: Array<number|null>, direction: Array<number|null> }}
+ */
+function calculateSupertrend(candles, period = 10, multiplier = 3) {
+    const atr = calculateATR(candles, period);
+    const supertrend = candles.map(() => null);
+    const direction = candles.map(() => null);
+    let upperBand = 0;
+    let lowerBand = 0;
+
+    candles.forEach(([, , high, low, close], i) => {
+        if (atr[i] === null) return;
+        const middle = (high + low) / 2;
+        const previousClose = i > 0 ? candles[i - 1][4] : null;
+        const upper = middle + multiplier * atr[i];
+        const lower = middle - multiplier * atr[i];
+
+        // Bands only ever tighten while price stays inside them
+        const nextLower = lower > lowerBand || previousClose < lowerBand ? lower : lowerBand;
+        const nextUpper = upper < upperBand || previousClose > upperBand ? upper : upperBand;
+
+        if (i === 0 || atr[i - 1] === null) {
+            direction[i] = -1;
+        } else if (direction[i - 1] === -1) {
+            direction[i] = close > nextUpper ? 1 : -1;
+        } else {
+            direction[i] = close < nextLower ? -1 : 1;
+        }
+
+        lowerBand = nextLower;
+        upperBand = nextUpper;
+        supertrend[i] = direction[i] === 1 ? lowerBand : upperBand;
+    });
+
+    return { supertrend, direction };
+}
+
+/**
+ * Directional Movement Index: ADX with +DI and -DI, Wilder-smoothed.
+ * While the smoothed true range is 0, over a run of flat candles, both DIs
+ * are 0 rather than 0 / 0, which the ADX smoothing would carry forever.
+ * @returns {{ adx: Array<number|null>, plusDI: Array<number|null>, minusDI: Array<number|null> }}
+ */
+function calculateADX(candles, period = 14, adxPeriod = period) {
+    const plusDM = candles.map(() => null);
+    const minusDM = candles.map(() => null);
+    const trueRange = candles.map(() => null);
+
+    for (let i = 1; i < candles.length; i++) {
+        const up = candles[i][2] - candles[i - 1][2];
+        const down = candles[i - 1][3] - candles[i][3];
+        plusDM[i] = up > down && up > 0 ? up : 0;
+        minusDM[i] = down > up && down > 0 ? down : 0;
+        trueRange[i] = Math.max(
+            candles[i][2] - candles[i][3],
+            Math.abs(candles[i][2] - candles[i - 1][4]),
+            Math.abs(candles[i][3] - candles[i - 1][4])
+        );
+    }
+
+    const smoothedRange = rma(trueRange, period);
+    const toDI = dm => rma(dm, period).map((value, i) => {
+        if (value === null) return null;
+        return smoothedRange[i] === 0 ? 0 : (100 * value) / smoothedRange[i];
+    });
+    const plusDI = toDI(plusDM);
+    const minusDI = toDI(minusDM);
+    const dx = plusDI.map((plus, i) => {
+        if (plus === null) return null;
+        const sum = plus + minusDI[i];
+        return Math.abs(plus - minusDI[i]) / (sum === 0 ? 1 : sum);
+    });
+    const adx = rma(dx, adxPeriod).map(value => (value === null ? null : 100 * value));
+
+    return { adx, plusDI, minusDI };
+}
+
+// Calculate On-Balance Volume, starting from 0 on the first candle
+function calculateOBV(candles) {
+    let total = 0;
+    return candles.map((candle, index) => {
+        if (index > 0) total += Math.sign(candle[4] - candles[index - 1][4]) * candle[5];
+        return total;
+    });
+}
+
+/**
+ * Keltner Channels: EMA of the closes with bands `multiplier` ATRs away.
+ * @returns {{ middle: Array<number|null>, upper: Array<number|null>, lower: Array<number|null> }}
+ */
+function calculateKeltnerChannels(candles, period = 20, multiplier = 2, atrPeriod = 10) {
+    const middle = calculateEMA(candles, period);
+    const atr = calculateATR(candles, atrPeriod);
+    const band = (side) => middle.map((value, i) => (value === null || atr[i] === null ? null : value + side * multiplier * atr[i]));
+    return { middle, upper: band(1), lower: band(-1) };
+}
+
+/**
+ * Ichimoku Cloud.
+ *
+ * spanA / spanB are the cloud as drawn at each candle, i.e. computed
+ * `displacement - 1` candles earlier, so price can be compared with the
+ * cloud on the same index. leadingSpanA / leadingSpanB are the values
+ * computed at each candle, which are drawn that far ahead. lagging is the
+ * close, drawn `displacement - 1` candles back: compare lagging[i] with
+ * candles[i - displacement + 1].
+ * @returns {{ conversion, base, spanA, spanB, leadingSpanA, leadingSpanB, lagging }} Series of number|null.
+ */
+function calculateIchimoku(candles, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+    const conversion = donchianMidpoint(candles, conversionPeriod);
+    const base = donchianMidpoint(candles, basePeriod);
+    const leadingSpanA = conversion.map((value, i) => (value === null || base[i] === null ? null : (value + base[i]) / 2));
+    const leadingSpanB = donchianMidpoint(candles, spanBPeriod);
+
+    return {
+        conversion,
+        base,
+        spanA: shift(leadingSpanA, displacement - 1),
+        spanB: shift(leadingSpanB, displacement - 1),
+        leadingSpanA,
+        leadingSpanB,
+        lagging: closes(candles),
+    };
+}
+
+module.exports = {
+    sma,
+    ema,
+    rma,
+    rsi,
+    stdev,
+    macd,
+    bollinger,
+    highest,
+    lowest,
+    stoch,
+    calculateSMA,
+    calculateEMA,
+    calculateVWAP,
+    calculateAnchoredVWAP,
+    calculateTrueRange,
+    calculateATR,
+    calculateRSI,
+    calculateMACD,
+    calculateBollingerBands,
+    calculateSupertrend,
+    calculateADX,
+    calculateOBV,
+    calculateKeltnerChannels,
+    calculateIchimoku,
+};
@@ -0,0 +1,195 @@
+/**
+ * Market Cipher B style oscillator, following the open VuManChu Cipher B
+ * script that most traders compare against.
+ *
+ *   - WaveTrend: wt1 / wt2 channel oscillator on hlc3. A green (buy) dot is
+ *     wt1 crossing above wt2 while wt2 is oversold, a red (sell) dot is wt1
+ *     crossing below wt2 while wt2 is overbought.
+ *   - RSI+MFI money flow: smoothed (close - open) / (high - low); above zero
+ *     is buying pressure (green area), below zero selling pressure (red area).
+ *   - Stochastic RSI with K and D lines.
+ *   - WaveTrend divergences on wt2 fractals: a bullish divergence is a
+ *     higher wt2 bottom at a lower price low, a bearish one a lower wt2 top at
+ *     a higher price high. Fractals need two bars either side, so a
+ *     divergence is reported on the bar that confirms it, two bars after the
+ *     pivot, and never looks ahead.
+ *   - Gold buy dot: a bullish divergence out of a very deep wt2 low with RSI
+ *     below 30.
+ *
+ * All series are index-aligned with the candles (see indicators.js) and are
+ * null or false while warming up.
+ */
+
+const { sma, ema, rsi, stoch } = require('./indicators');
+
+const DEFAULT_OPTIONS = {
+    // WaveTrend
+    channelLength: 9,
+    averageLength: 12,
+    maLength: 3,
+    overbought: 53,
+    oversold: -53,
+    goldOversold: -75,
+    divergenceOverbought: 45,
+    divergenceOversold: -65,
+    // RSI+MFI money flow
+    moneyFlowPeriod: 60,
+    moneyFlowMultiplier: 150,
+    moneyFlowOffset: 2.5,
+    // Stochastic RSI
+    stochLength: 14,
+    stochRSILength: 14,
+    stochK: 3,
+    stochD: 3,
+    stochUseLog: true,
+    // RSI used by the gold buy dot
+    rsiLength: 14,
+    goldRSI: 30,
+};
+
+/////////////////////// - Components - /////////////////////////////
+
+/**
+ * WaveTrend oscillator.
+ * @param {Array<Array<number>>} candles
+ * @param {object} options - channelLength, averageLength, maLength.
+ * @returns {{ wt1: Array<number|null>, wt2: Array<number|null> }}
+ */
+function calculateWaveTrend(candles, { channelLength, averageLength, maLength }) {
+    const hlc3 = candles.map(candle => (candle[2] + candle[3] + candle[4]) / 3);
+    const esa = ema(hlc3, channelLength);
+    const deviation = ema(hlc3.map((value, i) => (esa[i] === null ? null : Math.abs(value - esa[i]))), channelLength);
+    const ci = hlc3.map((value, i) => {
+        if (esa[i] === null || deviation[i] === null) return null;
+        return deviation[i] === 0 ? 0 : (value - esa[i]) / (0.015 * deviation[i]);
+    });
+    const wt1 = ema(ci, averageLength);
+    const wt2 = sma(wt1, maLength);
+    return { wt1, wt2 };
+}
+
+/**
+ * RSI+MFI money flow area.
+ * @param {Array<Array<number>>} candles
+ * @param {object} options - moneyFlowPeriod, moneyFlowMultiplier, moneyFlowOffset.
+ * @returns {Array<number|null>}
+ */
+function calculateMoneyFlow(candles, { moneyFlowPeriod, moneyFlowMultiplier, moneyFlowOffset }) {
+    const raw = candles.map(([, open, high, low, close]) => (high === low ? 0 : ((close - open) / (high - low)) * moneyFlowMultiplier));
+    return sma(raw, moneyFlowPeriod).map(value => (value === null ? null : value - moneyFlowOffset));
+}
+
+/**
+ * Stochastic RSI, K and D between 0 and 100.
+ * @param {Array<Array<number>>} candles
+ * @param {object} options - stochLength, stochRSILength, stochK, stochD, stochUseLog.
+ * @returns {{ k: Array<number|null>, d: Array<number|null> }}
+ */
+function calculateStochasticRSI(candles, { stochLength, stochRSILength, stochK, stochD, stochUseLog }) {
+    const source = candles.map(candle => (stochUseLog ? Math.log(candle[4]) : candle[4]));
+    const rsiValues = rsi(source, stochRSILength);
+    const k = sma(stoch(rsiValues, rsiValues, rsiValues, stochLength), stochK);
+    const d = sma(k, stochD);
+    return { k, d };
+}
+
+/**
+ * Regular divergences between an oscillator and price, found on 5-bar
+ * fractals of the oscillator and reported on the bar that confirms them.
+ * @param {Array<Array<number>>} candles
+ * @param {Array<number|null>} oscillator
+ * @param {number} topLimit - Tops must be at or above this to count.
+ * @param {number} bottomLimit - Bottoms must be at or below this to count.
+ * @returns {{ bullish: Array<boolean>, bearish: Array<boolean>, previousBottom: Array<number|null> }}
+ *   previousBottom is the oscillator value at the last bottom before the one confirmed on that bar.
+ */
+function findDivergences(candles, oscillator, topLimit, bottomLimit) {
+    const bullish = candles.map(() => false);
+    const bearish = candles.map(() => false);
+    const previousBottom = candles.map(() => null);
+    let lastTop = null;
+    let lastBottom = null;
+
+    for (let i = 4; i < candles.length; i++) {
+        const window = oscillator.slice(i - 4, i + 1);
+        if (window.some(value => value === null)) continue;
+
+        const [s4, s3, s2, s1, s0] = window;
+        const pivot = i - 2;
+        const isTop = s4 < s2 && s3 < s2 && s2 > s1 && s2 > s0;
+        const isBottom = s4 > s2 && s3 > s2 && s2 < s1 && s2 < s0;
+
+        if (isTop && s2 >= topLimit) {
+            const high = candles[pivot][2];
+            bearish[i] = lastTop !== null && high > lastTop.price && s2 < lastTop.value;
+            lastTop = { value: s2, price: high };
+        }
+        if (isBottom && s2 <= bottomLimit) {
+            const low = candles[pivot][3];
+            previousBottom[i] = lastBottom ? lastBottom.value : null;
+            bullish[i] = lastBottom !== null && low < lastBottom.price && s2 > lastBottom.value;
+            lastBottom = { value: s2, price: low };
+        }
+    }
+
+    return { bullish, bearish, previousBottom };
+}
+
+/////////////////////// - Market Cipher B - /////////////////////////////
+
+/**
+ * Calculate every Market Cipher B series for a set of candles.
+ * @param {Array<Array<number>>} candles - [timestamp, open, high, low, close, volume], oldest first.
+ * @param {object} [options] - Overrides for DEFAULT_OPTIONS.
+ * @returns {object} Index-aligned series: wt1, wt2, wtCrossUp, wtCrossDown, moneyFlow, stochK, stochD,
+ *   rsi, bullishDivergence, bearishDivergence, buy, sell, goldBuy.
+ */
+function calculateMarketCipherB(candles, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+
+    const { wt1, wt2 } = calculateWaveTrend(candles, settings);
+    const moneyFlow = calculateMoneyFlow(candles, settings);
+    const { k: stochK, d: stochD } = calculateStochasticRSI(candles, settings);
+    const rsiValues = rsi(candles.map(candle => candle[4]), settings.rsiLength);
+    const divergences = findDivergences(candles, wt2, settings.divergenceOverbought, settings.divergenceOversold);
+
+    const ready = i => i > 0 && [wt1[i], wt2[i], wt1[i - 1], wt2[i - 1]].every(value => value !== null);
+    const wtCrossUp = candles.map((_, i) => ready(i) && wt1[i] > wt2[i] && wt1[i - 1] <= wt2[i - 1]);
+    const wtCrossDown = candles.map((_, i) => ready(i) && wt1[i] < wt2[i] && wt1[i - 1] >= wt2[i - 1]);
+
+    const buy = candles.map((_, i) => wtCrossUp[i] && wt2[i] <= settings.oversold);
+    const sell = candles.map((_, i) => wtCrossDown[i] && wt2[i] >= settings.overbought);
+    const goldBuy = candles.map((_, i) => {
+        const previous = divergences.previousBottom[i];
+        return divergences.bullish[i] &&
+            previous !== null && previous <= settings.goldOversold &&
+            wt2[i] > settings.goldOversold &&
+            previous - wt2[i] <= -5 &&
+            rsiValues[i] !== null && rsiValues[i] < settings.goldRSI;
+    });
+
+    return {
+        wt1,
+        wt2,
+        wtCrossUp,
+        wtCrossDown,
+        moneyFlow,
+        stochK,
+        stochD,
+        rsi: rsiValues,
+        bullishDivergence: divergences.bullish,
+        bearishDivergence: divergences.bearish,
+        buy,
+        sell,
+        goldBuy,
+    };
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    calculateWaveTrend,
+    calculateMoneyFlow,
+    calculateStochasticRSI,
+    findDivergences,
+    calculateMarketCipherB,
+};
@@ -0,0 +1,313 @@
+/**
+ * Parameter search with walk-forward analysis, so strategy settings are
+ * picked on evidence from bars they were not fitted to.
+ *
+ * Candidate parameter sets are every combination of a search space (grid)
+ * or a seeded random sample of it. The candles are split into walk-forward
+ * folds: each trains on a window and tests on the bars straight after it,
+ * and the next fold moves on by one test window. Anchored folds keep every
+ * bar from the start in their training window instead.
+ *
+ * Every candidate is backtested on each training and test window. In each
+ * fold the candidate with the best training score is picked, and its test
+ * result is the walk-forward result: what choosing parameters this way
+ * would have earned out of sample. Candidates are ranked by their mean test
+ * score over the folds, so a set that only shines on the bars it was
+ * picked on drops down the list. A set needs `minTrades` training trades to
+ * be picked in a fold, and one short of them in any fold is ranked after
+ * every set that has them, as its scores rest on too few trades.
+ *
+ * Scores are risk-adjusted (see OBJECTIVES): the annualised Sharpe ratio of
+ * the window's equity curve by default, or its return over its maximum
+ * drawdown.
+ *
+ * A space maps each parameter to the values to try, a list or a range:
+ *   { emaFast: [5, 9, 13], atrMultiplier: { min: 1, max: 2.5, step: 0.5 } }
+ *
+ * TRADING_SIGNAL_SPACE searches the calculateTradingSignals settings, with
+ * candidates from tradingSignalsCandidate: the profile's ema-vwap-rsi
+ * strategy, whose ATR stop and target come from atrMultiplier and rewardRisk.
+ *
+ * Usage:
+ *   const result = await optimise({
+ *     candles,
+ *     space: TRADING_SIGNAL_SPACE,
+ *     valid: validTradingSignals,
+ *     buildStrategy: params => tradingSignalsCandidate(config, params),
+ *     method: 'random',
+ *     samples: 40,
+ *   });
+ *   console.log(result.ranking[0].params, result.walkForward);
+ */
+
+const { runBacktest, historyNeeded } = require('./backtester');
+const { createStrategy, lookbackFor } = require('./strategies');
+const { TRADING_SIGNAL_DEFAULTS } = require('./signals');
+const { regimeBars } = require('./regime');
+
+const METHODS = ['grid', 'random'];
+
+const OBJECTIVES = {
+    sharpe: stats => stats.sharpeRatio,
+    returnToDrawdown: stats => (stats.maxDrawdownPercent > 0 ? stats.returnPercent / stats.maxDrawdownPercent : stats.returnPercent),
+};
+
+// Around the hand-picked calculateTradingSignals defaults
+const TRADING_SIGNAL_SPACE = {
+    emaFast: [5, 9, 13],
+    emaSlow: [21, 34, 55],
+    rsiOverbought: [65, 70, 75],
+    rsiOversold: [25, 30, 35],
+    atrMultiplier: { min: 1, max: 2.5, step: 0.5 },
+    rewardRisk: [1.5, 2, 3],
+};
+
+//////////// - Search Space - ///////////////////////////
+
+/**
+ * Every value to try for each parameter of a space.
+ * @param {object} space - Parameter name to a list of values or { min, max, step }.
+ * @returns {object} Parameter name to a list of values.
+ * @throws {Error} On an empty list or a range that does not step forward.
+ */
+function expandSpace(space) {
+    return Object.fromEntries(Object.entries(space).map(([name, values]) => {
+        if (Array.isArray(values)) {
+            if (values.length === 0) throw new Error(`Parameter ${name} has no values to try`);
+            return [name, values];
+        }
+        const { min, max, step } = values || {};
+        if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+            throw new Error(`Parameter ${name} needs a list of values or { min, max, step } with min <= max and step > 0`);
+        }
+        // Rounded to the step's decimals so 0.1 steps do not drift
+        const decimals = (String(step).split('.')[1] || '').length;
+        const count = Math.floor((max - min) / step + 1e-9) + 1;
+        return [name, Array.from({ length: count }, (_, index) => Number((min + index * step).toFixed(decimals)))];
+    }));
+}
+
+/**
+ * Every combination of a space's values.
+ * @param {object} space
+ * @param {function(object): boolean} [valid] - Drops combinations that make no sense, e.g. a fast EMA slower than the slow one.
+ * @returns {Array<object>}
+ */
+function gridSearch(space, valid = () => true) {
+    return Object.entries(expandSpace(space))
+        .reduce((combinations, [name, values]) => combinations.flatMap(params => values.map(value => ({ ...params, [name]: value }))), [{}])
+        .filter(valid);
+}
+
+/**
+ * Distinct random combinations of a space's values, the same ones for the same seed.
+ * @param {object} space
+ * @param {object} [options]
+ * @param {number} [options.samples=50] - At most this many, fewer when the space is smaller.
+ * @param {number} [options.seed=1]
+ * @param {function(object): boolean} [options.valid]
+ * @returns {Array<object>}
+ */
+function randomSearch(space, { samples = 50, seed = 1, valid = () => true } = {}) {
+    const values = Object.entries(expandSpace(space));
+    const size = values.reduce((product, [, list]) => product * list.length, 1);
+    // Park-Miller, as the mock server uses
+    let state = Math.max(1, Math.floor(seed)) % 2147483647;
+    const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+
+    const found = new Map();
+    // Invalid draws count against the attempts, so a mostly invalid space still finishes
+    for (let attempt = 0; attempt < samples * 20 && found.size < Math.min(samples, size); attempt++) {
+        const params = Object.fromEntries(values.map(([name, list]) => [name, list[Math.floor(random() * list.length)]]));
+        const key = JSON.stringify(params);
+        if (!found.has(key) && valid(params)) found.set(key, params);
+    }
+    return [...found.values()];
+}
+
+//////////// - Walk-Forward - ///////////////////////////
+
+/**
+ * Split bars into walk-forward folds of training and test windows.
+ * @param {number} barCount - Candles available.
+ * @param {object} [options]
+ * @param {number} [options.start=0] - First bar a window may start at, e.g. after the lookback.
+ * @param {number} [options.folds=4]
+ * @param {number} [options.trainRatio=3] - Training window length in test windows.
+ * @param {boolean} [options.anchored=false] - Train every fold from `start` rather than a rolling window.
+ * @returns {Array<{ train: { start: number, end: number }, test: { start: number, end: number } }>} Bar indexes, end exclusive.
+ * @throws {Error} When there are too few bars for a test window of two bars.
+ */
+function walkForwardSplits(barCount, { start = 0, folds = 4, trainRatio = 3, anchored = false } = {}) {
+    const testBars = Math.floor((barCount - start) / (folds + trainRatio));
+    if (testBars < 2) {
+        throw new Error(`${barCount - start} bars are too few for ${folds} walk-forward folds with a training ratio of ${trainRatio}`);
+    }
+    const trainBars = Math.floor(testBars * trainRatio);
+
+    return Array.from({ length: folds }, (_, fold) => {
+        const testStart = start + trainBars + fold * testBars;
+        return {
+            train: { start: anchored ? start : testStart - trainBars, end: testStart },
+            test: { start: testStart, end: testStart + testBars },
+        };
+    });
+}
+
+//////////// - Trading Signals - ///////////////////////////
+
+/**
+ * Whether calculateTradingSignals settings make sense together.
+ * @param {object} params - Any of TRADING_SIGNAL_DEFAULTS.
+ * @returns {boolean}
+ */
+function validTradingSignals(params) {
+    const settings = { ...TRADING_SIGNAL_DEFAULTS, ...params };
+    return settings.emaFast < settings.emaSlow && settings.rsiOversold < settings.rsiOverbought;
+}
+
+/**
+ * The ema-vwap-rsi strategy of a profile with other calculateTradingSignals settings.
+ * @param {object} config - From loadConfig.
+ * @param {object} params - Any of TRADING_SIGNAL_DEFAULTS.
+ * @returns {object} A strategy for runBacktest.
+ */
+function tradingSignalsCandidate(config, params) {
+    return createStrategy('ema-vwap-rsi', { ...config, tradingSignals: { ...config.tradingSignals, ...params } });
+}
+
+//////////// - Optimiser - ///////////////////////////
+
+const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Search a space with walk-forward analysis.
+ * @param {object} options
+ * @param {Array<Array<number>>} options.candles - [ts, open, high, low, close, volume], oldest first.
+ * @param {object} options.space - See expandSpace.
+ * @param {function(object): object} options.buildStrategy - A strategy for a parameter set, e.g. tradingSignalsCandidate.
+ * @param {function(object): boolean} [options.valid] - Drops parameter sets that make no sense.
+ * @param {string} [options.method='grid'] - One of METHODS.
+ * @param {number} [options.samples=50] - Parameter sets to try with the random method.
+ * @param {number} [options.seed=1] - Seed of the random method.
+ * @param {number} [options.folds=4]
+ * @param {number} [options.trainRatio=3]
+ * @param {boolean} [options.anchored=false]
+ * @param {string} [options.objective='sharpe'] - One of OBJECTIVES.
+ * @param {number} [options.minTrades=5] - Fewest training trades for a set to be picked in a fold.
+ * @param {object} [options.backtestOptions] - Passed to every runBacktest, e.g. symbol, coreOptions, fees and regime.
+ * @param {function(number, number): void} [options.onProgress] - Called with the backtests done and the total.
+ * @returns {Promise<{ candidates: number, folds: Array<object>, walkForward: object, ranking: Array<object> }>}
+ *   folds holds each fold's windows (as open times), the set picked on training and its training and test stats;
+ *   walkForward the mean test score, summed test return and test trades of those picks;
+ *   ranking every set by mean test score, best first, with its per-fold stats; sets short of minTrades training
+ *   trades in any fold (enoughTrades false) come after the others.
+ */
+async function optimise(options) {
+    const {
+        candles,
+        space,
+        buildStrategy,
+        valid = () => true,
+        method = 'grid',
+        samples = 50,
+        seed = 1,
+        folds = 4,
+        trainRatio = 3,
+        anchored = false,
+        objective = 'sharpe',
+        minTrades = 5,
+        backtestOptions = {},
+        onProgress = () => {},
+    } = options;
+
+    if (!METHODS.includes(method)) throw new Error(`Unknown search method ${method}, expected one of ${METHODS.join(', ')}`);
+    if (!OBJECTIVES[objective]) throw new Error(`Unknown objective ${objective}, expected one of ${Object.keys(OBJECTIVES).join(', ')}`);
+    const score = OBJECTIVES[objective];
+
+    const candidates = method === 'grid' ? gridSearch(space, valid) : randomSearch(space, { samples, seed, valid });
+    if (candidates.length === 0) throw new Error('The search space has no valid parameter sets');
+
+    const strategies = candidates.map(buildStrategy);
+    const timeframe = backtestOptions.timeframe || strategies[0].inputs.timeframes[0];
+    const lookback = Math.max(
+        ...strategies.map(strategy => lookbackFor(strategy.inputs, timeframe)),
+        backtestOptions.regime ? regimeBars(backtestOptions.regime) : 0
+    );
+    // Candles each strategy needs before a window's first bar, more where it resamples higher timeframes
+    const histories = strategies.map(strategy => historyNeeded(strategy, timeframe, lookback));
+    const splits = walkForwardSplits(candles.length, { start: Math.max(...histories) - 1, folds, trainRatio, anchored });
+
+    const total = candidates.length * splits.length * 2;
+    let done = 0;
+    const backtest = async (index, { start, end }) => {
+        const { stats } = await runBacktest({
+            ...backtestOptions,
+            candles: candles.slice(start - histories[index] + 1, end),
+            strategy: strategies[index],
+            timeframe,
+            lookback,
+        });
+        onProgress(++done, total);
+        return stats;
+    };
+
+    const results = [];
+    for (let index = 0; index < candidates.length; index++) {
+        const windows = [];
+        for (const split of splits) {
+            windows.push({ train: await backtest(index, split.train), test: await backtest(index, split.test) });
+        }
+        results.push({ params: candidates[index], windows });
+    }
+
+    const window = ({ start, end }) => ({ from: candles[start][0], to: candles[end - 1][0] });
+    const picks = splits.map((split, fold) => {
+        const eligible = results.filter(result => result.windows[fold].train.trades >= minTrades);
+        const best = eligible.reduce((top, result) => (!top || score(result.windows[fold].train) > score(top.windows[fold].train) ? result : top), null);
+        return {
+            train: window(split.train),
+            test: window(split.test),
+            params: best ? best.params : null,
+            trainStats: best ? best.windows[fold].train : null,
+            testStats: best ? best.windows[fold].test : null,
+        };
+    });
+    const picked = picks.filter(pick => pick.params);
+
+    const ranking = results.map(({ params, windows }) => ({
+        params,
+        score: mean(windows.map(({ test }) => score(test))),
+        trainScore: mean(windows.map(({ train }) => score(train))),
+        testReturnPercent: windows.reduce((sum, { test }) => sum + test.returnPercent, 0),
+        testTrades: windows.reduce((sum, { test }) => sum + test.trades, 0),
+        profitableFolds: windows.filter(({ test }) => test.netProfit > 0).length,
+        enoughTrades: windows.every(({ train }) => train.trades >= minTrades),
+        windows,
+    })).sort((a, b) => b.enoughTrades - a.enoughTrades || b.score - a.score);
+
+    return {
+        candidates: candidates.length,
+        folds: picks,
+        walkForward: {
+            score: mean(picked.map(pick => score(pick.testStats))),
+            returnPercent: picked.reduce((sum, pick) => sum + pick.testStats.returnPercent, 0),
+            trades: picked.reduce((sum, pick) => sum + pick.testStats.trades, 0),
+            foldsPicked: picked.length,
+        },
+        ranking,
+    };
+}
+
+module.exports = {
+    METHODS,
+    OBJECTIVES,
+    TRADING_SIGNAL_SPACE,
+    expandSpace,
+    gridSearch,
+    randomSearch,
+    walkForwardSplits,
+    validTradingSignals,
+    tradingSignalsCandidate,
+    optimise,
+};
@@ -0,0 +1,330 @@
+/**
+ * Order lifecycle tracker, fed by Bitget's 'orders' and 'orders-algo'
+ * WebSocket channels.
+ *
+ * Every order is tracked by its clientOid through
+ *   'new'               accepted, nothing filled yet
+ *   'partially_filled'  some of it filled
+ *   'filled'            all of it filled
+ *   'cancelled'         cancelled, possibly after a partial fill
+ *   'rejected'          refused by the exchange, or a plan order that failed to trigger
+ * and only ever moves forward: a late 'live' event does not undo a fill.
+ *
+ * Orders sent through submit() are tracked from the moment they are sent, and
+ * an order the exchange refuses is marked rejected. Orders seen on the
+ * channels that the bot did not send, such as ones placed by hand, are
+ * tracked too. Channel events can be missed while the socket reconnects, so
+ * reconcile() cross-checks the open orders with getFuturesOpenOrders and
+ * looks up the final state of any that are no longer open.
+ *
+ * The manager is an EventEmitter:
+ *   'order'  (order, previousState)  an order changed state
+ *   'fill'   (fill, order)           an order's filled size grew; fill.size is
+ *                                    the new part and fill.price its average price
+ *
+ * Usage:
+ *   const orderManager = createOrderManager({ restClient: restClientV2 });
+ *   const core = createTradingCore({ restClient: restClientV2, orderManager });
+ *   wsClient.on('update', event => orderManager.handleUpdate(event));
+ *   orderManager.on('fill', fill => console.log(`${fill.symbol}: ${fill.size} filled at ${fill.price}`));
+ */
+
+const EventEmitter = require('events');
+
+const ORDER_STATES = ['new', 'partially_filled', 'filled', 'cancelled', 'rejected'];
+const OPEN_STATES = ['new', 'partially_filled'];
+
+// Order and plan order statuses from the channels and the REST order endpoints
+const EXCHANGE_STATES = {
+    init: 'new',
+    new: 'new',
+    live: 'new',
+    not_trigger: 'new',
+    executing: 'new',
+    partially_filled: 'partially_filled',
+    filled: 'filled',
+    executed: 'filled',
+    canceled: 'cancelled',
+    cancelled: 'cancelled',
+    fail_trigger: 'rejected',
+    fail_execute: 'rejected',
+};
+
+const DEFAULT_OPTIONS = {
+    productType: 'SUSDT-FUTURES',
+    maxClosedOrders: 500,
+};
+
+// How far along an order is; a state can only be replaced by a later one
+const progress = state => (state === undefined ? -1 : Math.min(ORDER_STATES.indexOf(state), 2));
+
+const toNumber = value => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+// An order from a channel event or a REST response, in the manager's terms
+function fromExchange(order, kind) {
+    return {
+        clientOid: order.clientOid || order.orderId,
+        orderId: order.orderId,
+        symbol: order.instId || order.symbol,
+        kind,
+        side: order.side,
+        tradeSide: order.tradeSide,
+        orderType: order.orderType,
+        price: toNumber(order.price),
+        size: toNumber(order.size),
+        state: EXCHANGE_STATES[order.status || order.state || order.planStatus],
+        // On the orders channel baseVolume is the latest fill alone, accBaseVolume all of them
+        filledSize: kind === 'order' ? toNumber(order.accBaseVolume ?? order.baseVolume) || 0 : 0,
+        averagePrice: toNumber(order.priceAvg),
+        fillPrice: toNumber(order.fillPrice),
+    };
+}
+
+/**
+ * Create an order manager.
+ * @param {object} options
+ * @param {object} options.restClient - A RestClientV2 instance (or anything with the same surface).
+ * @param {string} [options.productType='SUSDT-FUTURES'] - Bitget V2 product type.
+ * @param {number} [options.maxClosedOrders=500] - Finished orders kept for state lookups, the oldest are dropped.
+ * @param {{ log: Function, error: Function }} [options.logger=console]
+ * @param {function(): number} [options.clock=Date.now]
+ * @returns {EventEmitter} The order manager.
+ */
+function createOrderManager(options = {}) {
+    const { restClient } = options;
+    if (!restClient) {
+        throw new Error('createOrderManager requires a restClient');
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { productType } = settings;
+    const logger = options.logger || console;
+    const clock = options.clock || Date.now;
+
+    const manager = new EventEmitter();
+    const orders = new Map();
+
+    //////////// - State - ///////////////////////////
+
+    function dropClosedOrders() {
+        const closed = [...orders.values()].filter(order => !OPEN_STATES.includes(order.state));
+        for (const order of closed.slice(0, Math.max(0, closed.length - settings.maxClosedOrders))) {
+            orders.delete(order.clientOid);
+        }
+    }
+
+    /**
+     * Apply what is known of an order, emitting its fills and state change.
+     * @param {object} update - As fromExchange returns.
+     * @param {string} source - Where the update came from, for the logs.
+     * @returns {boolean} Whether the order changed.
+     */
+    function apply(update, source) {
+        let order = orders.get(update.clientOid);
+        if (!order) {
+            order = { clientOid: update.clientOid, kind: update.kind, filledSize: 0, averagePrice: null, createdAt: clock() };
+            orders.set(order.clientOid, order);
+        } else if (order.state && !OPEN_STATES.includes(order.state)) {
+            return false;
+        }
+
+        for (const field of ['orderId', 'symbol', 'side', 'tradeSide', 'orderType', 'price', 'size']) {
+            if (update[field] !== undefined && update[field] !== null) order[field] = update[field];
+        }
+
+        const previousState = order.state;
+        const filled = update.filledSize - order.filledSize;
+        if (filled > 1e-12) {
+            // The new part's price from the change in average price, as several fills may have been missed
+            const averagePrice = update.averagePrice ?? update.fillPrice;
+            const price = order.averagePrice !== null && averagePrice !== null
+                ? (averagePrice * update.filledSize - order.averagePrice * order.filledSize) / filled
+                : averagePrice ?? update.fillPrice;
+            order.filledSize = update.filledSize;
+            order.averagePrice = averagePrice;
+            order.updatedAt = clock();
+
+            const fill = {
+                clientOid: order.clientOid,
+                orderId: order.orderId,
+                symbol: order.symbol,
+                side: order.side,
+                tradeSide: order.tradeSide,
+                size: Number(filled.toFixed(10)),
+                price,
+                filledSize: order.filledSize,
+                remainingSize: order.size === undefined ? null : Number((order.size - order.filledSize).toFixed(10)),
+                time: order.updatedAt,
+                source,
+            };
+            logger.log(`${order.symbol}: Order ${order.clientOid} filled ${fill.size} at ${price}, ${order.filledSize} of ${order.size}${source === 'reconcile' ? ' (found when reconciling)' : ''}`);
+            manager.emit('fill', fill, { ...order });
+        }
+
+        if (update.state && progress(update.state) > progress(order.state)) {
+            order.state = update.state;
+            order.updatedAt = clock();
+        }
+        if (order.state === previousState && filled <= 1e-12) return false;
+
+        if (order.state !== previousState) {
+            logger.log(`${order.symbol}: Order ${order.clientOid} ${previousState || 'untracked'} -> ${order.state}${order.state === 'rejected' && order.error ? `, ${order.error}` : ''}${source === 'reconcile' ? ' (found when reconciling)' : ''}`);
+            manager.emit('order', { ...order }, previousState || null);
+            if (!OPEN_STATES.includes(order.state)) dropClosedOrders();
+        }
+        return true;
+    }
+
+    //////////// - Orders - ///////////////////////////
+
+    /**
+     * Send an order with futuresSubmitOrder and track it. An order the
+     * exchange refuses is marked rejected and the error rethrown.
+     * @param {object} order - futuresSubmitOrder parameters, with a clientOid.
+     * @returns {Promise<object>} The exchange's response.
+     */
+    async function submit(order) {
+        if (!order.clientOid) {
+            throw new Error('Orders sent through the order manager need a clientOid');
+        }
+        apply({
+            ...fromExchange({ ...order, status: 'new' }, 'order'),
+            price: order.orderType === 'market' ? null : toNumber(order.price),
+        }, 'submit');
+
+        let result;
+        try {
+            result = await restClient.futuresSubmitOrder(order);
+        } catch (error) {
+            // RestClientV2 errors carry the exchange's reason in the response body
+            reject(order.clientOid, (error.body && error.body.msg) || error.message);
+            throw error;
+        }
+        if (result && result.code && result.code !== '00000') {
+            reject(order.clientOid, result.msg);
+        } else if (result && result.data && result.data.orderId) {
+            orders.get(order.clientOid).orderId = result.data.orderId;
+        }
+        return result;
+    }
+
+    function reject(clientOid, reason) {
+        const order = orders.get(clientOid);
+        if (order) order.error = reason;
+        apply({ clientOid, state: 'rejected', filledSize: 0 }, 'submit');
+    }
+
+    /**
+     * Apply a WebSocket update event. Events from other channels are ignored.
+     * @param {object} event - As WebsocketClientV2 emits on 'update'.
+     * @returns {boolean} Whether the event was from the orders or orders-algo channel.
+     */
+    function handleUpdate(event) {
+        const channel = event && event.arg && event.arg.channel;
+        if (channel !== 'orders' && channel !== 'orders-algo') return false;
+        for (const order of event.data || []) {
+            apply(fromExchange(order, channel === 'orders' ? 'order' : 'plan'), 'ws');
+        }
+        return true;
+    }
+
+    //////////// - Reconciliation - ///////////////////////////
+
+    /**
+     * Cross-check the tracked open orders with the exchange's open orders, and
+     * look up the final state of any no longer open. Plan orders follow the
+     * orders-algo channel alone.
+     * @param {string|Array<string>} [symbols] - Symbols to check, defaults to those with tracked open orders.
+     * @returns {Promise<number>} The number of orders whose state or fills were behind.
+     */
+    async function reconcile(symbols) {
+        const open = [...orders.values()].filter(order => order.kind === 'order' && OPEN_STATES.includes(order.state));
+        const checked = symbols ? [].concat(symbols) : [...new Set(open.map(order => order.symbol))];
+        let changed = 0;
+
+        for (const symbol of checked) {
+            const response = await restClient.getFuturesOpenOrders({ symbol, productType });
+            const listed = new Set();
+            for (const entry of (response && response.data && response.data.entrustedList) || []) {
+                const update = fromExchange(entry, 'order');
+                listed.add(update.clientOid);
+                if (apply(update, 'reconcile')) changed++;
+            }
+
+            // Open here but not on the exchange: whatever ended them was missed
+            for (const order of open.filter(candidate => candidate.symbol === symbol && !listed.has(candidate.clientOid))) {
+                // Not acknowledged yet, submit() is still waiting on the exchange
+                if (!order.orderId) continue;
+                try {
+                    const detail = await restClient.getFuturesOrder({ symbol, productType, orderId: order.orderId });
+                    if (detail && detail.data && apply(fromExchange(detail.data, 'order'), 'reconcile')) changed++;
+                } catch (error) {
+                    logger.error(`${symbol}: Unable to look up order ${order.clientOid}:`, error.message);
+                }
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Run reconcile on an interval.
+     * @param {Array<string>} symbols
+     * @param {number} [intervalSeconds=60]
+     * @returns {NodeJS.Timeout} The interval handle.
+     */
+    function reconcileEvery(symbols, intervalSeconds = 60) {
+        return setInterval(async () => {
+            try {
+                const changed = await reconcile(symbols);
+                if (changed > 0) logger.log(`Reconciled ${changed} orders whose updates were missed`);
+            } catch (error) {
+                logger.error('Error reconciling orders:', error.message);
+            }
+        }, intervalSeconds * 1000);
+    }
+
+    //////////// - Queries - ///////////////////////////
+
+    /**
+     * An order's current state.
+     * @param {string} clientOid
+     * @returns {object|null}
+     */
+    function get(clientOid) {
+        const order = orders.get(clientOid);
+        return order ? { ...order } : null;
+    }
+
+    /**
+     * Tracked orders, oldest first.
+     * @param {object} [filter]
+     * @param {string} [filter.symbol]
+     * @param {string|Array<string>} [filter.state] - One or more of ORDER_STATES.
+     * @param {boolean} [filter.open] - Only orders that are new or partially filled.
+     * @returns {Array<object>}
+     */
+    function list({ symbol, state, open } = {}) {
+        const states = state && [].concat(state);
+        return [...orders.values()]
+            .filter(order => (!symbol || order.symbol === symbol) &&
+                (!states || states.includes(order.state)) &&
+                (!open || OPEN_STATES.includes(order.state)))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(order => ({ ...order }));
+    }
+
+    return Object.assign(manager, {
+        settings,
+        submit,
+        handleUpdate,
+        reconcile,
+        reconcileEvery,
+        get,
+        list,
+    });
+}
+
+module.exports = {
+    ORDER_STATES,
+    createOrderManager,
+};
@@ -0,0 +1,925 @@
+/**
+ * Paper-trading exchange with the RestClientV2 surface used by the bots.
+ *
+ * createPaperExchange returns an object that can be passed to
+ * createTradingCore in place of a RestClientV2. Orders never leave the
+ * process: limit orders fill against candles, preset and plan stop loss /
+ * take profit orders trigger against candle highs and lows, and margin,
+ * fees and PnL are tracked on a simulated account.
+ *
+ * Candles come either from a live RestClientV2 (`marketData`) or from a
+ * recorded set (`candles`) that is replayed one bar at a time with step(),
+ * or fed bar by bar with addCandle(), which needs no network at all.
+ *
+ * Usage (live prices, simulated fills):
+ *   const exchange = createPaperExchange({ marketData: restClientV2 });
+ *   const core = createTradingCore({ restClient: exchange });
+ *
+ * Usage (offline):
+ *   const exchange = createPaperExchange({ candles: { SBTCSUSDT: { '5m': recordedCandles } } });
+ *   while (exchange.step()) { ... }
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_OPTIONS = {
+    productType: 'SUSDT-FUTURES',
+    marginCoin: 'SUSDT',
+    startingBalance: 10000,
+    makerFeeRate: 0.0002,
+    takerFeeRate: 0.0006,
+    slippage: 0,
+    defaultLeverage: 10,
+};
+
+const PRESET_PLAN_TYPES = {
+    presetStopLossPrice: 'loss_plan',
+    presetStopSurplusPrice: 'profit_plan',
+};
+
+const OPEN_ORDER_STATUSES = ['live', 'partially_filled'];
+
+// Contract config of a BTC perpetual, for symbols with no recorded or live config
+const DEFAULT_CONTRACT = {
+    minTradeNum: '0.001',
+    priceEndStep: '1',
+    volumePlace: '3',
+    pricePlace: '1',
+    sizeMultiplier: '0.001',
+    minTradeUSDT: '5',
+    minLever: '1',
+    maxLever: '125',
+    symbolType: 'perpetual',
+    symbolStatus: 'normal',
+};
+
+const STOP_LOSS_PLAN_TYPES = ['loss_plan', 'pos_loss'];
+const TAKE_PROFIT_PLAN_TYPES = ['profit_plan', 'pos_profit'];
+
+//////////// - Helpers - ///////////////////////////
+
+function success(data) {
+    return { code: '00000', msg: 'success', requestTime: Date.now(), data };
+}
+
+// Same shape as a rejected RestClientV2 request
+function exchangeError(code, msg) {
+    return {
+        code: 400,
+        message: msg,
+        body: { code, msg, requestTime: Date.now(), data: null },
+    };
+}
+
+function toNumber(value, field) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) {
+        throw exchangeError('40017', `Parameter ${field} error`);
+    }
+    return number;
+}
+
+function normaliseCandle(candle) {
+    return [
+        parseInt(candle[0]),
+        parseFloat(candle[1]),
+        parseFloat(candle[2]),
+        parseFloat(candle[3]),
+        parseFloat(candle[4]),
+        parseFloat(candle[5]),
+    ];
+}
+
+// Candles as Bitget returns them: strings, [ts, open, high, low, close, baseVolume, quoteVolume]
+function formatCandle(candle) {
+    return [
+        String(candle[0]),
+        String(candle[1]),
+        String(candle[2]),
+        String(candle[3]),
+        String(candle[4]),
+        String(candle[5]),
+        String(candle[4] * candle[5]),
+    ];
+}
+
+/**
+ * Create a simulated exchange.
+ * @param {object} [options]
+ * @param {object} [options.marketData] - A RestClientV2 used for live candles.
+ * @param {object} [options.candles] - Recorded candles as { [symbol]: { [granularity]: candles[] } }.
+ * @param {number} [options.startIndex=0] - Index of the first bar of the fastest timeframe already "in the past".
+ * @param {number} [options.startingBalance=10000] - Starting account balance in the margin coin.
+ * @param {number} [options.makerFeeRate=0.0002] - Fee rate for resting limit orders.
+ * @param {number} [options.takerFeeRate=0.0006] - Fee rate for market orders and triggered stops.
+ * @param {number} [options.slippage=0] - Adverse price move applied to taker fills, as a fraction of price.
+ * @param {function(object, number): number} [options.fillSize] - Decides how much of an order fills when it matches,
+ *   given the order and its remaining size. Defaults to all of it; return less to simulate partial fills.
+ * @param {object} [options.contracts] - Contract config overrides per symbol, e.g. { SETHSUSDT: { pricePlace: '2' } }.
+ *   Other symbols take the marketData client's config when live, else a BTC perpetual's.
+ * @param {string} [options.productType='SUSDT-FUTURES']
+ * @param {string} [options.marginCoin='SUSDT']
+ * @returns {EventEmitter} The exchange, emitting 'order', 'fill', 'planOrder' and 'position' events.
+ */
+function createPaperExchange(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { marketData, productType, marginCoin } = settings;
+
+    if (!marketData && !settings.candles) {
+        throw new Error('createPaperExchange requires either marketData or recorded candles');
+    }
+
+    const exchange = new EventEmitter();
+
+    const account = {
+        balance: settings.startingBalance,
+        realisedPnL: 0,
+        fees: 0,
+    };
+
+    const orders = new Map();
+    const planOrders = new Map();
+    const positions = new Map();
+    const leverages = new Map();
+    const markPrices = new Map();
+    const fills = [];
+
+    // Recorded candles and the replay clock
+    const recorded = {};
+    for (const [symbol, byGranularity] of Object.entries(settings.candles || {})) {
+        recorded[symbol] = {};
+        for (const [granularity, candles] of Object.entries(byGranularity)) {
+            recorded[symbol][granularity] = candles.map(normaliseCandle).sort((a, b) => a[0] - b[0]);
+        }
+    }
+
+    const replayTimes = [...new Set(
+        Object.values(recorded).flatMap(byGranularity => fastestSeries(byGranularity).map(candle => candle[0]))
+    )].sort((a, b) => a - b);
+
+    let replayIndex = Math.min(settings.startIndex || 0, replayTimes.length - 1);
+    let replayTime = replayTimes.length > 0 ? replayTimes[replayIndex] : 0;
+    const lastProcessed = new Map();
+
+    // Replay runs on candle time, live mode on the wall clock
+    const clock = () => (marketData ? Date.now() : replayTime);
+
+    let nextId = 1;
+    const newId = () => `${Date.now()}${String(nextId++).padStart(6, '0')}`;
+
+    function fastestSeries(byGranularity) {
+        const series = Object.values(byGranularity).filter(candles => candles.length > 1);
+        if (series.length === 0) return Object.values(byGranularity)[0] || [];
+        return series.reduce((fastest, candles) => {
+            const spacing = candles[1][0] - candles[0][0];
+            const fastestSpacing = fastest[1][0] - fastest[0][0];
+            return spacing < fastestSpacing ? candles : fastest;
+        });
+    }
+
+    //////////// - Account & Positions - ///////////////////////////
+
+    const positionKey = (symbol, holdSide) => `${symbol}:${holdSide}`;
+
+    function getLeverage(symbol, holdSide) {
+        return leverages.get(positionKey(symbol, holdSide)) || settings.defaultLeverage;
+    }
+
+    function unrealisedPnL(position) {
+        const markPrice = markPrices.get(position.symbol) ?? position.openPriceAvg;
+        const direction = position.holdSide === 'long' ? 1 : -1;
+        return (markPrice - position.openPriceAvg) * position.total * direction;
+    }
+
+    function usedMargin() {
+        let margin = 0;
+        for (const position of positions.values()) margin += position.margin;
+        for (const order of orders.values()) {
+            if (OPEN_ORDER_STATUSES.includes(order.status) && order.tradeSide === 'open') {
+                margin += order.margin * ((order.size - order.filledSize) / order.size);
+            }
+        }
+        return margin;
+    }
+
+    function equity() {
+        let unrealised = 0;
+        for (const position of positions.values()) unrealised += unrealisedPnL(position);
+        return account.balance + unrealised;
+    }
+
+    function availableBalance() {
+        return account.balance - usedMargin();
+    }
+
+    function formatPosition(position) {
+        const markPrice = markPrices.get(position.symbol) ?? position.openPriceAvg;
+        const closeFee = position.openPriceAvg * settings.takerFeeRate;
+        const feePerUnit = position.openFees / position.total + closeFee;
+        const breakEvenPrice = position.holdSide === 'long'
+            ? position.openPriceAvg + feePerUnit
+            : position.openPriceAvg - feePerUnit;
+
+        return {
+            symbol: position.symbol,
+            marginCoin,
+            holdSide: position.holdSide,
+            openDelegateSize: '0',
+            marginSize: String(position.margin),
+            available: String(position.total),
+            locked: '0',
+            total: String(position.total),
+            leverage: String(position.leverage),
+            achievedProfits: String(position.achievedProfits),
+            openPriceAvg: String(position.openPriceAvg),
+            marginMode: position.marginMode,
+            posMode: 'one_way_mode',
+            unrealizedPL: String(unrealisedPnL(position)),
+            liquidationPrice: '0',
+            markPrice: String(markPrice),
+            breakEvenPrice: String(breakEvenPrice),
+            totalFee: String(position.openFees),
+            cTime: String(position.cTime),
+            uTime: String(position.uTime),
+        };
+    }
+
+    function formatOrder(order) {
+        return {
+            symbol: order.symbol,
+            size: String(order.size),
+            orderId: order.orderId,
+            clientOid: order.clientOid,
+            baseVolume: String(order.filledSize),
+            fee: String(-order.fee),
+            price: String(order.price ?? ''),
+            priceAvg: order.priceAvg ? String(order.priceAvg) : '',
+            status: order.status,
+            side: order.side,
+            force: order.force,
+            totalProfits: '0',
+            posSide: order.holdSide,
+            marginCoin,
+            presetStopSurplusPrice: order.presetStopSurplusPrice ?? '',
+            presetStopLossPrice: order.presetStopLossPrice ?? '',
+            leverage: String(order.leverage),
+            marginMode: order.marginMode,
+            reduceOnly: order.tradeSide === 'close' ? 'YES' : 'NO',
+            tradeSide: order.tradeSide,
+            orderType: order.orderType,
+            cTime: String(order.cTime),
+            uTime: String(order.uTime),
+        };
+    }
+
+    function formatPlanOrder(plan) {
+        return {
+            planType: plan.planType,
+            symbol: plan.symbol,
+            size: plan.size === null ? '' : String(plan.size),
+            orderId: plan.orderId,
+            clientOid: plan.clientOid,
+            price: String(plan.price ?? '0'),
+            executePrice: String(plan.executePrice ?? '0'),
+            triggerPrice: String(plan.triggerPrice),
+            triggerType: plan.triggerType,
+            planStatus: plan.status,
+            side: plan.side,
+            posSide: plan.holdSide,
+            marginCoin,
+            marginMode: plan.marginMode,
+            tradeSide: plan.tradeSide,
+            orderType: plan.orderType,
+            cTime: String(plan.cTime),
+            uTime: String(plan.uTime),
+        };
+    }
+
+    //////////// - Fills - ///////////////////////////
+
+    function openPosition(order, fillPrice, fillSize, feeRate) {
+        const key = positionKey(order.symbol, order.holdSide);
+        const fee = fillPrice * fillSize * feeRate;
+        const margin = (fillPrice * fillSize) / order.leverage;
+        const existing = positions.get(key);
+
+        if (existing) {
+            const total = existing.total + fillSize;
+            existing.openPriceAvg = (existing.openPriceAvg * existing.total + fillPrice * fillSize) / total;
+            existing.total = total;
+            existing.margin += margin;
+            existing.openFees += fee;
+            existing.uTime = clock();
+        } else {
+            positions.set(key, {
+                symbol: order.symbol,
+                holdSide: order.holdSide,
+                total: fillSize,
+                openPriceAvg: fillPrice,
+                leverage: order.leverage,
+                marginMode: order.marginMode,
+                margin,
+                openFees: fee,
+                achievedProfits: 0,
+                cTime: clock(),
+                uTime: clock(),
+            });
+        }
+
+        account.balance -= fee;
+        account.fees += fee;
+        return fee;
+    }
+
+    function closePosition(symbol, holdSide, fillPrice, size, feeRate) {
+        const key = positionKey(symbol, holdSide);
+        const position = positions.get(key);
+        if (!position) return null;
+
+        const closeSize = Math.min(size, position.total);
+        const direction = holdSide === 'long' ? 1 : -1;
+        const pnl = (fillPrice - position.openPriceAvg) * closeSize * direction;
+        const fee = fillPrice * closeSize * feeRate;
+
+        account.balance += pnl - fee;
+        account.realisedPnL += pnl;
+        account.fees += fee;
+
+        position.achievedProfits += pnl;
+        position.margin -= position.margin * (closeSize / position.total);
+        position.openFees -= position.openFees * (closeSize / position.total);
+        position.total -= closeSize;
+        position.uTime = clock();
+
+        if (position.total <= 1e-12) {
+            positions.delete(key);
+            // Position TP/SL plans go with the position
+            for (const plan of planOrders.values()) {
+                if (plan.symbol === symbol && plan.holdSide === holdSide && plan.status === 'live') {
+                    plan.status = 'cancelled';
+                    plan.uTime = clock();
+                    exchange.emit('planOrder', formatPlanOrder(plan));
+                }
+            }
+        }
+
+        exchange.emit('position', position.total > 0 ? formatPosition(position) : { symbol, holdSide, total: '0' });
+        return { closeSize, pnl, fee };
+    }
+
+    function recordFill(order, fillPrice, fillSize, fee, tradeSide) {
+        const fill = {
+            tradeId: newId(),
+            orderId: order.orderId,
+            clientOid: order.clientOid,
+            symbol: order.symbol,
+            side: order.side,
+            tradeSide,
+            holdSide: order.holdSide,
+            reason: order.reason,
+            price: fillPrice,
+            size: fillSize,
+            fee,
+            time: clock(),
+        };
+        fills.push(fill);
+        exchange.emit('fill', fill);
+        return fill;
+    }
+
+    function fillOrder(order, price, liquidity) {
+        const remaining = order.size - order.filledSize;
+        const fillSize = settings.fillSize ? Math.min(remaining, settings.fillSize(order, remaining)) : remaining;
+        if (!(fillSize > 0)) return;
+
+        const firstFill = order.filledSize === 0;
+        const feeRate = liquidity === 'taker' ? settings.takerFeeRate : settings.makerFeeRate;
+        let fee;
+
+        // Taker fills pay slippage against the direction of the trade
+        const buying = order.tradeSide === 'open' ? order.holdSide === 'long' : order.holdSide === 'short';
+        const fillPrice = liquidity === 'taker' ? price * (buying ? 1 + settings.slippage : 1 - settings.slippage) : price;
+
+        if (order.tradeSide === 'open') {
+            fee = openPosition(order, fillPrice, fillSize, feeRate);
+        } else {
+            const result = closePosition(order.symbol, order.holdSide, fillPrice, fillSize, feeRate);
+            fee = result ? result.fee : 0;
+        }
+
+        order.priceAvg = ((order.priceAvg || 0) * order.filledSize + fillPrice * fillSize) / (order.filledSize + fillSize);
+        order.filledSize += fillSize;
+        order.fee += fee;
+        order.status = order.filledSize >= order.size - 1e-12 ? 'filled' : 'partially_filled';
+        order.uTime = clock();
+        recordFill(order, fillPrice, fillSize, fee, order.tradeSide);
+        exchange.emit('order', formatOrder(order));
+
+        // Preset TP/SL become position plan orders once the opening order first fills.
+        // They carry no size, so they close whatever the position has grown to.
+        if (order.tradeSide === 'open') {
+            for (const [field, planType] of Object.entries(PRESET_PLAN_TYPES)) {
+                if (firstFill && order[field]) {
+                    addPlanOrder({
+                        symbol: order.symbol,
+                        planType,
+                        triggerPrice: order[field],
+                        triggerType: 'fill_price',
+                        holdSide: order.holdSide,
+                        marginMode: order.marginMode,
+                    });
+                }
+            }
+
+            const position = positions.get(positionKey(order.symbol, order.holdSide));
+            if (position) exchange.emit('position', formatPosition(position));
+        }
+    }
+
+    function addPlanOrder(params) {
+        const plan = {
+            orderId: newId(),
+            clientOid: params.clientOid || newId(),
+            symbol: params.symbol,
+            planType: params.planType,
+            triggerPrice: toNumber(params.triggerPrice, 'triggerPrice'),
+            triggerType: params.triggerType || 'fill_price',
+            executePrice: params.executePrice ? parseFloat(params.executePrice) : 0,
+            price: params.price ? parseFloat(params.price) : null,
+            holdSide: params.holdSide,
+            side: params.side || (params.holdSide === 'long' ? 'sell' : 'buy'),
+            tradeSide: params.tradeSide || 'close',
+            orderType: params.orderType || 'market',
+            size: params.size ? parseFloat(params.size) : null,
+            marginMode: params.marginMode || 'isolated',
+            status: 'live',
+            cTime: clock(),
+            uTime: clock(),
+        };
+        planOrders.set(plan.orderId, plan);
+        exchange.emit('planOrder', formatPlanOrder(plan));
+        return plan;
+    }
+
+    //////////// - Matching - ///////////////////////////
+
+    /**
+     * Match resting orders and plan orders for a symbol against one candle.
+     * @param {string} symbol
+     * @param {Array<number>} candle - [ts, open, high, low, close, volume].
+     */
+    function processCandle(symbol, candle) {
+        const [timestamp, , , , close] = candle;
+        if (!marketData) replayTime = Math.max(replayTime, timestamp);
+
+        // Orders and plans created before the bar opened see its full range.
+        // Those created during the bar only see its latest price.
+        const rangeFor = created => (created < timestamp
+            ? { open: candle[1], high: candle[2], low: candle[3] }
+            : { open: close, high: close, low: close });
+
+        // Resting limit orders fill at their price (or better, if the bar gaps through it)
+        for (const order of orders.values()) {
+            if (order.symbol !== symbol || !OPEN_ORDER_STATUSES.includes(order.status)) continue;
+
+            const { open, high, low } = rangeFor(order.cTime);
+            if (order.orderType === 'market') {
+                // The unfilled rest of a partially filled market order takes the next price
+                fillOrder(order, open, 'taker');
+            } else if (order.side === 'buy' && low <= order.price) {
+                fillOrder(order, Math.min(order.price, open), 'maker');
+            } else if (order.side === 'sell' && high >= order.price) {
+                fillOrder(order, Math.max(order.price, open), 'maker');
+            }
+        }
+
+        // A stop loss and take profit hit in the same bar resolve to the stop loss
+        const livePlans = [...planOrders.values()]
+            .filter(plan => plan.symbol === symbol && plan.status === 'live')
+            .sort((a, b) => Number(STOP_LOSS_PLAN_TYPES.includes(b.planType)) - Number(STOP_LOSS_PLAN_TYPES.includes(a.planType)));
+
+        for (const plan of livePlans) {
+            if (plan.status !== 'live') continue;
+
+            const { open, high, low } = rangeFor(plan.cTime);
+            const isLong = plan.holdSide === 'long';
+            let fillPrice = null;
+
+            if (STOP_LOSS_PLAN_TYPES.includes(plan.planType)) {
+                if (isLong && low <= plan.triggerPrice) fillPrice = Math.min(plan.triggerPrice, open);
+                if (!isLong && high >= plan.triggerPrice) fillPrice = Math.max(plan.triggerPrice, open);
+            } else if (TAKE_PROFIT_PLAN_TYPES.includes(plan.planType)) {
+                if (isLong && high >= plan.triggerPrice) fillPrice = Math.max(plan.triggerPrice, open);
+                if (!isLong && low <= plan.triggerPrice) fillPrice = Math.min(plan.triggerPrice, open);
+            } else if (low <= plan.triggerPrice && high >= plan.triggerPrice) {
+                fillPrice = plan.orderType === 'limit' && plan.price ? plan.price : plan.triggerPrice;
+            }
+
+            if (fillPrice === null) continue;
+            triggerPlanOrder(plan, fillPrice);
+        }
+
+        markPrices.set(symbol, close);
+        for (const position of positions.values()) {
+            if (position.symbol === symbol) exchange.emit('position', formatPosition(position));
+        }
+    }
+
+    function triggerPlanOrder(plan, fillPrice) {
+        plan.status = 'executed';
+        plan.uTime = clock();
+        exchange.emit('planOrder', formatPlanOrder(plan));
+
+        const position = positions.get(positionKey(plan.symbol, plan.holdSide));
+        if (plan.tradeSide === 'close' && !position) return;
+
+        const order = createOrder({
+            symbol: plan.symbol,
+            side: plan.side,
+            tradeSide: plan.tradeSide,
+            holdSide: plan.holdSide,
+            size: plan.size ?? position.total,
+            price: fillPrice,
+            orderType: 'market',
+            marginMode: plan.marginMode,
+            clientOid: plan.clientOid,
+            reason: plan.planType,
+        });
+        fillOrder(order, fillPrice, 'taker');
+    }
+
+    function createOrder(params) {
+        const order = {
+            orderId: newId(),
+            clientOid: params.clientOid || newId(),
+            symbol: params.symbol,
+            side: params.side,
+            tradeSide: params.tradeSide,
+            holdSide: params.holdSide,
+            size: params.size,
+            price: params.price,
+            orderType: params.orderType,
+            force: params.force || 'gtc',
+            marginMode: params.marginMode || 'isolated',
+            leverage: getLeverage(params.symbol, params.holdSide),
+            presetStopSurplusPrice: params.presetStopSurplusPrice,
+            presetStopLossPrice: params.presetStopLossPrice,
+            reason: params.reason || 'order',
+            margin: params.tradeSide === 'open' && params.price ? (params.price * params.size) / getLeverage(params.symbol, params.holdSide) : 0,
+            filledSize: 0,
+            priceAvg: null,
+            fee: 0,
+            status: 'live',
+            cTime: clock(),
+            uTime: clock(),
+        };
+        orders.set(order.orderId, order);
+        return order;
+    }
+
+    //////////// - Candles - ///////////////////////////
+
+    async function getCandles(params, historic = false) {
+        const { symbol, granularity } = params;
+        const limit = parseInt(params.limit || 100);
+
+        if (marketData) {
+            // Older pages are passed through; only bars newer than the last seen are matched against orders
+            const request = {
+                symbol,
+                granularity,
+                limit,
+                productType,
+                ...(params.startTime && { startTime: params.startTime }),
+                ...(params.endTime && { endTime: params.endTime }),
+            };
+            const response = historic
+                ? await marketData.getFuturesHistoricCandles(request)
+                : await marketData.getFuturesCandles(request);
+            const candles = (response.data || []).map(normaliseCandle);
+            matchNewCandles(symbol, candles);
+            return success(candles.map(formatCandle));
+        }
+
+        const series = recorded[symbol]?.[granularity];
+        if (!series) {
+            throw exchangeError('40034', `No recorded ${granularity} candles for ${symbol}`);
+        }
+
+        const endTime = params.endTime ? Math.min(parseInt(params.endTime), clock()) : clock();
+        const startTime = params.startTime ? parseInt(params.startTime) : -Infinity;
+        const available = series.filter(candle => candle[0] >= startTime && candle[0] <= endTime);
+        return success(available.slice(-limit).map(formatCandle));
+    }
+
+    // Live mode: process every bar newer than the last one seen for this symbol
+    function matchNewCandles(symbol, candles) {
+        const last = lastProcessed.get(symbol);
+        for (const candle of candles) {
+            if (last === undefined || candle[0] >= last) {
+                processCandle(symbol, candle);
+            }
+        }
+        if (candles.length > 0 && (last === undefined || candles[candles.length - 1][0] > last)) {
+            lastProcessed.set(symbol, candles[candles.length - 1][0]);
+        }
+    }
+
+    /**
+     * Offline mode: advance the replay clock by one bar of the fastest
+     * recorded timeframe and match orders against it.
+     * @returns {boolean} false once the recording is exhausted.
+     */
+    function step() {
+        if (replayIndex >= replayTimes.length - 1) return false;
+
+        replayIndex += 1;
+        const timestamp = replayTimes[replayIndex];
+
+        for (const [symbol, byGranularity] of Object.entries(recorded)) {
+            const candle = fastestSeries(byGranularity).find(bar => bar[0] === timestamp);
+            if (candle) processCandle(symbol, candle);
+        }
+
+        replayTime = timestamp;
+        return true;
+    }
+
+    /**
+     * Offline mode: add (or replace) a bar, for driving prices by hand
+     * instead of stepping through a recording. Orders are matched against
+     * bars of the fastest timeframe; slower ones are only stored.
+     * @param {string} symbol
+     * @param {string} granularity - e.g. '1m'.
+     * @param {Array<number|string>} candle - [ts, open, high, low, close, volume].
+     */
+    function addCandle(symbol, granularity, candle) {
+        const bar = normaliseCandle(candle);
+        recorded[symbol] = recorded[symbol] || {};
+        const series = recorded[symbol][granularity] = recorded[symbol][granularity] || [];
+
+        const last = series[series.length - 1];
+        if (last && last[0] === bar[0]) {
+            series[series.length - 1] = bar;
+        } else {
+            series.push(bar);
+            series.sort((a, b) => a[0] - b[0]);
+        }
+
+        // Orders match on the fastest timeframe only, as they do in step()
+        if (fastestSeries(recorded[symbol]) === series) {
+            processCandle(symbol, bar);
+        }
+    }
+
+    //////////// - RestClientV2 surface - ///////////////////////////
+
+    async function getFuturesPosition({ symbol }) {
+        const data = [...positions.values()]
+            .filter(position => position.symbol === symbol)
+            .map(formatPosition);
+        return success(data);
+    }
+
+    async function getFuturesPositions() {
+        return success([...positions.values()].map(formatPosition));
+    }
+
+    async function getFuturesOpenOrders({ symbol } = {}) {
+        const entrustedList = [...orders.values()]
+            .filter(order => OPEN_ORDER_STATUSES.includes(order.status) && (!symbol || order.symbol === symbol))
+            .map(formatOrder);
+        return success({ entrustedList: entrustedList.length > 0 ? entrustedList : null, endId: null });
+    }
+
+    async function setFuturesLeverage({ symbol, leverage, holdSide }) {
+        const value = toNumber(leverage, 'leverage');
+        const sides = holdSide ? [holdSide] : ['long', 'short'];
+        for (const side of sides) {
+            leverages.set(positionKey(symbol, side), value);
+        }
+        return success({ symbol, marginCoin, longLeverage: String(getLeverage(symbol, 'long')), shortLeverage: String(getLeverage(symbol, 'short')) });
+    }
+
+    async function futuresSubmitOrder(params) {
+        const { symbol, side, tradeSide = 'open', orderType = 'limit' } = params;
+        const size = toNumber(params.size, 'size');
+        if (size <= 0) throw exchangeError('40017', 'Parameter size error');
+        if (side !== 'buy' && side !== 'sell') throw exchangeError('40017', 'Parameter side error');
+
+        // Close orders take the side opposite to the position, as the TP ladder sends them
+        const holdSide = tradeSide === 'open'
+            ? (side === 'buy' ? 'long' : 'short')
+            : (side === 'sell' ? 'long' : 'short');
+
+        const markPrice = markPrices.get(symbol);
+        const price = orderType === 'market' ? markPrice : toNumber(params.price, 'price');
+        if (price === undefined) {
+            throw exchangeError('40034', `No market price for ${symbol} yet, fetch candles first`);
+        }
+
+        if (tradeSide === 'open') {
+            const margin = (price * size) / getLeverage(symbol, holdSide);
+            if (margin > availableBalance()) {
+                throw exchangeError('40762', 'The order amount exceeds the balance');
+            }
+        } else if (!positions.get(positionKey(symbol, holdSide))) {
+            throw exchangeError('22002', 'No position to close');
+        }
+
+        const order = createOrder({
+            symbol,
+            side,
+            tradeSide,
+            holdSide,
+            size,
+            price,
+            orderType,
+            force: params.force,
+            marginMode: params.marginMode,
+            clientOid: params.clientOid,
+            presetStopSurplusPrice: params.presetStopSurplusPrice,
+            presetStopLossPrice: params.presetStopLossPrice,
+        });
+        exchange.emit('order', formatOrder(order));
+
+        // Market orders, and limit orders that cross the market, fill straight away as taker
+        const crosses = markPrice !== undefined && (side === 'buy' ? price >= markPrice : price <= markPrice);
+        if (orderType === 'market' || crosses) {
+            fillOrder(order, markPrice, 'taker');
+        }
+
+        return success({ orderId: order.orderId, clientOid: order.clientOid });
+    }
+
+    function findOrder({ orderId, clientOid }) {
+        return orders.get(orderId) || [...orders.values()].find(candidate => clientOid && candidate.clientOid === clientOid);
+    }
+
+    async function futuresCancelOrder(params) {
+        const order = findOrder(params);
+        if (!order || !OPEN_ORDER_STATUSES.includes(order.status)) {
+            throw exchangeError('40768', 'Order does not exist');
+        }
+        order.status = 'canceled';
+        order.uTime = clock();
+        exchange.emit('order', formatOrder(order));
+        return success({ orderId: order.orderId, clientOid: order.clientOid });
+    }
+
+    async function getFuturesOrder(params) {
+        const order = findOrder(params);
+        if (!order) {
+            throw exchangeError('40109', 'The data of the order cannot be found, please confirm the order number');
+        }
+        return success({ ...formatOrder(order), state: order.status });
+    }
+
+    async function futuresCancelAllOrders({ symbol } = {}) {
+        const successList = [];
+        for (const order of orders.values()) {
+            if (OPEN_ORDER_STATUSES.includes(order.status) && (!symbol || order.symbol === symbol)) {
+                order.status = 'canceled';
+                order.uTime = clock();
+                successList.push({ orderId: order.orderId, clientOid: order.clientOid });
+                exchange.emit('order', formatOrder(order));
+            }
+        }
+        return success({ successList, failureList: [] });
+    }
+
+    async function futuresFlashClosePositions({ symbol, holdSide } = {}) {
+        const successList = [];
+        for (const position of [...positions.values()]) {
+            if ((symbol && position.symbol !== symbol) || (holdSide && position.holdSide !== holdSide)) continue;
+
+            const price = markPrices.get(position.symbol) ?? position.openPriceAvg;
+            const order = createOrder({
+                symbol: position.symbol,
+                side: position.holdSide === 'long' ? 'sell' : 'buy',
+                tradeSide: 'close',
+                holdSide: position.holdSide,
+                size: position.total,
+                price,
+                orderType: 'market',
+                marginMode: position.marginMode,
+                reason: 'flash_close',
+            });
+            fillOrder(order, price, 'taker');
+            successList.push({ orderId: order.orderId, clientOid: order.clientOid, symbol: position.symbol });
+        }
+        return success({ successList, failureList: [] });
+    }
+
+    async function futuresSubmitTPSLOrder(params) {
+        const { symbol, holdSide, planType } = params;
+        if (!positions.get(positionKey(symbol, holdSide))) {
+            throw exchangeError('22002', 'No position to set TP/SL for');
+        }
+
+        const plan = addPlanOrder({ ...params, tradeSide: 'close' });
+        return success({ orderId: plan.orderId, clientOid: plan.clientOid, planType });
+    }
+
+    async function futuresSubmitPlanOrder(params) {
+        const plan = addPlanOrder({
+            ...params,
+            holdSide: params.tradeSide === 'close'
+                ? (params.side === 'sell' ? 'long' : 'short')
+                : (params.side === 'buy' ? 'long' : 'short'),
+            orderType: params.orderType || 'limit',
+        });
+        return success({ orderId: plan.orderId, clientOid: plan.clientOid });
+    }
+
+    async function getFuturesPlanOrders({ symbol, planType } = {}) {
+        const entrustedList = [...planOrders.values()]
+            .filter(plan => plan.status === 'live' && (!symbol || plan.symbol === symbol))
+            .filter(plan => planType !== 'normal_plan' || plan.planType === 'normal_plan')
+            .filter(plan => planType !== 'profit_loss' || plan.planType !== 'normal_plan')
+            .map(formatPlanOrder);
+        return success({ entrustedList: entrustedList.length > 0 ? entrustedList : null, endId: null });
+    }
+
+    async function futuresCancelPlanOrder({ orderId, clientOid }) {
+        const plan = planOrders.get(orderId) || [...planOrders.values()].find(candidate => candidate.clientOid === clientOid);
+        if (!plan || plan.status !== 'live') {
+            throw exchangeError('40768', 'Order does not exist');
+        }
+        plan.status = 'cancelled';
+        plan.uTime = clock();
+        exchange.emit('planOrder', formatPlanOrder(plan));
+        return success({ successList: [{ orderId: plan.orderId, clientOid: plan.clientOid }], failureList: [] });
+    }
+
+    async function getFuturesContractConfig({ symbol } = {}) {
+        const overrides = (settings.contracts && settings.contracts[symbol]) || {};
+        if (marketData && marketData.getFuturesContractConfig) {
+            const response = await marketData.getFuturesContractConfig({ symbol, productType });
+            return success((response.data || []).map(contract => ({ ...contract, ...overrides })));
+        }
+        return success([{ symbol, ...DEFAULT_CONTRACT, ...overrides }]);
+    }
+
+    async function getFuturesAccountAsset() {
+        return success(formatAccount());
+    }
+
+    async function getFuturesAccountAssets() {
+        return success([formatAccount()]);
+    }
+
+    function formatAccount() {
+        let unrealised = 0;
+        for (const position of positions.values()) unrealised += unrealisedPnL(position);
+        return {
+            marginCoin,
+            locked: String(usedMargin()),
+            available: String(availableBalance()),
+            crossedMaxAvailable: String(availableBalance()),
+            isolatedMaxAvailable: String(availableBalance()),
+            accountEquity: String(equity()),
+            usdtEquity: String(equity()),
+            unrealizedPL: String(unrealised),
+        };
+    }
+
+    return Object.assign(exchange, {
+        settings,
+        step,
+        processCandle,
+        addCandle,
+        getFills: () => fills.slice(),
+        getAccount: () => ({
+            balance: account.balance,
+            equity: equity(),
+            available: availableBalance(),
+            usedMargin: usedMargin(),
+            realisedPnL: account.realisedPnL,
+            fees: account.fees,
+        }),
+        now: clock,
+        getFuturesCandles: getCandles,
+        getFuturesHistoricCandles: params => getCandles(params, true),
+        getFuturesPosition,
+        getFuturesPositions,
+        getFuturesOpenOrders,
+        setFuturesLeverage,
+        futuresSubmitOrder,
+        futuresCancelOrder,
+        getFuturesOrder,
+        futuresCancelAllOrders,
+        futuresFlashClosePositions,
+        futuresSubmitTPSLOrder,
+        futuresSubmitPlanOrder,
+        getFuturesPlanOrders,
+        futuresCancelPlanOrder,
+        getFuturesContractConfig,
+        getFuturesAccountAsset,
+        getFuturesAccountAssets,
+    });
+}
+
+module.exports = {
+    createPaperExchange,
+};
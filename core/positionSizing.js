@@ -0,0 +1,90 @@
+/**
+ * Risk-based position sizing: each trade is sized so that being stopped out
+ * loses a set fraction of the account's equity.
+ *
+ *   size = equity * riskPercentage / |entry - stop loss|
+ *
+ * then capped so the position's notional stays within maxLeverage times
+ * equity and its margin at the order's leverage fits the available balance,
+ * and rounded down to the size step. A size below the minimum is not traded,
+ * as rounding it up would risk more than asked for.
+ *
+ * With sizing.mode 'fixed' the trading core keeps sending the configured
+ * order size; 'risk' sizes every order with calculatePositionSize from the
+ * futures account's equity, see tradingCore.js.
+ *
+ * Usage:
+ *   const { size, reason } = calculatePositionSize({ equity: 10000, available: 9000, entryPrice: 60000, stopLossPrice: 59400, leverage: 10 });
+ */
+
+const SIZING_MODES = ['fixed', 'risk'];
+
+const DEFAULT_SIZING = {
+    mode: 'fixed',
+    riskPercentage: 0.01,
+    maxLeverage: 20,
+    minSize: 0.001,
+    sizeStep: 0.001,
+};
+
+// Round down to a whole number of steps, clear of floating point error
+function floorToStep(value, step) {
+    const decimals = (String(step).split('.')[1] || '').length;
+    return Number((Math.floor(value / step + 1e-9) * step).toFixed(decimals));
+}
+
+/**
+ * Size a trade from the account and its stop distance.
+ * @param {object} options
+ * @param {number} options.equity - Account equity in the margin coin.
+ * @param {number} [options.available=equity] - Balance available for margin.
+ * @param {number} options.entryPrice
+ * @param {number} options.stopLossPrice
+ * @param {number} [options.leverage=1] - Leverage the order is placed at, capped at maxLeverage.
+ * @param {number} [options.riskPercentage=0.01] - Fraction of equity lost at the stop.
+ * @param {number} [options.maxLeverage=20] - Largest notional as a multiple of equity.
+ * @param {number} [options.minSize=0.001] - Smallest order the exchange takes.
+ * @param {number} [options.sizeStep=0.001] - Order size increment.
+ * @returns {{ size: number, riskAmount: number, stopDistance: number, notional: number, limitedBy: string|null, reason: string|null }}
+ *   size is 0 when nothing should be traded, with the reason; limitedBy names the cap that cut the size, if any.
+ */
+function calculatePositionSize(options) {
+    const {
+        equity,
+        available = equity,
+        entryPrice,
+        stopLossPrice,
+        leverage = 1,
+        riskPercentage = DEFAULT_SIZING.riskPercentage,
+        maxLeverage = DEFAULT_SIZING.maxLeverage,
+        minSize = DEFAULT_SIZING.minSize,
+        sizeStep = DEFAULT_SIZING.sizeStep,
+    } = options;
+
+    const stopDistance = Math.abs(entryPrice - stopLossPrice);
+    const riskAmount = equity * riskPercentage;
+    const none = reason => ({ size: 0, riskAmount, stopDistance, notional: 0, limitedBy: null, reason });
+
+    if (!(equity > 0)) return none(`no equity to risk (${equity})`);
+    if (!(stopDistance > 0)) return none(`the stop loss ${stopLossPrice} is at the entry ${entryPrice}`);
+
+    const caps = {
+        risk: riskAmount / stopDistance,
+        'max leverage': (equity * maxLeverage) / entryPrice,
+        margin: (available * Math.min(leverage, maxLeverage)) / entryPrice,
+    };
+    const [limitedBy, uncapped] = Object.entries(caps).reduce((smallest, cap) => (cap[1] < smallest[1] ? cap : smallest));
+    const size = floorToStep(uncapped, sizeStep);
+
+    if (size < minSize) {
+        return none(`${size} is below the minimum size ${minSize} (${limitedBy} allows ${uncapped.toPrecision(3)})`);
+    }
+    return { size, riskAmount, stopDistance, notional: size * entryPrice, limitedBy: limitedBy === 'risk' ? null : limitedBy, reason: null };
+}
+
+module.exports = {
+    SIZING_MODES,
+    DEFAULT_SIZING,
+    floorToStep,
+    calculatePositionSize,
+};
@@ -0,0 +1,131 @@
+/**
+ * Market regime classifier, so a strategy only trades the conditions it was
+ * built for: a trend follower sits out tight chop, a mean reverter sits out
+ * strong trends, and anything can sit out a volatility spike.
+ *
+ * Each bar is tagged from three readings:
+ *   - ATR percentile: where the bar's ATR, as a fraction of its close, ranks
+ *     among the previous `percentileBars` bars, 0 to 100.
+ *   - ADX: trend strength, whatever the direction.
+ *   - EMA slope: how far the EMA moved over the last `slopeBars` bars, in
+ *     ATRs per bar, so the same threshold works on every timeframe.
+ *
+ * and classified, in this order:
+ *   'high-volatility'  ATR percentile at or above highVolatilityPercentile
+ *   'trending'         ADX at or above adxTrending and the EMA slope at least minSlope either way
+ *   'ranging'          anything else
+ *
+ * A strategy declares the regimes it may trade in as `regimes` (see
+ * strategies.js), and a profile can override that per strategy with
+ * regime.allow. With regime.enabled the runner and the backtester drop the
+ * signals of any other regime and log the regime that blocked them.
+ *
+ * All series are index-aligned with the candles (see indicators.js) and null
+ * while warming up; regimeBars gives the candles needed.
+ *
+ * Usage:
+ *   const { regime, atrPercentile, adx, emaSlope } = classifyRegime(candles, { adxTrending: 20 });
+ */
+
+const { calculateATR, calculateADX, calculateEMA } = require('./indicators');
+
+const REGIMES = ['trending', 'ranging', 'high-volatility'];
+
+const DEFAULT_OPTIONS = {
+    atrPeriod: 14,
+    percentileBars: 100,
+    highVolatilityPercentile: 90,
+    adxPeriod: 14,
+    adxTrending: 25,
+    emaPeriod: 50,
+    slopeBars: 10,
+    minSlope: 0.1,
+};
+
+/**
+ * Candles the classifier needs before its first reading.
+ * @param {object} [options] - Any of DEFAULT_OPTIONS.
+ * @returns {number}
+ */
+function regimeBars(options = {}) {
+    const { atrPeriod, percentileBars, adxPeriod, emaPeriod, slopeBars } = { ...DEFAULT_OPTIONS, ...options };
+    return Math.max(atrPeriod + percentileBars, 2 * adxPeriod, emaPeriod + slopeBars);
+}
+
+/**
+ * Regime of every bar.
+ * @param {Array<Array<number>>} candles
+ * @param {object} [options] - Any of DEFAULT_OPTIONS.
+ * @returns {{ regime: Array<string|null>, atrPercentile: Array<number|null>, adx: Array<number|null>, emaSlope: Array<number|null> }}
+ */
+function classifyRegimes(candles, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const atr = calculateATR(candles, settings.atrPeriod);
+    const { adx } = calculateADX(candles, settings.adxPeriod);
+    const ema = calculateEMA(candles, settings.emaPeriod);
+    const relativeATR = atr.map((value, i) => (value === null ? null : value / candles[i][4]));
+
+    const atrPercentile = relativeATR.map((value, i) => {
+        const from = i - settings.percentileBars;
+        if (value === null || from < 0 || relativeATR[from] === null) return null;
+        let below = 0;
+        for (let j = from; j < i; j++) {
+            if (relativeATR[j] <= value) below++;
+        }
+        return (100 * below) / settings.percentileBars;
+    });
+
+    const emaSlope = ema.map((value, i) => {
+        const previous = ema[i - settings.slopeBars];
+        if (value === null || previous === null || previous === undefined || !atr[i]) return null;
+        return (value - previous) / (atr[i] * settings.slopeBars);
+    });
+
+    const regime = candles.map((_, i) => {
+        if ([atrPercentile[i], adx[i], emaSlope[i]].some(value => value === null)) return null;
+        if (atrPercentile[i] >= settings.highVolatilityPercentile) return 'high-volatility';
+        if (adx[i] >= settings.adxTrending && Math.abs(emaSlope[i]) >= settings.minSlope) return 'trending';
+        return 'ranging';
+    });
+
+    return { regime, atrPercentile, adx, emaSlope };
+}
+
+/**
+ * Regime of the latest bar.
+ * @param {Array<Array<number>>} candles
+ * @param {object} [options] - Any of DEFAULT_OPTIONS.
+ * @returns {{ regime: string|null, atrPercentile: number|null, adx: number|null, emaSlope: number|null }} regime is null while warming up.
+ */
+function classifyRegime(candles, options = {}) {
+    const series = classifyRegimes(candles, options);
+    const latest = candles.length - 1;
+    return Object.fromEntries(Object.entries(series).map(([name, values]) => [name, latest >= 0 ? values[latest] : null]));
+}
+
+/**
+ * Regimes a strategy may trade in: the profile's regime.allow entry for it,
+ * else what the strategy declares.
+ * @param {object} strategy - From createStrategy.
+ * @param {object} [options] - The profile's regime settings.
+ * @returns {Array<string>|null} null when the strategy trades in any regime.
+ */
+function allowedRegimes(strategy, { allow = {} } = {}) {
+    return allow[strategy.name] || strategy.regimes || null;
+}
+
+// The readings behind a regime, for the logs
+function formatRegime({ regime, atrPercentile, adx, emaSlope }) {
+    if (regime === null) return 'regime unknown, not enough candles';
+    return `${regime} (ATR percentile ${atrPercentile.toFixed(0)}, ADX ${adx.toFixed(1)}, EMA slope ${emaSlope.toFixed(2)} ATR/bar)`;
+}
+
+module.exports = {
+    REGIMES,
+    DEFAULT_OPTIONS,
+    regimeBars,
+    classifyRegimes,
+    classifyRegime,
+    allowedRegimes,
+    formatRegime,
+};
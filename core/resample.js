@@ -0,0 +1,87 @@
+/**
+ * Build higher timeframe candles from lower timeframe ones, so a
+ * multi-timeframe strategy needs one fetch per symbol and every timeframe
+ * it sees comes from the same data.
+ *
+ * Buckets open on the UTC boundaries of timeframes.js: 15m at :00, :15,
+ * ...; 4H at 00:00, 04:00, ... UTC; 1D at 00:00 UTC. Bitget's own 1D, 1W
+ * and 1M candles open at 00:00 UTC+8 (1Dutc, 1Wutc and 1Mutc are the UTC
+ * ones), so resampled daily candles match 1Dutc rather than 1D.
+ *
+ * A bucket takes the first open, highest high, lowest low, last close and
+ * the summed volume of its candles. When the candles start part way
+ * through a bucket it is left out, as its open and range would be wrong;
+ * the last bucket is still forming until its final candle closes.
+ *
+ * Usage:
+ *   const fiveMinute = await core.fetchCandleData('SBTCSUSDT', '5m', { limit: 4800 });
+ *   const fourHour = resample(fiveMinute, '5m', '4H');
+ */
+
+const { TIMEFRAME_MS, barStart } = require('./timeframes');
+
+const DAY = TIMEFRAME_MS['1D'];
+
+/**
+ * Whether `toTimeframe` candles can be built from `fromTimeframe` ones: every
+ * bucket boundary must also be a boundary of the smaller candles.
+ * @param {string} fromTimeframe
+ * @param {string} toTimeframe
+ * @returns {boolean}
+ */
+function canResample(fromTimeframe, toTimeframe) {
+    const from = TIMEFRAME_MS[fromTimeframe];
+    if (!from || fromTimeframe === toTimeframe) return false;
+    if (toTimeframe === '1W' || toTimeframe === '1M') return from <= DAY && DAY % from === 0;
+    const to = TIMEFRAME_MS[toTimeframe];
+    return Boolean(to) && to > from && to % from === 0 && DAY % from === 0;
+}
+
+/**
+ * How many `fromTimeframe` candles make one `toTimeframe` candle, at most.
+ * @param {string} fromTimeframe
+ * @param {string} toTimeframe
+ * @returns {number}
+ */
+function resampleRatio(fromTimeframe, toTimeframe) {
+    if (toTimeframe === '1M') return (31 * DAY) / TIMEFRAME_MS[fromTimeframe];
+    return TIMEFRAME_MS[toTimeframe] / TIMEFRAME_MS[fromTimeframe];
+}
+
+/**
+ * Resample candles to a higher timeframe.
+ * @param {Array<Array<number>>} candles - [ts, open, high, low, close, volume], oldest first.
+ * @param {string} fromTimeframe - Timeframe of the candles, e.g. '1m' or '5m'.
+ * @param {string} toTimeframe - e.g. '15m', '4H', '1D'.
+ * @returns {Array<Array<number>>} Candles of toTimeframe, oldest first.
+ * @throws {Error} When toTimeframe cannot be built from fromTimeframe.
+ */
+function resample(candles, fromTimeframe, toTimeframe) {
+    if (!canResample(fromTimeframe, toTimeframe)) {
+        throw new Error(`Cannot resample ${fromTimeframe} candles to ${toTimeframe}`);
+    }
+
+    const buckets = [];
+    for (const [time, open, high, low, close, volume] of candles) {
+        const start = barStart(time, toTimeframe);
+        const bucket = buckets[buckets.length - 1];
+        if (bucket && bucket[0] === start) {
+            bucket[2] = Math.max(bucket[2], high);
+            bucket[3] = Math.min(bucket[3], low);
+            bucket[4] = close;
+            bucket[5] += volume;
+        } else {
+            buckets.push([start, open, high, low, close, volume]);
+        }
+    }
+
+    // The first bucket is only whole when the candles begin on its boundary
+    if (buckets.length > 0 && buckets[0][0] !== candles[0][0]) buckets.shift();
+    return buckets;
+}
+
+module.exports = {
+    canResample,
+    resampleRatio,
+    resample,
+};
@@ -0,0 +1,119 @@
+/**
+ * HTTP routes the bots share for reviewing what they stored and the orders
+ * they track, mounted on each bot's express app.
+ *
+ *   GET /candles/:symbol/:granularity
+ *                  stored candles, see candleStore.js, from and to (open
+ *                  times in ms) and limit; 400 for a symbol the bot does
+ *                  not trade, an unknown granularity or a limit that is not
+ *                  a positive integer, 404 when the profile has the candle
+ *                  store disabled
+ *   GET /journal   signal journal entries, see signalJournal.js, filtered by
+ *                  symbol, strategy, timeframe, side, decision (comma
+ *                  separated), from and to (bar times in ms) and limit
+ *                  (default 100); 400 for a limit that is not a positive
+ *                  integer
+ *   GET /orders    every order's state from the orders channels, see
+ *                  orderManager.js, filtered by symbol, state (comma
+ *                  separated) and open=true for those still open
+ *
+ * Usage:
+ *   mountDataRoutes(app, { candleStore, journal, orderManager, symbols: ['SBTCSUSDT'] });
+ *   // /candles/SBTCSUSDT/5m?limit=500
+ *   // /journal?symbol=SBTCSUSDT&decision=trade,error&limit=20
+ *   // /orders?symbol=SBTCSUSDT&open=true
+ */
+
+const { TIMEFRAMES } = require('./timeframes');
+
+// Symbols as Bitget names them, for routes not told which symbols the bot trades
+const SYMBOL_PATTERN = /^[A-Z0-9]+$/;
+
+// A limit query parameter as a number, or null when it is not a positive integer
+function parseLimit(limit) {
+    const value = Number(limit);
+    return /^\d+$/.test(limit) && value > 0 ? value : null;
+}
+
+/**
+ * Mount the routes for the stores given.
+ * @param {object} app - An express app or router.
+ * @param {object} options
+ * @param {object|null} [options.candleStore] - From createCandleStore, serves /candles; null when it is disabled.
+ * @param {object} [options.journal] - From createSignalJournal, serves /journal.
+ * @param {object} [options.orderManager] - From createOrderManager, serves /orders.
+ * @param {Array<string>} [options.symbols] - The symbols /candles serves, any of capital letters and digits when not given.
+ * @returns {object} The app.
+ */
+function mountDataRoutes(app, options = {}) {
+    const { candleStore, journal, orderManager, symbols } = options;
+    const isSymbol = symbol => (symbols ? symbols.includes(symbol) : SYMBOL_PATTERN.test(symbol));
+
+    if ('candleStore' in options) {
+        app.get('/candles/:symbol/:granularity', (req, res) => {
+            if (!candleStore) {
+                return res.status(404).json({ error: 'The candle store is disabled in this profile' });
+            }
+            const { symbol, granularity } = req.params;
+            // Both name the series file, so nothing else may reach the store
+            if (!isSymbol(symbol)) {
+                return res.status(400).json({ error: `Unknown symbol ${symbol}` });
+            }
+            if (!TIMEFRAMES.includes(granularity)) {
+                return res.status(400).json({ error: `Unknown granularity ${granularity}, expected one of ${TIMEFRAMES.join(', ')}` });
+            }
+            const { from, to, limit } = req.query;
+            if (limit !== undefined && parseLimit(limit) === null) {
+                return res.status(400).json({ error: `Invalid limit ${limit}, expected a positive integer` });
+            }
+            try {
+                res.json(candleStore.candles(symbol, granularity, {
+                    ...(from && { from: Number(from) }),
+                    ...(to && { to: Number(to) }),
+                    ...(limit && { limit: parseLimit(limit) }),
+                }));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+
+    if (journal) {
+        app.get('/journal', (req, res) => {
+            const { symbol, strategy, timeframe, decision, side, from, to, limit = '100' } = req.query;
+            if (parseLimit(limit) === null) {
+                return res.status(400).json({ error: `Invalid limit ${limit}, expected a positive integer` });
+            }
+            try {
+                res.json(journal.query({
+                    symbol,
+                    strategy,
+                    timeframe,
+                    side,
+                    ...(decision && { decision: decision.split(',') }),
+                    ...(from && { from: Number(from) }),
+                    ...(to && { to: Number(to) }),
+                    limit: parseLimit(limit),
+                }));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+
+    if (orderManager) {
+        app.get('/orders', (req, res) => {
+            const { symbol, state, open } = req.query;
+            res.json(orderManager.list({
+                symbol,
+                ...(state && { state: state.split(',') }),
+                open: open === 'true',
+            }));
+        });
+    }
+    return app;
+}
+
+module.exports = {
+    mountDataRoutes,
+};
@@ -0,0 +1,480 @@
+/**
+ * Declarative entry rules: buy and sell conditions written as JSON over
+ * named indicator series, so entries can be changed in config.
+ *
+ *   {
+ *     "timeframe": "5m",
+ *     "indicators": {
+ *       "ema9":  { "type": "ema", "period": 9 },
+ *       "ema21": { "type": "ema", "period": 21 },
+ *       "rsi":   { "type": "rsi", "period": 14 }
+ *     },
+ *     "buy": { "all": [
+ *       { "left": "close", "op": ">", "right": "ema9" },
+ *       { "left": "ema9", "op": "crossesAbove", "right": "ema21" },
+ *       { "any": [
+ *         { "left": "rsi", "op": "<", "right": 70 },
+ *         { "left": "ema21@1H", "op": ">", "right": "ema21@1H[1]" }
+ *       ] }
+ *     ] },
+ *     "sell": { ... }
+ *   }
+ *
+ * Operands are numbers or series references. A reference is a string
+ * `name`, `name[offset]`, `name@timeframe` or `name@timeframe[offset]`, or
+ * the same as { "series", "offset", "timeframe" }. Names are open, high,
+ * low, close, volume, hl2, hlc3, ohlc4 or a defined indicator; indicators
+ * with several outputs are referenced as `name.output`, e.g. `macd.signal`.
+ * Offsets count closed bars back on the referenced timeframe, which
+ * defaults to the rule set's `timeframe`.
+ *
+ * Indicator types and their parameters (defaults in brackets):
+ *   sma, ema     period, source [close]
+ *   rsi          period [14], source [close]
+ *   atr          period [14]
+ *   vwap         anchor [day], sessionStart ["00:00"], restarting each UTC day, week
+ *                or daily session (calculateAnchoredVWAP)
+ *   vwapBands    anchor [day], sessionStart ["00:00"], multiplier [2]
+ *                -> vwap, upper, lower, stdev
+ *   macd         fast [12], slow [26], signal [9], source [close]
+ *                -> macd, signal, histogram
+ *   bollinger    period [20], multiplier [2], source [close]
+ *                -> middle, upper, lower, bandwidth
+ *   supertrend   period [10], multiplier [3] -> supertrend, direction (1 up, -1 down)
+ *   adx          period [14], adxPeriod [14] -> adx, plusDI, minusDI
+ *   obv          -
+ *   keltner      period [20], multiplier [2], atrPeriod [10] -> middle, upper, lower
+ *   ichimoku     conversionPeriod [9], basePeriod [26], spanBPeriod [52], displacement [26]
+ *                -> conversion, base, spanA, spanB, leadingSpanA, leadingSpanB, lagging
+ * A source is a price or another single-output indicator.
+ *
+ * Conditions are { left, op, right } with op one of >, >=, <, <=, ==, !=,
+ * crossesAbove or crossesBelow, grouped with { "all": [...] },
+ * { "any": [...] } and { "not": condition }. A condition on a series that
+ * is still warming up is false. compileRules works out how many candles
+ * each timeframe needs for every indicator read on it to have warmed up,
+ * so a long period raises the strategy's lookback instead of never firing.
+ *
+ * compileRules validates the whole rule set at once and throws with every
+ * problem found, so bad rules fail at startup rather than at the first bar.
+ */
+
+const indicators = require('./indicators');
+const { ANCHORS, anchorBars, isSessionStart } = require('./timeframes');
+
+const PRICE_SOURCES = {
+    open: candle => candle[1],
+    high: candle => candle[2],
+    low: candle => candle[3],
+    close: candle => candle[4],
+    volume: candle => candle[5],
+    hl2: candle => (candle[2] + candle[3]) / 2,
+    hlc3: candle => (candle[2] + candle[3] + candle[4]) / 3,
+    ohlc4: candle => (candle[1] + candle[2] + candle[3] + candle[4]) / 4,
+};
+
+const COMPARISONS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+};
+
+const CROSSES = ['crossesAbove', 'crossesBelow'];
+
+// Parameter kinds, each with its default (null when required) and what it accepts
+const bars = (defaultValue = null) => ({ default: defaultValue, valid: value => Number.isInteger(value) && value > 0, expected: 'a whole number of bars' });
+const number = (defaultValue = null) => ({ default: defaultValue, valid: value => typeof value === 'number' && Number.isFinite(value) && value > 0, expected: 'a positive number' });
+const choice = (values, defaultValue = null) => ({ default: defaultValue, valid: value => values.includes(value), expected: `one of ${values.join(', ')}` });
+const session = (defaultValue = null) => ({ default: defaultValue, valid: isSessionStart, expected: 'a UTC time such as "13:30"' });
+
+const anchored = { anchor: choice(ANCHORS, 'day'), sessionStart: session('00:00') };
+
+// Periods a smoothed indicator runs past its first value, so what it was seeded with has worn off
+const SETTLE_PERIODS = 3;
+const settled = (firstValue, period) => firstValue + SETTLE_PERIODS * period;
+
+/**
+ * Indicator types usable in rules. `params` lists the parameters; `source`
+ * says the indicator runs on a series (default close) passed as the third
+ * argument to compute; `outputs` names the series of a multi-output
+ * indicator; `history` gives the candles it needs on a timeframe for its
+ * latest value to be warmed up.
+ */
+const INDICATOR_TYPES = {
+    sma: {
+        params: { period: bars() },
+        source: true,
+        history: ({ period }) => period,
+        compute: (candles, { period }, values) => indicators.sma(values, period),
+    },
+    ema: {
+        params: { period: bars() },
+        source: true,
+        history: ({ period }) => settled(period, period),
+        compute: (candles, { period }, values) => indicators.ema(values, period),
+    },
+    rsi: {
+        params: { period: bars(14) },
+        source: true,
+        history: ({ period }) => settled(period + 1, period),
+        compute: (candles, { period }, values) => indicators.rsi(values, period),
+    },
+    atr: {
+        params: { period: bars(14) },
+        history: ({ period }) => settled(period, period),
+        compute: (candles, { period }) => indicators.calculateATR(candles, period),
+    },
+    vwap: {
+        params: anchored,
+        history: ({ anchor }, timeframe) => anchorBars(anchor, timeframe),
+        compute: (candles, params) => indicators.calculateAnchoredVWAP(candles, { ...params, bandMultipliers: [] }).vwap,
+    },
+    vwapBands: {
+        params: { ...anchored, multiplier: number(2) },
+        outputs: ['vwap', 'upper', 'lower', 'stdev'],
+        history: ({ anchor }, timeframe) => anchorBars(anchor, timeframe),
+        compute(candles, { multiplier, ...params }) {
+            const { vwap, stdev, bands: [band] } = indicators.calculateAnchoredVWAP(candles, { ...params, bandMultipliers: [multiplier] });
+            return { vwap, stdev, upper: band.upper, lower: band.lower };
+        },
+    },
+    macd: {
+        params: { fast: bars(12), slow: bars(26), signal: bars(9) },
+        source: true,
+        outputs: ['macd', 'signal', 'histogram'],
+        history: ({ slow, signal }) => settled(slow + signal - 1, slow),
+        compute: (candles, { fast, slow, signal }, values) => indicators.macd(values, fast, slow, signal),
+    },
+    bollinger: {
+        params: { period: bars(20), multiplier: number(2) },
+        source: true,
+        outputs: ['middle', 'upper', 'lower', 'bandwidth'],
+        history: ({ period }) => period,
+        compute: (candles, { period, multiplier }, values) => indicators.bollinger(values, period, multiplier),
+    },
+    supertrend: {
+        params: { period: bars(10), multiplier: number(3) },
+        outputs: ['supertrend', 'direction'],
+        history: ({ period }) => settled(period, period),
+        compute: (candles, { period, multiplier }) => indicators.calculateSupertrend(candles, period, multiplier),
+    },
+    adx: {
+        params: { period: bars(14), adxPeriod: bars(14) },
+        outputs: ['adx', 'plusDI', 'minusDI'],
+        history: ({ period, adxPeriod }) => settled(period + adxPeriod, period + adxPeriod),
+        compute: (candles, { period, adxPeriod }) => indicators.calculateADX(candles, period, adxPeriod),
+    },
+    obv: { params: {}, history: () => 1, compute: candles => indicators.calculateOBV(candles) },
+    keltner: {
+        params: { period: bars(20), multiplier: number(2), atrPeriod: bars(10) },
+        outputs: ['middle', 'upper', 'lower'],
+        history: ({ period, atrPeriod }) => settled(Math.max(period, atrPeriod), Math.max(period, atrPeriod)),
+        compute: (candles, { period, multiplier, atrPeriod }) => indicators.calculateKeltnerChannels(candles, period, multiplier, atrPeriod),
+    },
+    ichimoku: {
+        params: { conversionPeriod: bars(9), basePeriod: bars(26), spanBPeriod: bars(52), displacement: bars(26) },
+        outputs: ['conversion', 'base', 'spanA', 'spanB', 'leadingSpanA', 'leadingSpanB', 'lagging'],
+        history: ({ spanBPeriod, displacement }) => spanBPeriod + displacement,
+        compute: (candles, params) => indicators.calculateIchimoku(candles, params.conversionPeriod, params.basePeriod, params.spanBPeriod, params.displacement),
+    },
+};
+
+const REFERENCE_PATTERN = /^([A-Za-z_]\w*(?:\.\w+)?)(?:@(\w+))?(?:\[(\d+)\])?$/;
+
+//////////// - Parsing & Validation - ///////////////////////////
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Number or { series, timeframe, offset }; null when the operand is not understood
+function parseOperand(operand) {
+    if (typeof operand === 'number' && Number.isFinite(operand)) return { value: operand };
+    if (typeof operand === 'string') {
+        const match = REFERENCE_PATTERN.exec(operand.trim());
+        if (!match) return null;
+        return { series: match[1], timeframe: match[2] || null, offset: match[3] ? parseInt(match[3]) : 0 };
+    }
+    if (isPlainObject(operand) && typeof operand.series === 'string') {
+        return { series: operand.series, timeframe: operand.timeframe || null, offset: operand.offset ?? 0 };
+    }
+    return null;
+}
+
+function validateIndicators(indicators, errors) {
+    if (indicators === undefined) return;
+    if (!isPlainObject(indicators)) {
+        errors.push('indicators: must be an object of { name: { type, ... } }');
+        return;
+    }
+
+    for (const [name, spec] of Object.entries(indicators)) {
+        const at = `indicators.${name}`;
+        if (!/^[A-Za-z_]\w*$/.test(name) || PRICE_SOURCES[name]) {
+            errors.push(`${at}: names must be identifiers other than ${Object.keys(PRICE_SOURCES).join(', ')}`);
+            continue;
+        }
+        const type = isPlainObject(spec) ? INDICATOR_TYPES[spec.type] : undefined;
+        if (!type) {
+            errors.push(`${at}.type: must be one of ${Object.keys(INDICATOR_TYPES).join(', ')} (got ${JSON.stringify(spec && spec.type)})`);
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(spec)) {
+            if (key === 'type' || (key === 'source' && type.source)) continue;
+            if (!(key in type.params)) {
+                errors.push(`${at}.${key}: unknown parameter for ${spec.type}, expected ${[...Object.keys(type.params), ...(type.source ? ['source'] : [])].join(', ') || 'none'}`);
+            } else if (!type.params[key].valid(value)) {
+                errors.push(`${at}.${key}: must be ${type.params[key].expected} (got ${JSON.stringify(value)})`);
+            }
+        }
+        for (const [key, param] of Object.entries(type.params)) {
+            if (param.default === null && spec[key] === undefined) errors.push(`${at}.${key}: is required for ${spec.type}`);
+        }
+        const sourceSpec = typeof spec.source === 'string' ? indicators[spec.source] : undefined;
+        if (spec.source !== undefined && !PRICE_SOURCES[spec.source] && !(isPlainObject(sourceSpec) && spec.source !== name)) {
+            errors.push(`${at}.source: must be a price (${Object.keys(PRICE_SOURCES).join(', ')}) or another indicator (got ${JSON.stringify(spec.source)})`);
+        } else if (isPlainObject(sourceSpec) && INDICATOR_TYPES[sourceSpec.type] && INDICATOR_TYPES[sourceSpec.type].outputs) {
+            errors.push(`${at}.source: ${sourceSpec.type} "${spec.source}" has several outputs and cannot be a source`);
+        }
+    }
+
+    // Indicators computed from other indicators must not go round in a circle
+    const visiting = new Set();
+    const done = new Set();
+    const visit = (name, chain) => {
+        if (done.has(name) || !isPlainObject(indicators[name])) return;
+        if (visiting.has(name)) {
+            errors.push(`indicators.${name}.source: circular (${[...chain, name].join(' -> ')})`);
+            return;
+        }
+        visiting.add(name);
+        const { source } = indicators[name];
+        if (source && !PRICE_SOURCES[source]) visit(source, [...chain, name]);
+        visiting.delete(name);
+        done.add(name);
+    };
+    Object.keys(indicators).forEach(name => visit(name, []));
+}
+
+function validateOperand(operand, at, indicators, timeframes, errors) {
+    const parsed = parseOperand(operand);
+    if (!parsed) {
+        errors.push(`${at}: must be a number or a series such as "ema9", "ema9[1]" or "ema21@1H" (got ${JSON.stringify(operand)})`);
+        return;
+    }
+    if (parsed.value !== undefined) return;
+
+    const [name, output] = parsed.series.split('.');
+    const spec = isPlainObject(indicators) ? indicators[name] : undefined;
+    const outputs = spec && INDICATOR_TYPES[spec.type] ? INDICATOR_TYPES[spec.type].outputs : undefined;
+    if (PRICE_SOURCES[name] && output === undefined) {
+        // price series
+    } else if (!spec) {
+        errors.push(`${at}: unknown series "${name}", expected ${[...Object.keys(PRICE_SOURCES), ...Object.keys(indicators || {})].join(', ')}`);
+    } else if (outputs && !outputs.includes(output)) {
+        errors.push(`${at}: ${spec.type} "${name}" needs one of its outputs, ${outputs.map(item => `${name}.${item}`).join(', ')}`);
+    } else if (!outputs && output !== undefined) {
+        errors.push(`${at}: ${spec.type} "${name}" has a single output, use "${name}"`);
+    }
+    if (parsed.timeframe !== null && !timeframes.includes(parsed.timeframe)) {
+        errors.push(`${at}: unknown timeframe "${parsed.timeframe}", expected one of ${timeframes.join(', ')}`);
+    }
+    if (!Number.isInteger(parsed.offset) || parsed.offset < 0) {
+        errors.push(`${at}: offset must be a whole number of bars back (got ${JSON.stringify(parsed.offset)})`);
+    }
+}
+
+function validateCondition(condition, at, indicators, timeframes, errors) {
+    if (!isPlainObject(condition)) {
+        errors.push(`${at}: must be a condition { left, op, right } or a group { all }, { any }, { not }`);
+        return;
+    }
+
+    const groups = ['all', 'any', 'not'].filter(key => key in condition);
+    if (groups.length > 1 || (groups.length === 1 && Object.keys(condition).length > 1)) {
+        errors.push(`${at}: a group has exactly one of all, any or not`);
+        return;
+    }
+    if (groups[0] === 'not') {
+        validateCondition(condition.not, `${at}.not`, indicators, timeframes, errors);
+        return;
+    }
+    if (groups.length === 1) {
+        const items = condition[groups[0]];
+        if (!Array.isArray(items) || items.length === 0) {
+            errors.push(`${at}.${groups[0]}: must be a non-empty list of conditions`);
+            return;
+        }
+        items.forEach((item, index) => validateCondition(item, `${at}.${groups[0]}.${index}`, indicators, timeframes, errors));
+        return;
+    }
+
+    if (!COMPARISONS[condition.op] && !CROSSES.includes(condition.op)) {
+        errors.push(`${at}.op: must be one of ${[...Object.keys(COMPARISONS), ...CROSSES].join(', ')} (got ${JSON.stringify(condition.op)})`);
+    }
+    validateOperand(condition.left, `${at}.left`, indicators, timeframes, errors);
+    validateOperand(condition.right, `${at}.right`, indicators, timeframes, errors);
+    for (const key of Object.keys(condition).filter(key => !['left', 'op', 'right'].includes(key))) {
+        errors.push(`${at}.${key}: unknown key, a condition has left, op and right`);
+    }
+}
+
+/**
+ * Every problem with a rule set, as "path: message" strings.
+ * @param {object} rules - The rule set.
+ * @param {Array<string>} timeframes - Timeframes references may use.
+ * @returns {Array<string>} Empty when the rules are valid.
+ */
+function validateRules(rules, timeframes) {
+    const errors = [];
+    if (!isPlainObject(rules)) return ['must be an object with buy and/or sell conditions'];
+
+    for (const key of Object.keys(rules).filter(key => !['timeframe', 'indicators', 'buy', 'sell'].includes(key))) {
+        errors.push(`${key}: unknown key, expected timeframe, indicators, buy, sell`);
+    }
+    if (rules.timeframe !== undefined && !timeframes.includes(rules.timeframe)) {
+        errors.push(`timeframe: must be one of ${timeframes.join(', ')} (got ${JSON.stringify(rules.timeframe)})`);
+    }
+    if (rules.buy === undefined && rules.sell === undefined) {
+        errors.push('buy, sell: at least one of them is required');
+    }
+
+    validateIndicators(rules.indicators, errors);
+    for (const side of ['buy', 'sell']) {
+        if (rules[side] !== undefined) validateCondition(rules[side], side, rules.indicators, timeframes, errors);
+    }
+    return errors;
+}
+
+//////////// - Evaluation - ///////////////////////////
+
+// A parsed series reference written back as a string, e.g. "ema21@1H[1]"
+function referenceName({ series, timeframe, offset }) {
+    return `${series}${timeframe ? `@${timeframe}` : ''}${offset ? `[${offset}]` : ''}`;
+}
+
+// An indicator's parameters with the defaults filled in
+function paramsOf(spec) {
+    const type = INDICATOR_TYPES[spec.type];
+    return Object.fromEntries(Object.entries(type.params).map(([param, { default: value }]) => [param, spec[param] ?? value]));
+}
+
+// Every operand in a condition tree, with how many bars before its own a cross also reads
+function operandsOf(condition) {
+    if (condition.all || condition.any) return (condition.all || condition.any).flatMap(operandsOf);
+    if (condition.not) return operandsOf(condition.not);
+    const previous = CROSSES.includes(condition.op) ? 1 : 0;
+    return [parseOperand(condition.left), parseOperand(condition.right)].map(operand => ({ ...operand, previous }));
+}
+
+/**
+ * Validate and compile a rule set.
+ * @param {object} rules - The rule set.
+ * @param {object} options
+ * @param {Array<string>} options.timeframes - Timeframes references may use.
+ * @param {string} options.defaultTimeframe - Used when the rules do not set `timeframe`.
+ * @returns {{ timeframe: string, timeframes: Array<string>, history: object, evaluate: function(object): { buy: boolean, sell: boolean, values: object } }}
+ *   timeframes lists every timeframe the rules read, the rule set's own first;
+ *   history is { [timeframe]: candles } needed for the values read on it to be warmed up;
+ *   evaluate takes { [timeframe]: candles } and also returns the latest value
+ *   of every series the rules reference, keyed like "ema21@1H[1]".
+ * @throws {Error} Listing every problem when the rules are invalid.
+ */
+function compileRules(rules, { timeframes, defaultTimeframe }) {
+    const errors = validateRules(rules, timeframes);
+    if (errors.length > 0) {
+        throw new Error(`Invalid rules:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const definitions = rules.indicators || {};
+    const timeframe = rules.timeframe || defaultTimeframe;
+    const conditions = ['buy', 'sell'].filter(side => rules[side]).map(side => rules[side]);
+    const operands = conditions.flatMap(operandsOf).filter(operand => operand.series);
+    const referenced = operands.map(operand => operand.timeframe || timeframe);
+
+    // Candles each timeframe needs for the values read on it: an indicator computed from another
+    // only starts once that one has values, and offsets and crosses read bars further back
+    const history = {};
+    for (const operand of operands) {
+        const onTimeframe = operand.timeframe || timeframe;
+        let needed = 1 + operand.offset + operand.previous;
+        for (let name = operand.series.split('.')[0]; definitions[name]; name = definitions[name].source) {
+            needed += INDICATOR_TYPES[definitions[name].type].history(paramsOf(definitions[name]), onTimeframe) - 1;
+        }
+        history[onTimeframe] = Math.max(history[onTimeframe] || 0, needed);
+    }
+
+    function evaluate(candlesByTimeframe) {
+        const cache = new Map();
+
+        // Full series for a name on a timeframe, computed once per evaluation
+        function series(name, onTimeframe) {
+            const key = `${onTimeframe}:${name}`;
+            if (cache.has(key)) return cache.get(key);
+
+            const candles = candlesByTimeframe[onTimeframe] || [];
+            let result;
+            if (PRICE_SOURCES[name]) {
+                result = candles.map(PRICE_SOURCES[name]);
+            } else {
+                const spec = definitions[name];
+                const type = INDICATOR_TYPES[spec.type];
+                result = type.compute(candles, paramsOf(spec), type.source ? series(spec.source || 'close', onTimeframe) : undefined);
+            }
+            cache.set(key, result);
+            return result;
+        }
+
+        // Value `offset` bars before the latest, or null
+        function valueOf(operand, offset = 0) {
+            if (operand.value !== undefined) return operand.value;
+            const [name, output] = operand.series.split('.');
+            const full = series(name, operand.timeframe || timeframe);
+            const values = output ? full[output] : full;
+            const index = values.length - 1 - operand.offset - offset;
+            return index >= 0 && values[index] !== undefined ? values[index] : null;
+        }
+
+        function test(condition) {
+            if (condition.all) return condition.all.every(test);
+            if (condition.any) return condition.any.some(test);
+            if (condition.not) return !test(condition.not);
+
+            const left = parseOperand(condition.left);
+            const right = parseOperand(condition.right);
+            const [a, b] = [valueOf(left), valueOf(right)];
+            if (a === null || b === null) return false;
+            if (COMPARISONS[condition.op]) return COMPARISONS[condition.op](a, b);
+
+            const [previousA, previousB] = [valueOf(left, 1), valueOf(right, 1)];
+            if (previousA === null || previousB === null) return false;
+            return condition.op === 'crossesAbove'
+                ? a > b && previousA <= previousB
+                : a < b && previousA >= previousB;
+        }
+
+        return {
+            buy: Boolean(rules.buy) && test(rules.buy),
+            sell: Boolean(rules.sell) && test(rules.sell),
+            values: Object.fromEntries(operands.map(operand => [referenceName(operand), valueOf(operand)])),
+        };
+    }
+
+    return {
+        timeframe,
+        timeframes: [...new Set([timeframe, ...referenced])],
+        history,
+        evaluate,
+    };
+}
+
+module.exports = {
+    INDICATOR_TYPES,
+    PRICE_SOURCES,
+    validateRules,
+    compileRules,
+};
@@ -0,0 +1,173 @@
+/**
+ * Journal of every strategy evaluation, so a trade can be traced back to
+ * the indicator values that fired it and live decisions can be compared
+ * with a backtest over the same bars.
+ *
+ * Each entry holds when it was evaluated, the symbol, strategy, timeframe
+ * and bar, the price, every indicator value the strategy reported, the
+ * decision and, when an order went out, its order ID:
+ *
+ *   { time, barTime, symbol, strategy, timeframe, price, decision,
+ *     side, confidence, regime, indicators, missing, orderId, error }
+ *
+ * decision is one of DECISIONS: 'trade' (an order was sent), 'no-trade'
+ * (placeTrade placed nothing, e.g. a position was already open), 'none' (no
+ * signal), 'duplicate' (the bar's signal was already acted on), 'blocked'
+ * (the regime filter dropped it, see regime.js) or 'error'.
+ *
+ * With a file, entries are appended to it as JSON lines, one per
+ * evaluation; without one they only last as long as the process. The file
+ * is read once when the journal is opened and queries run on the entries in
+ * memory. A line that cannot be parsed, such as one cut short by a crash, is
+ * skipped. Entries evaluated more than `retentionDays` ago are dropped, and
+ * the file is rewritten without them (through a temporary file, like the
+ * signal store) at most once a day. Backtest journals hold past times and
+ * keep every entry with retentionDays null.
+ *
+ * Usage:
+ *   const journal = createSignalJournal({ file: 'data/journal-demo-btc-5m.jsonl' });
+ *   journal.record({ symbol: 'SBTCSUSDT', decision: 'none', ... });
+ *   const trades = journal.query({ symbol: 'SBTCSUSDT', decision: 'trade', from: Date.UTC(2024, 0, 1) });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DECISIONS = ['trade', 'no-trade', 'none', 'duplicate', 'blocked', 'error'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Whether an entry passes a query filter
+function matches(entry, { symbol, strategy, timeframe, decision, side, from = -Infinity, to = Infinity }) {
+    return (symbol === undefined || entry.symbol === symbol) &&
+        (strategy === undefined || entry.strategy === strategy) &&
+        (timeframe === undefined || entry.timeframe === timeframe) &&
+        (decision === undefined || [].concat(decision).includes(entry.decision)) &&
+        (side === undefined || entry.side === side) &&
+        entry.barTime >= from &&
+        entry.barTime <= to;
+}
+
+/**
+ * Open (or create) a signal journal.
+ * @param {object} [options]
+ * @param {string|null} [options.file=null] - JSON lines file to append to, created with its directory if missing.
+ * @param {boolean} [options.append=true] - Keep what the file already holds; false starts it afresh, e.g. for a backtest.
+ * @param {number|null} [options.retentionDays=30] - How long entries are kept, by the time they were evaluated; null keeps them all.
+ * @param {{ log: Function, error: Function }} [options.logger=console]
+ * @param {function(): number} [options.clock=Date.now]
+ * @returns {{ record: function(object): object, query: function(object=): Array<object> }}
+ */
+function createSignalJournal({ file = null, append = true, retentionDays = 30, logger = console, clock = Date.now } = {}) {
+    const entries = [];
+    const cutoff = () => (retentionDays === null ? -Infinity : clock() - retentionDays * DAY);
+    // Whether the file holds lines that are not kept, so the next write rewrites it
+    let rewriteDue = false;
+
+    if (file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (!append) fs.writeFileSync(file, '');
+        load();
+    }
+
+    function load() {
+        if (!fs.existsSync(file)) return;
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Unable to read signal journal ${file}: ${error.message}`);
+        }
+
+        const oldest = cutoff();
+        let unreadable = 0;
+        let expired = 0;
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                unreadable++;
+                continue;
+            }
+            if (entry.time < oldest) {
+                expired++;
+            } else {
+                entries.push(entry);
+            }
+        }
+        if (unreadable > 0) {
+            logger.error(`Skipped ${unreadable} unreadable lines in signal journal ${file}`);
+        }
+        // A last line cut short would run into the next one appended
+        rewriteDue = unreadable > 0 || expired > 0 || (text.length > 0 && !text.endsWith('\n'));
+    }
+
+    function rewrite() {
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        fs.renameSync(temporary, file);
+        rewriteDue = false;
+    }
+
+    // Drop expired entries, once the oldest kept has been expired for a day so the file is rewritten daily at most
+    function dropExpired() {
+        const oldest = cutoff();
+        if (entries.length === 0 || !(entries[0].time < oldest - DAY)) return;
+        const kept = entries.findIndex(entry => entry.time >= oldest);
+        entries.splice(0, kept === -1 ? entries.length : kept);
+        rewriteDue = Boolean(file);
+    }
+
+    return {
+        /**
+         * Add an entry; time defaults to now.
+         * @param {object} entry
+         * @returns {object} The entry as stored.
+         */
+        record(entry) {
+            const stored = { time: clock(), ...entry };
+            entries.push(stored);
+            dropExpired();
+            if (file && rewriteDue) {
+                rewrite();
+            } else if (file) {
+                fs.appendFileSync(file, `${JSON.stringify(stored)}\n`);
+            }
+            return stored;
+        },
+
+        /**
+         * Entries matching every given filter, oldest first.
+         * @param {object} [filter]
+         * @param {string} [filter.symbol]
+         * @param {string} [filter.strategy]
+         * @param {string} [filter.timeframe]
+         * @param {string|Array<string>} [filter.decision] - One or more of DECISIONS.
+         * @param {string} [filter.side] - 'buy' or 'sell'.
+         * @param {number} [filter.from] - Earliest bar time in ms.
+         * @param {number} [filter.to] - Latest bar time in ms.
+         * @param {number} [filter.limit] - Only the latest `limit` matches, a positive integer.
+         * @returns {Array<object>}
+         * @throws {Error} When the limit is not a positive integer.
+         */
+        query(filter = {}) {
+            if (filter.limit === undefined) return entries.filter(entry => matches(entry, filter));
+            if (!(Number.isInteger(filter.limit) && filter.limit > 0)) {
+                throw new Error(`Invalid journal query limit ${filter.limit}, expected a positive integer`);
+            }
+            // The latest matches, looking back from the newest entry
+            const found = [];
+            for (let index = entries.length - 1; index >= 0 && found.length < filter.limit; index--) {
+                if (matches(entries[index], filter)) found.push(entries[index]);
+            }
+            return found.reverse();
+        },
+    };
+}
+
+module.exports = {
+    DECISIONS,
+    createSignalJournal,
+};
@@ -0,0 +1,80 @@
+/**
+ * Record of the signals a bot has acted on, so each bar's signal is traded
+ * at most once, including across restarts.
+ *
+ * A signal is identified by strategy, symbol, timeframe and the timestamp of
+ * the bar it fired on. With a file the record is written to disk on every
+ * change (through a temporary file, so a crash never leaves half a file);
+ * without one it only lasts as long as the process. Entries older than
+ * `retentionDays` are dropped when the store is opened and whenever a signal
+ * is recorded, so a bot left running does not grow the file forever.
+ *
+ * Usage:
+ *   const store = createSignalStore({ file: 'data/signals-demo-btc-5m.json' });
+ *   const key = signalKey('ema-vwap-rsi', 'SBTCSUSDT', '5m', barTime);
+ *   if (!store.has(key)) { store.record(key, { side: 'buy' }); ... }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function signalKey(strategy, symbol, timeframe, barTime) {
+    return `${strategy}:${symbol}:${timeframe}:${barTime}`;
+}
+
+/**
+ * Open (or create) a signal store.
+ * @param {object} [options]
+ * @param {string|null} [options.file=null] - JSON file to persist to, created with its directory if missing.
+ * @param {number} [options.retentionDays=7] - How long entries are kept.
+ * @param {function(): number} [options.clock=Date.now]
+ * @returns {{ has: function(string): boolean, get: function(string): object|undefined, record: function(string, object): object }}
+ */
+function createSignalStore({ file = null, retentionDays = 7, clock = Date.now } = {}) {
+    const entries = new Map();
+
+    if (file && fs.existsSync(file)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const [key, entry] of Object.entries(saved)) entries.set(key, entry);
+        } catch (error) {
+            throw new Error(`Unable to read signal store ${file}: ${error.message}`);
+        }
+        prune();
+    }
+
+    // Drop the entries recorded more than retentionDays ago
+    function prune() {
+        const cutoff = clock() - retentionDays * DAY;
+        for (const [key, entry] of entries) {
+            if (!(entry.recordedAt >= cutoff)) entries.delete(key);
+        }
+    }
+
+    function save() {
+        if (!file) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(Object.fromEntries(entries)));
+        fs.renameSync(temporary, file);
+    }
+
+    return {
+        has: key => entries.has(key),
+        get: key => entries.get(key),
+        record(key, details = {}) {
+            const entry = { ...entries.get(key), ...details, recordedAt: clock() };
+            entries.set(key, entry);
+            prune();
+            save();
+            return entry;
+        },
+    };
+}
+
+module.exports = {
+    signalKey,
+    createSignalStore,
+};
@@ -0,0 +1,169 @@
+/**
+ * Signal functions shared by the bots and the backtester.
+ *
+ * Each takes candles as [timestamp, open, high, low, close, volume], oldest
+ * first, and returns at least { buySignal, sellSignal, latestPrice } and the
+ * latest value of every indicator it used under `indicators`.
+ *
+ * The createXSignalStream versions return the same result from streaming
+ * indicators (see streamingIndicators.js), one candle at a time, for live
+ * WS candles.
+ */
+
+const {
+    calculateEMA,
+    calculateAnchoredVWAP,
+    calculateATR,
+    calculateRSI,
+} = require('./indicators');
+const { calculateMarketCipherB } = require('./marketCipher');
+const streaming = require('./streamingIndicators');
+
+/////////////////////// - EMA / VWAP / RSI - /////////////////////////////
+
+// Periods, RSI levels and the ATR stop of calculateTradingSignals; a profile's tradingSignals overrides them
+const TRADING_SIGNAL_DEFAULTS = {
+    emaFast: 9,
+    emaSlow: 21,
+    rsiPeriod: 14,
+    rsiOverbought: 70,
+    rsiOversold: 30,
+    atrPeriod: 14,
+    atrMultiplier: 1.5,
+    rewardRisk: 2,
+};
+
+// Buy/sell from the latest indicator values
+function tradingSignalsFromValues(latestPrice, { emaFast: latestFast, emaSlow: latestSlow, vwap: latestVWAP, atr: latestATR, rsi: latestRSI }, params) {
+    // Not enough candles for every indicator yet
+    const ready = [latestFast, latestSlow, latestATR, latestRSI, latestVWAP].every(value => value !== null);
+
+    const buySignal = ready &&
+        latestPrice > latestFast &&
+        latestFast > latestSlow &&
+        latestRSI < params.rsiOverbought &&
+        latestPrice > latestVWAP;
+
+    const sellSignal = ready &&
+        latestPrice < latestFast &&
+        latestFast < latestSlow &&
+        latestRSI > params.rsiOversold &&
+        latestPrice < latestVWAP;
+
+    const stopLoss = latestATR * params.atrMultiplier;
+    const takeProfit = stopLoss * params.rewardRisk;
+
+    // Fast/slow EMA direction, used by higher timeframes that only set the trend
+    const trend = !ready || latestFast === latestSlow ? null : latestFast > latestSlow ? 'up' : 'down';
+
+    return {
+        buySignal,
+        sellSignal,
+        trend,
+        stopLoss,
+        takeProfit,
+        latestPrice,
+        indicators: {
+            emaFast: latestFast,
+            emaSlow: latestSlow,
+            vwap: latestVWAP,
+            atr: latestATR,
+            rsi: latestRSI,
+        },
+    };
+}
+
+/**
+ * Calculate trading signals (buy/sell) based on indicators.
+ * @param {Array<Array<number>>} candles - Enough to cover the VWAP anchor period, see anchorBars.
+ * @param {object} [options]
+ * @param {object} [options.vwap] - VWAP anchor, { anchor: 'day'|'week'|'session', sessionStart: 'HH:MM' }, the UTC day by default.
+ * @param {object} [options.params] - Any of TRADING_SIGNAL_DEFAULTS to change.
+ */
+function calculateTradingSignals(candles, { vwap = {}, params = {} } = {}) {
+    const settings = { ...TRADING_SIGNAL_DEFAULTS, ...params };
+    // Indicator series are index-aligned with the candles
+    const latest = candles.length - 1;
+    return tradingSignalsFromValues(candles[latest][4], {
+        emaFast: calculateEMA(candles, settings.emaFast)[latest],
+        emaSlow: calculateEMA(candles, settings.emaSlow)[latest],
+        vwap: calculateAnchoredVWAP(candles, { ...vwap, bandMultipliers: [] }).vwap[latest],
+        atr: calculateATR(candles, settings.atrPeriod)[latest],
+        rsi: calculateRSI(candles, settings.rsiPeriod)[latest],
+    }, settings);
+}
+
+/**
+ * Streaming calculateTradingSignals: update(candle) returns the signals for
+ * that candle, which may still be forming.
+ * @param {object} [options] - As calculateTradingSignals.
+ */
+function createTradingSignalStream({ vwap = {}, params = {} } = {}) {
+    const settings = { ...TRADING_SIGNAL_DEFAULTS, ...params };
+    const stream = streaming.createStream(streaming.combine({
+        emaFast: streaming.closeOf(streaming.ema(settings.emaFast)),
+        emaSlow: streaming.closeOf(streaming.ema(settings.emaSlow)),
+        vwap: streaming.anchoredVwap(vwap),
+        atr: streaming.atr(settings.atrPeriod),
+        rsi: streaming.closeOf(streaming.rsi(settings.rsiPeriod)),
+    }));
+
+    return {
+        update: candle => tradingSignalsFromValues(candle[4], stream.update(candle), settings),
+    };
+}
+
+/////////////////////// - Market Cipher - /////////////////////////////
+
+// Buy/sell from the Market Cipher values of the latest candle
+function marketCipherSignalsFromValues(latestPrice, cipher) {
+    return {
+        buySignal: cipher.buy || cipher.goldBuy,
+        sellSignal: cipher.sell,
+        latestPrice,
+        indicators: {
+            wt1: cipher.wt1,
+            wt2: cipher.wt2,
+            moneyFlow: cipher.moneyFlow,
+            stochK: cipher.stochK,
+            stochD: cipher.stochD,
+            goldBuy: cipher.goldBuy,
+            bullishDivergence: cipher.bullishDivergence,
+            bearishDivergence: cipher.bearishDivergence,
+        },
+    };
+}
+
+/**
+ * Market Cipher B dots on the latest candle: a green or gold dot is a buy,
+ * a red dot a sell.
+ * @param {Array<Array<number>>} candles
+ * @param {object} [options] - Market Cipher lengths and levels, see marketCipher.js.
+ */
+function calculateMarketCipherSignals(candles, options = {}) {
+    const cipher = calculateMarketCipherB(candles, options);
+    const latest = candles.length - 1;
+    const values = Object.fromEntries(Object.entries(cipher).map(([name, series]) => [name, series[latest]]));
+    return marketCipherSignalsFromValues(candles[latest][4], values);
+}
+
+/**
+ * Streaming calculateMarketCipherSignals: update(candle) returns the signals
+ * for that candle, which may still be forming.
+ * @param {object} [options] - Market Cipher lengths and levels, see marketCipher.js.
+ */
+function createMarketCipherSignalStream(options = {}) {
+    const stream = streaming.createStream(streaming.marketCipher(options));
+
+    return {
+        update: candle => marketCipherSignalsFromValues(candle[4], stream.update(candle)),
+    };
+}
+
+module.exports = {
+    TRADING_SIGNAL_DEFAULTS,
+    calculateTradingSignals,
+    calculateMarketCipherSignals,
+    createTradingSignalStream,
+    createMarketCipherSignalStream,
+};
@@ -0,0 +1,456 @@
+/**
+ * Strategy contract, registry and runner.
+ *
+ * A strategy is registered by name with a factory. The bots pick one per
+ * symbol from config (`strategy` on the profile or on a symbol entry), and
+ * the runner fetches the candles it declares, evaluates it and sends any
+ * signal through the trading core's placeTrade.
+ *
+ * A factory is called once per symbol with the loaded config and
+ * { logger }, and returns:
+ *   inputs    { timeframes: ['5m', ...], lookback: 100, historic: false, requireAll: true }
+ *             lookback is a number of candles for every timeframe, or
+ *             { [timeframe]: candles } when they need different history;
+ *             requireAll false lets the strategy act on the timeframes that
+ *             could be fetched when others fail
+ *   evaluate  ({ symbol, candles: { [timeframe]: candles }, missing: [timeframe, ...], state, snapshot }) => signal or null
+ *             snapshot is an object to put the indicator values in, so the
+ *             journal has them whether or not a signal fires
+ *   regimes   optional ['trending', 'ranging', 'high-volatility'], the market
+ *             regimes it may trade in when the profile enables the regime
+ *             filter, see regime.js; any regime when left out
+ *   onStart   optional ({ symbol, state }), before the first evaluation
+ *   onTrade   optional ({ symbol, signal, result }), after placeTrade
+ *   onStop    optional ({ symbol }), when the runner is stopped
+ *
+ * A signal is { side: 'buy'|'sell', price, confidence (0 to 1),
+ * stopLossPrice?, takeProfitPrice?, stopLossDistance?, takeProfitDistance?,
+ * indicators? }. Stop loss and take profit are prices, or distances from the
+ * entry such as the ATR stops of calculateTradingSignals; placeTrade only
+ * uses the configured percentages for a level the signal leaves out.
+ *
+ * loop.evaluation picks when strategies see a bar: 'close' passes only
+ * closed candles, so a signal is final once given; 'intrabar' includes the
+ * still-forming candle. Signals are keyed on the strategy's first timeframe
+ * and the bar they fired on, and each is acted on at most once. When that
+ * timeframe could not be fetched its last bar seen is used, and a symbol is
+ * skipped until it has been seen once; give the
+ * runner a file-backed signal store to keep that across restarts. With a
+ * signal journal every evaluation is recorded with its indicator snapshot,
+ * decision and order ID, see signalJournal.js.
+ *
+ * With regime.enabled the first timeframe's regime is classified on every
+ * evaluation and a signal in a regime the strategy does not trade in is
+ * logged with the regime and dropped.
+ *
+ * Timeframes are fetched at the same time, each given
+ * loop.fetchTimeoutSeconds (10 by default). A timeframe that fails or times
+ * out skips the symbol for strategies that require all of them; the others
+ * are evaluated without it, and the decision is logged with what was missing.
+ *
+ * With loop.resampleFrom set (e.g. '5m'), every timeframe that can be built
+ * from it is resampled from one fetch of that timeframe, see resample.js;
+ * the others are still fetched on their own.
+ *
+ * Usage:
+ *   registerStrategy('my-strategy', config => ({ inputs: { timeframes: ['15m'], lookback: 200 }, evaluate }));
+ *   const runner = createStrategyRunner({ core, config });
+ *   setInterval(() => forEachSymbol(states, runner.run), 60 * 1000);
+ */
+
+const { calculateTradingSignals, calculateMarketCipherSignals } = require('./signals');
+const { evaluateConfluence, formatConfluence } = require('./confluence');
+const { TIMEFRAMES, closedCandles, anchorBars } = require('./timeframes');
+const { compileRules } = require('./rules');
+const { canResample, resampleRatio, resample } = require('./resample');
+const { createSignalStore, signalKey } = require('./signalStore');
+const { REGIMES, regimeBars, classifyRegime, allowedRegimes, formatRegime } = require('./regime');
+
+const SIDES = ['buy', 'sell'];
+
+const registry = new Map();
+
+//////////// - Registry - ///////////////////////////
+
+/**
+ * Register a strategy factory under a name.
+ * @param {string} name - Used in config, e.g. 'ema-vwap-rsi'.
+ * @param {function(object, object): object} factory - Called with the loaded config and { logger }, returns the strategy.
+ * @param {string} [description]
+ */
+function registerStrategy(name, factory, description = '') {
+    if (typeof factory !== 'function') {
+        throw new Error(`Strategy ${name} needs a factory function`);
+    }
+    if (registry.has(name)) {
+        throw new Error(`Strategy ${name} is already registered`);
+    }
+    registry.set(name, { factory, description });
+}
+
+function getStrategyNames() {
+    return [...registry.keys()];
+}
+
+/**
+ * Create a strategy instance from the registry.
+ * @param {string} name
+ * @param {object} config - Result of loadConfig.
+ * @param {object} [context]
+ * @param {{ log: Function, error: Function }} [context.logger=console] - Where the strategy logs.
+ * @returns {object} The strategy, with its name.
+ * @throws {Error} When the name is unknown or the strategy does not follow the contract.
+ */
+function createStrategy(name, config, { logger = console } = {}) {
+    const entry = registry.get(name);
+    if (!entry) {
+        throw new Error(`Unknown strategy "${name}", available: ${getStrategyNames().join(', ')}`);
+    }
+
+    const strategy = entry.factory(config, { logger });
+    const { inputs } = strategy || {};
+    if (!inputs || !Array.isArray(inputs.timeframes) || inputs.timeframes.length === 0 ||
+        !inputs.timeframes.every(timeframe => lookbackFor(inputs, timeframe) > 0)) {
+        throw new Error(`Strategy ${name} must declare inputs.timeframes and a positive inputs.lookback for each`);
+    }
+    if (typeof strategy.evaluate !== 'function') {
+        throw new Error(`Strategy ${name} must have an evaluate function`);
+    }
+    if (inputs.requireAll !== undefined && typeof inputs.requireAll !== 'boolean') {
+        throw new Error(`Strategy ${name} must declare inputs.requireAll as true or false`);
+    }
+    if (strategy.regimes !== undefined && !(Array.isArray(strategy.regimes) && strategy.regimes.every(regime => REGIMES.includes(regime)))) {
+        throw new Error(`Strategy ${name} must declare regimes as a list of ${REGIMES.join(', ')}`);
+    }
+
+    return { name, ...strategy };
+}
+
+// Candles a strategy wants on a timeframe
+function lookbackFor(inputs, timeframe) {
+    return typeof inputs.lookback === 'object' && inputs.lookback !== null ? inputs.lookback[timeframe] : inputs.lookback;
+}
+
+//////////// - Signals - ///////////////////////////
+
+/**
+ * Turn a signal function result ({ buySignal, sellSignal, latestPrice }) into a strategy signal.
+ * Its stopLoss and takeProfit distances, when it has them, become the signal's.
+ * @returns {object|null} null when there is no signal, or both sides fired.
+ */
+function toSignal(signals, confidence = 1) {
+    if (signals.buySignal === signals.sellSignal) return null;
+    return {
+        side: signals.buySignal ? 'buy' : 'sell',
+        price: signals.latestPrice,
+        confidence,
+        ...(signals.stopLoss > 0 && { stopLossDistance: signals.stopLoss }),
+        ...(signals.takeProfit > 0 && { takeProfitDistance: signals.takeProfit }),
+        ...(signals.indicators && { indicators: signals.indicators }),
+    };
+}
+
+const RISK_LEVELS = ['stopLossPrice', 'takeProfitPrice', 'stopLossDistance', 'takeProfitDistance'];
+
+// placeTrade arguments for a signal on a symbol
+function tradeFromSignal(symbol, signal, { size, leverage } = {}) {
+    return {
+        symbol,
+        price: signal.price,
+        side: signal.side,
+        size,
+        leverage,
+        ...Object.fromEntries(RISK_LEVELS.filter(level => signal[level] !== undefined).map(level => [level, signal[level]])),
+    };
+}
+
+// A signal is either null or a side, a price and a confidence from 0 to 1; anything else is a strategy bug
+function checkSignal(name, signal) {
+    if (signal === null || signal === undefined) return null;
+    const confidence = signal.confidence === undefined ? 1 : signal.confidence;
+    if (!SIDES.includes(signal.side) || !(Number(signal.price) > 0) ||
+        !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+        throw new Error(`Strategy ${name} returned an invalid signal: ${JSON.stringify(signal)}`);
+    }
+    return { ...signal, confidence };
+}
+
+//////////// - Runner - ///////////////////////////
+
+// Resolves to null when the call takes longer than `ms`; the call itself carries on and is ignored
+function withTimeout(promise, ms, onTimeout) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => {
+            onTimeout();
+            resolve(null);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run each symbol's configured strategy through the trading core.
+ * @param {object} options
+ * @param {object} options.core - From createTradingCore.
+ * @param {object} options.config - Result of loadConfig.
+ * @param {object} [options.signalStore] - From createSignalStore, in memory only by default.
+ * @param {object|null} [options.journal=null] - From createSignalJournal, to record every evaluation.
+ * @param {{ log: Function, error: Function }} [options.logger=console]
+ * @param {function(): number} [options.clock=Date.now] - Used to tell closed bars from the forming one.
+ * @returns {{ run: function(object): Promise<object|null>, stop: function(): void }}
+ *   run takes a symbol state from createSymbolStates and returns the signal acted on, if any.
+ */
+function createStrategyRunner({ core, config, signalStore = createSignalStore(), journal = null, logger = console, clock = Date.now }) {
+    const instances = new Map();
+    // Latest bar time of each symbol's first timeframe
+    const barTimes = new Map();
+    const barClose = config.loop.evaluation === 'close';
+    const fetchTimeout = (config.loop.fetchTimeoutSeconds || 10) * 1000;
+    const regimeFilter = config.regime && config.regime.enabled ? config.regime : null;
+
+    async function instanceFor(state) {
+        if (!instances.has(state.symbol)) {
+            const strategy = createStrategy(state.strategy || config.strategy, config, { logger });
+            instances.set(state.symbol, strategy);
+            logger.log(`${state.symbol}: Using strategy ${strategy.name} on ${strategy.inputs.timeframes.join(', ')}`);
+            if (strategy.onStart) await strategy.onStart({ symbol: state.symbol, state });
+        }
+        return instances.get(state.symbol);
+    }
+
+    function fetchWithTimeout(symbol, timeframe, fetchOptions) {
+        return withTimeout(
+            core.fetchCandleData(symbol, timeframe, fetchOptions),
+            fetchTimeout,
+            () => logger.error(`${symbol}: Fetching ${timeframe} candles timed out after ${fetchTimeout / 1000}s`)
+        );
+    }
+
+    // The strategy's candles by timeframe, fetched in parallel, and the timeframes that could not be fetched
+    async function fetchCandles(symbol, strategy, now) {
+        const { timeframes, historic = config.loop.historicCandles } = strategy.inputs;
+        const base = config.loop.resampleFrom;
+        const resampled = base ? timeframes.filter(timeframe => canResample(base, timeframe)) : [];
+        // One extra candle when evaluating on close, as the forming one is dropped; the regime is read from the first timeframe
+        const regimeHistory = timeframe => (regimeFilter && timeframe === timeframes[0] ? regimeBars(regimeFilter) : 0);
+        const wanted = timeframe => Math.max(lookbackFor(strategy.inputs, timeframe), regimeHistory(timeframe)) + (barClose ? 1 : 0);
+
+        const fetched = {};
+        const direct = timeframes.filter(timeframe => !resampled.includes(timeframe) && !(resampled.length > 0 && timeframe === base));
+        const requests = direct.map(async timeframe => {
+            fetched[timeframe] = await fetchWithTimeout(symbol, timeframe, { limit: wanted(timeframe), historic });
+        });
+        if (resampled.length > 0) {
+            // Enough base candles for the longest history, plus the partial bucket left out at the start
+            const limit = Math.max(
+                timeframes.includes(base) ? wanted(base) : 0,
+                ...resampled.map(timeframe => (wanted(timeframe) + 1) * resampleRatio(base, timeframe))
+            );
+            requests.push(fetchWithTimeout(symbol, base, { limit: Math.ceil(limit), historic }).then(baseCandles => {
+                if (!baseCandles) return;
+                if (timeframes.includes(base)) fetched[base] = baseCandles.slice(-wanted(base));
+                resampled.forEach(timeframe => { fetched[timeframe] = resample(baseCandles, base, timeframe).slice(-wanted(timeframe)); });
+            }));
+        }
+        await Promise.all(requests);
+
+        const candles = {};
+        const missing = [];
+        for (const timeframe of timeframes) {
+            const series = fetched[timeframe] && barClose ? closedCandles(fetched[timeframe], timeframe, now) : fetched[timeframe];
+            if (series && series.length > 0) {
+                candles[timeframe] = series;
+            } else {
+                missing.push(timeframe);
+            }
+        }
+        return { candles, missing };
+    }
+
+    async function run(state) {
+        const { symbol } = state;
+        const strategy = await instanceFor(state);
+        const { requireAll = true } = strategy.inputs;
+        const { candles, missing } = await fetchCandles(symbol, strategy, clock());
+        const available = strategy.inputs.timeframes.filter(timeframe => candles[timeframe]);
+        const missingNote = missing.length > 0 ? ` (missing ${missing.join(', ')})` : '';
+        // Signals are keyed on the first timeframe's bar, the last one seen when it could not be fetched,
+        // so a signal repeated on another timeframe's new bar is still recognised
+        const [timeframe] = strategy.inputs.timeframes;
+        if (candles[timeframe]) barTimes.set(symbol, candles[timeframe][candles[timeframe].length - 1][0]);
+        const barTime = barTimes.get(symbol);
+
+        if (available.length === 0 || (requireAll && missing.length > 0) || barTime === undefined) {
+            logger.error(`${symbol}: No candles returned for ${missing.join(', ')}. Skipping this symbol.`);
+            return null;
+        }
+
+        const snapshot = {};
+        const signal = checkSignal(strategy.name, strategy.evaluate({ symbol, candles, missing, state, snapshot }));
+        // Prices and the regime come from the first timeframe there are candles for
+        const latest = candles[available[0]];
+        const [, , , , latestPrice] = latest[latest.length - 1];
+        state.lastPrice = latestPrice;
+        state.lastSignal = signal ? signal.side : null;
+        const regime = regimeFilter ? classifyRegime(latest, regimeFilter) : null;
+
+        const note = (decision, details = {}) => journal && journal.record({
+            barTime,
+            symbol,
+            strategy: strategy.name,
+            timeframe,
+            price: signal ? signal.price : latestPrice,
+            decision,
+            ...(signal && { side: signal.side, confidence: signal.confidence }),
+            ...(regime && { regime: regime.regime }),
+            indicators: { ...snapshot, ...(signal && signal.indicators), ...(regime && { regime }) },
+            ...(missing.length > 0 && { missing }),
+            ...details,
+        });
+
+        if (!signal) {
+            logger.log(`${symbol}: No actionable signals at this time${missingNote}`);
+            note('none');
+            return null;
+        }
+
+        const regimes = regimeFilter && allowedRegimes(strategy, regimeFilter);
+        if (regimes && !regimes.includes(regime.regime)) {
+            logger.log(`${symbol}: ${strategy.name} ${signal.side} signal blocked, the market is ${formatRegime(regime)} and it only trades ${regimes.join(', ')}`);
+            state.lastSignal = null;
+            note('blocked');
+            return null;
+        }
+
+        const key = signalKey(strategy.name, symbol, timeframe, barTime);
+        const previous = signalStore.get(key);
+        if (previous) {
+            logger.log(`${symbol}: ${strategy.name} already acted on the ${timeframe} bar of ${new Date(barTime).toISOString()} (${previous.side}), No action taken!`);
+            note('duplicate');
+            return null;
+        }
+
+        // Recorded before the order goes out, so a crash part way through never trades the bar twice
+        signalStore.record(key, { side: signal.side, price: signal.price, confidence: signal.confidence, ...(missing.length > 0 && { missing }) });
+        logger.log(`${symbol}: ${strategy.name} ${signal.side} signal at ${signal.price} (confidence ${signal.confidence.toFixed(2)})${missingNote}, attempting to place trade`);
+        let result;
+        try {
+            result = await core.placeTrade(tradeFromSignal(symbol, signal, state));
+        } catch (error) {
+            note('error', { error: error.message });
+            throw error;
+        }
+        const orderId = result && result.data ? result.data.orderId : null;
+        note(orderId ? 'trade' : 'no-trade', { orderId });
+        if (strategy.onTrade) await strategy.onTrade({ symbol, signal, result });
+        return signal;
+    }
+
+    function stop() {
+        for (const [symbol, strategy] of instances) {
+            if (strategy.onStop) strategy.onStop({ symbol });
+        }
+        instances.clear();
+        barTimes.clear();
+    }
+
+    return { run, stop };
+}
+
+//////////// - Built-in Strategies - ///////////////////////////
+
+// candleLimit candles per timeframe, or more when the VWAP anchor period needs them
+function vwapLookback(config, timeframes) {
+    const { anchor = 'day' } = config.vwap || {};
+    return Object.fromEntries(timeframes.map(timeframe => [timeframe, Math.max(config.loop.candleLimit, anchorBars(anchor, timeframe))]));
+}
+
+// BTCv3: EMA 9/21 trend with VWAP and RSI filters on the first loop timeframe, ATR stop and target
+registerStrategy('ema-vwap-rsi', config => ({
+    inputs: { timeframes: [config.loop.timeframes[0]], lookback: vwapLookback(config, [config.loop.timeframes[0]]) },
+    // Trend following, whipsawed in chop
+    regimes: ['trending'],
+    evaluate({ candles, snapshot = {} }) {
+        const signals = calculateTradingSignals(candles[config.loop.timeframes[0]], { vwap: config.vwap, params: config.tradingSignals });
+        Object.assign(snapshot, signals.indicators);
+        return toSignal(signals);
+    },
+}), 'EMA 9/21 trend with VWAP and RSI filters');
+
+// BTCvMultipleTime: EMA/VWAP/RSI on every loop timeframe, combined by the confluence settings;
+// a timeframe that could not be fetched simply has no vote
+registerStrategy('ema-vwap-rsi-mtf', (config, { logger }) => ({
+    inputs: { timeframes: config.loop.timeframes, lookback: vwapLookback(config, config.loop.timeframes), requireAll: false },
+    regimes: ['trending'],
+    evaluate({ symbol, candles, missing = [], snapshot = {} }) {
+        const results = Object.entries(candles).map(([timeframe, series]) => ({ timeframe, ...calculateTradingSignals(series, { vwap: config.vwap, params: config.tradingSignals }) }));
+        const decision = evaluateConfluence(results, config.confluence);
+        logger.log(`${symbol}: Confluence ${formatConfluence(decision)}${missing.length > 0 ? ` | missing ${missing.join(', ')}` : ''}`);
+        results.forEach(result => { snapshot[result.timeframe] = result.indicators; });
+        snapshot.confluence = { score: decision.score, reasons: decision.reasons, breakdown: decision.breakdown };
+        if (!decision.side) return null;
+
+        // Price from the fastest timeframe, whose candles are the most recent
+        const spacing = series => (series.length > 1 ? series[1][0] - series[0][0] : Infinity);
+        const [fastest] = Object.keys(candles).sort((a, b) => spacing(candles[a]) - spacing(candles[b]));
+        const { latestPrice, stopLoss, takeProfit } = results.find(result => result.timeframe === fastest);
+
+        // ATR stop and target of the fastest timeframe, the one the entry is timed on
+        return {
+            side: decision.side,
+            price: latestPrice,
+            confidence: Math.abs(decision.score),
+            ...(stopLoss > 0 && { stopLossDistance: stopLoss, takeProfitDistance: takeProfit }),
+        };
+    },
+}), 'EMA/VWAP/RSI on several timeframes, weighted or trend/entry confluence');
+
+// MASTER: Market Cipher B dots on the signal timeframe; deeper oscillator readings give more confidence
+registerStrategy('market-cipher', (config, { logger }) => {
+    const timeframe = config.loop.signalTimeframe || config.loop.timeframes[0];
+    return {
+        inputs: { timeframes: [timeframe], lookback: config.loop.candleLimit },
+        // Oversold/overbought dots get run over in volatility spikes
+        regimes: ['trending', 'ranging'],
+        evaluate({ symbol, candles, snapshot = {} }) {
+            const signals = calculateMarketCipherSignals(candles[timeframe], config.marketCipher);
+            Object.assign(snapshot, signals.indicators);
+            const { wt1, wt2, moneyFlow, stochK, stochD, goldBuy, bullishDivergence, bearishDivergence } = signals.indicators;
+            logger.log(`${symbol}: Indicator Values - WaveTrend: ${wt1} / ${wt2}, Money Flow: ${moneyFlow}, Stoch RSI K/D: ${stochK} / ${stochD}`);
+            if (bullishDivergence || bearishDivergence) {
+                logger.log(`${symbol}: ${bullishDivergence ? 'Bullish' : 'Bearish'} WaveTrend divergence`);
+            }
+            return toSignal(signals, goldBuy ? 1 : Math.min(1, Math.abs(wt2) / 100));
+        },
+    };
+}, 'Market Cipher B WaveTrend dots and gold buys');
+
+// Entries written as JSON rules in the profile, see rules.js
+registerStrategy('rules', (config, { logger }) => {
+    const rules = compileRules(config.rules, { timeframes: TIMEFRAMES, defaultTimeframe: config.loop.timeframes[0] });
+    return {
+        inputs: {
+            timeframes: rules.timeframes,
+            lookback: Object.fromEntries(rules.timeframes.map(timeframe => [timeframe, Math.max(config.loop.candleLimit, rules.history[timeframe] || 0)])),
+        },
+        evaluate({ symbol, candles, snapshot = {} }) {
+            const { buy, sell, values } = rules.evaluate(candles);
+            Object.assign(snapshot, values);
+            logger.log(`${symbol}: Rules on ${rules.timeframe} - buy: ${buy}, sell: ${sell}`);
+            const series = candles[rules.timeframe];
+            return toSignal({ buySignal: buy, sellSignal: sell, latestPrice: series[series.length - 1][4] });
+        },
+    };
+}, 'Buy and sell conditions from the profile rules');
+
+module.exports = {
+    registerStrategy,
+    getStrategyNames,
+    createStrategy,
+    createStrategyRunner,
+    lookbackFor,
+    toSignal,
+    checkSignal,
+    tradeFromSignal,
+};
@@ -0,0 +1,401 @@
+/**
+ * Incremental (streaming) versions of the indicators in indicators.js and
+ * marketCipher.js.
+ *
+ * Each indicator keeps its state and takes one candle at a time, in O(1)
+ * per update (the rolling highest / lowest of the Stochastic RSI is
+ * O(period), a constant). Bars are identified by their timestamp, so the
+ * still-forming candle can be sent again and again as it updates:
+ *
+ *   - a candle with the same timestamp as the previous one replaces it and
+ *     the value is recalculated from the state as of the last closed bar;
+ *   - a candle with a newer timestamp closes the previous bar (its last
+ *     version is committed to the state) and starts the next one;
+ *   - an older candle is ignored.
+ *
+ * Results match the batch functions for the same candles, value for value.
+ *
+ * Usage:
+ *   const ema9 = createStream(closeOf(ema(9)));
+ *   candles.forEach(candle => ema9.update(candle));   // seed from REST
+ *   wsClient.on('update', event => ema9.update(parsedCandle));
+ *
+ *   const engine = createIndicatorEngine(() => marketCipher());
+ *   engine.seed('SBTCSUSDT', '5m', candles);
+ *   const values = engine.update('SBTCSUSDT', '5m', candle);
+ */
+
+const { DEFAULT_OPTIONS: MARKET_CIPHER_DEFAULTS } = require('./marketCipher');
+const { anchorStart } = require('./timeframes');
+
+/////////////////////// - Building blocks - /////////////////////////////
+//
+// A node has peek(input), the value for the forming bar without touching
+// its state, and commit(input), the same value with the bar closed into
+// the state. Null inputs (a warming-up upstream) give null and leave the
+// state alone, just as the batch functions skip leading nulls.
+
+// Build a node from one function run in either mode, so peek and commit cannot drift apart
+function node(evaluate) {
+    return {
+        peek: input => evaluate(input, false),
+        commit: input => evaluate(input, true),
+    };
+}
+
+// Feed the output of each node into the next
+function pipe(...nodes) {
+    return node((input, commit) => nodes.reduce(
+        (value, step) => (commit ? step.commit(value) : step.peek(value)),
+        input
+    ));
+}
+
+// Stateless transform, e.g. candle -> close
+function map(fn) {
+    return node(input => (input === null ? null : fn(input)));
+}
+
+const closeOf = next => pipe(map(candle => candle[4]), next);
+
+function sma(period) {
+    const window = [];
+    let sum = 0;
+
+    return node((value, commit) => {
+        if (value === null) return null;
+        const removed = window.length === period ? window[0] : 0;
+        const result = window.length + 1 < period ? null : (sum + value - removed) / period;
+
+        if (commit) {
+            window.push(value);
+            sum += value;
+            if (window.length > period) sum -= window.shift();
+        }
+        return result;
+    });
+}
+
+// Exponential smoothing seeded with the SMA of the first `period` values
+function smooth(period, alpha) {
+    let count = 0;
+    let seedSum = 0;
+    let current = null;
+
+    return node((value, commit) => {
+        if (value === null) return null;
+        let result = null;
+        if (count + 1 === period) result = (seedSum + value) / period;
+        if (count + 1 > period) result = alpha * value + (1 - alpha) * current;
+
+        if (commit) {
+            count += 1;
+            if (count <= period) seedSum += value;
+            current = result;
+        }
+        return result;
+    });
+}
+
+const ema = period => smooth(period, 2 / (period + 1));
+const rma = period => smooth(period, 1 / period);
+
+function rsi(period) {
+    const gain = rma(period);
+    const loss = rma(period);
+    let previous = null;
+
+    return node((value, commit) => {
+        if (value === null) return null;
+        let result = null;
+
+        if (previous !== null) {
+            const change = value - previous;
+            const averageGain = commit ? gain.commit(Math.max(change, 0)) : gain.peek(Math.max(change, 0));
+            const averageLoss = commit ? loss.commit(Math.max(-change, 0)) : loss.peek(Math.max(-change, 0));
+            if (averageGain !== null) {
+                result = averageLoss === 0 ? 100 : averageGain === 0 ? 0 : 100 - 100 / (1 + averageGain / averageLoss);
+            }
+        }
+
+        if (commit) previous = value;
+        return result;
+    });
+}
+
+// Stochastic of a series against its own range over `period` values
+function stoch(period) {
+    const window = [];
+
+    return node((value, commit) => {
+        if (value === null) return null;
+        let result = null;
+
+        if (window.length >= period - 1) {
+            const range = [...window.slice(window.length - (period - 1)), value];
+            const high = Math.max(...range);
+            const low = Math.min(...range);
+            result = high === low ? 0 : (100 * (value - low)) / (high - low);
+        }
+
+        if (commit) {
+            window.push(value);
+            if (window.length > period - 1) window.shift();
+        }
+        return result;
+    });
+}
+
+/////////////////////// - Candle indicators - /////////////////////////////
+
+function trueRange() {
+    let previousClose = null;
+
+    return node((candle, commit) => {
+        if (candle === null) return null;
+        const [, , high, low, close] = candle;
+        const result = previousClose === null
+            ? high - low
+            : Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+
+        if (commit) previousClose = close;
+        return result;
+    });
+}
+
+const atr = (period = 14) => pipe(trueRange(), rma(period));
+
+function vwap() {
+    let volume = 0;
+    let priceVolume = 0;
+
+    return node((candle, commit) => {
+        if (candle === null) return null;
+        const typicalPrice = (candle[2] + candle[3] + candle[4]) / 3;
+        const totalVolume = volume + candle[5];
+        const totalPriceVolume = priceVolume + typicalPrice * candle[5];
+
+        if (commit) {
+            volume = totalVolume;
+            priceVolume = totalPriceVolume;
+        }
+        return totalVolume > 0 ? totalPriceVolume / totalVolume : null;
+    });
+}
+
+// VWAP of calculateAnchoredVWAP, restarting every anchor period
+function anchoredVwap({ anchor = 'day', sessionStart = '00:00' } = {}) {
+    let period = null;
+    let complete = false;
+    let volume = 0;
+    let priceVolume = 0;
+
+    return node((candle, commit) => {
+        if (candle === null) return null;
+        const start = anchorStart(candle[0], anchor, sessionStart);
+        const restart = start !== period;
+        const whole = restart ? period !== null || start === candle[0] : complete;
+        const typicalPrice = (candle[2] + candle[3] + candle[4]) / 3;
+        const totalVolume = (restart ? 0 : volume) + candle[5];
+        const totalPriceVolume = (restart ? 0 : priceVolume) + typicalPrice * candle[5];
+
+        if (commit) {
+            period = start;
+            complete = whole;
+            volume = totalVolume;
+            priceVolume = totalPriceVolume;
+        }
+        return whole && totalVolume > 0 ? totalPriceVolume / totalVolume : null;
+    });
+}
+
+/**
+ * Several indicators fed the same candle, returning { name: value }.
+ * @param {object} indicators - e.g. { ema9: closeOf(ema(9)), atr: atr(14) }.
+ */
+function combine(indicators) {
+    const entries = Object.entries(indicators);
+    return node((candle, commit) => Object.fromEntries(
+        entries.map(([name, indicator]) => [name, commit ? indicator.commit(candle) : indicator.peek(candle)])
+    ));
+}
+
+/////////////////////// - Market Cipher B - /////////////////////////////
+
+/**
+ * Streaming calculateMarketCipherB: the same fields, for the latest candle only.
+ * @param {object} [options] - Overrides for the Market Cipher DEFAULT_OPTIONS.
+ */
+function marketCipher(options = {}) {
+    const settings = { ...MARKET_CIPHER_DEFAULTS, ...options };
+
+    const esa = ema(settings.channelLength);
+    const deviation = ema(settings.channelLength);
+    const wt1Average = ema(settings.averageLength);
+    const wt2Average = sma(settings.maLength);
+    const moneyFlow = sma(settings.moneyFlowPeriod);
+    const stochRSI = pipe(rsi(settings.stochRSILength), stoch(settings.stochLength), sma(settings.stochK));
+    const stochD = sma(settings.stochD);
+    const closeRSI = rsi(settings.rsiLength);
+
+    // Committed state for crosses and divergences
+    let previous = null; // { wt1, wt2 } of the last closed bar
+    const recent = []; // { wt2, high, low } of the last four closed bars
+    let lastTop = null;
+    let lastBottom = null;
+
+    return node((candle, commit) => {
+        const run = (indicator, value) => (commit ? indicator.commit(value) : indicator.peek(value));
+        const [, open, high, low, close] = candle;
+
+        // WaveTrend
+        const hlc3 = (high + low + close) / 3;
+        const esaValue = run(esa, hlc3);
+        const deviationValue = run(deviation, esaValue === null ? null : Math.abs(hlc3 - esaValue));
+        const ci = esaValue === null || deviationValue === null
+            ? null
+            : (deviationValue === 0 ? 0 : (hlc3 - esaValue) / (0.015 * deviationValue));
+        const wt1 = run(wt1Average, ci);
+        const wt2 = run(wt2Average, wt1);
+
+        const crossReady = previous && [wt1, wt2, previous.wt1, previous.wt2].every(value => value !== null);
+        const wtCrossUp = Boolean(crossReady && wt1 > wt2 && previous.wt1 <= previous.wt2);
+        const wtCrossDown = Boolean(crossReady && wt1 < wt2 && previous.wt1 >= previous.wt2);
+
+        // RSI+MFI money flow and Stochastic RSI
+        const rawFlow = high === low ? 0 : ((close - open) / (high - low)) * settings.moneyFlowMultiplier;
+        const flow = run(moneyFlow, rawFlow);
+        const stochK = run(stochRSI, settings.stochUseLog ? Math.log(close) : close);
+        const stochDValue = run(stochD, stochK);
+        const rsiValue = run(closeRSI, close);
+
+        // Divergences on wt2 fractals, confirmed two bars after the pivot
+        let bullishDivergence = false;
+        let bearishDivergence = false;
+        let goldBuy = false;
+        let top = lastTop;
+        let bottom = lastBottom;
+        const window = [...recent.map(entry => entry.wt2), wt2];
+
+        if (recent.length === 4 && window.every(value => value !== null)) {
+            const [s4, s3, s2, s1, s0] = window;
+            const pivot = recent[2];
+
+            if (s4 < s2 && s3 < s2 && s2 > s1 && s2 > s0 && s2 >= settings.divergenceOverbought) {
+                bearishDivergence = lastTop !== null && pivot.high > lastTop.price && s2 < lastTop.value;
+                top = { value: s2, price: pivot.high };
+            }
+            if (s4 > s2 && s3 > s2 && s2 < s1 && s2 < s0 && s2 <= settings.divergenceOversold) {
+                bullishDivergence = lastBottom !== null && pivot.low < lastBottom.price && s2 > lastBottom.value;
+                goldBuy = bullishDivergence &&
+                    lastBottom.value <= settings.goldOversold &&
+                    wt2 > settings.goldOversold &&
+                    lastBottom.value - wt2 <= -5 &&
+                    rsiValue !== null && rsiValue < settings.goldRSI;
+                bottom = { value: s2, price: pivot.low };
+            }
+        }
+
+        if (commit) {
+            previous = { wt1, wt2 };
+            recent.push({ wt2, high, low });
+            if (recent.length > 4) recent.shift();
+            lastTop = top;
+            lastBottom = bottom;
+        }
+
+        return {
+            wt1,
+            wt2,
+            wtCrossUp,
+            wtCrossDown,
+            moneyFlow: flow === null ? null : flow - settings.moneyFlowOffset,
+            stochK,
+            stochD: stochDValue,
+            rsi: rsiValue,
+            bullishDivergence,
+            bearishDivergence,
+            buy: wtCrossUp && wt2 <= settings.oversold,
+            sell: wtCrossDown && wt2 >= settings.overbought,
+            goldBuy,
+        };
+    });
+}
+
+/////////////////////// - Streams - /////////////////////////////
+
+/**
+ * Drive a candle node bar by bar, handling the forming bar.
+ * @param {object} indicator - A node taking candles, e.g. atr(14) or combine({...}).
+ * @returns {{ update: function(Array<number>): *, value: function(): *, time: function(): number|null }}
+ */
+function createStream(indicator) {
+    let formingTime = null;
+    let formingCandle = null;
+    let value = null;
+
+    return {
+        update(candle) {
+            const time = candle[0];
+            if (formingTime !== null && time < formingTime) return value;
+            if (formingTime !== null && time > formingTime) indicator.commit(formingCandle);
+
+            formingTime = time;
+            formingCandle = candle;
+            value = indicator.peek(candle);
+            return value;
+        },
+        value: () => value,
+        time: () => formingTime,
+    };
+}
+
+/**
+ * One stream per symbol and timeframe, created on first use.
+ * @param {function(string, string): object} createIndicator - Returns a fresh candle node for (symbol, timeframe).
+ */
+function createIndicatorEngine(createIndicator) {
+    const streams = new Map();
+
+    function streamFor(symbol, timeframe) {
+        const key = `${symbol}:${timeframe}`;
+        if (!streams.has(key)) streams.set(key, createStream(createIndicator(symbol, timeframe)));
+        return streams.get(key);
+    }
+
+    return {
+        /**
+         * Warm up from REST candles (oldest first). The last one is treated as still forming.
+         * @returns {*} The value for the last candle.
+         */
+        seed(symbol, timeframe, candles) {
+            const stream = streamFor(symbol, timeframe);
+            candles.forEach(candle => stream.update(candle));
+            return stream.value();
+        },
+        update: (symbol, timeframe, candle) => streamFor(symbol, timeframe).update(candle),
+        value: (symbol, timeframe) => (streams.has(`${symbol}:${timeframe}`) ? streams.get(`${symbol}:${timeframe}`).value() : null),
+        has: (symbol, timeframe) => streams.has(`${symbol}:${timeframe}`),
+        reset: (symbol, timeframe) => streams.delete(`${symbol}:${timeframe}`),
+    };
+}
+
+module.exports = {
+    node,
+    pipe,
+    map,
+    closeOf,
+    sma,
+    ema,
+    rma,
+    rsi,
+    stoch,
+    trueRange,
+    atr,
+    vwap,
+    anchoredVwap,
+    combine,
+    marketCipher,
+    createStream,
+    createIndicatorEngine,
+};
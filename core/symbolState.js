@@ -0,0 +1,75 @@
+/**
+ * Per-symbol state for running one strategy over several symbols.
+ *
+ * Each configured symbol gets its own state object so that a slow or failing
+ * symbol never blocks or corrupts the others, and a symbol whose previous run
+ * is still in flight is skipped rather than run twice at once.
+ *
+ * Usage:
+ *   const states = createSymbolStates(config.symbols);
+ *   setInterval(() => forEachSymbol(states, async (state) => { ... }), 60 * 1000);
+ */
+
+/**
+ * Create state for every configured symbol.
+ * @param {Array<{ symbol: string, size: string, leverage: string, strategy: string }>} symbols - config.symbols from loadConfig.
+ * @returns {Map<string, object>} State keyed by symbol.
+ */
+function createSymbolStates(symbols) {
+    const states = new Map();
+
+    for (const { symbol, size, leverage, strategy } of symbols) {
+        states.set(symbol, {
+            symbol,
+            size,
+            leverage,
+            strategy,
+            busy: false,
+            lastRunAt: null,
+            lastPrice: null,
+            lastSignal: null,
+            lastError: null,
+        });
+    }
+
+    return states;
+}
+
+/**
+ * Run a handler for every symbol concurrently.
+ *
+ * Errors are caught per symbol and recorded on its state. A symbol whose
+ * previous run has not finished yet is skipped this time round.
+ *
+ * @param {Map<string, object>} states - From createSymbolStates.
+ * @param {function(object): Promise<void>} handler - Called with the symbol's state.
+ * @param {object} [options]
+ * @param {{ log: Function, error: Function }} [options.logger=console]
+ * @param {function(): number} [options.clock=Date.now] - Sets lastRunAt.
+ * @returns {Promise<void>}
+ */
+async function forEachSymbol(states, handler, { logger = console, clock = Date.now } = {}) {
+    await Promise.all([...states.values()].map(async (state) => {
+        if (state.busy) {
+            logger.log(`${state.symbol}: previous run still in progress, Skipping!`);
+            return;
+        }
+
+        state.busy = true;
+        try {
+            await handler(state);
+            state.lastError = null;
+        } catch (error) {
+            state.lastError = error.message;
+            logger.error(`${state.symbol}: Error in trading loop:`, error.message);
+        } finally {
+            state.lastRunAt = clock();
+            state.busy = false;
+        }
+    }));
+}
+
+module.exports = {
+    createSymbolStates,
+    forEachSymbol,
+};
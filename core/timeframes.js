@@ -0,0 +1,154 @@
+/**
+ * Bitget candle granularities and their bar boundaries.
+ *
+ * Bars open on UTC boundaries of their length: a 4H bar opens at 00:00,
+ * 04:00, ... UTC, a 1W bar on Monday 00:00 UTC and a 1M bar on the first of
+ * the month.
+ *
+ * Anchors are the periods an anchored indicator such as VWAP restarts on:
+ * the UTC day, the week from Monday 00:00 UTC, or a daily session starting
+ * at a given UTC time.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 1440 * MINUTE;
+
+// Bar length in milliseconds; 1M varies and is handled by barEnd
+const TIMEFRAME_MS = {
+    '1m': MINUTE,
+    '3m': 3 * MINUTE,
+    '5m': 5 * MINUTE,
+    '15m': 15 * MINUTE,
+    '30m': 30 * MINUTE,
+    '1H': 60 * MINUTE,
+    '2H': 120 * MINUTE,
+    '4H': 240 * MINUTE,
+    '6H': 360 * MINUTE,
+    '12H': 720 * MINUTE,
+    '1D': 1440 * MINUTE,
+    '3D': 3 * 1440 * MINUTE,
+    '1W': 7 * 1440 * MINUTE,
+};
+
+// Every granularity Bitget accepts, fastest first
+const TIMEFRAMES = [...Object.keys(TIMEFRAME_MS), '1M'];
+
+/**
+ * Open time of the bar that contains `time`.
+ * @param {number} time - Timestamp in ms.
+ * @param {string} timeframe
+ * @returns {number}
+ */
+function barStart(time, timeframe) {
+    if (timeframe === '1M') {
+        const date = new Date(time);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    }
+    if (timeframe === '1W') return anchorStart(time, 'week');
+    if (!TIMEFRAME_MS[timeframe]) {
+        throw new Error(`Unknown timeframe ${timeframe}`);
+    }
+    return Math.floor(time / TIMEFRAME_MS[timeframe]) * TIMEFRAME_MS[timeframe];
+}
+
+/**
+ * When the bar that opened at `openTime` closes.
+ * @param {number} openTime - Bar timestamp in ms.
+ * @param {string} timeframe - e.g. '5m', '1H', '1M'.
+ * @returns {number} Close time in ms.
+ */
+function barEnd(openTime, timeframe) {
+    if (timeframe === '1M') {
+        const open = new Date(openTime);
+        return Date.UTC(open.getUTCFullYear(), open.getUTCMonth() + 1, 1);
+    }
+    if (!TIMEFRAME_MS[timeframe]) {
+        throw new Error(`Unknown timeframe ${timeframe}`);
+    }
+    return openTime + TIMEFRAME_MS[timeframe];
+}
+
+/**
+ * Whether a candle's bar has closed.
+ * @param {Array<number>} candle - [ts, open, high, low, close, volume].
+ * @param {string} timeframe
+ * @param {number} [now=Date.now()]
+ */
+function isClosed(candle, timeframe, now = Date.now()) {
+    return barEnd(candle[0], timeframe) <= now;
+}
+
+/**
+ * Candles without the still-forming last bar, if there is one.
+ * @param {Array<Array<number>>} candles - Oldest first.
+ * @param {string} timeframe
+ * @param {number} [now=Date.now()]
+ * @returns {Array<Array<number>>}
+ */
+function closedCandles(candles, timeframe, now = Date.now()) {
+    if (candles.length === 0 || isClosed(candles[candles.length - 1], timeframe, now)) return candles;
+    return candles.slice(0, -1);
+}
+
+//////////// - Anchors - ///////////////////////////
+
+const ANCHORS = ['day', 'week', 'session'];
+
+// Length of each anchor period in ms
+const ANCHOR_MS = { day: DAY, week: 7 * DAY, session: DAY };
+
+const SESSION_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Whether a session start is a valid UTC 'HH:MM'
+function isSessionStart(value) {
+    return typeof value === 'string' && SESSION_PATTERN.test(value);
+}
+
+/**
+ * Start of the anchor period that contains `time`.
+ * @param {number} time - Timestamp in ms.
+ * @param {string} anchor - 'day', 'week' or 'session'.
+ * @param {string} [sessionStart='00:00'] - UTC 'HH:MM' the session opens at, for the session anchor.
+ * @returns {number} Period start in ms.
+ */
+function anchorStart(time, anchor, sessionStart = '00:00') {
+    if (anchor === 'week') {
+        // 1970-01-01 was a Thursday, so weeks since the epoch start on Thursdays; shift to Mondays
+        const monday = 4 * DAY;
+        return Math.floor((time - monday) / ANCHOR_MS.week) * ANCHOR_MS.week + monday;
+    }
+    if (anchor === 'session') {
+        const match = SESSION_PATTERN.exec(sessionStart);
+        if (!match) throw new Error(`Session start must be a UTC time such as 13:30, got ${sessionStart}`);
+        const offset = (parseInt(match[1]) * 60 + parseInt(match[2])) * MINUTE;
+        return Math.floor((time - offset) / DAY) * DAY + offset;
+    }
+    if (anchor === 'day') return Math.floor(time / DAY) * DAY;
+    throw new Error(`Unknown anchor ${anchor}`);
+}
+
+/**
+ * Bars of a timeframe in one full anchor period, plus the forming one: enough
+ * history to always reach back to the start of the current period.
+ * @param {string} anchor
+ * @param {string} timeframe
+ * @returns {number}
+ */
+function anchorBars(anchor, timeframe) {
+    if (!ANCHOR_MS[anchor]) throw new Error(`Unknown anchor ${anchor}`);
+    const barMs = TIMEFRAME_MS[timeframe];
+    return barMs && barMs < ANCHOR_MS[anchor] ? Math.ceil(ANCHOR_MS[anchor] / barMs) + 1 : 2;
+}
+
+module.exports = {
+    TIMEFRAMES,
+    TIMEFRAME_MS,
+    barStart,
+    barEnd,
+    isClosed,
+    closedCandles,
+    ANCHORS,
+    isSessionStart,
+    anchorStart,
+    anchorBars,
+};
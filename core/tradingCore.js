@@ -0,0 +1,946 @@
+/**
+ * Shared trading core for the Bitget bot scripts.
+ *
+ * BTCv3.js, BTCvMultipleTime.js, MASTER.js and Testing/server.js all compose
+ * this module instead of carrying their own copies of candle fetching, order
+ * placement and position management.
+ *
+ * Usage:
+ *   const { createTradingCore } = require('./core/tradingCore');
+ *   const core = createTradingCore({ restClient: restClientV2 });
+ *   await core.placeTrade({ symbol: 'SBTCSUSDT', price: 65000, side: 'buy' });
+ */
+
+const { DEFAULT_SIZING, calculatePositionSize } = require('./positionSizing');
+const { createContractSpecs, roundPrice, roundSize, checkOrderSize } = require('./contractSpecs');
+
+const DEFAULT_OPTIONS = {
+    productType: 'SUSDT-FUTURES',
+    marginCoin: 'SUSDT',
+    marginMode: 'isolated',
+    force: 'gtc',
+    orderType: 'limit',
+    size: '0.001',
+    leverage: '10',
+    stopLossPercentage: 0.01,
+    takeProfitPercentage: 0.05,
+    presetTakeProfit: true,
+    sizing: DEFAULT_SIZING,
+    takeProfitLadder: {
+        maxOrders: 3,
+        minSize: 0.001,
+        levels: [
+            { priceMultiplier: 1.05, minProfitToMargin: 0.5 },
+            { priceMultiplier: 1.10, minProfitToMargin: 1.5 },
+        ],
+    },
+};
+
+// Most candles Bitget returns per request, from the candles and history-candles endpoints
+const CANDLE_PAGE = 1000;
+const HISTORIC_CANDLE_PAGE = 200;
+
+// Error code of a trade that can never be placed as asked, such as one with its stop on the wrong side
+const INVALID_TRADE = 'INVALID_TRADE';
+
+function invalidTrade(message) {
+    return Object.assign(new Error(message), { code: INVALID_TRADE });
+}
+
+/**
+ * Create a trading core bound to a REST client.
+ * @param {object} options
+ * @param {object} options.restClient - A RestClientV2 instance (or anything with the same surface).
+ * @param {string} [options.productType='SUSDT-FUTURES'] - Bitget V2 product type.
+ * @param {string} [options.marginCoin='SUSDT'] - Margin coin for orders and positions.
+ * @param {string} [options.marginMode='isolated'] - Margin mode used when opening positions.
+ * @param {string} [options.size='0.001'] - Default order size.
+ * @param {string} [options.leverage='10'] - Default leverage.
+ * @param {number} [options.stopLossPercentage=0.01] - Stop loss distance as a fraction of entry.
+ * @param {number} [options.takeProfitPercentage=0.05] - Take profit distance as a fraction of entry.
+ * @param {boolean} [options.presetTakeProfit=true] - Attach a preset take profit to new orders.
+ * @param {object} [options.sizing] - Position sizing, see positionSizing.js; 'fixed' sends `size`, 'risk' sizes from equity and the stop.
+ * @param {object} [options.takeProfitLadder] - TP ladder levels used by calculateTPOrders.
+ * @param {{ log: Function, error: Function }} [options.logger=console] - Where progress and errors are logged.
+ * @param {function(): number} [options.clock=Date.now] - Time source, replaced when replaying history.
+ * @param {object} [options.candleStore] - From createCandleStore; fetchCandleData then reads through it.
+ * @param {object} [options.contractSpecs] - From createContractSpecs, to share loaded specs; the core loads its own otherwise.
+ * @param {object} [options.orderManager] - From createOrderManager; placeTrade then sends its orders through it to track them.
+ * @returns {object} The trading core API.
+ */
+function createTradingCore(options = {}) {
+    const { restClient } = options;
+    if (!restClient) {
+        throw new Error('createTradingCore requires a restClient');
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...options, sizing: { ...DEFAULT_SIZING, ...options.sizing } };
+    const { productType, marginCoin } = settings;
+    const logger = options.logger || console;
+    const clock = options.clock || Date.now;
+    const { candleStore } = options;
+    // Tick sizes and order limits per symbol, every price and size sent is normalised to them
+    const contractSpecs = options.contractSpecs || createContractSpecs({ restClient, productType, clock });
+    const { orderManager } = options;
+    let orderCount = 0;
+
+    //////////// - Candle Data - ///////////////////////////
+
+    /**
+     * Fetch candles for a symbol and timeframe.
+     * More than one request's worth (1000 candles, 200 from the historic
+     * endpoint) is fetched page by page, going back in time. With a candle
+     * store the candles come from local data, synced with the exchange first.
+     * @param {string} symbol - e.g. 'SBTCSUSDT'.
+     * @param {string} granularity - e.g. '5m', '1H'.
+     * @param {object} [fetchOptions]
+     * @param {number} [fetchOptions.limit=100] - Number of candles to request.
+     * @param {boolean} [fetchOptions.historic=false] - Use the historic candles endpoint.
+     * @returns {Promise<Array<Array<number>>|null>} Candles as [ts, open, high, low, close, volume], or null on failure.
+     */
+    async function fetchCandleData(symbol, granularity, { limit = 100, historic = false } = {}) {
+        try {
+            logger.log(`Fetching ${granularity} candle data for ${symbol}`);
+
+            if (candleStore) {
+                return await candleStore.getCandles(symbol, granularity, { limit });
+            }
+
+            const pageLimit = historic ? HISTORIC_CANDLE_PAGE : CANDLE_PAGE;
+            const candles = new Map();
+            let endTime = null;
+
+            while (candles.size < limit) {
+                const request = {
+                    symbol,
+                    granularity,
+                    limit: Math.min(limit - candles.size, pageLimit),
+                    productType,
+                    ...(endTime !== null && { endTime: String(endTime) }),
+                };
+                const candleData = historic
+                    ? await restClient.getFuturesHistoricCandles(request)
+                    : await restClient.getFuturesCandles(request);
+
+                if (!candleData || !candleData.data) {
+                    if (candles.size > 0) break;
+                    logger.error(`No data returned for ${granularity} candle data`);
+                    return null;
+                }
+
+                for (const candle of candleData.data) {
+                    candles.set(parseInt(candle[0]), [
+                        parseInt(candle[0]), // timestamp
+                        parseFloat(candle[1]), // open
+                        parseFloat(candle[2]), // high
+                        parseFloat(candle[3]), // low
+                        parseFloat(candle[4]), // close
+                        parseFloat(candle[5]), // volume
+                    ]);
+                }
+
+                // A short page means there is no older history
+                const oldest = Math.min(...candleData.data.map(candle => parseInt(candle[0])));
+                if (candleData.data.length < request.limit || (endTime !== null && oldest > endTime)) break;
+                endTime = oldest - 1;
+            }
+
+            return [...candles.values()].sort((a, b) => a[0] - b[0]).slice(-limit);
+        } catch (error) {
+            logger.error(`Error fetching ${granularity} candle data:`, error.response ? error.response.data : error.message);
+            return null;
+        }
+    }
+
+    //////////// - Positions & Orders - ///////////////////////////
+
+    /**
+     * Fetch open positions for a symbol.
+     * @param {string} symbol
+     * @returns {Promise<Array<object>>}
+     */
+    async function getPositions(symbol) {
+        const response = await restClient.getFuturesPosition({ symbol, productType, marginCoin });
+        return response.data || [];
+    }
+
+    /**
+     * Fetch pending (unfilled) orders for a symbol.
+     * @param {string} symbol
+     * @returns {Promise<Array<object>>}
+     */
+    async function getPendingOrders(symbol) {
+        const response = await restClient.getFuturesOpenOrders({ symbol, productType });
+        return response.data?.entrustedList || [];
+    }
+
+    /**
+     * Log open positions and pending orders for a symbol.
+     * @param {string} symbol
+     * @returns {Promise<{ positions: Array<object>, pendingOrders: Array<object> }|null>}
+     */
+    async function fetchOpenPositionsAndOrders(symbol) {
+        try {
+            logger.log(`Fetching open positions and orders for ${symbol}`);
+            const positions = await getPositions(symbol);
+            const pendingOrders = await getPendingOrders(symbol);
+
+            if (positions.length === 0) {
+                logger.log("No open positions!");
+            } else {
+                logger.log(`Open positions found: ${positions.length}`, positions);
+            }
+
+            if (pendingOrders.length === 0) {
+                logger.log("No pending orders!");
+            } else {
+                logger.log(`Pending orders found: ${pendingOrders.length}`, pendingOrders);
+            }
+
+            return { positions, pendingOrders };
+        } catch (error) {
+            logger.error("Error fetching open positions or pending orders:", error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Cancel every open order for a symbol.
+     * @param {string} symbol
+     */
+    async function cancelAllOrders(symbol) {
+        try {
+            logger.log(`Cancelling all orders for ${symbol}`);
+            const response = await restClient.futuresCancelAllOrders({ symbol, productType, marginCoin });
+            logger.log(`Cancelled all orders for ${symbol}`, response);
+            return response;
+        } catch (error) {
+            logger.error(`Error cancelling orders for ${symbol}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Flash close positions for a symbol at market.
+     * @param {string} symbol
+     * @param {string} [holdSide] - 'long' or 'short'; omit to close both sides.
+     */
+    async function closeOpenPositions(symbol, holdSide) {
+        const label = holdSide ? `${holdSide} position` : 'positions';
+        try {
+            logger.log(`Closing ${label} for ${symbol}`);
+            const params = { symbol, productType };
+            if (holdSide) {
+                params.holdSide = holdSide;
+            }
+
+            const response = await restClient.futuresFlashClosePositions(params);
+            const { successList = [], failureList = [] } = response?.data || {};
+            if (failureList.length > 0) {
+                logger.error(`Failed to close ${label} for ${symbol}:`, failureList);
+            } else {
+                logger.log(`Closed ${label} for ${symbol}`, successList);
+            }
+            return response;
+        } catch (error) {
+            logger.error(`Error closing ${label} for ${symbol}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Close positions and cancel orders that oppose the side of a new signal.
+     * @param {{ symbol: string, side: string }} signal
+     */
+    async function closeOpposingPositions(signal) {
+        const { symbol, side } = signal;
+        const opposingSide = side === 'buy' ? 'short' : 'long';
+
+        try {
+            logger.log(`Checking for opposing positions or orders before placing ${side} order`);
+
+            const positions = await getPositions(symbol);
+            for (const position of positions) {
+                if (position.holdSide === opposingSide && position.symbol === symbol) {
+                    logger.log(`Opposing ${opposingSide} position detected, Attempting to close it!`);
+                    await closeOpenPositions(symbol, opposingSide);
+                }
+            }
+
+            const pendingOrders = await getPendingOrders(symbol);
+            const opposingOrder = pendingOrders.find(order => order.side !== side && order.symbol === symbol);
+            if (opposingOrder) {
+                logger.log(`Opposing ${opposingOrder.side} order detected, Cancelling it!`);
+                await cancelAllOrders(symbol);
+            }
+        } catch (error) {
+            logger.error("Error while closing opposing positions or cancelling orders:", error.message);
+        }
+    }
+
+    //////////// - Place Trade - ///////////////////////////
+
+    /**
+     * Stop loss and take profit prices for a trade: the signal's own, given as
+     * prices or as distances from the entry, each falling back to the
+     * configured percentage when the signal has none. Prices are rounded to
+     * the contract's tick size.
+     * @param {object} signal - As placeTrade.
+     * @param {number} entryPrice
+     * @param {object} spec - The symbol's contract spec.
+     * @returns {{ takeProfitPrice: number, stopLossPrice: number }}
+     * @throws {Error} With code INVALID_TRADE when a level is on the wrong side of the entry or a distance is not positive.
+     */
+    function resolveRiskLevels(signal, entryPrice, spec) {
+        const { side } = signal;
+        const direction = side === 'buy' ? 1 : -1;
+        const levels = {};
+
+        for (const [level, sign, name] of [['stopLoss', -1, 'stop loss'], ['takeProfit', 1, 'take profit']]) {
+            const price = signal[`${level}Price`];
+            const distance = signal[`${level}Distance`];
+            if (price !== undefined && price !== null) {
+                levels[level] = roundPrice(price, spec);
+            } else if (distance !== undefined && distance !== null) {
+                if (!(parseFloat(distance) > 0)) {
+                    throw invalidTrade(`Invalid ${name} distance ${distance}, Must be a positive price distance`);
+                }
+                levels[level] = roundPrice(entryPrice + sign * direction * parseFloat(distance), spec);
+            }
+            // A stop below a long's entry, a take profit above it, and the other way round for shorts
+            if (levels[level] !== undefined && !((levels[level] - entryPrice) * sign * direction > 0)) {
+                throw invalidTrade(`Invalid ${name} ${levels[level]} for a ${side} at ${entryPrice}`);
+            }
+        }
+
+        if (levels.stopLoss !== undefined && levels.takeProfit !== undefined) {
+            logger.log(`Using the signal's risk levels for ${side.toUpperCase()} order, Take Profit Price: ${levels.takeProfit}, Stop Loss Price: ${levels.stopLoss}`);
+            return { takeProfitPrice: levels.takeProfit, stopLossPrice: levels.stopLoss };
+        }
+        const configured = calculateRiskLevels(entryPrice, side, spec);
+        return {
+            takeProfitPrice: levels.takeProfit ?? configured.takeProfitPrice,
+            stopLossPrice: levels.stopLoss ?? configured.stopLossPrice,
+        };
+    }
+
+    /**
+     * Calculate take profit and stop loss prices from the configured percentages.
+     * @param {number} entryPrice - The entry price of the trade.
+     * @param {string} side - 'buy' or 'sell'.
+     * @param {object} [spec] - The symbol's contract spec; prices are rounded to its tick size when given.
+     * @returns {{ takeProfitPrice: number, stopLossPrice: number }}
+     */
+    function calculateRiskLevels(entryPrice, side, spec) {
+        const { stopLossPercentage, takeProfitPercentage } = settings;
+        const round = price => (spec ? roundPrice(price, spec) : price);
+        let takeProfitPrice, stopLossPrice;
+
+        if (side === 'buy') {
+            takeProfitPrice = round(entryPrice * (1 + takeProfitPercentage));
+            stopLossPrice = round(entryPrice * (1 - stopLossPercentage));
+        } else if (side === 'sell') {
+            takeProfitPrice = round(entryPrice * (1 - takeProfitPercentage));
+            stopLossPrice = round(entryPrice * (1 + stopLossPercentage));
+        } else {
+            throw invalidTrade("Invalid trade side, Must be 'buy' or 'sell'");
+        }
+
+        logger.log(`Calculated Risk Levels for ${side.toUpperCase()} order:`);
+        logger.log(`  Entry Price: ${entryPrice}`);
+        logger.log(`  Take Profit Price: ${takeProfitPrice}`);
+        logger.log(`  Stop Loss Price: ${stopLossPrice}`);
+
+        return { takeProfitPrice, stopLossPrice };
+    }
+
+    /**
+     * The size step risk sizing rounds to: the configured one where it is a
+     * whole number of the contract's steps, the contract's where it is finer.
+     * @param {object} spec - The symbol's contract spec.
+     * @returns {number}
+     */
+    function sizeStep(spec) {
+        const steps = settings.sizing.sizeStep / spec.sizeStep;
+        if (steps <= 1) return spec.sizeStep;
+        if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+            throw new Error(`sizing.sizeStep ${settings.sizing.sizeStep} is not a multiple of the ${spec.symbol} size step ${spec.sizeStep}`);
+        }
+        return settings.sizing.sizeStep;
+    }
+
+    /**
+     * Order size for a trade. With risk sizing it is worked out from the
+     * futures account's equity so the stop loses sizing.riskPercentage of it;
+     * otherwise it is the signal's size or the configured one. Either way it
+     * is rounded down to the contract's size step, and risk sizing keeps to
+     * the contract's minimum size and maximum leverage as well as the config's.
+     * The size is worked out before any opposing position is closed, so that
+     * position's margin counts as available.
+     * @param {object} signal - As placeTrade.
+     * @param {number} entryPrice
+     * @param {number} stopLossPrice
+     * @param {object} spec - The symbol's contract spec.
+     * @returns {Promise<{ size: number|null, reason: string|null }>} size is null, with the reason, when risk
+     *   sizing gives less than the minimum size.
+     */
+    async function orderSize(signal, entryPrice, stopLossPrice, spec) {
+        const { sizing } = settings;
+        if (sizing.mode !== 'risk') {
+            return { size: roundSize(signal.size ?? settings.size, spec), reason: null };
+        }
+
+        const { symbol, side } = signal;
+        const response = await restClient.getFuturesAccountAsset({ symbol, productType, marginCoin });
+        const account = response && response.data;
+        if (!account) {
+            throw new Error(`No futures account returned for ${marginCoin}, unable to size the ${symbol} order`);
+        }
+        const maxAvailable = settings.marginMode === 'crossed' ? account.crossedMaxAvailable : account.isolatedMaxAvailable;
+
+        const opposingSide = side === 'buy' ? 'short' : 'long';
+        const releasedMargin = (await getPositions(symbol))
+            .filter(position => position.holdSide === opposingSide && position.symbol === symbol)
+            .reduce((total, position) => total + (parseFloat(position.marginSize) || 0), 0);
+
+        const { size, riskAmount, stopDistance, limitedBy, reason } = calculatePositionSize({
+            equity: parseFloat(account.accountEquity),
+            available: parseFloat(maxAvailable ?? account.available) + releasedMargin,
+            entryPrice,
+            stopLossPrice,
+            leverage: parseFloat(signal.leverage ?? settings.leverage),
+            riskPercentage: sizing.riskPercentage,
+            maxLeverage: Math.min(sizing.maxLeverage, spec.maxLeverage),
+            minSize: Math.max(sizing.minSize, spec.minSize),
+            sizeStep: sizeStep(spec),
+        });
+        if (!size) {
+            return { size: null, reason: `risk sizing gives no order, ${reason}` };
+        }
+
+        logger.log(`${symbol}: Risking ${riskAmount.toFixed(2)} ${marginCoin} (${Number((sizing.riskPercentage * 100).toFixed(4))}% of equity) over a stop ${Number(stopDistance.toFixed(spec.pricePlace))} away, size ${size}${limitedBy ? ` (limited by ${limitedBy})` : ''}`);
+        return { size: roundSize(size, spec), reason: null };
+    }
+
+    /**
+     * Work a trade out without touching the account: the contract spec, the
+     * entry price, the risk levels, the leverage and the size, checked against
+     * the contract's limits. placeTrade does this before it closes anything,
+     * so a signal that can never be placed leaves positions as they are.
+     * @param {object} signal - As placeTrade.
+     * @returns {Promise<{ spec: object, entryPrice: number, takeProfitPrice: number, stopLossPrice: number,
+     *   orderType: string, leverage: number, size: number|null, reason: string|null }>}
+     *   size is null, with the reason, when the order would be outside the contract's size limits.
+     * @throws {Error} With code INVALID_TRADE when the side, price, risk levels or leverage are invalid,
+     *   or an error when the contract config or account cannot be loaded.
+     */
+    async function prepareTrade(signal) {
+        const { symbol, price, side } = signal;
+        if (side !== 'buy' && side !== 'sell') {
+            throw invalidTrade(`Invalid trade side ${side}, Must be 'buy' or 'sell'`);
+        }
+
+        const spec = await contractSpecs.get(symbol);
+        const entryPrice = roundPrice(price, spec);
+        if (!(entryPrice > 0)) {
+            throw invalidTrade(`Invalid price ${price} for ${symbol}, Must be a positive price`);
+        }
+
+        const { takeProfitPrice, stopLossPrice } = resolveRiskLevels(signal, entryPrice, spec);
+        const orderType = signal.orderType || settings.orderType;
+
+        const leverage = parseFloat(signal.leverage ?? settings.leverage);
+        if (!(leverage >= spec.minLeverage && leverage <= spec.maxLeverage)) {
+            throw invalidTrade(`Leverage ${leverage} is outside the ${symbol} range of ${spec.minLeverage} to ${spec.maxLeverage}`);
+        }
+
+        const { size, reason } = await orderSize(signal, entryPrice, stopLossPrice, spec);
+        const sizeProblem = reason || (size !== null && checkOrderSize(size, entryPrice, spec, orderType));
+        return {
+            spec,
+            entryPrice,
+            takeProfitPrice,
+            stopLossPrice,
+            orderType,
+            leverage,
+            size: sizeProblem ? null : size,
+            reason: sizeProblem || null,
+        };
+    }
+
+    /**
+     * Place a limit order with preset stop loss and take profit.
+     *
+     * The trade is worked out and checked with prepareTrade first, then
+     * opposing positions and orders are closed. Nothing is placed, and nothing
+     * closed, when the size is outside the contract's order limits; nothing is
+     * placed when a position or pending order on the same side already exists.
+     * Prices and the size are rounded to the contract's tick size and size step.
+     *
+     * @param {object} signal
+     * @param {string} signal.symbol
+     * @param {number|string} signal.price - Limit price.
+     * @param {string} signal.side - 'buy' or 'sell'.
+     * @param {number|string} [signal.size] - Order size, defaults to the core's size; unused with risk sizing.
+     * @param {number|string} [signal.leverage] - Leverage, defaults to the core's leverage.
+     * @param {string} [signal.orderType] - 'limit' or 'market', defaults to the core's order type.
+     * @param {number|string} [signal.takeProfitPrice] - Absolute take profit, overrides the configured percentage.
+     * @param {number|string} [signal.stopLossPrice] - Absolute stop loss, overrides the configured percentage.
+     * @param {number|string} [signal.takeProfitDistance] - Take profit as a price distance from the entry, e.g. 2 ATRs.
+     * @param {number|string} [signal.stopLossDistance] - Stop loss as a price distance from the entry.
+     * @param {string} [signal.clientOid] - The order's client ID, generated when not given.
+     * @returns {Promise<object|undefined>} The order response, or undefined when no order was placed.
+     * @throws {Error} As prepareTrade.
+     */
+    async function placeTrade(signal) {
+        const { symbol, side } = signal;
+        const holdSide = side === 'buy' ? 'long' : 'short';
+
+        const { entryPrice, takeProfitPrice, stopLossPrice, orderType, leverage, size, reason } = await prepareTrade(signal);
+        if (size === null) {
+            logger.log(`${symbol}: Order not placed, ${reason}. No action taken!`);
+            return;
+        }
+
+        await closeOpposingPositions(signal);
+
+        const positions = await getPositions(symbol);
+        const existingPosition = positions.find(pos => pos.holdSide === holdSide && pos.symbol === symbol);
+        if (existingPosition) {
+            logger.log(`A matching ${side} position already exists, No action taken!`);
+            return;
+        }
+
+        const pendingOrders = await getPendingOrders(symbol);
+        const existingOrder = pendingOrders.find(order => order.side === side && order.symbol === symbol);
+        if (existingOrder) {
+            logger.log(`A matching ${side} limit order already exists, No action taken!`);
+            return;
+        }
+
+        try {
+            await restClient.setFuturesLeverage({
+                symbol,
+                productType,
+                marginCoin,
+                leverage: String(leverage),
+                holdSide,
+            });
+
+            const order = {
+                symbol,
+                productType,
+                marginMode: settings.marginMode,
+                marginCoin,
+                size: String(size),
+                price: String(entryPrice),
+                side,
+                tradeSide: 'open',
+                orderType,
+                force: settings.force,
+                presetStopLossPrice: String(stopLossPrice),
+                // Unique per order, so the order manager can follow it through the orders channel
+                clientOid: signal.clientOid || `open_${clock()}_${++orderCount}`,
+            };
+
+            if (settings.presetTakeProfit) {
+                order.presetStopSurplusPrice = String(takeProfitPrice);
+            }
+
+            logger.log('Placing order: ', order);
+            const result = orderManager ? await orderManager.submit(order) : await restClient.futuresSubmitOrder(order);
+            logger.log('Order result: ', result);
+            return result;
+        } catch (e) {
+            logger.error('Error placing order:', e.message);
+            throw e;
+        }
+    }
+
+    //////////// - PnL - ///////////////////////////
+
+    // Mock conversion rate from the margin coin to USD or GBP
+    async function getConversionRate(currency) {
+        // Replace with actual API call to fetch the conversion rate
+        if (currency === 'USD') return 1.0;
+        if (currency === 'GBP') return 0.75;
+        return 1.0;
+    }
+
+    /**
+     * Log the PnL of every open position on an interval.
+     * @param {number} [intervalMinutes=1]
+     * @param {string} [currency='USD'] - 'USD' or 'GBP'.
+     * @returns {NodeJS.Timeout} The interval handle.
+     */
+    function fetchPnLEveryIntervalWithCurrency(intervalMinutes = 1, currency = 'USD') {
+        logger.log(`Setting PnL in ${currency} every ${intervalMinutes} minutes`);
+
+        return setInterval(async () => {
+            try {
+                const positionsResponse = await restClient.getFuturesPositions({ productType, marginCoin });
+                const positions = positionsResponse.data || [];
+                if (positions.length === 0) {
+                    return;
+                }
+
+                const conversionRate = await getConversionRate(currency);
+
+                logger.log("PnL Open position details:");
+                positions.forEach((position) => {
+                    const { symbol, holdSide, openPriceAvg, markPrice, breakEvenPrice, unrealizedPL } = position;
+                    const pnlInCurrency = unrealizedPL * conversionRate;
+
+                    logger.log(`${symbol}: ${markPrice}, Entry Price: ${openPriceAvg}, Break Even: ${breakEvenPrice}`);
+                    logger.log(`PnL: ${pnlInCurrency.toFixed(2)} ${currency}, Side: ${holdSide}`);
+                });
+            } catch (error) {
+                logger.error("Error fetching PnL with currency conversion:", error.message);
+            }
+        }, intervalMinutes * 60 * 1000);
+    }
+
+    //////////// - Manage Break Even Stoploss - ///////////////////////////
+
+    /**
+     * Fetch the profit/loss plan orders for a symbol.
+     * @param {string} symbol
+     * @returns {Promise<Array<object>>}
+     */
+    async function hasExistingStopLoss(symbol) {
+        try {
+            logger.log(`Checking for stop loss orders on ${symbol}`);
+            const response = await restClient.getFuturesPlanOrders({
+                productType,
+                planType: 'profit_loss',
+                symbol,
+            });
+
+            if (!response || response?.code !== '00000') {
+                logger.error(`Failed to fetch stop loss orders: ${response?.msg || "Unknown error"}`);
+                return [];
+            }
+
+            const orders = response?.data?.entrustedList || [];
+            if (orders.length > 0) {
+                logger.log(`Found ${orders.length} stop loss orders`);
+            } else {
+                logger.log(`No stop loss orders found`);
+            }
+
+            return orders;
+        } catch (error) {
+            logger.error(`Error fetching stop loss orders:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Cancel the break-even stop loss orders for a symbol.
+     * @param {string} symbol
+     */
+    async function cancelPreviousStopLoss(symbol) {
+        try {
+            const stopLossOrders = (await hasExistingStopLoss(symbol))
+                .filter(order => order.planType === 'pos_loss');
+
+            for (const order of stopLossOrders) {
+                const { orderId } = order;
+                const cancelResponse = await restClient.futuresCancelPlanOrder({
+                    symbol,
+                    productType,
+                    marginCoin,
+                    orderId,
+                    clientOid: `${clock()}`,
+                });
+
+                if (cancelResponse?.code === '00000') {
+                    logger.log(`Stop Loss order with ID ${orderId} cancelled successfully`);
+                } else {
+                    logger.error(`Failed to cancel Stop Loss order with ID ${orderId}: ${cancelResponse?.msg}`);
+                }
+            }
+        } catch (error) {
+            logger.error("Error canceling Stop Loss orders:", error.message);
+        }
+    }
+
+    // Break-even moves waiting out profitWaitMinutes, keyed by symbol and side
+    const pendingBreakEven = new Map();
+
+    /**
+     * Move the stop loss of profitable positions to their break-even price.
+     *
+     * A position in profit that still carries its initial 'loss_plan' stop is
+     * given a 'pos_loss' stop at the break-even price once it has stayed in
+     * profit for `profitWaitMinutes` across consecutive checks.
+     *
+     * @param {string} symbol
+     * @param {number} [profitWaitMinutes=15]
+     */
+    async function checkBreakEven(symbol, profitWaitMinutes = 15) {
+        try {
+            const spec = await contractSpecs.get(symbol);
+            const positionsResponse = await restClient.getFuturesPosition({ symbol, productType, marginCoin });
+
+            if (!positionsResponse || positionsResponse.code !== '00000') {
+                logger.error(`Failed to fetch positions: ${positionsResponse?.msg || "Unknown error"}`);
+                return;
+            }
+
+            const positions = positionsResponse.data || [];
+            const openSides = positions.map(position => `${symbol}:${position.holdSide}`);
+            for (const key of pendingBreakEven.keys()) {
+                if (key.startsWith(`${symbol}:`) && !openSides.includes(key)) pendingBreakEven.delete(key);
+            }
+
+            for (const position of positions) {
+                const { holdSide, unrealizedPL, available, breakEvenPrice } = position;
+                const pendingKey = `${symbol}:${holdSide}`;
+
+                if (!breakEvenPrice || unrealizedPL <= 0) {
+                    logger.log(`Position not in profit or break even price unavailable, Skipping!`);
+                    pendingBreakEven.delete(pendingKey);
+                    continue;
+                }
+
+                const stopLossOrders = await hasExistingStopLoss(symbol);
+                const initialSLOrder = stopLossOrders.find(order => order.planType === 'loss_plan');
+
+                if (!initialSLOrder) {
+                    logger.error(`Initial Stop Loss not found, Ensure an initial Stop Loss is set`);
+                    continue;
+                }
+
+                logger.log(`Initial SL found, Trigger Price: ${initialSLOrder.triggerPrice}`);
+
+                const breakEvenPriceFloat = roundPrice(breakEvenPrice, spec);
+                const existingBreakEvenOrder = stopLossOrders.find(order => order.planType === 'pos_loss');
+
+                if (existingBreakEvenOrder) {
+                    const currentSLPrice = roundPrice(existingBreakEvenOrder.triggerPrice, spec);
+
+                    if (currentSLPrice === breakEvenPriceFloat) {
+                        logger.log(`Stop Loss already set to Break Even Price, Skipping!`);
+                        pendingBreakEven.delete(pendingKey);
+                        continue;
+                    }
+
+                    logger.log(`Stop Loss does not match Break Even Price (${currentSLPrice} !== ${breakEvenPriceFloat}), Cancelling existing SL`);
+                    await cancelPreviousStopLoss(symbol);
+                }
+
+                if (!pendingBreakEven.has(pendingKey)) {
+                    pendingBreakEven.set(pendingKey, clock() + profitWaitMinutes * 60 * 1000);
+                }
+
+                const dueAt = pendingBreakEven.get(pendingKey);
+                if (clock() < dueAt) {
+                    logger.log(`Setting Stop Loss to Break Even Price (${breakEvenPriceFloat}) in ${Math.ceil((dueAt - clock()) / 60000)} minutes`);
+                    continue;
+                }
+
+                pendingBreakEven.delete(pendingKey);
+
+                const stopLossPrice = breakEvenPriceFloat;
+                if (isNaN(stopLossPrice) || stopLossPrice <= 0) {
+                    logger.error(`Invalid break even price: ${breakEvenPrice}`);
+                    continue;
+                }
+
+                const stopLossSize = roundSize(available, spec);
+                if (!(stopLossSize > 0)) {
+                    logger.error(`Invalid position size for the break even Stop Loss: ${available}`);
+                    continue;
+                }
+
+                const payload = {
+                    marginCoin,
+                    productType,
+                    symbol,
+                    planType: 'pos_loss',
+                    triggerPrice: String(stopLossPrice),
+                    triggerType: 'fill_price',
+                    executePrice: '0',
+                    holdSide,
+                    size: String(stopLossSize),
+                    clientOid: `${clock()}`,
+                };
+
+                try {
+                    const response = await restClient.futuresSubmitTPSLOrder(payload);
+
+                    if (response?.code === '00000') {
+                        logger.log(`Stop Loss set to Break Even Price, Trigger Price: ${payload.triggerPrice}, Size: ${payload.size}`);
+                    } else {
+                        logger.error(`Failed to set Stop Loss: ${response?.msg}`);
+                    }
+                } catch (error) {
+                    logger.error(`Error setting Stop Loss:`, error.response?.data || error.message);
+                }
+            }
+        } catch (error) {
+            logger.error("Error during Stop Loss adjustment:", error.response?.data || error.message);
+        }
+    }
+
+    /**
+     * Run checkBreakEven for a symbol on an interval.
+     * @param {string} symbol
+     * @param {number} [intervalMinutes=5]
+     * @param {number} [profitWaitMinutes=15]
+     * @returns {NodeJS.Timeout} The interval handle.
+     */
+    function adjustStopLossToBreakEven(symbol, intervalMinutes = 5, profitWaitMinutes = 15) {
+        logger.log(`Setting Stop Loss adjustment for ${symbol} to run every ${intervalMinutes} minutes`);
+
+        return setInterval(() => checkBreakEven(symbol, profitWaitMinutes), intervalMinutes * 60 * 1000);
+    }
+
+    //////////// - Take Profit Orders - ///////////////////////////
+
+    /**
+     * Place a ladder of reduce-only take profit plan orders once a position is
+     * sufficiently in profit. Each ladder level unlocks when unrealised PnL
+     * reaches `minProfitToMargin` times the position margin. Prices and sizes
+     * are rounded to the contract's increments, each order taking an even
+     * share of what the orders placed before it left.
+     * @param {string} symbol
+     */
+    async function calculateTPOrders(symbol) {
+        const { maxOrders, levels } = settings.takeProfitLadder;
+
+        try {
+            const spec = await contractSpecs.get(symbol);
+            const minSize = Math.max(settings.takeProfitLadder.minSize, spec.minSize);
+            const positionResponse = await restClient.getFuturesPosition({ symbol, productType, marginCoin });
+
+            if (!positionResponse || positionResponse.code !== '00000') {
+                logger.error(`Failed to fetch position: ${positionResponse?.msg || "Unknown error"}`);
+                return;
+            }
+
+            const position = (positionResponse.data || [])[0];
+            if (!position || parseFloat(position.available) <= 0) {
+                logger.log(`No available amount! Available: ${position?.available}`);
+                return;
+            }
+
+            const { available, openPriceAvg, holdSide, unrealizedPL, marginSize } = position;
+            const tpAmount = parseFloat(available);
+            const maxTPOrders = Math.min(maxOrders, Math.floor(tpAmount / minSize));
+
+            logger.log(`Available: ${tpAmount}, PnL: ${unrealizedPL}, Amount: ${marginSize}`);
+
+            // Only levels whose profit threshold has been reached are placed
+            const tpPercentages = levels
+                .filter(level => parseFloat(unrealizedPL) >= parseFloat(marginSize) * level.minProfitToMargin)
+                .map(level => level.priceMultiplier);
+
+            if (tpPercentages.length === 0) {
+                logger.log(`Unrealised PnL is below the first take profit threshold`);
+                return;
+            }
+
+            const tpOrdersToPlace = Math.min(maxTPOrders, tpPercentages.length);
+            logger.log(`Placing up to ${tpOrdersToPlace} TP orders`);
+
+            let tpRemaining = tpAmount;
+
+            for (let i = 0; i < tpOrdersToPlace; i++) {
+                const percent = tpPercentages[i];
+                const tpPrice = roundPrice(holdSide === 'long'
+                    ? openPriceAvg * percent
+                    : openPriceAvg * (1 - (percent - 1)), spec);
+
+                // What a refused order would have taken is left to the orders after it
+                const tpSize = roundSize(tpRemaining / (tpOrdersToPlace - i), spec);
+
+                const sizeProblem = checkOrderSize(tpSize, tpPrice, spec);
+                if (sizeProblem) {
+                    logger.log(`Skipping TP Order #${i + 1}, ${sizeProblem}`);
+                    continue;
+                }
+
+                const tpPayload = {
+                    planType: 'normal_plan',
+                    symbol,
+                    productType,
+                    marginMode: settings.marginMode,
+                    marginCoin,
+                    size: String(tpSize),
+                    price: String(tpPrice),
+                    triggerPrice: String(tpPrice),
+                    triggerType: 'mark_price',
+                    side: holdSide === 'long' ? 'sell' : 'buy', // Opposite side to close the position
+                    tradeSide: 'close',
+                    orderType: 'limit',
+                    clientOid: `${clock()}_${i}`,
+                    reduceOnly: 'YES',
+                };
+
+                try {
+                    logger.log(`Submitting TP Order #${i + 1}:`, JSON.stringify(tpPayload, null, 2));
+                    const tpResponse = await restClient.futuresSubmitPlanOrder(tpPayload);
+
+                    if (tpResponse?.code === '00000') {
+                        logger.log(`TP Order #${i + 1} placed successfully:`, tpResponse.data);
+                        tpRemaining -= tpSize;
+                    } else {
+                        logger.error(`Failed to place TP Order #${i + 1}:`, tpResponse?.msg);
+                    }
+                } catch (error) {
+                    logger.error(`Exception while placing TP Order #${i + 1}:`, error.message);
+                }
+            }
+
+            logger.log(`TP order placement completed.`);
+        } catch (error) {
+            logger.error(`Exception in calculateTPOrders:`, error.message);
+        }
+    }
+
+    /**
+     * Run calculateTPOrders for a symbol on an interval.
+     * @param {string} symbol
+     * @param {number} [intervalMinutes=5]
+     * @returns {NodeJS.Timeout} The interval handle.
+     */
+    function monitorTPOrders(symbol, intervalMinutes = 5) {
+        return setInterval(async () => {
+            try {
+                await calculateTPOrders(symbol);
+            } catch (error) {
+                logger.error(`Error during TP monitoring: ${error.message}`);
+            }
+        }, intervalMinutes * 60 * 1000);
+    }
+
+    return {
+        settings,
+        fetchCandleData,
+        getPositions,
+        getPendingOrders,
+        fetchOpenPositionsAndOrders,
+        cancelAllOrders,
+        closeOpenPositions,
+        closeOpposingPositions,
+        calculateRiskLevels,
+        prepareTrade,
+        placeTrade,
+        getConversionRate,
+        fetchPnLEveryIntervalWithCurrency,
+        hasExistingStopLoss,
+        cancelPreviousStopLoss,
+        checkBreakEven,
+        adjustStopLossToBreakEven,
+        calculateTPOrders,
+        monitorTPOrders,
+    };
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    INVALID_TRADE,
+    createTradingCore,
+};